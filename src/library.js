@@ -22,19 +22,22 @@ canvasEl.height = canvaY; // Set drawing buffer height
 canvasEl.style.width = canvaX + "px"; // Set display width
 canvasEl.style.height = canvaY + "px"; // Set display height
 
-/** @type {CanvasRenderingContext2D} The 2D rendering context for the canvas */
-const ctx = canvasEl.getContext("2d");
+/** @type {CanvasRenderingContext2D} The 2D rendering context everything draws on (swapped by {@link _withContext}) */
+let ctx = canvasEl.getContext("2d");
 
 /** @type {HTMLImageElement|null} The background image, if set */
 let backgroundImg = null;
 
 /**
  * The cursor object tracks mouse position and button states.
- * @type {{x: number, y: number, isDown: boolean, left: boolean, right: boolean}}
+ * `x`/`y` are world coordinates, `screenX`/`screenY` canvas coordinates.
+ * @type {{x: number, y: number, screenX: number, screenY: number, isDown: boolean, left: boolean, right: boolean}}
  */
 const cursor = {
   x: 0,
   y: 0,
+  screenX: 0,
+  screenY: 0,
   isDown: false,
   left: false,
   right: false,
@@ -46,25 +49,219 @@ const prevKeys = {};
 /**
  * Sets the background image or clears it.
  * @param {string} [src] - The path to the image source. If falsy, clears the background.
+ * @returns {Promise<void>} Resolves once the image has loaded (or failed), so it
+ *   can be awaited inside a {@link transition}.
  */
 function setBackground(src) {
   if (!src) {
     backgroundImg = null;
     document.body.style.backgroundColor = "black";
-    return;
+    return Promise.resolve();
+  }
+  if (assets.images[src]) {
+    backgroundImg = assets.images[src]; // preloaded with loadAssets()
+    document.body.style.backgroundColor = "";
+    return Promise.resolve();
   }
 
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      backgroundImg = img;
+      document.body.style.backgroundColor = "";
+      resolve();
+    };
+    img.onerror = () => {
+      _assetFailed("background image", src);
+      backgroundImg = null;
+      document.body.style.backgroundColor = "black";
+      resolve();
+    };
+    img.src = src;
+  });
+}
+
+/*────────────────────────  Assets  ───────────────────────*/
+/**
+ * Everything loaded with {@link loadAssets}, by name. Image names work
+ * wherever a path does: `createSprite(x, y, color, "hero")`,
+ * `setBackground("sky")`, sprite sheets, tilesets and particles. Sound
+ * names work with {@link playSound}.
+ * @type {{images: Object.<string, HTMLImageElement>, sounds: Object.<string, AudioBuffer>, fonts: Object.<string, FontFace>, json: Object.<string, *>}}
+ */
+const assets = { images: {}, sounds: {}, fonts: {}, json: {} };
+
+/** @type {Array.<{type: string, name: string, url: string, error: *}>} Every file that failed to load */
+const assetErrors = [];
+
+/**
+ * Shows a progress bar and holds the game while {@link loadAssets} is
+ * busy: `true` for the default screen, `false` to run the game right
+ * away, or a function `(progress) => {}` that draws your own (progress 0-1).
+ * @type {boolean|function(number)}
+ */
+let loadingScreen = true;
+
+/** @type {{loaded: number, total: number}} Files of all running {@link loadAssets} calls */
+const _loading = { loaded: 0, total: 0 };
+
+/**
+ * Records a file that failed to load and warns about it.
+ * @private
+ * @param {string} type - What it was, e.g. "image" or "sound".
+ * @param {string} url - Its path.
+ * @param {*} [error] - What went wrong.
+ * @param {string} [name=url] - Its asset name.
+ */
+function _assetFailed(type, url, error, name = url) {
+  assetErrors.push({ type, name, url, error });
+  console.warn(`Failed to load ${type}: ${url}`, error ?? "");
+}
+
+/**
+ * Gets an image by asset name, or starts loading it from a path.
+ * @private
+ * @param {string} src - Asset name or path.
+ * @param {string} [type="image"] - What it is for, in error messages.
+ * @returns {HTMLImageElement} The image.
+ */
+function _loadImage(src, type = "image") {
+  if (assets.images[src]) return assets.images[src];
   const img = new Image();
-  img.onload = () => {
-    backgroundImg = img;
-    document.body.style.backgroundColor = "";
-  };
-  img.onerror = () => {
-    console.warn(`Failed to load background image: ${src}`);
-    backgroundImg = null;
-    document.body.style.backgroundColor = "black";
-  };
+  img.onerror = () => _assetFailed(type, src);
   img.src = src;
+  return img;
+}
+
+/**
+ * Loads images, sounds, fonts and JSON files before the game needs them,
+ * so sprites don't start as blank squares. Lists of paths are named after
+ * their file (`"img/hero.png"` becomes `"hero"`); objects give the names.
+ * Until everything is in, the {@link loadingScreen} shows and the game
+ * waits. Files that fail are listed in {@link assetErrors}.
+ *
+ * ```js
+ * await loadAssets({
+ *   images: ["img/hero.png", "img/sky.png"],
+ *   sounds: { coin: "sfx/coin.wav" },
+ *   fonts: { Pixel: "fonts/pixel.ttf" },
+ *   json: { level1: "levels/1.json" },
+ * });
+ * setBackground("sky");
+ * const hero = createSprite(200, 300, "white", "hero");
+ * playSound("coin");
+ * if (assetErrors.length) console.log("missing:", assetErrors);
+ * ```
+ *
+ * @param {Object} manifest - What to load.
+ * @param {Array.<string>|Object.<string, string>} [manifest.images] - Images.
+ * @param {Array.<string>|Object.<string, string>} [manifest.sounds] - Sounds (decoded for Web Audio).
+ * @param {Array.<string>|Object.<string, string>} [manifest.fonts] - Font files, usable by name in CSS fonts.
+ * @param {Array.<string>|Object.<string, string>} [manifest.json] - JSON files.
+ * @param {function(number, number)} [onProgress] - Called with `(loaded, total)` after each file.
+ * @returns {Promise.<Object>} Resolves with {@link assets} once every file loaded or failed.
+ */
+function loadAssets(manifest, onProgress) {
+  const jobs = [];
+  for (const type of ["images", "sounds", "fonts", "json"]) {
+    const list = manifest[type];
+    if (!list) continue;
+    const entries = Array.isArray(list)
+      ? list.map((url) => [url.split("/").pop().replace(/\.[^.]*$/, ""), url])
+      : Object.entries(list);
+    for (const [name, url] of entries) jobs.push({ type, name, url });
+  }
+
+  let loaded = 0;
+  _loading.total += jobs.length;
+  return Promise.all(
+    jobs.map(async (job) => {
+      const value = await _loadAsset(job);
+      if (value != null) assets[job.type][job.name] = value;
+      loaded++;
+      _loading.loaded++;
+      if (_loading.loaded === _loading.total) _loading.loaded = _loading.total = 0;
+      if (onProgress) onProgress(loaded, jobs.length);
+    }),
+  ).then(() => assets);
+}
+
+/**
+ * Loads one file for {@link loadAssets}.
+ * @private
+ * @param {{type: string, name: string, url: string}} job - What to load.
+ * @returns {Promise.<*>} The asset, or null if it failed.
+ */
+function _loadAsset({ type, name, url }) {
+  if (type === "images") {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => {
+        _assetFailed("image", url, undefined, name);
+        resolve(null);
+      };
+      img.src = url;
+    });
+  }
+  if (type === "sounds") {
+    return _loadSound(url, name).then((buffer) => {
+      if (buffer) _soundBuffers.set(name, Promise.resolve(buffer)); // playSound(name)
+      return buffer;
+    });
+  }
+  if (type === "fonts") {
+    if (typeof FontFace === "undefined") {
+      _assetFailed("font", url, "FontFace isn't supported", name);
+      return Promise.resolve(null);
+    }
+    return new FontFace(name, `url(${url})`)
+      .load()
+      .then((face) => {
+        document.fonts.add(face);
+        return face;
+      })
+      .catch((err) => {
+        _assetFailed("font", url, err, name);
+        return null;
+      });
+  }
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      return res.json();
+    })
+    .catch((err) => {
+      _assetFailed("JSON", url, err, name);
+      return null;
+    });
+}
+
+/**
+ * Draws the loading screen: the default progress bar, or the one set in
+ * {@link loadingScreen}.
+ * @private
+ */
+function _drawLoadingScreen() {
+  const progress = _loading.total ? _loading.loaded / _loading.total : 1;
+  if (typeof loadingScreen === "function") {
+    loadingScreen(progress);
+    return;
+  }
+  const w = Math.min(400, canvaX * 0.6);
+  const h = 16;
+  const x = (canvaX - w) / 2;
+  const y = canvaY / 2;
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, canvaX, canvaY);
+  ctx.fillStyle = "white";
+  ctx.font = "20px monospace";
+  ctx.textAlign = "center";
+  ctx.fillText(`Loading… ${Math.floor(progress * 100)}%`, canvaX / 2, y - 20);
+  ctx.strokeStyle = "white";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, w, h);
+  ctx.fillRect(x + 3, y + 3, (w - 6) * progress, h - 6);
 }
 
 /** @type {HTMLElement} Element displaying mouse position */
@@ -76,1250 +273,6729 @@ const hoverInfoEl = document.getElementById("hoverInfo");
 /** @type {Object.<string, boolean>} Tracks current keyboard states */
 const keys = {};
 
-/** @type {Array.<Drawable>} Array of drawable objects (sprites and text) */
-const drawables = [];
+/** @type {Array.<Drawable>} Drawable objects (sprites and text) of the active scene */
+let drawables = [];
+
+/** @type {number} Length of one fixed engine step in seconds (the engine runs 60 steps per second) */
+const fixedDeltaTime = 1 / 60;
+
+/** @type {number} Scaled seconds that passed during the last rendered frame (0 while paused) */
+let deltaTime = 0;
+
+/** @type {number} Total scaled game time in seconds */
+let gameTime = 0;
+
+/** @type {number} Game speed multiplier (1 = normal, 0.5 = slow motion, 2 = double speed) */
+let timeScale = 1;
+
+/** @type {boolean} Whether the game clock is paused */
+let gamePaused = false;
 
+/** @type {number} Unprocessed scaled time in seconds, waiting for the next fixed step */
+let _accumulator = 0;
+
+/** @type {number|null} Timestamp of the previous rendered frame in ms */
+let _lastFrameTime = null;
+
+/** @type {number} Interpolation factor (0-1) between the previous and current step, used for drawing */
+let _renderAlpha = 1;
+
+/*──────────────────────  Broadphase  ─────────────────────*/
 /**
- * Base class for all drawable objects.
+ * A uniform grid that remembers which cells every object covers, so
+ * collision and hit tests only look at objects nearby instead of all of
+ * them. Each scene keeps one for its sprites (`scene.broadphase`); the
+ * engine keeps it up to date as sprites move.
  * @class
  */
-class Drawable {
+class SpatialHash {
   /**
-   * Creates a drawable object.
-   * @param {number} x - The x-coordinate.
-   * @param {number} y - The y-coordinate.
+   * @param {number} [cellSize=128] - Cell width and height in pixels.
    */
-  constructor(x, y) {
-    /** @type {number} X position */
-    this.x = x;
-    /** @type {number} Y position */
-    this.y = y;
-    /** @type {boolean} Whether the object is hidden */
-    this.hidden = false;
+  constructor(cellSize = 128) {
+    /** @type {number} Cell width and height in pixels */
+    this.cellSize = cellSize;
+    /** @private @type {Map.<number, Set.<Object>>} Objects per cell, keyed by {@link _cellKey} */
+    this._cells = new Map();
+    /** @private @type {Map.<Object, {c0: number, r0: number, c1: number, r1: number}|null>} Covered cells per object (null = everywhere) */
+    this._entries = new Map();
+    /** @private @type {Set.<Object>} Objects too big (or too far out) for the grid, returned by every query */
+    this._everywhere = new Set();
   }
 
   /**
-   * Draws the object on the canvas. To be overridden by subclasses.
+   * Adds an object or moves it to new bounds. Cheap when it stays in the
+   * same cells.
+   * @param {Object} obj - The object.
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - Its bounds.
    */
-  draw() {
-    // To be overridden
+  update(obj, rect) {
+    const range = this._range(rect);
+    const old = this._entries.get(obj);
+    if (old !== undefined && _sameRange(old, range)) return;
+    if (old !== undefined) this.remove(obj);
+    this._entries.set(obj, range);
+    if (!range) {
+      this._everywhere.add(obj);
+      return;
+    }
+    for (let r = range.r0; r <= range.r1; r++) {
+      for (let c = range.c0; c <= range.c1; c++) {
+        const key = _cellKey(c, r);
+        let cell = this._cells.get(key);
+        if (!cell) this._cells.set(key, (cell = new Set()));
+        cell.add(obj);
+      }
+    }
   }
-}
 
-/**
- * Controls everything related to objects on canvas that move.
- * @class
- * @extends Drawable
- */
-class Sprite extends Drawable {
   /**
-   * Creates a sprite. Use {@link createSprite} for instantiation.
-   * @param {number} [x=0] - The starting x-coordinate.
-   * @param {number} [y=0] - The starting y-coordinate.
-   * @param {string} [color='white'] - The sprite's color.
-   * @param {...string} imageSrcs - Optional image sources for costumes.
+   * Forgets an object.
+   * @param {Object} obj - The object.
    */
-  constructor(x = 0, y = 0, color = "white", ...imageSrcs) {
-    super(x, y);
-    /** @type {string} Sprite color */
-    this.color = color;
-    /** @type {number} Previous x position */
-    this.prevX = this.x;
-    /** @type {number} Previous y position */
-    this.prevY = this.y;
-    /** @type {number} Sprite size in pixels */
-    this.size = 30;
-    /** @type {number} Movement speed in pixels per frame */
-    this.speed = 5;
-    /** @type {boolean} Whether sprite is touching a border */
-    this.border = false;
-    /** @type {Array.<Sprite>} List of sprites currently touching */
-    this.touching = [];
-    /** @type {Array.<{target: Sprite, callback: Function}>} Touch event callbacks */
-    this.touchCallbacks = [];
-    /** @type {Set.<Sprite>} Cache for touch-once events */
-    this.touchOnceCache = new Set();
-    /** @type {Array.<{target: Sprite, callback: Function}>} Touch-once callbacks */
-    this.touchOnceCallbacks = [];
-    /** @type {Array.<{target: Sprite, callback: Function}>} Touch-end callbacks */
-    this.touchEndCallbacks = [];
-    /** @type {Array.<HTMLImageElement>} List of costume images */
-    this.costumes = [];
-    /** @type {number} Index of the current costume */
-    this.currentCostume = 0;
-    /** @type {Array.<HTMLImageElement>} Loaded costume images */
-    this.loadedCostumes = [];
-    /** @type {Object.<string, Array.<Function>>} Event listeners */
-    this.events = {};
-    /** @type {boolean} Use original image size for rendering */
-    this.useOriginalSize = true;
-    /** @type {number} Scaling factor for size */
-    this.scale = 1.0;
-    /** @type {number} Opacity for rendering (0.0-1.0) */
-    this.opacity = 1.0;
-    /** @type {Object|null} Control scheme for movement */
-    this.controls = null;
-    /** @type {number} Gravity effect in pixels per frame */
-    this.gravity = 0;
-    /** @type {boolean} Whether sprite acts as a hitbox */
-    this.hitbox = false;
-    /** @type {boolean} Whether the pen is down for drawing */
-    this.penDown = false;
-    /** @type {Array.<Array.<{x: number, y: number}>>} Array of pen paths */
-    this.penTrails = [];
-    /** @type {Array.<{x: number, y: number}>|null} Current pen path */
-    this.currentPath = null;
-    /** @type {string} Pen color */
-    this.penColor = this.color;
-    /** @type {number} Pen thickness in pixels */
-    this.penThickness = 1;
-    /** @type {number} Facing direction in degrees (Scratch style: 0=up, 90=right) */
-    this.direction = 90;
-    /** @type {boolean} If stop at Border or not */
-    this.doStopAtBorder = false;
-
-    for (const src of imageSrcs) {
-      const img = new Image();
-      img.onload = () => this.loadedCostumes.push(img);
-      img.onerror = () => console.warn(`Failed to load image: ${src}`);
-      img.src = src;
-      this.costumes.push(img);
+  remove(obj) {
+    const range = this._entries.get(obj);
+    if (range === undefined) return;
+    this._entries.delete(obj);
+    if (!range) {
+      this._everywhere.delete(obj);
+      return;
+    }
+    for (let r = range.r0; r <= range.r1; r++) {
+      for (let c = range.c0; c <= range.c1; c++) {
+        const key = _cellKey(c, r);
+        const cell = this._cells.get(key);
+        cell.delete(obj);
+        if (!cell.size) this._cells.delete(key);
+      }
     }
   }
 
   /**
-   * Updates the sprite state. Override in specific sprites.
+   * Lists the objects in the cells a rectangle covers. This may include
+   * objects that don't quite overlap it, so do the exact test afterwards.
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - Area to look in.
+   * @returns {Array.<Object>} Candidates, each once.
    */
-  update() {
-    // Default does nothing
+  query(rect) {
+    const found = new Set(this._everywhere);
+    const range = this._range(rect);
+    if (!range) return [...this._entries.keys()];
+    for (let r = range.r0; r <= range.r1; r++) {
+      for (let c = range.c0; c <= range.c1; c++) {
+        const cell = this._cells.get(_cellKey(c, r));
+        if (cell) for (const obj of cell) found.add(obj);
+      }
+    }
+    return [...found];
   }
 
   /**
-   * Registers an event listener.
-   * @param {string} eventName - The event name.
-   * @param {Function} callback - The callback function.
+   * Cells covered by a rectangle.
+   * @private
+   * @param {{left: number, top: number, right: number, bottom: number}} rect
+   * @returns {{c0: number, r0: number, c1: number, r1: number}|null} Null when too big for
+   *   the grid, or too far out for {@link _cellKey}.
    */
-  on(eventName, callback) {
-    if (!this.events[eventName]) this.events[eventName] = [];
-    this.events[eventName].push(callback);
+  _range(rect) {
+    const s = this.cellSize;
+    const range = {
+      c0: Math.floor(rect.left / s),
+      r0: Math.floor(rect.top / s),
+      c1: Math.floor(rect.right / s),
+      r1: Math.floor(rect.bottom / s),
+    };
+    const cells = (range.c1 - range.c0 + 1) * (range.r1 - range.r0 + 1);
+    const inGrid =
+      range.c0 >= -CELL_LIMIT &&
+      range.r0 >= -CELL_LIMIT &&
+      range.c1 < CELL_LIMIT &&
+      range.r1 < CELL_LIMIT;
+    // NaN/Infinity bounds or huge objects aren't worth spreading over the grid
+    return cells > 0 && cells <= 1024 && inGrid ? range : null;
+  }
+}
+
+/** @type {number} Cells per direction from the origin that {@link _cellKey} can number */
+const CELL_LIMIT = 32768;
+
+/**
+ * Numbers a grid cell, so cell lookups don't build strings.
+ * @private
+ * @param {number} c - Column, within ±{@link CELL_LIMIT}.
+ * @param {number} r - Row, within ±{@link CELL_LIMIT}.
+ * @returns {number} A key unique to the cell.
+ */
+function _cellKey(c, r) {
+  return (c + CELL_LIMIT) * CELL_LIMIT * 2 + (r + CELL_LIMIT);
+}
+
+/**
+ * Checks if two cell ranges are the same.
+ * @private
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function _sameRange(a, b) {
+  if (!a || !b) return a === b;
+  return a.c0 === b.c0 && a.r0 === b.r0 && a.c1 === b.c1 && a.r1 === b.r1;
+}
+
+/**
+ * Brings a scene's broadphase in line with where its sprites are now.
+ * @private
+ * @param {Scene} scene - The scene.
+ */
+function _syncBroadphase(scene) {
+  for (const obj of scene.drawables) {
+    if (obj instanceof Sprite) scene.broadphase.update(obj, obj._broadBounds());
+  }
+  scene._moved.clear();
+}
+
+/**
+ * Updates the broadphase entries of the sprites whose position or
+ * collision box changed since they were last filed, so a query never
+ * misses a sprite that another sprite's code moved or resized.
+ * @private
+ * @param {Scene} scene - The scene.
+ */
+function _syncMoved(scene) {
+  for (const obj of scene._moved) {
+    if (!obj._deleted) scene.broadphase.update(obj, obj._broadBounds());
   }
+  scene._moved.clear();
+}
+
+/**
+ * Sprites of a scene near an area, in drawing order (back to front), the
+ * same order a scan over `drawables` finds them in.
+ * @private
+ * @param {Scene} scene - The scene.
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - Area to look in.
+ * @param {Map.<Drawable, number>} [order] - Drawing order from {@link _drawOrder}, when
+ *   doing many queries in a row.
+ * @returns {Array.<Sprite>} Candidates.
+ */
+function _spritesNear(scene, rect, order) {
+  if (scene._moved.size) _syncMoved(scene);
+  const found = scene.broadphase.query(rect);
+  if (found.length < 2) return found;
+  order = order || _drawOrder(scene);
+  // objects added since the order was taken go last, like new clones do
+  const ranked = found.map((obj) => ({ obj, at: order.get(obj) ?? Infinity }));
+  ranked.sort((a, b) => a.at - b.at);
+  return ranked.map((entry) => entry.obj);
+}
+
+/**
+ * Position of every drawable in its scene's drawing order.
+ * @private
+ * @param {Scene} scene - The scene.
+ * @returns {Map.<Drawable, number>} Index per drawable.
+ */
+function _drawOrder(scene) {
+  return new Map(scene.drawables.map((obj, i) => [obj, i]));
+}
 
+/*────────────────────────  Scenes  ───────────────────────*/
+/**
+ * A screen of the game (title, level, game over...). Each scene owns its
+ * drawables, {@link forever} loops and {@link wait} timers, which are torn
+ * down when it exits.
+ * Use {@link createScene} for instantiation.
+ *
+ * Events (register with `scene.on(...)`):
+ * - `"enter"` after the setup function ran
+ * - `"exit"` right before its objects are deleted
+ * - `"pause"` when another scene is pushed on top of it
+ * - `"resume"` when the scene on top of it is popped
+ *
+ * @class
+ */
+class Scene {
   /**
-   * Points the sprite towards another sprite.
-   *
-   * @param {Sprite} target - The target sprite to face.
+   * @param {string} name - Unique scene name.
+   * @param {Function|null} setupFn - Builds the scene, called with `(scene, data)` on every enter.
    */
-  pointTowards(target) {
-    const dx = target.x - this.x;
-    const dy = target.y - this.y;
-    const angle = (Math.atan2(-dy, dx) * 180) / Math.PI + 90;
-    this.pointInDirection(angle);
+  constructor(name, setupFn) {
+    /** @type {string} Scene name */
+    this.name = name;
+    /** @type {Function|null} Builds the scene's objects */
+    this.setupFn = setupFn;
+    /** @type {Array.<Drawable>} Objects that belong to this scene, back to front */
+    this.drawables = [];
+    /** @type {Array.<{callback: Function, busy: boolean, dead: boolean}>} Forever loops */
+    this.loops = [];
+    /** @type {Array.<{at: number, resolve: Function}>} Pending {@link wait} timers, in game-time ms */
+    this.timers = [];
+    /** @type {Object.<string, Array.<Function>>} Event listeners */
+    this.events = {};
+    /** @type {boolean} Whether another scene is pushed on top of this one */
+    this.paused = false;
+    /** @type {Array.<Joint>} Joints between this scene's sprites */
+    this.joints = [];
+    /** @type {SpatialHash} Finds this scene's sprites by area */
+    this.broadphase = new SpatialHash();
+    /** @type {Array.<Tilemap>} This scene's tilemaps, which the broadphase doesn't hold */
+    this.tilemaps = [];
+    /** @private @type {Set.<Sprite>} Sprites moved or resized since their broadphase entry was updated */
+    this._moved = new Set();
   }
 
   /**
-   * Moves this sprite to the exact centre of the canvas.
-   * (Assumes the global `canvaX` / `canvaY` match the canvas size.)
+   * Registers an event listener.
+   * @param {string} eventName - "enter", "exit", "pause" or "resume".
+   * @param {Function} callback - The callback function.
    */
-  center() {
-    this.x = canvaX / 2;
-    this.y = canvaY / 2;
+  on(eventName, callback) {
+    if (!this.events[eventName]) this.events[eventName] = [];
+    this.events[eventName].push(callback);
   }
 
   /**
-   * Completely removes this sprite (or clone) from the game.
-   * ‑ Takes itself out of `drawables`
-   * ‑ Clears pen trails so nothing is left on screen
-   * ‑ Notifies listeners with a "delete" event
-   * Subsequent calls are ignored.
+   * Triggers all callbacks for an event.
+   * @param {string} eventName - The event name.
+   * @param {*} [data] - Data passed to the callbacks.
    */
-  delete() {
-    if (this._deleted) return; // avoid double delete
-    this._deleted = true;
-
-    // 1. Remove from global draw list
-    const idx = drawables.indexOf(this);
-    if (idx !== -1) drawables.splice(idx, 1);
-
-    // 2. Clean up pen trails so the drawing disappears next frame
-    this.penTrails = [];
-
-    // 3. Remove any collision references others hold
-    for (const s of drawables) {
-      if (s instanceof Sprite) {
-        s.touching = s.touching.filter((t) => t !== this);
-        s.touchOnceCache.delete(this);
+  trigger(eventName, data) {
+    if (this.events[eventName]) {
+      for (const cb of this.events[eventName]) {
+        cb(data);
       }
     }
+  }
+}
 
-    // 4. Hide immediately in case someone draws directly
-    this.hidden = true;
+/** @type {Object.<string, Scene>} All registered scenes by name */
+const scenes = {};
 
-    // 5. Fire optional event
-    this.trigger("delete", {});
-  }
+/** @type {Scene} Scene that holds everything created outside {@link createScene} */
+const _defaultScene = new Scene("default", null);
+scenes.default = _defaultScene;
 
-  /* ───── Layer / Depth helpers ───── */
+/** @type {Array.<Scene>} Active scenes, bottom to top. Only the top one updates. */
+const sceneStack = [_defaultScene];
+drawables = _defaultScene.drawables;
 
-  /** Bring this sprite to the very front layer (topmost). */
-  goToFront() {
-    const i = drawables.indexOf(this);
-    if (i !== -1) {
-      drawables.splice(i, 1);
-      drawables.push(this); // end = front
-    }
+/**
+ * Registers a scene. Nothing is built until you switch or push to it.
+ *
+ * ```js
+ * createScene("title", (scene) => {
+ *   createText(0, 300, "white", "Click to play", "40px monospace", true);
+ *   scene.on("exit", () => console.log("bye title"));
+ * });
+ * switchScene("title");
+ * ```
+ *
+ * @param {string} name - Unique scene name.
+ * @param {Function} setupFn - Creates the scene's sprites, texts and loops. Receives `(scene, data)`.
+ * @returns {Scene} The registered scene.
+ */
+function createScene(name, setupFn) {
+  const scene = new Scene(name, setupFn);
+  scenes[name] = scene;
+  return scene;
+}
+
+/**
+ * Gets the scene that is currently on top (the one that updates).
+ * @returns {Scene} The active scene.
+ */
+function getCurrentScene() {
+  return sceneStack[sceneStack.length - 1];
+}
+
+/**
+ * Leaves every active scene (including overlays) and enters another one.
+ * @param {string} name - Name of a scene registered with {@link createScene}.
+ * @param {*} [data] - Passed to the scene's setup function and "enter" event.
+ */
+function switchScene(name, data) {
+  const scene = scenes[name];
+  if (!scene) {
+    console.warn(`Unknown scene: ${name}`);
+    return;
   }
+  while (sceneStack.length) {
+    _exitScene(sceneStack.pop());
+  }
+  _enterScene(scene, data);
+}
 
-  /** Send this sprite to the very back layer (bottom). */
-  goToBack() {
-    const i = drawables.indexOf(this);
-    if (i !== -1) {
-      drawables.splice(i, 1);
-      drawables.unshift(this); // start = back
+/**
+ * Enters a scene on top of the current one, e.g. a pause menu. The scene
+ * below keeps drawing but stops updating until {@link popScene}.
+ * @param {string} name - Name of a scene registered with {@link createScene}.
+ * @param {*} [data] - Passed to the scene's setup function and "enter" event.
+ */
+function pushScene(name, data) {
+  const scene = scenes[name];
+  if (!scene) {
+    console.warn(`Unknown scene: ${name}`);
+    return;
+  }
+  if (sceneStack.includes(scene)) {
+    console.warn(`Scene is already active: ${name}`);
+    return;
+  }
+  const below = getCurrentScene();
+  below.paused = true;
+  for (const obj of below.drawables) {
+    if (obj instanceof RealTypeBox) {
+      obj.blur();
+      obj.input.style.display = "none";
     }
   }
+  below.trigger("pause");
+  _enterScene(scene, data);
+}
+
+/**
+ * Leaves the top scene and resumes the one below it.
+ * @param {*} [data] - Passed to the "resume" event of the scene below.
+ */
+function popScene(data) {
+  if (sceneStack.length <= 1) {
+    console.warn("popScene: there is no scene to go back to");
+    return;
+  }
+  _exitScene(sceneStack.pop());
+  const top = getCurrentScene();
+  drawables = top.drawables;
+  top.paused = false;
+  top.trigger("resume", data);
+}
+
+/**
+ * Makes a scene the active one and runs its setup.
+ * @private
+ * @param {Scene} scene - The scene to enter.
+ * @param {*} data - Data for the setup function.
+ */
+function _enterScene(scene, data) {
+  sceneStack.push(scene);
+  drawables = scene.drawables;
+  scene.paused = false;
+  if (scene.setupFn) scene.setupFn(scene, data);
+  scene.trigger("enter", data);
+}
+
+/**
+ * Tears a scene down: stops its loops, drops its pending waits (so the
+ * async code behind them never resumes) and deletes its objects
+ * (including the DOM inputs of typeboxes).
+ * @private
+ * @param {Scene} scene - The scene to exit.
+ */
+function _exitScene(scene) {
+  scene.trigger("exit");
+  for (const loop of scene.loops) loop.dead = true;
+  scene.loops.length = 0;
+  scene.timers.length = 0;
+  for (const obj of scene.drawables.slice()) obj.delete();
+  scene.drawables.length = 0;
+  scene.joints.length = 0;
+  scene.paused = false;
+}
 
+/*────────────────────────  Camera  ───────────────────────*/
+/**
+ * Looks at a part of the world. `x`/`y` is the world point shown at the
+ * centre of the view; by default that is the middle of the canvas, so
+ * world and screen coordinates match until you move the camera.
+ *
+ * ```js
+ * camera.follow(player, 0.1);
+ * camera.setBounds(0, 0, 4000, 720);
+ * player.onTouch(spikes, () => camera.shake(8, 300));
+ * ```
+ *
+ * Objects with `hud = true` ignore the camera and draw in screen space.
+ *
+ * @class
+ */
+class Camera {
   /**
-   * Move this sprite forward **n** layers (default 1).
-   * Equivalent to Scratch “go forward (n) layers”.
-   * @param {number} n
+   * @param {number} [width=canvaX] - View width in screen pixels.
+   * @param {number} [height=canvaY] - View height in screen pixels.
    */
-  goForward(n = 1) {
-    const i = drawables.indexOf(this);
-    if (i === -1) return;
-    const newIndex = Math.min(drawables.length - 1, i + n);
-    drawables.splice(i, 1);
-    drawables.splice(newIndex, 0, this);
+  constructor(width = canvaX, height = canvaY) {
+    /** @type {number} View width in screen pixels */
+    this.width = width;
+    /** @type {number} View height in screen pixels */
+    this.height = height;
+    /** @type {number} World x at the centre of the view */
+    this.x = width / 2;
+    /** @type {number} World y at the centre of the view */
+    this.y = height / 2;
+    /** @type {number} Previous x, for render interpolation */
+    this.prevX = this.x;
+    /** @type {number} Previous y, for render interpolation */
+    this.prevY = this.y;
+    /** @type {number} Zoom factor (2 = everything twice as big) */
+    this.zoom = 1;
+    /** @type {number} Camera rotation in degrees, clockwise */
+    this.rotation = 0;
+    /** @type {Sprite|null} Sprite being followed */
+    this.target = null;
+    /** @type {number} Follow smoothing (1 = locked on, 0.1 = lazy) */
+    this.lerp = 1;
+    /** @type {{left: number, top: number, right: number, bottom: number}|null} World area the view stays inside */
+    this.bounds = null;
+    /** @type {number} Current shake offset x */
+    this.shakeX = 0;
+    /** @type {number} Current shake offset y */
+    this.shakeY = 0;
+    /** @type {{intensity: number, duration: number, remaining: number}|null} Active shake */
+    this._shake = null;
   }
 
   /**
-   * Move this sprite backward **n** layers (default 1).
-   * Equivalent to Scratch “go back (n) layers”.
-   * @param {number} n
+   * Keeps a sprite in view.
+   * @param {Sprite} sprite - The sprite to follow.
+   * @param {number} [lerp=1] - Smoothing per engine step (1 = locked on, 0.1 = lazy).
    */
-  goBack(n = 1) {
-    const i = drawables.indexOf(this);
-    if (i === -1) return;
-    const newIndex = Math.max(0, i - n);
-    drawables.splice(i, 1);
-    drawables.splice(newIndex, 0, this);
+  follow(sprite, lerp = 1) {
+    this.target = sprite;
+    this.lerp = lerp;
+  }
+
+  /** Stops following the current target. */
+  stopFollowing() {
+    this.target = null;
   }
 
   /**
-   * Creates a Scratch‑style clone of this sprite.
-   * ‑ Copies visuals & state (but NOT "click" handlers by default)
-   * ‑ Adds itself to `drawables`
-   * ‑ Fires `"cloneStart"` on the clone
-   *
-   * @param {boolean} [copyClick=false] - If true, copy the parent's "click" callbacks as well.
-   * @returns {Sprite} The newly created clone.
+   * Moves the camera so a world point is at the centre of the view.
+   * @param {number} x - World x.
+   * @param {number} y - World y.
    */
-  clone(copyClick = false) {
-    const c = new Sprite(); // blank sprite
-    const simple = [
-      "x",
-      "y",
-      "prevX",
-      "prevY",
-      "color",
-      "size",
-      "speed",
-      "direction",
-      "scale",
-      "useOriginalSize",
-      "gravity",
-      "hitbox",
-      "penColor",
-      "penThickness",
-      "controls",
-    ];
-    _copyProps(this, c, simple);
+  goTo(x, y) {
+    this.x = this.prevX = x;
+    this.y = this.prevY = y;
+    this._clamp();
+  }
 
-    // visual assets & touch callbacks
-    c.costumes = this.costumes.slice();
-    c.currentCostume = this.currentCostume;
-    c.loadedCostumes = this.loadedCostumes.slice();
-    c.touchCallbacks = this.touchCallbacks.slice();
-    c.touchOnceCallbacks = this.touchOnceCallbacks.slice();
-    c.touchEndCallbacks = this.touchEndCallbacks.slice();
+  /**
+   * Sets the zoom factor.
+   * @param {number} zoom - 1 = normal, 2 = twice as big.
+   */
+  setZoom(zoom) {
+    this.zoom = Math.max(0.01, zoom);
+  }
 
-    if (this.hitboxPolygon) {
-      c.hitboxPolygon = this.hitboxPolygon.map((v) => ({ ...v }));
-    }
+  /**
+   * Keeps the view inside a world rectangle. Also used as the edge for `sprite.border`.
+   * @param {number} left - World left.
+   * @param {number} top - World top.
+   * @param {number} right - World right.
+   * @param {number} bottom - World bottom.
+   */
+  setBounds(left, top, right, bottom) {
+    this.bounds = { left, top, right, bottom };
+    this._clamp();
+  }
 
-    // event listeners — deep copy but skip "click" unless asked
-    c.events = {};
-    for (const [evt, list] of Object.entries(this.events)) {
-      if (evt === "click" && !copyClick) continue;
-      c.events[evt] = list.slice();
-    }
+  /** Lets the view go anywhere again. */
+  clearBounds() {
+    this.bounds = null;
+  }
 
-    drawables.push(c);
-    c.trigger("cloneStart", { parent: this });
-    return c;
+  /**
+   * Shakes the view, fading out over time.
+   * @param {number} [intensity=5] - Maximum offset in world pixels.
+   * @param {number} [ms=300] - Duration in milliseconds of game time.
+   */
+  shake(intensity = 5, ms = 300) {
+    this._shake = { intensity, duration: ms, remaining: ms };
   }
 
   /**
-   * Registers a callback for continuous touch with a target.
-   * @param {Sprite} target - The sprite to check for touching.
-   * @param {Function} callback - The callback to execute on touch.
+   * Converts a point from screen (view) coordinates to world coordinates.
+   * @param {number} sx - Screen x, relative to the view's top-left.
+   * @param {number} sy - Screen y, relative to the view's top-left.
+   * @returns {{x: number, y: number}} The world point.
    */
-  onTouch(target, callback) {
-    this.touchCallbacks.push({ target, callback });
+  screenToWorld(sx, sy) {
+    const rad = (this.rotation * Math.PI) / 180;
+    const dx = (sx - this.width / 2) / this.zoom;
+    const dy = (sy - this.height / 2) / this.zoom;
+    return {
+      x: this.x + this.shakeX + dx * Math.cos(rad) - dy * Math.sin(rad),
+      y: this.y + this.shakeY + dx * Math.sin(rad) + dy * Math.cos(rad),
+    };
   }
 
   /**
-   * Registers a callback for a single touch event with a target.
-   * @param {Sprite} target - The sprite to check for touching.
-   * @param {Function} callback - The callback to execute once on touch.
+   * Converts a point from world coordinates to screen (view) coordinates.
+   * @param {number} wx - World x.
+   * @param {number} wy - World y.
+   * @returns {{x: number, y: number}} The screen point, relative to the view's top-left.
    */
-  onTouchOnce(target, callback) {
-    this.touchOnceCallbacks.push({ target, callback });
+  worldToScreen(wx, wy) {
+    const rad = (-this.rotation * Math.PI) / 180;
+    const dx = (wx - this.x - this.shakeX) * this.zoom;
+    const dy = (wy - this.y - this.shakeY) * this.zoom;
+    return {
+      x: this.width / 2 + dx * Math.cos(rad) - dy * Math.sin(rad),
+      y: this.height / 2 + dx * Math.sin(rad) + dy * Math.cos(rad),
+    };
   }
 
   /**
-   * Registers a callback when touch with a target ends.
-   * @param {Sprite} target - The sprite to check for touch ending.
-   * @param {Function} callback - The callback to execute on touch end.
+   * Gets the world rectangle that is visible (grown to fit when rotated).
+   * @returns {{left: number, top: number, right: number, bottom: number}} The visible area.
    */
-  onTouchEnd(target, callback) {
-    this.touchEndCallbacks.push({ target, callback });
+  getViewRect() {
+    const corners = [
+      this.screenToWorld(0, 0),
+      this.screenToWorld(this.width, 0),
+      this.screenToWorld(0, this.height),
+      this.screenToWorld(this.width, this.height),
+    ];
+    return {
+      left: Math.min(...corners.map((c) => c.x)),
+      top: Math.min(...corners.map((c) => c.y)),
+      right: Math.max(...corners.map((c) => c.x)),
+      bottom: Math.max(...corners.map((c) => c.y)),
+    };
   }
 
   /**
-   * Starts drawing a pen trail at the current position.
+   * Gets the world rectangle sprites treat as the stage edge: the bounds
+   * if set, otherwise the (unrotated) view.
+   * @returns {{left: number, top: number, right: number, bottom: number}} The edge rectangle.
    */
-  startDrawing() {
-    if (!this.penDown) {
-      this.penDown = true;
+  getEdges() {
+    if (this.bounds) return this.bounds;
+    const hw = this.width / 2 / this.zoom;
+    const hh = this.height / 2 / this.zoom;
+    return { left: this.x - hw, top: this.y - hh, right: this.x + hw, bottom: this.y + hh };
+  }
+
+  /**
+   * Follows the target, applies bounds and advances the shake. Called every engine step.
+   * @private
+   */
+  _step() {
+    if (this.target && this.target._deleted) this.target = null;
+    if (this.target) {
+      this.x += (this.target.x - this.x) * this.lerp;
+      this.y += (this.target.y - this.y) * this.lerp;
     }
-    if (this.penDown) {
-      this.currentPath = [{ x: this.x, y: this.y }];
-      this.penTrails.push(this.currentPath);
+    this._clamp();
+
+    this.shakeX = 0;
+    this.shakeY = 0;
+    if (this._shake) {
+      const s = this._shake;
+      s.remaining -= fixedDeltaTime * 1000;
+      if (s.remaining <= 0) {
+        this._shake = null;
+      } else {
+        const power = s.intensity * (s.remaining / s.duration);
+        this.shakeX = (Math.random() * 2 - 1) * power;
+        this.shakeY = (Math.random() * 2 - 1) * power;
+      }
     }
   }
 
   /**
-   * This sets the pen thickness of the sprite pen.
-   *
-   * @param {*} thickness - The thickness of the sprite pen.
-   * @memberof Sprite
+   * Keeps the view inside the bounds (centred when the bounds are smaller than the view).
+   * @private
    */
-  setPenThickness(thickness) {
-    this.penThickness = thickness;
+  _clamp() {
+    if (!this.bounds) return;
+    const b = this.bounds;
+    const hw = this.width / 2 / this.zoom;
+    const hh = this.height / 2 / this.zoom;
+    this.x = b.right - b.left < hw * 2
+      ? (b.left + b.right) / 2
+      : Math.max(b.left + hw, Math.min(b.right - hw, this.x));
+    this.y = b.bottom - b.top < hh * 2
+      ? (b.top + b.bottom) / 2
+      : Math.max(b.top + hh, Math.min(b.bottom - hh, this.y));
   }
 
   /**
-   * This changes the pen thickness of the sprite pen.
-   *
-   * @param {*} thickness - The thickness value of the sprite pen you want to add/minus.
-   * @memberof Sprite
+   * Applies the camera transform to the canvas context (interpolated between steps).
+   * @private
    */
-  changePenThicknessBy(thickness) {
-    this.penThickness += thickness;
+  _apply() {
+    const x = this.prevX + (this.x - this.prevX) * _renderAlpha + this.shakeX;
+    const y = this.prevY + (this.y - this.prevY) * _renderAlpha + this.shakeY;
+    ctx.translate(this.width / 2, this.height / 2);
+    ctx.rotate((-this.rotation * Math.PI) / 180);
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-x, -y);
   }
+}
+
+/** @type {Camera} The main camera */
+const camera = new Camera();
+
+/** @type {Camera} Camera used by the object currently being drawn */
+let _renderCamera = camera;
+
+/**
+ * Converts a canvas position to the world position under it, for an
+ * object that may be drawn in screen space.
+ * @private
+ * @param {Drawable} obj - The object being hit-tested.
+ * @param {number} sx - Canvas x.
+ * @param {number} sy - Canvas y.
+ * @returns {{x: number, y: number}} The position in the object's space.
+ */
+function _toObjectSpace(obj, sx, sy) {
+  if (obj.hud) return { x: sx, y: sy };
+  const view = _cameraAt(sx, sy);
+  return view.camera.screenToWorld(view.x, view.y);
+}
+
+/**
+ * Sprites of the active scene whose bounds may contain a canvas position,
+ * back to front. HUD sprites are looked up in screen space, the rest in
+ * the world.
+ * @private
+ * @param {number} sx - Canvas x.
+ * @param {number} sy - Canvas y.
+ * @returns {Array.<Sprite>} Candidates for an exact hit test.
+ */
+function _spritesUnder(sx, sy) {
+  const scene = getCurrentScene();
+  const view = _cameraAt(sx, sy);
+  const world = view.camera.screenToWorld(view.x, view.y);
+  const point = (x, y) => ({ left: x, top: y, right: x, bottom: y });
+  const order = _drawOrder(scene);
+  const found = [
+    ..._spritesNear(scene, point(world.x, world.y), order).filter((obj) => !obj.hud),
+    ..._spritesNear(scene, point(sx, sy), order).filter((obj) => obj.hud),
+  ];
+  return found.sort((a, b) => order.get(a) - order.get(b));
+}
 
+/*────────────────────────  Viewports  ───────────────────────*/
+/**
+ * A rectangle of the canvas that shows the world through its own camera.
+ * Use {@link createViewport} for instantiation. While at least one viewport
+ * exists, the world is drawn once per viewport and `hud` objects are drawn
+ * once on top of everything.
+ *
+ * ```js
+ * // vertical split-screen
+ * const left = createViewport(0, 0, canvaX / 2, canvaY);
+ * const right = createViewport(canvaX / 2, 0, canvaX / 2, canvaY);
+ * left.camera.follow(p1);
+ * right.camera.follow(p2);
+ *
+ * // minimap that only shows sprites with viewLayer "map"
+ * const mini = createViewport(1060, 20, 200, 120, { layers: ["map"], background: "#111" });
+ * mini.camera.setZoom(0.1);
+ * ```
+ *
+ * `sprite.border` keeps using the main {@link camera}; give it bounds
+ * (`camera.setBounds(...)`) to make the world edge work in split-screen.
+ *
+ * @class
+ */
+class Viewport {
   /**
-   * Set the scale(for images costume only!) of the sprite.
-   *
-   * @param {*} scale - The scale you want to set for your sprite.
-   * @memberof Sprite
+   * @param {number} x - Left of the viewport on the canvas.
+   * @param {number} y - Top of the viewport on the canvas.
+   * @param {number} w - Width in canvas pixels.
+   * @param {number} h - Height in canvas pixels.
+   * @param {Object} [options] - Extra settings.
+   * @param {Camera} [options.camera] - Camera to use (default: a new one sized to the viewport).
+   * @param {Array.<string>} [options.layers] - Only draw objects whose `viewLayer` is listed.
+   * @param {Function} [options.filter] - Only draw objects for which `filter(obj)` is true.
+   * @param {string} [options.background] - Fill color behind the world.
+   * @param {string} [options.borderColor] - Outline color.
    */
-  setScale(scale) {
-    this.scale = scale;
+  constructor(x, y, w, h, options = {}) {
+    /** @type {number} Left on the canvas */
+    this.x = x;
+    /** @type {number} Top on the canvas */
+    this.y = y;
+    /** @type {number} Width in canvas pixels */
+    this.width = w;
+    /** @type {number} Height in canvas pixels */
+    this.height = h;
+    /** @type {Camera} This viewport's camera */
+    this.camera = options.camera || new Camera(w, h);
+    /** @type {Array.<string>|null} View layers to draw, or null for all */
+    this.layers = options.layers || null;
+    /** @type {Function|null} Extra object filter */
+    this.filter = options.filter || null;
+    /** @type {string|null} Fill color behind the world */
+    this.background = options.background || null;
+    /** @type {string|null} Outline color */
+    this.borderColor = options.borderColor || null;
   }
 
   /**
-   * Change scale(for images costume only!) of the sprite.
-   *
-   * @param {*} scale - The scale you want to add/minus for your sprite.
-   * @memberof Sprite
+   * Checks if an object is drawn in this viewport.
+   * @param {Drawable} obj - The object.
+   * @returns {boolean} True if it passes the layer list and filter.
    */
-  changeScaleBy(scale) {
-    this.scale += scale;
+  shows(obj) {
+    if (this.layers && !this.layers.includes(obj.viewLayer)) return false;
+    return !this.filter || this.filter(obj);
   }
 
   /**
-   * Sets the sprite opacity.
-   * @param {number} alpha - Value between 0 and 1.
+   * Checks if a canvas position is inside this viewport.
+   * @param {number} sx - Canvas x.
+   * @param {number} sy - Canvas y.
+   * @returns {boolean} True if inside.
    */
-  setOpacity(alpha) {
-    this.opacity = Math.max(0, Math.min(1, alpha));
+  contains(sx, sy) {
+    return sx >= this.x && sx < this.x + this.width && sy >= this.y && sy < this.y + this.height;
+  }
+}
+
+/** @type {Array.<Viewport>} Viewports, drawn first to last. Empty = the main camera fills the canvas. */
+const viewports = [];
+
+/**
+ * Creates a viewport and adds it to the screen.
+ * @param {number} x - Left of the viewport on the canvas.
+ * @param {number} y - Top of the viewport on the canvas.
+ * @param {number} w - Width in canvas pixels.
+ * @param {number} h - Height in canvas pixels.
+ * @param {Object} [options] - See {@link Viewport}.
+ * @returns {Viewport} The created viewport.
+ */
+function createViewport(x, y, w, h, options) {
+  const vp = new Viewport(x, y, w, h, options);
+  viewports.push(vp);
+  return vp;
+}
+
+/**
+ * Removes a viewport. When none are left, the main camera fills the canvas again.
+ * @param {Viewport} vp - The viewport to remove.
+ */
+function removeViewport(vp) {
+  _removeFromArray(viewports, vp);
+}
+
+/**
+ * Finds the camera that shows a canvas position, with the position
+ * relative to its view.
+ * @private
+ * @param {number} sx - Canvas x.
+ * @param {number} sy - Canvas y.
+ * @returns {{camera: Camera, x: number, y: number}} The camera and view position.
+ */
+function _cameraAt(sx, sy) {
+  for (let i = viewports.length - 1; i >= 0; i--) {
+    const vp = viewports[i];
+    if (vp.contains(sx, sy)) return { camera: vp.camera, x: sx - vp.x, y: sy - vp.y };
+  }
+  return { camera, x: sx, y: sy };
+}
+
+/**
+ * Every camera that needs stepping: the main one and the viewports' ones.
+ * @private
+ * @returns {Array.<Camera>} Unique cameras.
+ */
+function _allCameras() {
+  return [...new Set([camera, ...viewports.map((vp) => vp.camera)])];
+}
+
+/*────────────────────  Collision layers  ─────────────────*/
+
+/** @type {Object.<string, number>} Collision layer names and their bits. New names are added on first use. */
+const collisionLayers = { default: 1 };
+
+/**
+ * Registers a collision layer name. Names used with
+ * {@link Sprite#setCollisionLayer} or the mask setters are registered
+ * automatically, so calling this is optional. Up to 32 layers.
+ * @param {string} name - Layer name.
+ * @returns {number} The layer's bit (0 when all 32 are taken).
+ */
+function defineCollisionLayer(name) {
+  if (!(name in collisionLayers)) {
+    const count = Object.keys(collisionLayers).length;
+    if (count >= 32) {
+      console.warn(`Too many collision layers, can't add: ${name}`);
+      return 0;
+    }
+    collisionLayers[name] = 1 << count;
   }
+  return collisionLayers[name];
+}
+
+/**
+ * Turns layer names into a bit mask.
+ * @private
+ * @param {Array.<string>} names - Layer names, or `["all"]`.
+ * @returns {number} The mask.
+ */
+function _collisionMask(names) {
+  if (names.includes("all")) return ~0;
+  return names
+    .filter((name) => name !== "none")
+    .reduce((mask, name) => mask | defineCollisionLayer(name), 0);
+}
+
+/**
+ * Checks if two objects' layers let them interact. Both sides have to
+ * agree, so a pair works the same whichever one is moving.
+ * @private
+ * @param {Sprite|Tilemap} a - First object.
+ * @param {Sprite|Tilemap} b - Second object.
+ * @param {string} mask - "solidMask" or "touchMask".
+ * @returns {boolean} True if they interact.
+ */
+function _layersInteract(a, b, mask) {
+  const bitA = defineCollisionLayer(a.collisionLayer);
+  const bitB = defineCollisionLayer(b.collisionLayer);
+  return ((a[mask] ?? ~0) & bitB) !== 0 && ((b[mask] ?? ~0) & bitA) !== 0;
+}
 
+/**
+ * Base class for all drawable objects.
+ * @class
+ */
+class Drawable {
+  /**
+   * Creates a drawable object.
+   * @param {number} x - The x-coordinate.
+   * @param {number} y - The y-coordinate.
+   */
+  constructor(x, y) {
+    /** @type {number} X position */
+    this.x = x;
+    /** @type {number} Y position */
+    this.y = y;
+    /** @type {boolean} Whether the object is hidden */
+    this.hidden = false;
+    /** @type {Scene} Scene this object belongs to */
+    this.scene = getCurrentScene();
+    /** @type {boolean} Draw in screen space, ignoring the camera (for HUD elements) */
+    this.hud = false;
+    /** @type {string} Layer name that viewports can filter on */
+    this.viewLayer = "default";
+  }
+
+  /**
+   * Draws the object on the canvas. To be overridden by subclasses.
+   */
+  draw() {
+    // To be overridden
+  }
+
+  /**
+   * Glides to a position, like Scratch's "glide (1) secs to x: y:".
+   * @param {number} x - Target x.
+   * @param {number} y - Target y.
+   * @param {number} [ms=1000] - Duration in milliseconds.
+   * @param {string|Function} [easing="linear"] - Easing name or function.
+   * @returns {Tween} Awaitable tween.
+   */
+  glideTo(x, y, ms = 1000, easing = "linear") {
+    return tween(this, { x, y }, ms, easing);
+  }
+
+  /**
+   * Fades to an opacity.
+   * @param {number} opacity - Target opacity (0-1).
+   * @param {number} [ms=500] - Duration in milliseconds.
+   * @param {string|Function} [easing="linear"] - Easing name or function.
+   * @returns {Tween} Awaitable tween.
+   */
+  fadeTo(opacity, ms = 500, easing = "linear") {
+    return tween(this, { opacity }, ms, easing);
+  }
+
+  /**
+   * Scales to a factor.
+   * @param {number} scale - Target scale.
+   * @param {number} [ms=500] - Duration in milliseconds.
+   * @param {string|Function} [easing="linear"] - Easing name or function.
+   * @returns {Tween} Awaitable tween.
+   */
+  scaleTo(scale, ms = 500, easing = "linear") {
+    return tween(this, { scale }, ms, easing);
+  }
+
+  /**
+   * Removes this object from its scene. Subsequent calls are ignored.
+   */
+  delete() {
+    if (this._deleted) return; // avoid double delete
+    this._deleted = true;
+    _removeFromArray(this.scene.drawables, this);
+    this.scene.broadphase.remove(this);
+    this.hidden = true;
+  }
+}
+
+/**
+ * Controls everything related to objects on canvas that move.
+ * @class
+ * @extends Drawable
+ */
+class Sprite extends Drawable {
+  /**
+   * Creates a sprite. Use {@link createSprite} for instantiation.
+   * @param {number} [x=0] - The starting x-coordinate.
+   * @param {number} [y=0] - The starting y-coordinate.
+   * @param {string} [color='white'] - The sprite's color.
+   * @param {...(string|SpriteFrame)} imageSrcs - Optional image sources or sprite-sheet frames for costumes.
+   */
+  constructor(x = 0, y = 0, color = "white", ...imageSrcs) {
+    super(x, y);
+    /** @type {string} Sprite color */
+    this.color = color;
+    /** @type {number} Previous x position */
+    this.prevX = this.x;
+    /** @type {number} Previous y position */
+    this.prevY = this.y;
+    /** @type {number} Sprite size in pixels */
+    this.size = 30;
+    /** @type {number} Movement speed in pixels per engine step (60 steps per second) */
+    this.speed = 5;
+    /** @type {boolean} Whether sprite is touching a border */
+    this.border = false;
+    /** @type {Array.<Sprite>} List of sprites currently touching */
+    this.touching = [];
+    /** @type {Array.<Contact>} Contacts from the last engine step (see {@link Sprite#getContacts}) */
+    this.contacts = [];
+    /** @type {Array.<{target: Sprite, callback: Function}>} Touch event callbacks */
+    this.touchCallbacks = [];
+    /** @type {Set.<Sprite>} Cache for touch-once events */
+    this.touchOnceCache = new Set();
+    /** @type {Array.<{target: Sprite, callback: Function}>} Touch-once callbacks */
+    this.touchOnceCallbacks = [];
+    /** @type {Array.<{target: Sprite, callback: Function}>} Touch-end callbacks */
+    this.touchEndCallbacks = [];
+    /** @type {Array.<HTMLImageElement|SpriteFrame>} List of costume images or sprite-sheet frames */
+    this.costumes = [];
+    /** @type {number} Index of the current costume */
+    this.currentCostume = 0;
+    /** @type {Array.<HTMLImageElement>} Loaded costume images, in costume order */
+    this.loadedCostumes = [];
+    /** @type {Object.<string, {frames: Array, fps: number|null, loop: boolean}>} Animation clips by name */
+    this.animations = {};
+    /** @type {{name: string, frame: number, elapsed: number, done: Function}|null} Clip that is playing */
+    this.animation = null;
+    /** @type {Object.<string, Array.<Function>>} Event listeners */
+    this.events = {};
+    /** @type {boolean} Use original image size for rendering */
+    this.useOriginalSize = true;
+    /** @type {number} Scaling factor for size */
+    this.scale = 1.0;
+    /** @type {number} Opacity for rendering (0.0-1.0) */
+    this.opacity = 1.0;
+    /** @type {Object|null} Control scheme for movement */
+    this.controls = null;
+    /** @type {number} Gravity effect in pixels per engine step */
+    this.gravity = 0;
+    /** @type {boolean} Whether sprite acts as a hitbox */
+    this.hitbox = false;
+    /** @type {boolean} Whether the pen is down for drawing */
+    this.penDown = false;
+    /** @type {Array.<Array.<{x: number, y: number}>>} Array of pen paths */
+    this.penTrails = [];
+    /** @type {Array.<{x: number, y: number}>|null} Current pen path */
+    this.currentPath = null;
+    /** @type {string} Pen color */
+    this.penColor = this.color;
+    /** @type {number} Pen thickness in pixels */
+    this.penThickness = 1;
+    /** @type {number} Facing direction in degrees (Scratch style: 0=up, 90=right) */
+    this.direction = 90;
+    /** @type {boolean} If stop at Border or not */
+    this.doStopAtBorder = false;
+    /** @type {string} Name for lookups like {@link getSpritesAt} filters (clones keep it) */
+    this.name = "";
+    /** @type {Array.<string>} Tags for filters like `{ tag: "enemy" }` (see {@link Sprite#addTag}) */
+    this.tags = [];
+    /** @type {Sprite|null} The sprite this one was cloned from */
+    this.cloneParent = null;
+    /** @type {string} Collision layer name (see {@link Sprite#setCollisionLayer}) */
+    this.collisionLayer = "default";
+    /** @type {number} Bit mask of layers this sprite is solid against */
+    this.solidMask = ~0;
+    /** @type {number} Bit mask of layers that fire this sprite's touch events */
+    this.touchMask = ~0;
+    /** @type {boolean} Check touches against the costume's opaque pixels instead of its box or polygon */
+    this.pixelPerfect = false;
+    /**
+     * Trace a hitbox from each costume's pixels (see {@link autoGenerateHitbox}):
+     * `true`, or `{alphaThreshold, tolerance}`
+     * @type {boolean|{alphaThreshold?: number, tolerance?: number}}
+     */
+    this.autoHitbox = false;
+    /** @type {boolean} Whether the sprite uses a physics body (see {@link Sprite#enablePhysics}) */
+    this.physics = false;
+    /** @type {number} Horizontal velocity in pixels per step (physics only) */
+    this.vx = 0;
+    /** @type {number} Vertical velocity in pixels per step (physics only) */
+    this.vy = 0;
+    /** @type {number} Constant horizontal acceleration in pixels per step² (physics only) */
+    this.ax = 0;
+    /** @type {number} Constant vertical acceleration in pixels per step² (physics only) */
+    this.ay = 0;
+    /** @type {number} How fast controls speed the sprite up, in pixels per step² (physics only) */
+    this.acceleration = 1;
+    /** @type {number} Largest speed on each axis in pixels per step (physics only) */
+    this.maxSpeed = Infinity;
+    /** @type {number} Share of velocity lost every step, 0-1 (physics only) */
+    this.drag = 0;
+    /** @type {number} Share of horizontal speed lost every step on the ground without input, 0-1 (physics only) */
+    this.friction = 0.2;
+    /** @type {number} Bounciness when hitting a hitbox, 0-1 (physics only) */
+    this.restitution = 0;
+    /** @type {number} Mass, used by {@link Sprite#applyForce} (physics only) */
+    this.mass = 1;
+    /** @type {number} Default upward speed of {@link Sprite#jump} */
+    this.jumpForce = 10;
+    /** @type {boolean} Whether the sprite landed on a hitbox or solid tile this step */
+    this.grounded = false;
+    /** @type {Sprite|null} Hitbox sprite it stands on; the sprite moves along with it */
+    this.standingOn = null;
+    /** @private @type {{x: number, y: number}|null} Platform position when it was last stood on */
+    this._carry = null;
+    /** @private @type {boolean} Whether it stood on a slope last step */
+    this._onSlope = false;
+
+    const refreshLoaded = () => {
+      this.loadedCostumes = this.costumes.filter(
+        (c) => !(c instanceof SpriteFrame) && _costumeSource(c),
+      );
+      if (this.scene) this.scene._moved.add(this); // now sized like its image
+      if (this.pixelPerfect) this._buildMasks();
+    };
+    for (const src of imageSrcs) {
+      if (typeof src !== "string") {
+        this.costumes.push(src); // sprite-sheet frame or ready-made image
+        continue;
+      }
+      const img = _loadImage(src); // asset name or path
+      if (!img.complete) img.onload = refreshLoaded;
+      this.costumes.push(img);
+    }
+    refreshLoaded();
+  }
+
+  /** @type {number} X position */
+  get x() {
+    return this._x;
+  }
+
+  set x(value) {
+    this._x = value;
+    if (this.scene) this.scene._moved.add(this); // refile in the broadphase before the next query
+  }
+
+  /** @type {number} Y position */
+  get y() {
+    return this._y;
+  }
+
+  set y(value) {
+    this._y = value;
+    if (this.scene) this.scene._moved.add(this);
+  }
+
+  /** @type {number} Sprite size in pixels */
+  get size() {
+    return this._size;
+  }
+
+  set size(value) {
+    this._size = value;
+    if (this.scene) this.scene._moved.add(this); // the collision box changed
+  }
+
+  /** @type {number} Scaling factor for size */
+  get scale() {
+    return this._scale;
+  }
+
+  set scale(value) {
+    this._scale = value;
+    if (this.scene) this.scene._moved.add(this);
+  }
+
+  /** @type {boolean} Use original image size for rendering */
+  get useOriginalSize() {
+    return this._useOriginalSize;
+  }
+
+  set useOriginalSize(value) {
+    this._useOriginalSize = value;
+    if (this.scene) this.scene._moved.add(this);
+  }
+
+  /** @type {number} Facing direction in degrees (Scratch style: 0=up, 90=right) */
+  get direction() {
+    return this._direction;
+  }
+
+  set direction(value) {
+    this._direction = value;
+    if (this.scene) this.scene._moved.add(this);
+  }
+
+  /** @type {number} Index of the current costume */
+  get currentCostume() {
+    return this._currentCostume;
+  }
+
+  set currentCostume(value) {
+    this._currentCostume = value;
+    if (this.scene) this.scene._moved.add(this);
+  }
+
+  /** @type {boolean} Pixel-perfect touches; turning it on reads the costume masks right away */
+  get pixelPerfect() {
+    return this._pixelPerfect;
+  }
+
+  set pixelPerfect(on) {
+    this._pixelPerfect = on;
+    if (on) this._buildMasks();
+  }
+
+  /**
+   * Reads the alpha masks of the loaded costumes ahead of time, so the
+   * first pixel-perfect contact doesn't stall on reading pixels. Costumes
+   * that load later get theirs as they arrive.
+   * @private
+   */
+  _buildMasks() {
+    for (const costume of this.costumes || []) {
+      const src = _costumeSource(costume);
+      if (src) _alphaMask(src);
+    }
+  }
+
+  /**
+   * Updates the sprite state. Override in specific sprites.
+   */
+  update() {
+    // Default does nothing
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} eventName - The event name.
+   * @param {Function} callback - The callback function.
+   */
+  on(eventName, callback) {
+    if (!this.events[eventName]) this.events[eventName] = [];
+    this.events[eventName].push(callback);
+  }
+
+  /**
+   * Points the sprite towards another sprite.
+   *
+   * @param {Sprite} target - The target sprite to face.
+   */
+  pointTowards(target) {
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const angle = (Math.atan2(-dy, dx) * 180) / Math.PI + 90;
+    this.pointInDirection(angle);
+  }
+
+  /**
+   * Gets the distance from this sprite's centre to another sprite or a point.
+   * @param {Sprite|{x: number, y: number}} target - Sprite or point.
+   * @returns {number} Distance in pixels.
+   */
+  distanceTo(target) {
+    return Math.hypot(target.x - this.x, target.y - this.y);
+  }
+
+  /**
+   * Gets the direction from this sprite to another sprite or a point, in
+   * the same degrees as `direction` (0 = up, 90 = right).
+   *
+   * ```js
+   * bullet.pointInDirection(tower.directionTo(enemy));
+   * ```
+   *
+   * @param {Sprite|{x: number, y: number}} target - Sprite or point.
+   * @returns {number} Direction in degrees, 0-359.
+   */
+  directionTo(target) {
+    const deg = (Math.atan2(target.x - this.x, this.y - target.y) * 180) / Math.PI;
+    return (deg + 360) % 360;
+  }
+
+  /**
+   * Finds the closest other visible sprite in the same scene, by centre
+   * distance.
+   *
+   * ```js
+   * forever(() => {
+   *   const enemy = tower.nearest({ cloneOf: enemyTemplate });
+   *   if (enemy && tower.distanceTo(enemy) < 200) tower.pointTowards(enemy);
+   * });
+   * ```
+   *
+   * @param {SpriteFilter} [filter] - Which sprites count.
+   * @returns {Sprite|null} The nearest sprite, or null if there is none.
+   */
+  nearest(filter) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const obj of this.scene.drawables) {
+      if (obj === this || !(obj instanceof Sprite) || obj.hidden || obj.hud) continue;
+      if (!_matchesFilter(obj, filter)) continue;
+      const d = this.distanceTo(obj);
+      if (d < bestDist) [best, bestDist] = [obj, d];
+    }
+    return best;
+  }
+
+  /**
+   * Adds a tag, for filters like `{ tag: "player" }`. Clones get the same tags.
+   * @param {string} tag - The tag.
+   */
+  addTag(tag) {
+    if (!this.tags.includes(tag)) this.tags.push(tag);
+  }
+
+  /**
+   * Removes a tag.
+   * @param {string} tag - The tag.
+   */
+  removeTag(tag) {
+    _removeFromArray(this.tags, tag);
+  }
+
+  /**
+   * Checks if the sprite has a tag.
+   * @param {string} tag - The tag.
+   * @returns {boolean} True if tagged.
+   */
+  hasTag(tag) {
+    return this.tags.includes(tag);
+  }
+
+  /**
+   * Moves this sprite to the exact centre of the canvas.
+   * (Assumes the global `canvaX` / `canvaY` match the canvas size.)
+   */
+  center() {
+    this.x = canvaX / 2;
+    this.y = canvaY / 2;
+  }
+
+  /**
+   * Completely removes this sprite (or clone) from the game.
+   * ‑ Takes itself out of its scene's `drawables`
+   * ‑ Clears pen trails so nothing is left on screen
+   * ‑ Notifies listeners with a "delete" event
+   * Subsequent calls are ignored.
+   */
+  delete() {
+    if (this._deleted) return; // avoid double delete
+
+    // 1. Remove from the scene's draw list and hide immediately
+    super.delete();
+
+    // 2. Clean up pen trails so the drawing disappears next frame
+    this.penTrails = [];
+
+    // 3. Remove any collision references others hold
+    for (const s of this.scene.drawables) {
+      if (s instanceof Sprite) {
+        s.touching = s.touching.filter((t) => t !== this);
+        s.touchOnceCache.delete(this);
+      }
+    }
+
+    // 4. Drop joints attached to this sprite
+    for (const joint of this.scene.joints.slice()) {
+      if (joint.a === this || joint.b === this) joint.remove();
+    }
+
+    // 5. Fire optional event
+    this.trigger("delete", {});
+  }
+
+  /* ───── Layer / Depth helpers ───── */
+
+  /** Bring this sprite to the very front layer (topmost). */
+  goToFront() {
+    const list = this.scene.drawables;
+    const i = list.indexOf(this);
+    if (i !== -1) {
+      list.splice(i, 1);
+      list.push(this); // end = front
+    }
+  }
+
+  /** Send this sprite to the very back layer (bottom). */
+  goToBack() {
+    const list = this.scene.drawables;
+    const i = list.indexOf(this);
+    if (i !== -1) {
+      list.splice(i, 1);
+      list.unshift(this); // start = back
+    }
+  }
+
+  /**
+   * Move this sprite forward **n** layers (default 1).
+   * Equivalent to Scratch “go forward (n) layers”.
+   * @param {number} n
+   */
+  goForward(n = 1) {
+    const list = this.scene.drawables;
+    const i = list.indexOf(this);
+    if (i === -1) return;
+    const newIndex = Math.min(list.length - 1, i + n);
+    list.splice(i, 1);
+    list.splice(newIndex, 0, this);
+  }
+
+  /**
+   * Move this sprite backward **n** layers (default 1).
+   * Equivalent to Scratch “go back (n) layers”.
+   * @param {number} n
+   */
+  goBack(n = 1) {
+    const list = this.scene.drawables;
+    const i = list.indexOf(this);
+    if (i === -1) return;
+    const newIndex = Math.max(0, i - n);
+    list.splice(i, 1);
+    list.splice(newIndex, 0, this);
+  }
+
+  /**
+   * Creates a Scratch‑style clone of this sprite.
+   * ‑ Copies visuals & state (but NOT "click" handlers by default)
+   * ‑ Adds itself to the parent's scene
+   * ‑ Fires `"cloneStart"` on the clone
+   *
+   * @param {boolean} [copyClick=false] - If true, copy the parent's "click" callbacks as well.
+   * @returns {Sprite} The newly created clone.
+   */
+  clone(copyClick = false) {
+    const c = new Sprite(); // blank sprite
+    const simple = [
+      "name",
+      "tags",
+      "x",
+      "y",
+      "prevX",
+      "prevY",
+      "color",
+      "size",
+      "speed",
+      "direction",
+      "scale",
+      "useOriginalSize",
+      "hud",
+      "viewLayer",
+      "gravity",
+      "hitbox",
+      "penColor",
+      "penThickness",
+      "controls",
+      "collisionLayer",
+      "solidMask",
+      "touchMask",
+      "pixelPerfect",
+      "autoHitbox",
+      "physics",
+      "vx",
+      "vy",
+      "ax",
+      "ay",
+      "acceleration",
+      "maxSpeed",
+      "drag",
+      "friction",
+      "restitution",
+      "mass",
+      "jumpForce",
+    ];
+    _copyProps(this, c, simple);
+
+    // visual assets & touch callbacks
+    c.costumes = this.costumes.slice();
+    c.currentCostume = this.currentCostume;
+    c.loadedCostumes = this.loadedCostumes.slice();
+    c.animations = { ...this.animations };
+    if (this.animation) {
+      const { name, frame, elapsed, ended } = this.animation;
+      c.play(name);
+      Object.assign(c.animation, { frame, elapsed, ended });
+    }
+    c.touchCallbacks = this.touchCallbacks.slice();
+    c.touchOnceCallbacks = this.touchOnceCallbacks.slice();
+    c.touchEndCallbacks = this.touchEndCallbacks.slice();
+
+    if (this.hitboxPolygon) {
+      c.hitboxPolygon = this.hitboxPolygon.map((v) => ({ ...v }));
+    }
+
+    // event listeners — deep copy but skip "click" unless asked
+    c.events = {};
+    for (const [evt, list] of Object.entries(this.events)) {
+      if (evt === "click" && !copyClick) continue;
+      c.events[evt] = list.slice();
+    }
+
+    c.cloneParent = this;
+    _moveToScene(c, this.scene); // it was made in the current scene
+    c.trigger("cloneStart", { parent: this });
+    return c;
+  }
+
+  /**
+   * Registers a callback for continuous touch with a target.
+   *
+   * ```js
+   * player.onTouch(platform, (contact) => {
+   *   if (contact.side === "bottom") player.say("landed");
+   * });
+   * ```
+   *
+   * @param {Sprite} target - The sprite to check for touching.
+   * @param {function(Contact)} callback - The callback to execute on touch, with the contact.
+   */
+  onTouch(target, callback) {
+    this.touchCallbacks.push({ target, callback });
+  }
+
+  /**
+   * Registers a callback for a single touch event with a target.
+   * @param {Sprite} target - The sprite to check for touching.
+   * @param {function(Contact)} callback - The callback to execute once on touch, with the contact.
+   */
+  onTouchOnce(target, callback) {
+    this.touchOnceCallbacks.push({ target, callback });
+  }
+
+  /**
+   * Registers a callback when touch with a target ends.
+   * @param {Sprite} target - The sprite to check for touch ending.
+   * @param {Function} callback - The callback to execute on touch end.
+   */
+  onTouchEnd(target, callback) {
+    this.touchEndCallbacks.push({ target, callback });
+  }
+
+  /**
+   * Starts drawing a pen trail at the current position.
+   */
+  startDrawing() {
+    if (!this.penDown) {
+      this.penDown = true;
+    }
+    if (this.penDown) {
+      this.currentPath = [{ x: this.x, y: this.y }];
+      this.penTrails.push(this.currentPath);
+    }
+  }
+
+  /**
+   * This sets the pen thickness of the sprite pen.
+   *
+   * @param {*} thickness - The thickness of the sprite pen.
+   * @memberof Sprite
+   */
+  setPenThickness(thickness) {
+    this.penThickness = thickness;
+  }
+
+  /**
+   * This changes the pen thickness of the sprite pen.
+   *
+   * @param {*} thickness - The thickness value of the sprite pen you want to add/minus.
+   * @memberof Sprite
+   */
+  changePenThicknessBy(thickness) {
+    this.penThickness += thickness;
+  }
+
+  /**
+   * Set the scale(for images costume only!) of the sprite.
+   *
+   * @param {*} scale - The scale you want to set for your sprite.
+   * @memberof Sprite
+   */
+  setScale(scale) {
+    this.scale = scale;
+  }
+
+  /**
+   * Change scale(for images costume only!) of the sprite.
+   *
+   * @param {*} scale - The scale you want to add/minus for your sprite.
+   * @memberof Sprite
+   */
+  changeScaleBy(scale) {
+    this.scale += scale;
+  }
+
+  /**
+   * Sets the sprite opacity.
+   * @param {number} alpha - Value between 0 and 1.
+   */
+  setOpacity(alpha) {
+    this.opacity = Math.max(0, Math.min(1, alpha));
+  }
+
+  /**
+   * Changes the sprite opacity by a delta.
+   * @param {number} delta - Amount to add to current opacity.
+   */
+  changeOpacityBy(delta) {
+    this.setOpacity(this.opacity + delta);
+  }
+
+  /**
+   * Set the size(for no-image costume only!) of the sprite.
+   *
+   * @param {*} size - The size you want to set for your sprite.
+   * @memberof Sprite
+   */
+  setSize(size) {
+    this.size = size;
+  }
+
+  /**
+   * Change size(for no-image costume only!) of the sprite.
+   *
+   * @param {*} size - The scale you want to add/minus for your sprite.
+   * @memberof Sprite
+   */
+  changeSizeBy(size) {
+    this.size += size;
+  }
+
+  /**
+   * Add hitbox for the sprite.
+   *
+   * ```js
+   * ledge.doHitbox("oneway"); // jump up through it, land on top
+   * hill.hitboxPolygon = [{ x: -100, y: 40 }, { x: 100, y: -40 }, { x: 100, y: 40 }];
+   * hill.doHitbox("slope");   // walk up and down its top edge
+   * ```
+   *
+   * Sprites standing on a hitbox ride along when it moves.
+   *
+   * @param {boolean|string} hitbox - `true` (solid), `false`, `"oneway"` (only blocks from
+   *   above) or `"slope"` (a walkable surface along the top of `hitboxPolygon`).
+   * @memberof Sprite
+   */
+  doHitbox(hitbox) {
+    this.hitbox = hitbox;
+  }
+
+  /**
+   * Puts the sprite on a named collision layer. Layers and masks decide
+   * which pairs block each other and which fire touch events.
+   *
+   * ```js
+   * bullet.setCollisionLayer("bullet");
+   * bullet.setSolidMask("wall");            // stopped by walls only
+   * bullet.setTouchMask("enemy");           // onTouch fires for enemies only
+   * coin.setCollisionLayer("pickup");
+   * coin.setSolidMask("none");              // never blocks the player
+   * ```
+   *
+   * Both sprites of a pair must include each other's layer in the mask.
+   * @param {string} name - Layer name (default: "default").
+   */
+  setCollisionLayer(name) {
+    defineCollisionLayer(name);
+    this.collisionLayer = name;
+  }
+
+  /**
+   * Sets which layers block this sprite (and which it blocks).
+   * @param {...string} layers - Layer names, "all" or "none".
+   */
+  setSolidMask(...layers) {
+    this.solidMask = _collisionMask(layers);
+  }
+
+  /**
+   * Sets which layers fire `onTouch`, `onTouchOnce` and `onTouchEnd`
+   * and show up in `touching`.
+   * @param {...string} layers - Layer names, "all" or "none".
+   */
+  setTouchMask(...layers) {
+    this.touchMask = _collisionMask(layers);
+  }
+
+  /**
+   * Makes sprite have gravity but not real physics!
+   *
+   * @param {*} gravity - Type the gravity force power value and type 0 if you dont want gravity!
+   * @memberof Sprite
+   */
+  setGravity(gravity) {
+    this.gravity = gravity;
+  }
+
+  /**
+   * Sets the sprite’s position.
+   * @param {number} x - The new x-coordinate.
+   * @param {number} y - The new y-coordinate.
+   */
+  goTo(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /**
+   * Sets the sprite’s position(ONLY X).
+   * @param {number} x - The new x-coordinate.
+   */
+  setX(x) {
+    this.x = x;
+  }
+
+  /**
+   * Sets the sprite’s position(ONLY Y).
+   * @param {number} y - The new y-coordinate.
+   */
+  setY(y) {
+    this.y = y;
+  }
+
+  /**
+   * Changes the sprite’s position(ONLY X).
+   * @param {number} x - The x-coordinate you want to add/minus.
+   */
+  changeXBy(chgX) {
+    this.x += chgX;
+  }
+
+  /**
+   * Changes the sprite’s position(ONLY Y).
+   * @param {number} Y - The y-coordinate you want to add/minus.
+   */
+  changeYBy(chgY) {
+    this.y += chgY;
+  }
+
+  /**
+   * Stops drawing the pen trail.
+   */
+  stopDrawing() {
+    this.penDown = false;
+  }
+
+  /**
+   * Clears all pen trails for this sprite.
+   */
+  clearPen() {
+    this.penTrails = [];
+    if (this.penDown) {
+      this.startDrawing();
+    }
+  }
+
+  /**
+   * Triggers all callbacks for an event.
+   * @param {string} eventName - The event name.
+   * @param {Object} eventObject - The event data.
+   */
+  trigger(eventName, eventObject) {
+    if (this.events[eventName]) {
+      for (const cb of this.events[eventName]) {
+        cb(eventObject);
+      }
+    }
+  }
+
+  /**
+   * Checks if the sprite is clicked at the given coordinates.
+   * Coordinates are in world space (screen space for `hud` sprites).
+   * Rotated sprites and hitbox polygons are hit-tested by their shape.
+   * @param {number} mouseX - The mouse x-coordinate.
+   * @param {number} mouseY - The mouse y-coordinate.
+   * @returns {boolean} True if clicked within the sprite’s bounds.
+   */
+  isClicked(mouseX, mouseY) {
+    if (!this._isAxisAlignedBox()) {
+      return this._collisionParts().some((part) => _pointInPolygon(part, mouseX, mouseY));
+    }
+    const size = this.getCollisionSize();
+    const w = size.width;
+    const h = size.height;
+    return (
+      mouseX >= this.x - w / 2 &&
+      mouseX <= this.x + w / 2 &&
+      mouseY >= this.y - h / 2 &&
+      mouseY <= this.y + h / 2
+    );
+  }
+
+  /**
+   * Checks if this sprite is touching another sprite, using the rotated
+   * collision shapes (see {@link Sprite#getCollisionPolygon}). If either
+   * sprite is `pixelPerfect`, the shapes only have to overlap for their
+   * opaque pixels to be compared.
+   *
+   * ```js
+   * ring.pixelPerfect = true;
+   * ring.isTouching(ball); // false while the ball is in the hole
+   * ```
+   *
+   * @param {Sprite} other - The other sprite to check collision with.
+   * @returns {boolean} True if the sprites are touching.
+   */
+  isTouching(other) {
+    let touching;
+    if (!this._isAxisAlignedBox() || !other._isAxisAlignedBox()) {
+      const theirs = other._collisionParts();
+      touching = this._collisionParts().some((a) => theirs.some((b) => polygonOverlap(a, b) !== null));
+    } else {
+      const a = this.getCollisionSize();
+      const b = other.getCollisionSize();
+      touching =
+        Math.abs(this.x - other.x) < (a.width + b.width) / 2 &&
+        Math.abs(this.y - other.y) < (a.height + b.height) / 2;
+    }
+    if (touching && (this.pixelPerfect || other.pixelPerfect)) {
+      return _pixelsOverlap(this, other);
+    }
+    return touching;
+  }
+
+  /**
+   * Checks if nothing solid stands between this sprite and another one:
+   * a ray from centre to centre reaches `other` before any solid tile or
+   * `hitbox` sprite (one-way platforms don't block). Hidden sprites can't
+   * be seen.
+   *
+   * ```js
+   * forever(() => {
+   *   if (guard.canSee(player)) guard.pointTowards(player);
+   * });
+   * ```
+   *
+   * @param {Sprite} other - The sprite to look at.
+   * @returns {boolean} True if there is a clear line of sight.
+   */
+  canSee(other) {
+    if (other.hidden || other.scene !== this.scene) return false;
+    const distance = Math.hypot(other.x - this.x, other.y - this.y);
+    if (distance === 0) return true;
+    const blocks = (obj) =>
+      obj === other || obj instanceof Tilemap || (obj !== this && obj.hitbox && obj.hitbox !== "oneway");
+    const hit = _castRay(
+      this.scene,
+      this.x,
+      this.y,
+      (other.x - this.x) / distance,
+      (other.y - this.y) / distance,
+      distance,
+      blocks,
+    );
+    return !hit || hit.sprite === other;
+  }
+
+  /**
+   * Builds a test for world points on the sprite: an opaque costume pixel
+   * for `pixelPerfect` sprites, otherwise inside the collision shape.
+   * @private
+   * @returns {function(number, number): boolean} Takes world x and y.
+   */
+  _solidTester() {
+    const src = this.pixelPerfect && _costumeSource(this.getCostume());
+    const mask = src && _alphaMask(src);
+    if (!mask) {
+      const parts = this._collisionParts();
+      return (wx, wy) => parts.some((part) => _pointInPolygon(part, wx, wy));
+    }
+    // undo the position and rotation, then map the drawn box onto the costume's pixels
+    const { cos, sin } = this._rotation();
+    const { width, height } = this._boxSize();
+    const { x, y } = this;
+    return (wx, wy) => {
+      const lx = (wx - x) * cos + (wy - y) * sin;
+      const ly = -(wx - x) * sin + (wy - y) * cos;
+      const px = Math.floor(((lx + width / 2) / width) * mask.width);
+      const py = Math.floor(((ly + height / 2) / height) * mask.height);
+      if (px < 0 || py < 0 || px >= mask.width || py >= mask.height) return false;
+      return mask.bits[py * mask.width + px] === 1;
+    };
+  }
+
+  /**
+   * A box around everything collision checks look at: the collision size
+   * and the hitbox polygon.
+   * @private
+   * @returns {{left: number, top: number, right: number, bottom: number}} World bounds.
+   */
+  _broadBounds() {
+    const { width, height } = this.getCollisionSize();
+    if (this._isAxisAlignedBox()) {
+      return {
+        left: this.x - width / 2,
+        top: this.y - height / 2,
+        right: this.x + width / 2,
+        bottom: this.y + height / 2,
+      };
+    }
+    const rect = this.getBounds();
+    // push-outs still use the box, so cover it too
+    return {
+      left: Math.min(rect.left, this.x - width / 2),
+      top: Math.min(rect.top, this.y - height / 2),
+      right: Math.max(rect.right, this.x + width / 2),
+      bottom: Math.max(rect.bottom, this.y + height / 2),
+    };
+  }
+
+  /**
+   * The top and bottom of the hitbox along a vertical line, used for
+   * slopes. Box sprites give their flat top.
+   * @private
+   * @param {number} x - World x.
+   * @returns {{top: number, bottom: number}|null} The span, or null if `x` misses the hitbox.
+   */
+  _spanAt(x) {
+    if (this._isAxisAlignedBox()) {
+      const { width, height } = this.getCollisionSize();
+      if (Math.abs(x - this.x) > width / 2) return null;
+      return { top: this.y - height / 2, bottom: this.y + height / 2 };
+    }
+    const poly = this.getCollisionPolygon();
+    let top = Infinity;
+    let bottom = -Infinity;
+    for (let i = 0; i < poly.length; i++) {
+      const p = poly[i];
+      const q = poly[(i + 1) % poly.length];
+      if (x < Math.min(p.x, q.x) || x > Math.max(p.x, q.x)) continue;
+      const ys = p.x === q.x ? [p.y, q.y] : [p.y + ((x - p.x) / (q.x - p.x)) * (q.y - p.y)];
+      top = Math.min(top, ...ys);
+      bottom = Math.max(bottom, ...ys);
+    }
+    return top === Infinity ? null : { top, bottom };
+  }
+
+  /**
+   * Works out how this sprite overlaps another one: the shortest way out.
+   * @private
+   * @param {Sprite} other - An overlapping sprite.
+   * @returns {Contact|null} The contact, or null if they don't overlap.
+   */
+  _contactWith(other) {
+    if (!this._isAxisAlignedBox() || !other._isAxisAlignedBox()) {
+      // the deepest overlap between any two convex parts
+      const theirs = other._collisionParts();
+      let hit = null;
+      for (const a of this._collisionParts()) {
+        for (const b of theirs) {
+          const h = polygonOverlap(a, b);
+          if (h && (!hit || h.depth > hit.depth)) hit = h;
+        }
+      }
+      return hit && _makeContact(other, hit.normal.x, hit.normal.y, hit.depth);
+    }
+    const a = this.getCollisionSize();
+    const b = other.getCollisionSize();
+    const overlapX = (a.width + b.width) / 2 - Math.abs(this.x - other.x);
+    const overlapY = (a.height + b.height) / 2 - Math.abs(this.y - other.y);
+    if (overlapX < 0 || overlapY < 0) return null;
+    if (overlapX < overlapY) {
+      return _makeContact(other, this.x < other.x ? -1 : 1, 0, overlapX);
+    }
+    return _makeContact(other, 0, this.y < other.y ? -1 : 1, overlapY);
+  }
+
+  /**
+   * Gets how the sprite touched things during the last engine step:
+   * hitboxes and solid tiles it was pushed out of, and sprites it overlaps.
+   *
+   * ```js
+   * for (const c of player.getContacts()) {
+   *   if (c.side === "top" && c.other.name === "brick") c.other.delete();
+   * }
+   * ```
+   *
+   * @param {Sprite|Tilemap} [other] - Only contacts with this object.
+   * @returns {Array.<Contact>} The contacts.
+   */
+  getContacts(other) {
+    return other ? this.contacts.filter((c) => c.other === other) : this.contacts.slice();
+  }
+
+  /**
+   * Checks if a hitbox or solid tile is right beside the sprite.
+   * @param {string} [side] - "left" or "right"; both when left out.
+   * @returns {boolean} True if blocked on that side.
+   */
+  isTouchingWall(side) {
+    if (side) return this._isBlockedOn(side);
+    return this._isBlockedOn("left") || this._isBlockedOn("right");
+  }
+
+  /**
+   * Checks if a hitbox or solid tile is right above the sprite.
+   * @returns {boolean} True if the sprite bumped its head.
+   */
+  isTouchingCeiling() {
+    return this._isBlockedOn("top");
+  }
+
+
+  /**
+   * Points the sprite in an absolute direction (Scratch style).
+   * 0 = up, 90 = right, 180 = down, −90 / 270 = left
+   * @param {number} deg - New direction in degrees.
+   */
+  pointInDirection(deg) {
+    this.direction = ((deg % 360) + 360) % 360; // keep it 0‑359
+  }
+
+  /**
+   * Turns the sprite clockwise by a given number of degrees.
+   * @param {number} deg
+   */
+  turnRight(deg) {
+    this.pointInDirection(this.direction + deg);
+  }
+
+  /**
+   * Turns the sprite counter‑clockwise by a given number of degrees.
+   * @param {number} deg
+   */
+  turnLeft(deg) {
+    this.pointInDirection(this.direction - deg);
+  }
+
+  /**
+   * Where the sprite is drawn this frame: between its last two engine
+   * steps, for smooth motion.
+   * @private
+   * @returns {{x: number, y: number}} The interpolated position.
+   */
+  _renderPosition() {
+    const alpha = this.scene.paused ? 1 : _renderAlpha;
+    return {
+      x: this.prevX + (this.x - this.prevX) * alpha,
+      y: this.prevY + (this.y - this.prevY) * alpha,
+    };
+  }
+
+  // === replace the existing draw() method in Sprite with this ===
+  draw() {
+    if (this.hidden) return;
+
+    ctx.save();
+    ctx.globalAlpha = this.opacity;
+    const { x, y } = this._renderPosition();
+    ctx.translate(x, y); // move origin to sprite centre
+    ctx.rotate(((this.direction - 90) * Math.PI) / 180); // Scratch’s 90°‑right → canvas 0°‑right
+    // subtract 90 so 0° points up
+    const src = _costumeSource(this.getCostume());
+
+    if (src) {
+      let w, h;
+      if (this.useOriginalSize) {
+        w = src.sw * this.scale;
+        h = src.sh * this.scale;
+      } else {
+        w = this.size;
+        h = this.size;
+      }
+      // origin already centred
+      ctx.drawImage(src.image, src.sx, src.sy, src.sw, src.sh, -w / 2, -h / 2, w, h);
+    } else {
+      ctx.fillStyle = this.color;
+      ctx.fillRect(-this.size / 2, -this.size / 2, this.size, this.size);
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Sets the current costume by index. Stops any playing animation.
+   * @param {number} index - The costume index.
+   */
+  setCostume(index) {
+    if (index >= 0 && index < this.costumes.length) {
+      this.stopAnimation();
+      this.currentCostume = index;
+    }
+  }
+
+  /**
+   * Gets what is shown right now: the animation frame if a clip is
+   * playing, otherwise the current costume.
+   * @returns {HTMLImageElement|SpriteFrame|undefined} The costume.
+   */
+  getCostume() {
+    if (this.animation) {
+      const clip = this.animations[this.animation.name];
+      const f = clip && clip.frames[this.animation.frame];
+      if (f !== undefined) return typeof f === "number" ? this.costumes[f] : f;
+    }
+    return this.costumes[this.currentCostume];
+  }
+
+  /**
+   * Adds a named animation clip.
+   *
+   * ```js
+   * hero.addAnimation("run", sheet.range(8, 15), 12);
+   * hero.addAnimation("jump", [2, 3], 8, false); // costume indexes work too
+   * ```
+   *
+   * @param {string} name - Clip name.
+   * @param {Array.<SpriteFrame|HTMLImageElement|number>} frames - Frames, images or costume indexes.
+   * @param {number|null} [fps=12] - Frames per second. Null uses each frame's atlas duration.
+   * @param {boolean} [loop=true] - Whether the clip repeats.
+   */
+  addAnimation(name, frames, fps = 12, loop = true) {
+    this.animations[name] = { frames: frames.slice(), fps, loop };
+  }
+
+  /**
+   * Plays an animation clip on the engine clock. Fires `"animationLoop"`
+   * each time a looping clip wraps and `"animationEnd"` when a one-shot
+   * clip finishes (it then stays on its last frame).
+   * @param {string} name - Clip name.
+   * @param {boolean} [restart=false] - Restart even if the clip is already playing.
+   * @returns {Promise<void>} Resolves when the clip ends or is replaced/stopped.
+   */
+  play(name, restart = false) {
+    if (!this.animations[name]) {
+      console.warn(`Unknown animation: ${name}`);
+      return Promise.resolve();
+    }
+    if (this.animation && this.animation.name === name && !restart) {
+      return this.animation.promise;
+    }
+    this.stopAnimation();
+    const anim = { name, frame: 0, elapsed: 0, ended: false };
+    anim.promise = new Promise((resolve) => (anim.done = resolve));
+    this.animation = anim;
+    this.scene._moved.add(this); // frames can differ in size
+    return anim.promise;
+  }
+
+  /**
+   * Stops the playing clip and shows the current costume again.
+   */
+  stopAnimation() {
+    if (!this.animation) return;
+    this.animation.done();
+    this.animation = null;
+    this.scene._moved.add(this);
+  }
+
+  /**
+   * Advances the playing clip. Called every engine step.
+   * @private
+   * @param {number} dt - Step length in seconds.
+   */
+  _stepAnimation(dt) {
+    const anim = this.animation;
+    if (!anim || anim.ended) return;
+    const clip = this.animations[anim.name];
+    if (!clip || !clip.frames.length) return;
+
+    anim.elapsed += dt * 1000;
+    const frame = anim.frame;
+    for (;;) {
+      const f = clip.frames[anim.frame];
+      const ms = clip.fps ? 1000 / clip.fps : (f && f.duration) || 100;
+      if (anim.elapsed < ms) break;
+      anim.elapsed -= ms;
+      if (anim.frame < clip.frames.length - 1) {
+        anim.frame++;
+      } else if (clip.loop) {
+        anim.frame = 0;
+        this.trigger("animationLoop", { name: anim.name });
+      } else {
+        anim.ended = true;
+        this.trigger("animationEnd", { name: anim.name });
+        anim.done();
+        break;
+      }
+    }
+    if (anim.frame !== frame) this.scene._moved.add(this);
+  }
+
+  /**
+   * Checks if the sprite is hovered at the given coordinates.
+   * @param {number} mx - The mouse x-coordinate.
+   * @param {number} my - The mouse y-coordinate.
+   * @returns {boolean} True if the mouse is over the sprite.
+   */
+  isHovered(mx, my) {
+    return this.isClicked(mx, my);
+  }
+
+  /**
+   * Sets the control scheme for the sprite.
+   * @param {Object} scheme - The control scheme object.
+   */
+  setControlScheme(scheme) {
+    this.controls = scheme;
+  }
+
+  /**
+   * Gets the sprite’s collision size: the width and height of the
+   * axis-aligned box around its (rotated) collision box.
+   * @returns {{width: number, height: number}} The collision dimensions.
+   */
+  getCollisionSize() {
+    const box = this._boxSize();
+    const { width, height } = box;
+    const turn = (this.direction - 90) % 180;
+    if (turn === 0) return box;
+    if (turn === 90 || turn === -90) return { width: height, height: width };
+    const { cos, sin } = this._rotation();
+    return {
+      width: Math.abs(width * cos) + Math.abs(height * sin),
+      height: Math.abs(width * sin) + Math.abs(height * cos),
+    };
+  }
+
+  /**
+   * Size of the collision box before rotation: the drawn image size, or
+   * `size` for sprites without one.
+   * @private
+   * @returns {{width: number, height: number}}
+   */
+  _boxSize() {
+    const src = _costumeSource(this.getCostume());
+    if (this.useOriginalSize && src) {
+      return {
+        width: src.sw * this.scale,
+        height: src.sh * this.scale,
+      };
+    }
+    return { width: this.size, height: this.size };
+  }
+
+  /**
+   * Cosine and sine of the drawing rotation (`direction` - 90), exact at
+   * right angles so unrotated boxes stay exact.
+   * @private
+   * @returns {{cos: number, sin: number}}
+   */
+  _rotation() {
+    const turn = this.direction - 90;
+    if (turn % 90 === 0) {
+      const quarter = (((turn / 90) % 4) + 4) % 4;
+      return { cos: [1, 0, -1, 0][quarter], sin: [0, 1, 0, -1][quarter] };
+    }
+    const rad = (turn * Math.PI) / 180;
+    return { cos: Math.cos(rad), sin: Math.sin(rad) };
+  }
+
+  /**
+   * Gets the shape collisions use, in world coordinates: the traced
+   * outline of the current costume when `autoHitbox` is on, else the
+   * `hitboxPolygon` if there is one (both scaled like the costume image),
+   * otherwise the collision box. All of them turn with `direction`.
+   * Outlines may be concave; collisions test their convex parts. A
+   * costume with separate areas gets one outline around all of them here,
+   * while collisions and clicks still test each area.
+   *
+   * ```js
+   * laser.pointInDirection(45);
+   * polygonsIntersect(laser.getCollisionPolygon(), ship.getCollisionPolygon());
+   * ```
+   *
+   * @returns {Array.<{x: number, y: number}>} Vertices.
+   */
+  getCollisionPolygon() {
+    const shape = this._hitboxShape();
+    if (shape) return this._hitboxToWorld(shape.outline);
+    const { width: w, height: h } = this._boxSize();
+    const { cos, sin } = this._rotation();
+    return [
+      { x: -w / 2, y: -h / 2 },
+      { x: w / 2, y: -h / 2 },
+      { x: w / 2, y: h / 2 },
+      { x: -w / 2, y: h / 2 },
+    ].map((p) => ({
+      x: this.x + p.x * cos - p.y * sin,
+      y: this.y + p.x * sin + p.y * cos,
+    }));
+  }
+
+  /**
+   * The collision shape as convex polygons in world coordinates, ready
+   * for {@link polygonOverlap}.
+   * @private
+   * @returns {Array.<Array.<{x: number, y: number}>>} Convex parts.
+   */
+  _collisionParts() {
+    const shape = this._hitboxShape();
+    if (!shape) return [this.getCollisionPolygon()];
+    return shape.parts.map((part) => this._hitboxToWorld(part));
+  }
+
+  /**
+   * The polygon hitbox in costume pixels around the centre: the traced
+   * current costume with `autoHitbox` (once its image has loaded), else
+   * `hitboxPolygon`. Kept until the costume, `autoHitbox` or
+   * `hitboxPolygon` changes, since collision checks ask all the time.
+   * @private
+   * @returns {{outline: Array.<{x: number, y: number}>, parts: Array.<Array.<{x: number, y: number}>>}|null}
+   *   The shape, or null if the sprite collides as a box.
+   */
+  _hitboxShape() {
+    const costume = this.getCostume();
+    const cached = this._shapeCache;
+    if (
+      cached &&
+      cached.costume === costume &&
+      cached.auto === this.autoHitbox &&
+      cached.polygon === this.hitboxPolygon
+    ) {
+      return cached.shape;
+    }
+
+    let shape = null;
+    let settled = true;
+    // a polygon assigned after autoGenerateHitbox() takes over from the traced ones
+    const replaced = this._tracedPolygon && this.hitboxPolygon !== this._tracedPolygon;
+    if (this.autoHitbox && !replaced) {
+      const src = _costumeSource(costume);
+      if (!src) settled = false; // look again once the image has loaded
+      shape = src && _traceHitbox(src, this.autoHitbox === true ? {} : this.autoHitbox);
+    }
+    if (!shape && this.hitboxPolygon) {
+      shape = { outline: this.hitboxPolygon, parts: _convexParts(this.hitboxPolygon) };
+    }
+    if (settled) {
+      this._shapeCache = { costume, auto: this.autoHitbox, polygon: this.hitboxPolygon, shape };
+    }
+    return shape;
+  }
+
+  /**
+   * Places hitbox points (costume pixels) in the world, stretched the way
+   * draw() stretches the image and turned with `direction`.
+   * @private
+   * @param {Array.<{x: number, y: number}>} points - Points around the costume centre.
+   * @returns {Array.<{x: number, y: number}>} World points.
+   */
+  _hitboxToWorld(points) {
+    const src = _costumeSource(this.getCostume());
+    const kx = src && !this.useOriginalSize ? this.size / src.sw : this.scale;
+    const ky = src && !this.useOriginalSize ? this.size / src.sh : this.scale;
+    const { cos, sin } = this._rotation();
+    return points.map((v) => ({
+      x: this.x + v.x * kx * cos - v.y * ky * sin,
+      y: this.y + v.x * kx * sin + v.y * ky * cos,
+    }));
+  }
+
+  /**
+   * Gets the axis-aligned box around the collision shape.
+   * @returns {{left: number, top: number, right: number, bottom: number}} World bounds.
+   */
+  getBounds() {
+    const poly = this.getCollisionPolygon();
+    const xs = poly.map((p) => p.x);
+    const ys = poly.map((p) => p.y);
+    return {
+      left: Math.min(...xs),
+      top: Math.min(...ys),
+      right: Math.max(...xs),
+      bottom: Math.max(...ys),
+    };
+  }
+
+  /**
+   * Whether the collision shape is a plain box that lines up with the
+   * axes, so the quick box checks are exact.
+   * @private
+   * @returns {boolean}
+   */
+  _isAxisAlignedBox() {
+    return (this.direction - 90) % 90 === 0 && !this._hitboxShape();
+  }
+
+  /**
+   * Checks if the sprite is standing on the ground: it landed on a hitbox
+   * or solid tile this step, or one is right below its bottom edge.
+   * Touching a wall or ceiling doesn't count.
+   * @returns {boolean} True if supported from below.
+   */
+  isOnGround() {
+    return this.grounded || this._isBlockedOn("bottom");
+  }
+
+  /**
+   * Checks the 1px strip along one side of the sprite for hitboxes and
+   * solid tiles it can't pass through.
+   * @private
+   * @param {string} side - "top", "bottom", "left" or "right".
+   * @returns {boolean} True if something solid is there.
+   */
+  _isBlockedOn(side) {
+    if (this.contacts.some((c) => c.side === side && c.solid)) return true;
+    const { width, height } = this.getCollisionSize();
+    let left = this.x - width / 2;
+    let top = this.y - height / 2;
+    let right = this.x + width / 2;
+    let bottom = this.y + height / 2;
+    if (side === "bottom") [top, bottom] = [bottom, bottom + 1];
+    else if (side === "top") [top, bottom] = [top - 1, top];
+    else if (side === "left") [left, right] = [left - 1, left];
+    else [left, right] = [right, right + 1];
+
+    for (const map of this.scene.tilemaps) {
+      if (!_layersInteract(this, map, "solidMask")) continue;
+      if (map.getSolidTilesInRect(left, top, right, bottom).length) return true;
+    }
+    for (const obj of _spritesNear(this.scene, { left, top, right, bottom })) {
+      if (obj === this || !obj.hitbox || obj.hitbox === "slope") continue;
+      if (!_layersInteract(this, obj, "solidMask")) continue;
+      const b = obj.getCollisionSize();
+      // one-way platforms only hold up sprites that are on top of them
+      if (obj.hitbox === "oneway" && (side !== "bottom" || obj.y - b.height / 2 < top - 0.01)) {
+        continue;
+      }
+      if (
+        obj.x - b.width / 2 < right &&
+        obj.x + b.width / 2 > left &&
+        obj.y - b.height / 2 < bottom &&
+        obj.y + b.height / 2 > top
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Turns on the physics body. Velocity (`vx`/`vy`) then carries the
+   * sprite between steps, `gravity` becomes an acceleration, and controls
+   * speed it up towards `speed` instead of moving it directly. With
+   * gravity, the "up" control jumps.
+   *
+   * ```js
+   * player.setGravity(0.6);
+   * player.enablePhysics({ maxSpeed: 12, friction: 0.3, jumpForce: 11 });
+   * ```
+   *
+   * @param {Object} [options] - Any of `vx`, `vy`, `ax`, `ay`, `acceleration`, `maxSpeed`,
+   *   `drag`, `friction`, `restitution`, `mass` and `jumpForce`.
+   */
+  enablePhysics(options = {}) {
+    this.physics = true;
+    const physicsProps = [
+      "vx",
+      "vy",
+      "ax",
+      "ay",
+      "acceleration",
+      "maxSpeed",
+      "drag",
+      "friction",
+      "restitution",
+      "mass",
+      "jumpForce",
+    ];
+    for (const key of physicsProps) {
+      if (key in options) this[key] = options[key];
+    }
+  }
+
+  /**
+   * Turns the physics body off and stops the sprite.
+   */
+  disablePhysics() {
+    this.physics = false;
+    this.vx = 0;
+    this.vy = 0;
+  }
+
+  /**
+   * Pushes the sprite. Heavier sprites (`mass`) change speed less.
+   * @param {number} fx - Horizontal push.
+   * @param {number} fy - Vertical push.
+   */
+  applyForce(fx, fy) {
+    this.vx += fx / this.mass;
+    this.vy += fy / this.mass;
+  }
+
+  /**
+   * Jumps, but only while standing on the ground.
+   * @param {number} [force=this.jumpForce] - Upward speed in pixels per step.
+   * @returns {boolean} True if the sprite jumped.
+   */
+  jump(force = this.jumpForce) {
+    if (!this.isOnGround()) return false;
+    this.vy = -force;
+    this.grounded = false;
+    return true;
+  }
+
+  /**
+   * Applies controls, acceleration, gravity, friction and drag to the
+   * velocity. Called every engine step for physics sprites.
+   * @private
+   * @returns {{dx: number, dy: number}} Movement for this step.
+   */
+  _integrate() {
+    const c = this.controls;
+    const onGround = this.isOnGround();
+    const inputX = c ? (keys[c.right] ? 1 : 0) - (keys[c.left] ? 1 : 0) : 0;
+    let inputY = 0;
+    if (c && this.gravity) {
+      if (keys[c.up]) this.jump();
+    } else if (c) {
+      inputY = (keys[c.down] ? 1 : 0) - (keys[c.up] ? 1 : 0);
+    }
+
+    if (inputX) this.vx = _approach(this.vx, inputX * this.speed, this.acceleration);
+    if (inputY) this.vy = _approach(this.vy, inputY * this.speed, this.acceleration);
+
+    this.vx += this.ax;
+    this.vy += this.ay + this.gravity;
+
+    // friction: on the ground, or on both axes for top-down sprites without gravity
+    if (!inputX && (onGround || !this.gravity)) this.vx *= 1 - this.friction;
+    if (!inputY && !this.gravity) this.vy *= 1 - this.friction;
+    this.vx *= 1 - this.drag;
+    this.vy *= 1 - this.drag;
+
+    this.vx = Math.max(-this.maxSpeed, Math.min(this.maxSpeed, this.vx));
+    this.vy = Math.max(-this.maxSpeed, Math.min(this.maxSpeed, this.vy));
+    return { dx: this.vx, dy: this.vy };
+  }
+  /**
+   *
+   *
+   * @param {*} speed - The speed you wanna set for the sprite if controlschem is set.
+   * @memberof Sprite
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   *
+   *
+   * @param {*} speed - The speed you wanna change for the sprite if controlschem is set.
+   * @memberof Sprite
+   */
+  changeSpeedBy(speed) {
+    this.speed += speed;
+  }
+  /**
+   *
+   *
+   * @param {*} color - The color you want to set for sprite.
+   * @memberof Sprite
+   */
+  setColor(color) {
+    this.color = color;
+  }
+
+  /**
+   * Checks if the sprite is touching a color, like Scratch's "touching
+   * color?" block: looks at the stage as it is drawn without this sprite,
+   * under the sprite's visible pixels (so shape and rotation count).
+   *
+   * ```js
+   * if (car.isTouchingColor("#00ff00")) car.say("off road!");
+   * if (car.isTouchingColor({ r: 255, g: 0, b: 0, a: 255 }, 20)) lap++;
+   * ```
+   *
+   * The stage is what the main camera shows, drawn once per engine step
+   * (or frame, while paused) for every sprite that senses colors, so asking
+   * many sprites about many colors stays cheap.
+   *
+   * @param {string|{r: number, g: number, b: number, a: number}} targetColor - Any CSS color, or r/g/b/a values (0-255).
+   * @param {number} [tolerance=0] - How far each channel may be off.
+   * @returns {boolean} True if the sprite is touching the target color.
+   */
+  isTouchingColor(targetColor, tolerance = 0) {
+    const target = _parseColor(targetColor);
+    const { self, stage } = this._colorSample();
+    for (let i = 0; i < self.length; i += 4) {
+      if (self[i + 3] > 0 && _colorMatches(stage, i, target, tolerance)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks if a color of this sprite touches a color on the stage, like
+   * Scratch's "color is touching?" block.
+   *
+   * ```js
+   * if (robot.colorIsTouchingColor("blue", "black")) robot.turnRight(5); // sensor over the line
+   * ```
+   *
+   * @param {string|{r: number, g: number, b: number, a: number}} myColor - Color on the sprite.
+   * @param {string|{r: number, g: number, b: number, a: number}} stageColor - Color under it.
+   * @param {number} [tolerance=0] - How far each channel may be off.
+   * @returns {boolean} True if a `myColor` pixel lies on a `stageColor` pixel.
+   */
+  colorIsTouchingColor(myColor, stageColor, tolerance = 0) {
+    const mine = _parseColor(myColor);
+    const target = _parseColor(stageColor);
+    const { self, stage } = this._colorSample();
+    for (let i = 0; i < self.length; i += 4) {
+      if (
+        self[i + 3] > 0 &&
+        _colorMatches(self, i, mine, tolerance) &&
+        _colorMatches(stage, i, target, tolerance)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Renders the sprite alone and the stage without it over the sprite's
+   * area of the screen. Cached until the next engine step or frame.
+   * @private
+   * @returns {{self: Uint8ClampedArray, stage: Uint8ClampedArray}} RGBA pixels, same layout in both.
+   */
+  _colorSample() {
+    if (!this._sensesColor) {
+      this._sensesColor = true;
+      _senseStage.tick = -1; // redraw the shared stage without this sprite
+    }
+    if (this._colorCache && this._colorCache.tick === _senseTick) return this._colorCache;
+    const none = new Uint8ClampedArray(0);
+    const empty = { tick: _senseTick, self: none, stage: none };
+    this._colorCache = empty;
+
+    // the sprite's box on screen
+    const b = this.getBounds();
+    const corners = [
+      [b.left, b.top],
+      [b.right, b.top],
+      [b.left, b.bottom],
+      [b.right, b.bottom],
+    ].map(([x, y]) => (this.hud ? { x, y } : camera.worldToScreen(x, y)));
+    const left = Math.max(0, Math.floor(Math.min(...corners.map((p) => p.x))));
+    const top = Math.max(0, Math.floor(Math.min(...corners.map((p) => p.y))));
+    const right = Math.min(canvaX, Math.ceil(Math.max(...corners.map((p) => p.x))));
+    const bottom = Math.min(canvaY, Math.ceil(Math.max(...corners.map((p) => p.y))));
+    if (right <= left || bottom <= top || this.hidden) return empty;
+
+    const stage = _senseStageCanvas();
+    const alpha = _renderAlpha;
+    _renderAlpha = 1; // sense where things are now, not where they are drawn between steps
+    try {
+      const selfPixels = _renderRegion(left, top, right - left, bottom - top, () => {
+        if (!this.hud) camera._apply();
+        this.draw();
+      });
+      // the shared stage leaves out every sensing sprite: add the others back
+      const stagePixels = _renderRegion(left, top, right - left, bottom - top, () => {
+        ctx.drawImage(stage, 0, 0);
+        for (const other of _senseStage.sensors) {
+          if (other === this || other.hidden) continue;
+          ctx.save();
+          if (!other.hud) camera._apply();
+          other.draw();
+          ctx.restore();
+        }
+      });
+      this._colorCache = { tick: _senseTick, self: selfPixels, stage: stagePixels };
+    } finally {
+      _renderAlpha = alpha;
+    }
+    return this._colorCache;
+  }
+}
+
+/*────────────────────────  Sprite sheets  ───────────────────────*/
+/**
+ * One frame cut out of a {@link SpriteSheet}. Can be used anywhere a
+ * costume image can: in `createSprite`, in `sprite.costumes` and in
+ * animation clips.
+ * @class
+ */
+class SpriteFrame {
+  /**
+   * @param {SpriteSheet} sheet - The sheet the frame belongs to.
+   * @param {number|{x: number, y: number, w: number, h: number}} indexOrRect - Grid index, or a rectangle in the image.
+   */
+  constructor(sheet, indexOrRect) {
+    /** @type {SpriteSheet} The sheet the frame belongs to */
+    this.sheet = sheet;
+    /** @type {number|null} Grid index (null for atlas frames) */
+    this.index = typeof indexOrRect === "number" ? indexOrRect : null;
+    /** @type {{x: number, y: number, w: number, h: number}|null} Rectangle in the image, known once the image loads */
+    this.rect = typeof indexOrRect === "number" ? null : indexOrRect;
+    /** @type {string} Frame name (atlas frames) */
+    this.name = "";
+    /** @type {number} Frame duration in ms from the atlas (0 = use the clip's fps) */
+    this.duration = 0;
+  }
+
+  /**
+   * Gets the image and source rectangle to draw, once the sheet has loaded.
+   * @returns {{image: HTMLImageElement, sx: number, sy: number, sw: number, sh: number}|null} The source, or null if not loaded yet.
+   */
+  getSource() {
+    const s = this.sheet;
+    const img = s.image;
+    if (!img.complete || img.naturalWidth === 0) return null;
+    if (!this.rect) {
+      const cols = Math.max(
+        1,
+        Math.floor((img.naturalWidth - 2 * s.margin + s.spacing) / (s.frameW + s.spacing)),
+      );
+      this.rect = {
+        x: s.margin + (this.index % cols) * (s.frameW + s.spacing),
+        y: s.margin + Math.floor(this.index / cols) * (s.frameH + s.spacing),
+        w: s.frameW,
+        h: s.frameH,
+      };
+    }
+    return { image: img, sx: this.rect.x, sy: this.rect.y, sw: this.rect.w, sh: this.rect.h };
+  }
+}
+
+/**
+ * A single image holding many frames, sliced by grid ({@link loadSpriteSheet})
+ * or by a JSON atlas ({@link loadAtlas}).
+ * @class
+ */
+class SpriteSheet {
+  /**
+   * @param {string|HTMLImageElement} src - Image path or asset name (or a loaded image).
+   * @param {number} [frameW=0] - Grid cell width (0 for atlases).
+   * @param {number} [frameH=0] - Grid cell height (0 for atlases).
+   * @param {Object} [options] - Grid settings.
+   * @param {number} [options.margin=0] - Pixels around the image border.
+   * @param {number} [options.spacing=0] - Pixels between frames.
+   * @param {number} [options.count] - Number of frames (default: every full cell).
+   */
+  constructor(src, frameW = 0, frameH = 0, options = {}) {
+    if (typeof src === "string" && assets.images[src]) src = assets.images[src];
+    /** @type {HTMLImageElement} The sheet image */
+    this.image = typeof src === "string" ? new Image() : src;
+    /** @type {number} Grid cell width */
+    this.frameW = frameW;
+    /** @type {number} Grid cell height */
+    this.frameH = frameH;
+    /** @type {number} Pixels around the image border */
+    this.margin = options.margin || 0;
+    /** @type {number} Pixels between frames */
+    this.spacing = options.spacing || 0;
+    /** @type {Array.<SpriteFrame>} Frames in order (grid frames are filled in once the image loads) */
+    this.frames = [];
+    /** @type {Object.<string, SpriteFrame>} Atlas frames by name */
+    this.named = {};
+    /** @type {Object.<string, Array.<SpriteFrame>>} Frame lists by tag name (Aseprite frame tags) */
+    this.tags = {};
+
+    const fillGrid = () => {
+      if (!this.frameW || !this.frameH) return;
+      const img = this.image;
+      const cols = Math.floor((img.naturalWidth - 2 * this.margin + this.spacing) / (this.frameW + this.spacing));
+      const rows = Math.floor((img.naturalHeight - 2 * this.margin + this.spacing) / (this.frameH + this.spacing));
+      const count = options.count ?? cols * rows;
+      for (let i = 0; i < count; i++) this.frame(i);
+    };
+
+    /** @type {Promise<SpriteSheet>} Resolves once the image has loaded (or failed) */
+    this.ready = new Promise((resolve) => {
+      if (typeof src !== "string" && src.complete && src.naturalWidth > 0) {
+        fillGrid();
+        resolve(this);
+        return;
+      }
+      this.image.onload = () => {
+        fillGrid();
+        resolve(this);
+      };
+      this.image.onerror = () => {
+        _assetFailed("sprite sheet", src);
+        resolve(this);
+      };
+    });
+    if (typeof src === "string") this.image.src = src;
+  }
+
+  /**
+   * Gets a frame by grid index or atlas name. Grid frames can be taken
+   * before the image has loaded.
+   * @param {number|string} id - Grid index or frame name.
+   * @returns {SpriteFrame|undefined} The frame.
+   */
+  frame(id) {
+    if (typeof id === "string") return this.named[id];
+    if (!this.frames[id]) this.frames[id] = new SpriteFrame(this, id);
+    return this.frames[id];
+  }
+
+  /**
+   * Gets consecutive grid frames, e.g. one row of a walk cycle.
+   * @param {number} from - First index.
+   * @param {number} to - Last index (inclusive).
+   * @returns {Array.<SpriteFrame>} The frames.
+   */
+  range(from, to) {
+    const list = [];
+    for (let i = from; i <= to; i++) list.push(this.frame(i));
+    return list;
+  }
+
+  /**
+   * Gets the frames of an Aseprite tag, or the atlas frames whose names
+   * start with a prefix (e.g. "run" → "run_0", "run_1"...).
+   * @param {string} name - Tag name or frame name prefix.
+   * @returns {Array.<SpriteFrame>} The frames.
+   */
+  tag(name) {
+    if (this.tags[name]) return this.tags[name];
+    return this.frames.filter((f) => f.name.startsWith(name));
+  }
+}
+
+/**
+ * Slices a sprite-sheet image into equally sized frames.
+ *
+ * ```js
+ * const sheet = loadSpriteSheet("hero.png", 32, 32);
+ * const hero = createSprite(200, 200, "white", sheet.frame(0));
+ * hero.addAnimation("run", sheet.range(8, 15), 12);
+ * hero.play("run");
+ * ```
+ *
+ * @param {string} src - Image path.
+ * @param {number} frameW - Frame width in pixels.
+ * @param {number} frameH - Frame height in pixels.
+ * @param {Object} [options] - `margin`, `spacing` and `count`, see {@link SpriteSheet}.
+ * @returns {SpriteSheet} The sheet (frames can be used right away).
+ */
+function loadSpriteSheet(src, frameW, frameH, options) {
+  return new SpriteSheet(src, frameW, frameH, options);
+}
+
+/**
+ * Loads a JSON texture atlas, as exported by TexturePacker or Aseprite
+ * ("hash" or "array" frames). Aseprite frame tags and durations are kept.
+ * Rotated and trimmed frames are drawn as their packed rectangle.
+ *
+ * ```js
+ * const sheet = await loadAtlas("hero.json");
+ * hero.addAnimation("idle", sheet.tag("idle")); // uses the frame durations
+ * ```
+ *
+ * @param {string|Object} source - URL of the JSON file, or the parsed atlas.
+ * @param {string} [imageSrc] - Image path (default: `meta.image`, relative to the JSON).
+ * @returns {Promise<SpriteSheet>} The sheet, once its image has loaded.
+ */
+async function loadAtlas(source, imageSrc) {
+  const base = new URL(typeof source === "string" ? source : "./", document.baseURI);
+  const data = typeof source === "string" ? await _fetchJSON(base) : source;
+  const sheet = new SpriteSheet(imageSrc || new URL(data.meta.image, base).href);
+
+  const entries = Array.isArray(data.frames)
+    ? data.frames.map((f) => [f.filename, f])
+    : Object.entries(data.frames);
+  for (const [name, f] of entries) {
+    if (f.rotated) console.warn(`Rotated atlas frames are not supported: ${name}`);
+    const frame = new SpriteFrame(sheet, { ...f.frame });
+    frame.name = name;
+    frame.duration = f.duration || 0;
+    sheet.frames.push(frame);
+    sheet.named[name] = frame;
+  }
+
+  for (const t of (data.meta && data.meta.frameTags) || []) {
+    let list = sheet.frames.slice(t.from, t.to + 1);
+    if (t.direction === "reverse") list.reverse();
+    if (t.direction === "pingpong") list = list.concat(list.slice(1, -1).reverse());
+    sheet.tags[t.name] = list;
+  }
+
+  return sheet.ready;
+}
+
+/**
+ * Gets the image and source rectangle of a costume (image or sprite frame).
+ * @private
+ * @param {HTMLImageElement|SpriteFrame} costume - The costume.
+ * @returns {{image: HTMLImageElement, sx: number, sy: number, sw: number, sh: number}|null} The source, or null if not loaded yet.
+ */
+function _costumeSource(costume) {
+  if (!costume) return null;
+  if (costume instanceof SpriteFrame) return costume.getSource();
+  if (!costume.complete || costume.naturalWidth === 0) return null;
+  return {
+    image: costume,
+    sx: 0,
+    sy: 0,
+    sw: costume.naturalWidth,
+    sh: costume.naturalHeight,
+  };
+}
+
+/**
+ * Creates text objects to display on the canvas.
+ * @class
+ * @extends Drawable
+ */
+class Text extends Drawable {
+  /**
+   * Creates a text object. Use {@link createText} for instantiation.
+   * @param {number} x - The x-coordinate.
+   * @param {number} y - The y-coordinate.
+   * @param {string} color - The text color.
+   * @param {string} text - The text content.
+   * @param {string} [font="20px monospace"] - The font style.
+   * @param {boolean} [doCenter=false] - Whether to center the text horizontally.
+   */
+  constructor(x, y, color, text, font = "20px monospace", doCenter = false) {
+    super(x, y);
+    /** @type {string} Text color */
+    this.color = color;
+    /** @type {string} Text content */
+    this.text = text;
+    /** @type {string} Font style */
+    this.font = font;
+    /** @type {boolean} Whether to center the text horizontally */
+    this.doCenter = doCenter;
+    /** @type {number} Opacity for rendering (0.0-1.0) */
+    this.opacity = 1.0;
+    /** @type {number} Scaling factor for the font */
+    this.scale = 1.0;
+  }
+
+  /**
+   * Draws the text on the canvas.
+   */
+  draw() {
+    if (this.hidden) return;
+    ctx.save();
+    ctx.globalAlpha = this.opacity;
+    ctx.fillStyle = this.color;
+    ctx.font = this.font;
+    let x = this.x;
+    if (this.doCenter) {
+      const textWidth = ctx.measureText(this.text).width * this.scale;
+      x = (canvaX - textWidth) / 2; // Center horizontally based on canvas width
+    }
+    ctx.translate(x, this.y);
+    ctx.scale(this.scale, this.scale);
+    ctx.fillText(this.text, 0, 0);
+    ctx.restore();
+  }
+
+
+  /**
+   * Sets the sprite’s position.
+   * @param {number} x - The new x-coordinate.
+   * @param {number} y - The new y-coordinate.
+   */
+  goTo(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+   /**
+   * Sets the sprite’s position(ONLY X).
+   * @param {number} x - The new x-coordinate.
+   */
+   setX(x) {
+    this.x = x;
+  }
+
+  /**
+   * Sets the sprite’s position(ONLY Y).
+   * @param {number} y - The new y-coordinate.
+   */
+  setY(y) {
+    this.y = y;
+  }
+
+  /**
+   * Changes the sprite’s position(ONLY X).
+   * @param {number} x - The x-coordinate you want to add/minus.
+   */
+  changeXBy(chgX) {
+    this.x += chgX;
+  }
+
+  /**
+   * Changes the sprite’s position(ONLY Y).
+   * @param {number} Y - The y-coordinate you want to add/minus.
+   */
+  changeYBy(chgY) {
+    this.y += chgY;
+  }
+
+}
+
+/*────────────────────────  RealTypeBox  ───────────────────────*/
+/**
+ * Editable text field that looks like part of the canvas but
+ * relies on a hidden HTML &lt;input&gt; for actual typing, giving
+ * you proper IME / copy-paste support.
+ *
+ * ```js
+ * const chat = createTypeBox(100, 600, 500, 40);
+ * chat.onSubmit(t => console.log("player typed:", t));
+ * ```
+ *
+ * @class RealTypeBox
+ * @extends Drawable
+ */
+class RealTypeBox extends Drawable {
+  /**
+   * @param {number} x - Left-top **x** in canvas coordinates.
+   * @param {number} y - Left-top **y** in canvas coordinates.
+   * @param {number} w - Width  of the input field (px).
+   * @param {number} h - Height of the input field (px).
+   */
+  constructor(x, y, w, h) {
+    super(x, y);
+
+    /** @type {number} Width of the visible field. */
+    this.w = w;
+    /** @type {number} Height of the visible field. */
+    this.h = h;
+    /** @type {number} Corner radius for the rounded rect. */
+    this.r = 8;
+
+    /** @type {string} Current text value. */
+    this.value = "";
+    /** @type {boolean} Whether the box currently has focus. */
+    this.focused = false;
+    /** @type {Array} Submit callbacks. */
+    this.submitCbs = [];
+    /** @type {boolean} Typeboxes are UI, so they ignore the camera by default. */
+    this.hud = true;
+
+    /* ── create the overlay <input> ───────────────────────── */
+    const tpl = document.getElementById("typeboxTemplate");
+    /** @type {HTMLInputElement} */
+    this.input = tpl.cloneNode();
+    this.input.removeAttribute("id");         // avoid duplicate IDs
+    tpl.parentNode.appendChild(this.input);
+
+    /* style it to match size */
+    this.input.style.width     = `${w}px`;
+    this.input.style.height    = `${h}px`;
+    this.input.style.fontSize  = `${h * 0.6}px`;
+
+    /* keep engine ←→ DOM value in sync */
+    this.input.addEventListener("input", () => {
+      this.value = this.input.value;
+    });
+
+    /* fire submit on Enter */
+    this.input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        this._fireSubmit();
+        e.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Draws the box and positions its DOM &lt;input&gt; each frame.
+   * Called automatically by the engine’s main loop.
+   */
+  draw() {
+    // a paused scene still draws under its overlay, but its input must not take clicks
+    if (this.hidden || this.scene.paused) {
+      this.input.style.display = "none";
+      return;
+    }
+
+    
+
+    /* 1️⃣ pretty background on the canvas */
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.fillStyle = "rgba(0,0,0,0.85)";
+    _roundRect(0, 0, this.w, this.h, this.r);
+    ctx.fill();
+    ctx.restore();
+
+    /* 2️⃣ overlay the real <input> */
+    const canvasRect = canvasEl.getBoundingClientRect();
+    const pos = this.hud ? { x: this.x, y: this.y } : camera.worldToScreen(this.x, this.y);
+    this.input.style.left    = `${canvasRect.left + pos.x}px`;
+    this.input.style.top     = `${canvasRect.top  + pos.y}px`;
+    this.input.style.display = "block";
+  }
+
+  /**
+   * Sets the sprite’s position.
+   * @param {number} x - The new x-coordinate.
+   * @param {number} y - The new y-coordinate.
+   */
+  goTo(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+
+  /**
+   * Gives keyboard focus to this textbox.
+   */
+  focus() {
+    this.focused = true;
+    this.input.focus();
+  }
+
+  /**
+   * Removes keyboard focus from this textbox.
+   */
+  blur() {
+    this.focused = false;
+    this.input.blur();
+  }
+
+  /**
+   * Register a callback that runs when the user presses Enter.
+   *
+   * @param {string} cb - Handler receiving submitted text.
+   */
+  onSubmit(cb) {
+    this.submitCbs.push(cb);
+  }
+
+  /** @private */
+  _fireSubmit() {
+    this.submitCbs.forEach((fn) => fn(this.value));
+    this.value       = "";
+    this.input.value = "";
+  }
+
+  /**
+   * Completely removes the textbox and its DOM element.
+   * (Called automatically when its scene exits.)
+   */
+  delete() {
+    super.delete();
+    this.input.remove();
+  }
+
+  
+
+  /**
+   * Hit-test helper for click handling.
+   *
+   * @param {number} mx - Mouse **x** (canvas coords).
+   * @param {number} my - Mouse **y** (canvas coords).
+   * @returns {boolean} True if the point is inside the box.
+   */
+  _hit(sx, sy) {
+    const { x: mx, y: my } = _toObjectSpace(this, sx, sy);
+    return (
+      mx >= this.x &&
+      mx <= this.x + this.w &&
+      my >= this.y &&
+      my <= this.y + this.h
+    );
+  }
+}
+
+/*──────── rounded-rect path helper ───────*/
+
+/**
+ * Adds a rounded-rectangle path to the current canvas context.
+ *
+ * @private
+ * @param {number} x - Left-top x.
+ * @param {number} y - Left-top y.
+ * @param {number} w - Width.
+ * @param {number} h - Height.
+ * @param {number} r - Corner radius.
+ */
+function _roundRect(x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+/*──────── factory shortcut ───────────────*/
+
+/**
+ * Factory that mimics `createSprite` / `createText`.
+ *
+ * ```js
+ * const tb = createTypeBox(60, 500, 400, 40);
+ * ```
+ *
+ * @param {number} x       - Left-top x (canvas coords).
+ * @param {number} y       - Left-top y (canvas coords).
+ * @param {number} [w=400] - Width  (px).
+ * @param {number} [h=40]  - Height (px).
+ * @returns {RealTypeBox}  The created textbox instance.
+ */
+function createTypeBox(x, y, w = 400, h = 40) {
+  const tb = new RealTypeBox(x, y, w, h);
+  drawables.push(tb);
+  return tb;
+}
+
+/*──────────────── focus / click glue ─────────────────*/
+
+/* Extend your existing canvas click handler (add once, after sprites) */
+canvasEl.addEventListener("click", (e) => {
+  const rect = canvasEl.getBoundingClientRect();
+  const mx = e.clientX - rect.left;
+  const my = e.clientY - rect.top;
+
+  /* is there a TypeBox under that click? */
+  const clickedTB = drawables
+    .filter((d) => d instanceof RealTypeBox && !d.hidden)
+    .find((tb) => tb._hit(mx, my));
+
+  /* focus the clicked one, blur the rest */
+  drawables
+    .filter((d) => d instanceof RealTypeBox)
+    .forEach((tb) => (tb === clickedTB ? tb.focus() : tb.blur()));
+});
+
+
+/*────────────────────────  Tilemap  ───────────────────────*/
+/**
+ * A grid of tiles drawn from a tileset image. Solid tiles block sprites
+ * that move with `controls` or `gravity`, just like `hitbox` sprites, but
+ * use a fast grid lookup instead of checking every block.
+ *
+ * Tile ids are 1-based like in the Tiled editor: `0` is empty, `1` is the
+ * first tile of the tileset (left to right, top to bottom).
+ *
+ * ```js
+ * const level = createTilemap("tiles.png", 32, 32, [
+ *   [0, 0, 0, 0],
+ *   [0, 0, 5, 0],
+ *   [1, 1, 1, 1],
+ * ]);
+ * level.setSolid(1, 5);
+ * ```
+ *
+ * @class
+ * @extends Drawable
+ */
+class Tilemap extends Drawable {
+  /**
+   * Creates a tilemap. Use {@link createTilemap} or {@link loadTiledMap} for instantiation.
+   * @param {string|HTMLImageElement|null} tileset - Tileset image (or its path). Without one, tiles are plain squares.
+   * @param {number} tileW - Tile width in pixels.
+   * @param {number} tileH - Tile height in pixels.
+   * @param {Array.<Array.<number>>} [grid=[]] - Rows of tile ids for the first layer.
+   */
+  constructor(tileset, tileW, tileH, grid = []) {
+    super(0, 0);
+    /** @type {number} Tile width in pixels */
+    this.tileW = tileW;
+    /** @type {number} Tile height in pixels */
+    this.tileH = tileH;
+    /** @type {string} Fallback color for tiles without a loaded tileset */
+    this.color = "gray";
+    /**
+     * @type {Array.<{image: HTMLImageElement|null, firstgid: number, tileW: number, tileH: number, columns: number, margin: number, spacing: number}>}
+     * Tilesets sorted by `firstgid`
+     */
+    this.tilesets = [];
+    /**
+     * @type {Array.<{name: string, data: Array.<Array.<number>>, visible: boolean, solid: boolean, opacity: number}>}
+     * Tile layers, drawn first to last
+     */
+    this.layers = [];
+    /** @type {Set.<number>|null} Solid tile ids, or null when every non-empty tile is solid */
+    this.solidTiles = null;
+    /** @type {Array.<Object>} Objects read from Tiled object layers */
+    this.objects = [];
+    /** @type {Array.<Sprite>} Sprites spawned from Tiled object layers */
+    this.spawned = [];
+    /** @type {Object.<string, *>} Custom properties from Tiled */
+    this.properties = {};
+    /** @type {Object.<number, {left: number, right: number}>} Slope tiles (see {@link Tilemap#setSlope}) */
+    this.slopes = {};
+    /** @type {string} Collision layer name; sprites' `solidMask` decides who the solid tiles block */
+    this.collisionLayer = "default";
+
+    if (tileset) this.addTileset(tileset, 1, tileW, tileH);
+    this.addLayer("main", grid);
+  }
+
+  /**
+   * Adds a tileset image. Tile ids from `firstgid` onwards use it.
+   * @param {string|HTMLImageElement} image - Tileset image (or its path or asset name).
+   * @param {number} [firstgid=1] - Id of its first tile.
+   * @param {number} [tileW=this.tileW] - Tile width inside the image.
+   * @param {number} [tileH=this.tileH] - Tile height inside the image.
+   * @param {number} [margin=0] - Pixels around the image border.
+   * @param {number} [spacing=0] - Pixels between tiles.
+   */
+  addTileset(image, firstgid = 1, tileW = this.tileW, tileH = this.tileH, margin = 0, spacing = 0) {
+    const img = typeof image === "string" ? _loadImage(image, "tileset") : image;
+    this.tilesets.push({ image: img, firstgid, tileW, tileH, columns: 0, margin, spacing });
+    this.tilesets.sort((a, b) => a.firstgid - b.firstgid);
+  }
+
+  /**
+   * Adds a tile layer on top of the existing ones.
+   * @param {string} name - Layer name.
+   * @param {Array.<Array.<number>>} grid - Rows of tile ids.
+   * @param {boolean} [solid=true] - Whether its tiles block sprites.
+   * @returns {Object} The new layer.
+   */
+  addLayer(name, grid, solid = true) {
+    const layer = { name, data: grid, visible: true, solid, opacity: 1 };
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /**
+   * Finds a layer by name or index.
+   * @param {string|number} layer - Layer name or index.
+   * @returns {Object|undefined} The layer.
+   */
+  getLayer(layer) {
+    return typeof layer === "number"
+      ? this.layers[layer]
+      : this.layers.find((l) => l.name === layer);
+  }
+
+  /** @type {number} Number of columns (widest layer) */
+  get cols() {
+    return Math.max(0, ...this.layers.map((l) => Math.max(0, ...l.data.map((r) => r.length))));
+  }
+
+  /** @type {number} Number of rows (tallest layer) */
+  get rows() {
+    return Math.max(0, ...this.layers.map((l) => l.data.length));
+  }
+
+  /**
+   * Gets the tile id at a grid cell.
+   * @param {number} col - Column.
+   * @param {number} row - Row.
+   * @param {string|number} [layer=0] - Layer name or index.
+   * @returns {number} The tile id (0 when empty or out of the map).
+   */
+  getTile(col, row, layer = 0) {
+    const l = this.getLayer(layer);
+    const r = l && l.data[row];
+    return (r && r[col]) || 0;
+  }
+
+  /**
+   * Sets the tile id at a grid cell, growing the layer if needed.
+   * @param {number} col - Column.
+   * @param {number} row - Row.
+   * @param {number} id - Tile id (0 to clear).
+   * @param {string|number} [layer=0] - Layer name or index.
+   */
+  setTile(col, row, id, layer = 0) {
+    const l = this.getLayer(layer);
+    if (!l || col < 0 || row < 0) return;
+    while (l.data.length <= row) l.data.push([]);
+    const r = l.data[row];
+    while (r.length < col) r.push(0);
+    r[col] = id;
+  }
+
+  /**
+   * Chooses which tile ids are solid. Call with no ids to make every
+   * non-empty tile solid again.
+   * @param {...number} ids - Solid tile ids.
+   */
+  setSolid(...ids) {
+    this.solidTiles = ids.length ? new Set(ids) : null;
+  }
+
+  /**
+   * Turns a tile id into a slope that sprites walk up and down instead of
+   * bumping into. Heights are fractions of the tile height, measured from
+   * its bottom edge.
+   *
+   * ```js
+   * level.setSlope(7, 0, 1);     // rises to the right, 45° on square tiles
+   * level.setSlope(8, 1, 0);     // falls to the right
+   * level.setSlope(9, 0, 0.5);   // gentle: first half of a long ramp
+   * level.setSlope(10, 0.5, 1);  // second half
+   * ```
+   *
+   * @param {number} id - Tile id.
+   * @param {number} left - Surface height at the tile's left edge (0-1).
+   * @param {number} right - Surface height at the tile's right edge (0-1).
+   */
+  setSlope(id, left, right) {
+    this.slopes[id] = { left, right };
+  }
+
+  /**
+   * The highest slope surface in a column between two heights.
+   * @private
+   * @param {number} x - World x.
+   * @param {number} top - Highest y to look at.
+   * @param {number} bottom - Lowest y to look at.
+   * @returns {number|null} Surface y, or null if there is no slope there.
+   */
+  _slopeSurfaceAt(x, top, bottom) {
+    const col = Math.floor((x - this.x) / this.tileW);
+    const r0 = Math.max(0, Math.floor((top - this.y) / this.tileH));
+    const r1 = Math.floor((bottom - this.y) / this.tileH);
+    const t = (x - this.x) / this.tileW - col;
+    for (let row = r0; row <= r1; row++) {
+      for (const l of this.layers) {
+        if (!l.solid) continue;
+        const r = l.data[row];
+        const slope = this.slopes[r && r[col]];
+        if (!slope) continue;
+        const tileBottom = this.y + (row + 1) * this.tileH;
+        const y = tileBottom - this.tileH * (slope.left + (slope.right - slope.left) * t);
+        if (y >= top && y <= bottom) return y;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turns collisions on or off for a whole layer.
+   * @param {string|number} layer - Layer name or index.
+   * @param {boolean} solid - Whether its tiles block sprites.
+   */
+  setLayerSolid(layer, solid) {
+    const l = this.getLayer(layer);
+    if (l) l.solid = solid;
+  }
+
+  /**
+   * Checks if a grid cell holds a solid tile on any solid layer.
+   * @param {number} col - Column.
+   * @param {number} row - Row.
+   * @returns {boolean} True if the cell is solid.
+   */
+  isSolidTile(col, row) {
+    for (const l of this.layers) {
+      if (!l.solid) continue;
+      const r = l.data[row];
+      const id = r && r[col];
+      if (!id || this.slopes[id]) continue; // slopes are handled separately
+      if (!this.solidTiles || this.solidTiles.has(id)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks if a point in the world is inside a solid tile.
+   * @param {number} x - World x.
+   * @param {number} y - World y.
+   * @returns {boolean} True if the point is solid.
+   */
+  isSolidAt(x, y) {
+    const { col, row } = this.worldToTile(x, y);
+    return this.isSolidTile(col, row);
+  }
+
+  /**
+   * Converts a world position to a grid cell.
+   * @param {number} x - World x.
+   * @param {number} y - World y.
+   * @returns {{col: number, row: number}} The cell.
+   */
+  worldToTile(x, y) {
+    return {
+      col: Math.floor((x - this.x) / this.tileW),
+      row: Math.floor((y - this.y) / this.tileH),
+    };
+  }
+
+  /**
+   * Converts a grid cell to the world position of its top-left corner.
+   * @param {number} col - Column.
+   * @param {number} row - Row.
+   * @returns {{x: number, y: number}} The world position.
+   */
+  tileToWorld(col, row) {
+    return { x: this.x + col * this.tileW, y: this.y + row * this.tileH };
+  }
+
+  /**
+   * Lists the solid tiles that overlap a rectangle (touching edges don't count).
+   * Only the cells under the rectangle are looked at.
+   * @param {number} left - Rectangle left.
+   * @param {number} top - Rectangle top.
+   * @param {number} right - Rectangle right.
+   * @param {number} bottom - Rectangle bottom.
+   * @returns {Array.<{col: number, row: number, left: number, top: number, right: number, bottom: number}>} The tiles.
+   */
+  getSolidTilesInRect(left, top, right, bottom) {
+    const c0 = Math.floor((left - this.x) / this.tileW);
+    const r0 = Math.floor((top - this.y) / this.tileH);
+    const c1 = Math.ceil((right - this.x) / this.tileW) - 1;
+    const r1 = Math.ceil((bottom - this.y) / this.tileH) - 1;
+    const tiles = [];
+    for (let row = Math.max(0, r0); row <= r1; row++) {
+      for (let col = Math.max(0, c0); col <= c1; col++) {
+        if (this.isSolidTile(col, row)) {
+          const p = this.tileToWorld(col, row);
+          tiles.push({
+            col,
+            row,
+            left: p.x,
+            top: p.y,
+            right: p.x + this.tileW,
+            bottom: p.y + this.tileH,
+          });
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Draws the visible tiles of every visible layer.
+   */
+  draw() {
+    if (this.hidden) return;
+    const view = this.hud
+      ? { left: 0, top: 0, right: canvaX, bottom: canvaY }
+      : _renderCamera.getViewRect();
+    const c0 = Math.max(0, Math.floor((view.left - this.x) / this.tileW));
+    const r0 = Math.max(0, Math.floor((view.top - this.y) / this.tileH));
+    const c1 = Math.floor((view.right - this.x) / this.tileW);
+    const r1 = Math.floor((view.bottom - this.y) / this.tileH);
+
+    ctx.save();
+    for (const layer of this.layers) {
+      if (!layer.visible) continue;
+      ctx.globalAlpha = layer.opacity;
+      for (let row = r0; row <= r1 && row < layer.data.length; row++) {
+        const r = layer.data[row];
+        for (let col = c0; col <= c1 && col < r.length; col++) {
+          if (r[col]) this._drawTile(r[col], this.x + col * this.tileW, this.y + row * this.tileH);
+        }
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draws one tile with its top-left corner at a world position.
+   * @private
+   * @param {number} id - Tile id.
+   * @param {number} x - World x.
+   * @param {number} y - World y.
+   */
+  _drawTile(id, x, y) {
+    let ts = null;
+    for (const t of this.tilesets) {
+      if (t.firstgid <= id) ts = t;
+    }
+    const img = ts && ts.image;
+    if (!img || !img.complete || img.naturalWidth === 0) {
+      ctx.fillStyle = this.color;
+      ctx.fillRect(x, y, this.tileW, this.tileH);
+      return;
+    }
+    if (!ts.columns) {
+      ts.columns = Math.max(
+        1,
+        Math.floor((img.naturalWidth - 2 * ts.margin + ts.spacing) / (ts.tileW + ts.spacing)),
+      );
+    }
+    const index = id - ts.firstgid;
+    const sx = ts.margin + (index % ts.columns) * (ts.tileW + ts.spacing);
+    const sy = ts.margin + Math.floor(index / ts.columns) * (ts.tileH + ts.spacing);
+    // taller tiles grow upwards from the cell's bottom, like in Tiled
+    ctx.drawImage(img, sx, sy, ts.tileW, ts.tileH, x, y + this.tileH - ts.tileH, ts.tileW, ts.tileH);
+  }
+
+  /**
+   * Removes the tilemap from its scene. Subsequent calls are ignored.
+   */
+  delete() {
+    if (this._deleted) return;
+    super.delete();
+    _removeFromArray(this.scene.tilemaps, this);
+  }
+}
+
+/**
+ * Creates a tilemap and adds it to drawables.
+ *
+ * @param {string|HTMLImageElement|null} tilesetImage - Tileset image (or its path).
+ * @param {number} tileW - Tile width in pixels.
+ * @param {number} tileH - Tile height in pixels.
+ * @param {Array.<Array.<number>>} grid - Rows of tile ids (0 = empty, 1 = first tile).
+ * @returns {Tilemap} The created tilemap.
+ */
+function createTilemap(tilesetImage, tileW, tileH, grid) {
+  const map = new Tilemap(tilesetImage, tileW, tileH, grid);
+  drawables.push(map);
+  map.scene.tilemaps.push(map);
+  return map;
+}
+
+/**
+ * Loads a map exported from the Tiled editor as JSON (orthogonal, CSV or
+ * array tile data). Tile layers become {@link Tilemap} layers and object
+ * layers spawn sprites.
+ *
+ * A tile layer is solid if it is listed in `options.solidLayers` or has a
+ * custom bool property `solid` set to true. If no layer is marked either
+ * way, every tile layer is solid.
+ *
+ * Objects are spawned by `options.spawn[type]` (the object's class/type,
+ * or else its name). The handler receives the object in world coordinates
+ * (`x`, `y` are its centre) and may return a sprite. Objects without a
+ * handler become plain sprites named after the object. Spawned sprites
+ * join the map's scene, even if another scene is showing by then.
+ *
+ * ```js
+ * const level = await loadTiledMap("maps/level1.json", {
+ *   spawn: { Coin: (o) => createSprite(o.x, o.y, "gold") },
+ * });
+ * ```
+ *
+ * @param {string|Object} source - URL of the JSON file, or the parsed map.
+ * @param {Object} [options] - Extra settings.
+ * @param {Array.<string>} [options.solidLayers] - Names of solid tile layers.
+ * @param {Object.<string, Function>} [options.spawn] - Object spawners by type or name.
+ * @param {string} [options.basePath] - Base URL for tileset images when `source` is an object.
+ * @returns {Promise<Tilemap>} The loaded tilemap (already added to the scene it was loaded from).
+ */
+async function loadTiledMap(source, options = {}) {
+  const scene = getCurrentScene(); // the scene may change while files load
+  const base = new URL(
+    typeof source === "string" ? source : options.basePath || "./",
+    document.baseURI,
+  );
+  const data = typeof source === "string" ? await _fetchJSON(base) : source;
+  if (data.orientation && data.orientation !== "orthogonal") {
+    console.warn(`Tiled map orientation not supported: ${data.orientation}`);
+  }
+  if (data.infinite) console.warn("Infinite Tiled maps are not supported");
+
+  const map = new Tilemap(null, data.tilewidth, data.tileheight, []);
+  map.layers = [];
+  map.properties = _tiledProperties(data.properties);
+  map.scene = scene;
+
+  for (const ts of data.tilesets || []) {
+    let tileset = ts;
+    if (ts.source) {
+      if (!/\.(json|tsj)$/i.test(ts.source)) {
+        console.warn(`Only JSON external tilesets are supported: ${ts.source}`);
+        continue;
+      }
+      tileset = { ...(await _fetchJSON(new URL(ts.source, base))), firstgid: ts.firstgid };
+    }
+    if (!tileset.image) {
+      console.warn(`Image-collection tilesets are not supported: ${tileset.name}`);
+      continue;
+    }
+    const tsBase = ts.source ? new URL(ts.source, base) : base;
+    map.addTileset(
+      new URL(tileset.image, tsBase).href,
+      tileset.firstgid,
+      tileset.tilewidth,
+      tileset.tileheight,
+      tileset.margin || 0,
+      tileset.spacing || 0,
+    );
+  }
+
+  if (!sceneStack.includes(scene)) {
+    console.warn(`loadTiledMap: scene "${scene.name}" exited before the map loaded`);
+    return map;
+  }
+  scene.drawables.push(map); // before spawning, so spawned sprites draw on top
+  scene.tilemaps.push(map);
+
+  // flatten group layers
+  const flat = [];
+  (function collect(layers) {
+    for (const l of layers || []) {
+      if (l.type === "group") collect(l.layers);
+      else flat.push(l);
+    }
+  })(data.layers);
+
+  const tileLayers = flat.filter((l) => l.type === "tilelayer");
+  const marked = tileLayers.some(
+    (l) =>
+      (options.solidLayers && options.solidLayers.includes(l.name)) ||
+      "solid" in _tiledProperties(l.properties),
+  );
+
+  for (const l of flat) {
+    const props = _tiledProperties(l.properties);
+    if (l.type === "tilelayer") {
+      if (!Array.isArray(l.data)) {
+        console.warn(`Tile layer "${l.name}" must use CSV encoding`);
+        continue;
+      }
+      const grid = [];
+      for (let row = 0; row < l.height; row++) {
+        // strip Tiled's flip flags from the top bits
+        grid.push(l.data.slice(row * l.width, (row + 1) * l.width).map((gid) => gid & 0x1fffffff));
+      }
+      const solid = marked
+        ? (options.solidLayers || []).includes(l.name) || props.solid === true
+        : true;
+      const layer = map.addLayer(l.name, grid, solid);
+      layer.visible = l.visible !== false;
+      layer.opacity = l.opacity ?? 1;
+    } else if (l.type === "objectgroup") {
+      for (const o of l.objects || []) {
+        const w = o.width || 0;
+        const h = o.height || 0;
+        // tile objects are anchored bottom-left, everything else top-left
+        const top = o.gid ? o.y - h : o.y;
+        const obj = {
+          id: o.id,
+          name: o.name || "",
+          type: o.type || o.class || "",
+          layer: l.name,
+          x: o.x + w / 2,
+          y: top + h / 2,
+          width: w,
+          height: h,
+          rotation: o.rotation || 0,
+          gid: o.gid ? o.gid & 0x1fffffff : 0,
+          point: !!o.point,
+          polygon: o.polygon ? o.polygon.map((p) => ({ x: o.x + p.x, y: o.y + p.y })) : null,
+          properties: _tiledProperties(o.properties),
+        };
+        map.objects.push(obj);
+
+        const spawner = options.spawn && (options.spawn[obj.type] || options.spawn[obj.name]);
+        let sprite;
+        if (spawner) {
+          sprite = spawner(obj);
+        } else {
+          sprite = new Sprite(obj.x, obj.y);
+          sprite.prevX = obj.x;
+          sprite.prevY = obj.y;
+          sprite.name = obj.name;
+          if (w || h) sprite.setSize(Math.max(w, h));
+          sprite.properties = obj.properties;
+          if (l.visible === false || o.visible === false) sprite.hidden = true;
+        }
+        if (sprite) {
+          _moveToScene(sprite, scene); // spawners make sprites in whatever scene is current now
+          if (obj.rotation) sprite.pointInDirection(90 + obj.rotation);
+          map.spawned.push(sprite);
+        }
+      }
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Puts a sprite in a scene's drawables, taking it out of the scene it was
+ * made in if that is another one.
+ * @private
+ * @param {Sprite} sprite - The sprite.
+ * @param {Scene} scene - The scene it belongs to.
+ */
+function _moveToScene(sprite, scene) {
+  if (sprite.scene !== scene) {
+    _removeFromArray(sprite.scene.drawables, sprite);
+    sprite.scene.broadphase.remove(sprite);
+    sprite.scene._moved.delete(sprite);
+    sprite.scene = scene;
+  }
+  if (!scene.drawables.includes(sprite)) scene.drawables.push(sprite);
+  scene._moved.add(sprite); // file it in the scene's broadphase
+}
+
+/**
+ * Fetches and parses a JSON file, failing with the HTTP status instead of
+ * a parse error when the server doesn't return the file.
+ * @private
+ * @param {string|URL} url - The file's URL.
+ * @returns {Promise<*>} The parsed JSON.
+ */
+async function _fetchJSON(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+/**
+ * Converts a Tiled property list into a plain object.
+ * @private
+ * @param {Array.<{name: string, value: *}>} [list] - Tiled properties.
+ * @returns {Object.<string, *>} Properties by name.
+ */
+function _tiledProperties(list) {
+  const props = {};
+  for (const p of list || []) props[p.name] = p.value;
+  return props;
+}
+
+/**
+ * Creates a new sprite and adds it to drawables.
+ * @param {number} [x=0] - The starting x-coordinate.
+ * @param {number} [y=0] - The starting y-coordinate.
+ * @param {string} [color='white'] - The sprite color.
+ * @param {...(string|SpriteFrame)} imageSrcs - Optional image sources or sprite-sheet frames for costumes.
+ * @returns {Sprite} The created sprite.
+ */
+function createSprite(x = 0, y = 0, color = "white", ...imageSrcs) {
+  const sprite = new Sprite(x, y, color, ...imageSrcs);
+  sprite.prevX = x;
+  sprite.prevY = y;
+  drawables.push(sprite);
+  return sprite;
+}
+
+/**
+ * Repeats a callback every engine step, like Scratch's "forever" loop.
+ * Runs 60 times per game second on every monitor, slows down with
+ * {@link setTimeScale} and freezes while the game is paused.
+ * If the callback returns a promise (e.g. `return wait(500)`), the next
+ * call waits until it settles. The loop belongs to the current scene and
+ * stops when that scene exits.
+ *
+ * @param {Function} callback - The function to call each step.
+ * @returns {Function} A function that cancels the loop when called.
+ */
+function forever(callback) {
+  const loop = { callback, busy: false, dead: false };
+  const scene = getCurrentScene();
+  scene.loops.push(loop);
+  return () => {
+    loop.dead = true;
+    _removeFromArray(scene.loops, loop);
+  };
+}
+
+/**
+ * Pauses the game clock. Sprites, {@link forever} loops and {@link wait}
+ * timers freeze, but the screen keeps drawing (handy for pause menus).
+ */
+function pauseGame() {
+  gamePaused = true;
+}
+
+/**
+ * Resumes the game clock after {@link pauseGame}.
+ */
+function resumeGame() {
+  gamePaused = false;
+}
+
+/**
+ * Sets how fast game time runs compared to real time.
+ * @param {number} scale - 1 = normal, 0.5 = slow motion, 2 = double speed, 0 = frozen.
+ */
+function setTimeScale(scale) {
+  timeScale = Math.max(0, scale);
+}
+
+/*────────────────────────  Sound  ───────────────────────*/
+/** @type {AudioContext|null|undefined} Shared audio context (null when the browser has none) */
+let _audioCtx;
+
+/** @type {Map.<string, Promise.<AudioBuffer|null>>} Decoded sounds per URL */
+const _soundBuffers = new Map();
+
+/** @type {Object.<string, {volume: number, muted: boolean, node: GainNode|null}>} Sound buses by name */
+const soundBuses = {
+  master: { volume: 1, muted: false, node: null },
+  music: { volume: 1, muted: false, node: null },
+  sfx: { volume: 1, muted: false, node: null },
+};
+
+/** @type {Set.<SoundInstance|Sequence|Object>} Sounds, synth notes and sequences that are playing or loading */
+const _playingSounds = new Set();
+
+/**
+ * Gets the audio context, creating it on first use. Browsers keep it
+ * silent until the player clicks or presses a key, so it resumes then.
+ * @private
+ * @returns {AudioContext|null} The context, or null without Web Audio.
+ */
+function _audio() {
+  if (_audioCtx === undefined) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn("Web Audio isn't supported here; sounds are off.");
+      _audioCtx = null;
+      return null;
+    }
+    _audioCtx = new AudioContextClass();
+    const unlock = () => {
+      if (_audioCtx.state === "suspended") _audioCtx.resume();
+    };
+    for (const evt of ["pointerdown", "keydown", "touchstart"]) window.addEventListener(evt, unlock);
+  }
+  return _audioCtx;
+}
+
+/**
+ * Gets the gain node of a bus, creating the bus if needed. Every bus
+ * feeds into "master".
+ * @private
+ * @param {string} name - Bus name.
+ * @returns {GainNode|null} The node, or null without Web Audio.
+ */
+function _busNode(name) {
+  const ac = _audio();
+  if (!ac) return null;
+  if (!soundBuses[name]) soundBuses[name] = { volume: 1, muted: false, node: null };
+  const bus = soundBuses[name];
+  if (!bus.node) {
+    bus.node = ac.createGain();
+    bus.node.gain.value = bus.muted ? 0 : bus.volume;
+    bus.node.connect(name === "master" ? ac.destination : _busNode("master"));
+  }
+  return bus.node;
+}
+
+/**
+ * Applies a bus's volume and mute setting to its node.
+ * @private
+ * @param {string} name - Bus name.
+ */
+function _applyBus(name) {
+  const bus = soundBuses[name];
+  if (bus.node) bus.node.gain.setValueAtTime(bus.muted ? 0 : bus.volume, _audioCtx.currentTime);
+}
+
+/**
+ * One playback of a sound, returned by {@link playSound}. Many instances
+ * of the same sound can play at once.
+ * @class
+ */
+class SoundInstance {
+  /**
+   * @param {string} url - Sound URL.
+   * @param {Object} options - See {@link playSound}.
+   */
+  constructor(url, options) {
+    /** @type {string} Sound URL */
+    this.url = url;
+    /** @type {string} Bus it plays on */
+    this.bus = options.bus ?? "sfx";
+    /** @type {boolean} Whether it loops */
+    this.loop = options.loop ?? false;
+    /** @type {number} Volume, 0-1 */
+    this.volume = options.volume ?? 1;
+    /** @type {number} Playback rate (2 = an octave higher and twice as fast) */
+    this.rate = options.rate ?? 1;
+    /** @type {number} Stereo position, -1 (left) to 1 (right) */
+    this.pan = options.pan ?? 0;
+    /** @type {boolean} True while it is audible (false while loading and after it ends) */
+    this.playing = false;
+    /** @type {Promise.<void>} Resolves when it ends or is stopped */
+    this.ended = new Promise((resolve) => (this._resolveEnded = resolve));
+    /** @type {Sprite|null} Sprite whose screen position sets the pan */
+    this._follow = options.follow ?? null;
+    /** @type {boolean} Whether it has finished or was stopped */
+    this._done = false;
+    /** @type {AudioBufferSourceNode|null} Source while playing */
+    this._source = null;
+
+    const ac = _audio();
+    /** @type {GainNode|null} Volume (and fades) */
+    this._gain = ac && ac.createGain();
+    /** @type {StereoPannerNode|null} Stereo position */
+    this._panner = ac && ac.createStereoPanner ? ac.createStereoPanner() : null;
+    if (!ac) {
+      this._finish();
+      return;
+    }
+    this._gain.gain.value = options.fadeIn ? 0 : this.volume;
+    if (this._panner) {
+      this._panner.pan.value = this.pan;
+      this._gain.connect(this._panner);
+      this._panner.connect(_busNode(this.bus));
+    } else {
+      this._gain.connect(_busNode(this.bus));
+    }
+    _playingSounds.add(this);
+    loadSound(url).then((buffer) => this._start(buffer, options.fadeIn));
+  }
+
+  /**
+   * Starts playback once the sound is decoded.
+   * @private
+   * @param {AudioBuffer|null} buffer - The sound, or null if it failed to load.
+   * @param {number} [fadeIn] - Fade-in time in ms.
+   */
+  _start(buffer, fadeIn) {
+    if (this._done) return;
+    if (!buffer) {
+      this._finish();
+      return;
+    }
+    const source = _audioCtx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = this.loop;
+    source.playbackRate.value = this.rate;
+    source.connect(this._gain);
+    source.onended = () => {
+      if (this._source === source) this._finish();
+    };
+    this._source = source;
+    source.start();
+    this.playing = true;
+    if (fadeIn) this.fadeTo(this.volume, fadeIn);
+  }
+
+  /**
+   * Stops the sound, optionally fading it out first.
+   * @param {number} [ms=0] - Fade-out time in ms.
+   */
+  stop(ms = 0) {
+    if (this._done) return;
+    if (ms > 0 && this._source) {
+      this.fadeTo(0, ms);
+      this._source.stop(_audioCtx.currentTime + ms / 1000);
+      return;
+    }
+    if (this._source) this._source.stop();
+    this._finish();
+  }
+
+  /**
+   * Changes the volume smoothly.
+   * @param {number} volume - Target volume, 0-1.
+   * @param {number} [ms=500] - Fade time in ms.
+   */
+  fadeTo(volume, ms = 500) {
+    this.volume = volume;
+    if (!this._gain) return;
+    const gain = this._gain.gain;
+    const now = _audioCtx.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(volume, now + ms / 1000);
+  }
+
+  /**
+   * Sets the volume right away.
+   * @param {number} volume - Volume, 0-1.
+   */
+  setVolume(volume) {
+    this.fadeTo(volume, 0);
+  }
+
+  /**
+   * Sets the playback rate, which changes pitch and speed together.
+   * @param {number} rate - 1 = normal, 2 = an octave higher, 0.5 = an octave lower.
+   */
+  setRate(rate) {
+    this.rate = rate;
+    if (this._source) this._source.playbackRate.setValueAtTime(rate, _audioCtx.currentTime);
+  }
+
+  /**
+   * Sets the stereo position.
+   * @param {number} pan - -1 (left) to 1 (right).
+   */
+  setPan(pan) {
+    this.pan = Math.max(-1, Math.min(1, pan));
+    if (this._panner) this._panner.pan.setValueAtTime(this.pan, _audioCtx.currentTime);
+  }
+
+  /**
+   * Pans the sound with a sprite's position on screen.
+   * @param {Sprite|null} sprite - Sprite to follow, or null to stop.
+   */
+  follow(sprite) {
+    this._follow = sprite;
+  }
+
+  /**
+   * Cleans up after the sound ended or was stopped.
+   * @private
+   */
+  _finish() {
+    if (this._done) return;
+    this._done = true;
+    this.playing = false;
+    _playingSounds.delete(this);
+    if (this._gain) this._gain.disconnect();
+    if (this._panner) this._panner.disconnect();
+    this._resolveEnded();
+  }
+}
+
+/**
+ * Loads and decodes a sound so it plays without delay later. Each URL is
+ * fetched once; {@link playSound} calls this too. Sounds preloaded with
+ * {@link loadAssets} can be used by name.
+ *
+ * ```js
+ * await Promise.all(["coin.wav", "jump.wav"].map(loadSound));
+ * ```
+ *
+ * @param {string} url - The path or URL of the sound file.
+ * @returns {Promise.<AudioBuffer|null>} The decoded sound, or null if it failed.
+ */
+function loadSound(url) {
+  return _loadSound(url);
+}
+
+/**
+ * Does the work of {@link loadSound}, recording failures under an asset name.
+ * @private
+ * @param {string} url - The path or URL of the sound file.
+ * @param {string} [name=url] - Its {@link loadAssets} name, for {@link assetErrors}.
+ * @returns {Promise.<AudioBuffer|null>} The decoded sound, or null if it failed.
+ */
+function _loadSound(url, name = url) {
+  if (!_soundBuffers.has(url)) {
+    const ac = _audio();
+    const loading = !ac
+      ? Promise.resolve(null)
+      : fetch(url)
+          .then((res) => {
+            if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+            return res.arrayBuffer();
+          })
+          .then((data) => ac.decodeAudioData(data))
+          .catch((err) => {
+            _assetFailed("sound", url, err, name);
+            return null;
+          });
+    _soundBuffers.set(url, loading);
+  }
+  return _soundBuffers.get(url);
+}
+
+/**
+ * Plays a sound file. Calls don't cut each other off: every call is its
+ * own {@link SoundInstance}.
+ *
+ * ```js
+ * playSound("coin.wav");
+ * playSound("coin.wav", { rate: 1.5, volume: 0.5 });
+ * const music = playSound("theme.mp3", { bus: "music", loop: true, fadeIn: 2000 });
+ * music.stop(1000); // fade out over a second
+ * playSound("engine.wav", { loop: true, follow: car }); // pans with the car
+ * ```
+ *
+ * @param {string} url - The path or URL of the sound file, or its {@link loadAssets} name.
+ * @param {number|Object} [options=1] - Volume (0-1), or settings:
+ * @param {number} [options.volume=1] - Volume, 0-1.
+ * @param {boolean} [options.loop=false] - Whether to loop.
+ * @param {string} [options.bus="sfx"] - Bus to play on (see {@link setBusVolume}).
+ * @param {number} [options.rate=1] - Playback rate (pitch and speed).
+ * @param {number} [options.pan=0] - Stereo position, -1 to 1.
+ * @param {number} [options.fadeIn=0] - Fade-in time in ms.
+ * @param {Sprite} [options.follow] - Pan with this sprite's screen position.
+ * @param {boolean} [loop=false] - Whether to loop (when `options` is a volume).
+ * @returns {SoundInstance} The playback, for stopping or changing it.
+ */
+function playSound(url, options = 1, loop = false) {
+  if (typeof options === "number") options = { volume: options, loop };
+  return new SoundInstance(url, options);
+}
+
+/**
+ * Plays a sound and waits for it to end, like Scratch's "play sound until done".
+ *
+ * ```js
+ * await playSoundUntilDone("fanfare.wav");
+ * switchScene("menu");
+ * ```
+ *
+ * @param {string} url - The path or URL of the sound file.
+ * @param {number|Object} [options=1] - Volume or settings, as for {@link playSound}.
+ * @returns {Promise.<void>} Resolves when the sound ends or is stopped.
+ */
+function playSoundUntilDone(url, options = 1) {
+  return playSound(url, options).ended;
+}
+
+/**
+ * Stops every sound (synth notes and sequences too), or every sound on one bus.
+ * @param {string} [bus] - Only this bus.
+ * @param {number} [ms=0] - Fade-out time in ms.
+ */
+function stopAllSounds(bus, ms = 0) {
+  for (const sound of [..._playingSounds]) {
+    if (!bus || sound.bus === bus) sound.stop(ms);
+  }
+}
+
+/**
+ * Sets the volume of a bus. `"master"` changes everything; `"music"` and
+ * `"sfx"` exist from the start, other names are created on first use.
+ *
+ * ```js
+ * setBusVolume("music", 0.4);
+ * ```
+ *
+ * @param {string} bus - Bus name.
+ * @param {number} volume - Volume, 0-1.
+ */
+function setBusVolume(bus, volume) {
+  if (!soundBuses[bus]) soundBuses[bus] = { volume: 1, muted: false, node: null };
+  soundBuses[bus].volume = volume;
+  _applyBus(bus);
+}
+
+/**
+ * Mutes or unmutes all sound, or one bus. Volumes are kept for unmuting.
+ * @param {boolean} [muted=true] - Mute or unmute.
+ * @param {string} [bus="master"] - Bus name.
+ */
+function muteSounds(muted = true, bus = "master") {
+  if (!soundBuses[bus]) soundBuses[bus] = { volume: 1, muted: false, node: null };
+  soundBuses[bus].muted = muted;
+  _applyBus(bus);
+}
+
+/**
+ * Updates the pan of sounds that follow sprites and moves sequences on.
+ * Called every engine step.
+ * @private
+ */
+function _stepSounds() {
+  for (const sound of [..._playingSounds]) {
+    if (sound instanceof Sequence) sound._step();
+    const sprite = sound._follow;
+    if (!sprite || sprite._deleted) continue;
+    const screen = sprite.hud ? sprite : camera.worldToScreen(sprite.x, sprite.y);
+    const pan = (screen.x - canvaX / 2) / (canvaX / 2);
+    if (Math.abs(pan - sound.pan) > 0.01) sound.setPan(pan);
+  }
+}
+
+/*────────────────────────  Music  ───────────────────────*/
+/**
+ * A synthesized sound: an oscillator (or noise) with a volume envelope.
+ * @typedef {Object} ToneSpec
+ * @property {string} [wave="square"] - "sine", "square", "sawtooth" or "triangle".
+ * @property {boolean} [noise=false] - Use white noise instead of a wave.
+ * @property {number} [freq=440] - Start frequency in Hz.
+ * @property {number} [freqEnd] - Frequency to slide to by the end.
+ * @property {number} [duration=0.2] - Length in seconds, before the release.
+ * @property {number} [delay=0] - Seconds to wait before starting.
+ * @property {number} [volume=0.3] - Peak volume, 0-1.
+ * @property {number} [attack=0.005] - Fade-in seconds.
+ * @property {number} [decay=0] - Seconds to fall from the peak to `sustain`.
+ * @property {number} [sustain=1] - Held volume as a fraction of the peak.
+ * @property {number} [release=0.05] - Fade-out seconds after `duration`.
+ * @property {{type: string, frequency: number}} [filter] - Biquad filter, e.g. `{ type: "lowpass", frequency: 800 }`.
+ */
+
+/** @type {Object.<string, ToneSpec>} Instruments for {@link setInstrument} (frequency and duration come from the note) */
+const INSTRUMENTS = {
+  piano: { wave: "triangle", attack: 0.005, decay: 0.4, sustain: 0.3, release: 0.3 },
+  organ: { wave: "sine", attack: 0.01, sustain: 1, release: 0.05 },
+  guitar: {
+    wave: "sawtooth",
+    attack: 0.005,
+    decay: 0.25,
+    sustain: 0.2,
+    release: 0.2,
+    filter: { type: "lowpass", frequency: 2000 },
+  },
+  bass: {
+    wave: "square",
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 0.6,
+    release: 0.1,
+    filter: { type: "lowpass", frequency: 600 },
+  },
+  flute: { wave: "sine", attack: 0.08, sustain: 0.8, release: 0.15 },
+  synth: {
+    wave: "sawtooth",
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 0.7,
+    release: 0.1,
+    filter: { type: "lowpass", frequency: 3000 },
+  },
+  chip: { wave: "square", attack: 0.001, sustain: 1, release: 0.02, volume: 0.2 },
+};
+
+/** @type {Object.<string, Array.<ToneSpec>>} Drum sounds for {@link playDrum} */
+const DRUMS = {
+  kick: [{ wave: "sine", freq: 150, freqEnd: 40, duration: 0.15, volume: 0.9 }],
+  snare: [
+    { noise: true, duration: 0.12, volume: 0.5, filter: { type: "highpass", frequency: 1000 } },
+    { wave: "triangle", freq: 180, duration: 0.08, volume: 0.4 },
+  ],
+  hihat: [
+    {
+      noise: true,
+      duration: 0.04,
+      volume: 0.3,
+      release: 0.02,
+      filter: { type: "highpass", frequency: 7000 },
+    },
+  ],
+  openhat: [
+    {
+      noise: true,
+      duration: 0.25,
+      volume: 0.3,
+      release: 0.1,
+      filter: { type: "highpass", frequency: 7000 },
+    },
+  ],
+  clap: [0, 0.012, 0.024].map((delay) => ({
+    noise: true,
+    delay,
+    duration: delay ? 0.01 : 0.1,
+    volume: 0.5,
+    filter: { type: "bandpass", frequency: 1500 },
+  })),
+  tom: [{ wave: "sine", freq: 200, freqEnd: 90, duration: 0.2, volume: 0.7 }],
+  cowbell: [560, 845].map((freq) => ({
+    wave: "square",
+    freq,
+    duration: 0.15,
+    volume: 0.15,
+    filter: { type: "bandpass", frequency: 800 },
+  })),
+  crash: [
+    {
+      noise: true,
+      duration: 0.8,
+      volume: 0.35,
+      decay: 0.6,
+      sustain: 0.2,
+      release: 0.4,
+      filter: { type: "highpass", frequency: 5000 },
+    },
+  ],
+};
+
+/** @type {Object.<string, Array.<ToneSpec>>} Sound effects for {@link sfx} */
+const SFX_PRESETS = {
+  jump: [{ wave: "square", freq: 180, freqEnd: 700, duration: 0.15, volume: 0.25 }],
+  coin: [
+    { wave: "square", freq: 988, duration: 0.06, volume: 0.2, release: 0.01 },
+    {
+      wave: "square",
+      freq: 1319,
+      delay: 0.06,
+      duration: 0.25,
+      volume: 0.2,
+      decay: 0.25,
+      sustain: 0,
+    },
+  ],
+  hit: [
+    { noise: true, duration: 0.12, volume: 0.4, filter: { type: "lowpass", frequency: 2000 } },
+    { wave: "square", freq: 110, freqEnd: 55, duration: 0.12, volume: 0.3 },
+  ],
+  explosion: [
+    {
+      noise: true,
+      duration: 0.6,
+      volume: 0.6,
+      decay: 0.5,
+      sustain: 0.2,
+      release: 0.4,
+      filter: { type: "lowpass", frequency: 800 },
+    },
+  ],
+  laser: [{ wave: "sawtooth", freq: 1400, freqEnd: 180, duration: 0.18, volume: 0.2 }],
+  powerup: [440, 554, 659, 880].map((freq, i) => ({
+    wave: "square",
+    freq,
+    delay: i * 0.07,
+    duration: 0.07,
+    volume: 0.2,
+  })),
+  blip: [{ wave: "square", freq: 880, duration: 0.05, volume: 0.2, release: 0.02 }],
+};
+
+/** @type {number} Beats per minute for notes, drums and sequences */
+let _tempo = 60;
+
+/** @type {string} Instrument {@link playNote} uses */
+let _instrument = "piano";
+
+/** @type {AudioBuffer|null} One second of white noise, made on first use */
+let _noise = null;
+
+/**
+ * Plays a synthesized tone on a bus. The voice counts as a playing sound
+ * for {@link stopAllSounds}.
+ * @private
+ * @param {ToneSpec} spec - The tone.
+ * @param {string} bus - Bus to play on.
+ */
+function _playTone(spec, bus) {
+  const ac = _audio();
+  if (!ac) return;
+  const {
+    wave = "square",
+    noise = false,
+    freq = 440,
+    freqEnd,
+    duration = 0.2,
+    delay = 0,
+    volume = 0.3,
+    attack = 0.005,
+    decay = 0,
+    sustain = 1,
+    release = 0.05,
+    filter,
+  } = spec;
+  const start = ac.currentTime + delay;
+  const end = start + duration;
+
+  const gain = ac.createGain();
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(volume, Math.min(start + attack, end));
+  gain.gain.linearRampToValueAtTime(volume * sustain, Math.min(start + attack + decay, end));
+  gain.gain.setValueAtTime(volume * sustain, end);
+  gain.gain.linearRampToValueAtTime(0, end + release);
+
+  let source;
+  if (noise) {
+    if (!_noise) {
+      _noise = ac.createBuffer(1, ac.sampleRate, ac.sampleRate);
+      const data = _noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    source = ac.createBufferSource();
+    source.buffer = _noise;
+    source.loop = true;
+  } else {
+    source = ac.createOscillator();
+    source.type = wave;
+    source.frequency.setValueAtTime(freq, start);
+    if (freqEnd) source.frequency.exponentialRampToValueAtTime(freqEnd, end);
+  }
+  let out = source;
+  if (filter) {
+    out = ac.createBiquadFilter();
+    out.type = filter.type;
+    out.frequency.value = filter.frequency;
+    source.connect(out);
+  }
+  out.connect(gain);
+  gain.connect(_busNode(bus));
+  source.start(start);
+  source.stop(end + release);
+
+  const voice = {
+    bus,
+    stop(ms = 0) {
+      const now = ac.currentTime;
+      gain.gain.cancelScheduledValues(now);
+      gain.gain.setValueAtTime(gain.gain.value, now);
+      gain.gain.linearRampToValueAtTime(0, now + Math.max(ms / 1000, 0.01));
+      source.stop(now + Math.max(ms / 1000, 0.01));
+    },
+  };
+  _playingSounds.add(voice);
+  source.onended = () => {
+    _playingSounds.delete(voice);
+    gain.disconnect();
+  };
+}
+
+/**
+ * Converts a note name like `"C4"`, `"F#3"` or `"Bb5"` to a MIDI number
+ * (middle C, `"C4"`, is 60). Numbers pass through.
+ * @private
+ * @param {number|string} note - MIDI number or note name.
+ * @returns {number|null} The MIDI number, or null if it isn't a note.
+ */
+function _noteToMidi(note) {
+  if (typeof note === "number") return note;
+  if (/^-?\d+(\.\d+)?$/.test(note)) return Number(note);
+  const m = /^([A-Ga-g])([#b]?)(-?\d)$/.exec(note);
+  if (!m) return null;
+  const semitone = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }[m[1].toLowerCase()];
+  const accidental = m[2] === "#" ? 1 : m[2] === "b" ? -1 : 0;
+  return 12 * (Number(m[3]) + 1) + semitone + accidental;
+}
+
+/**
+ * Length of some beats at the current tempo.
+ * @private
+ * @param {number} beats - Beats.
+ * @returns {number} Seconds.
+ */
+function _beatsToSeconds(beats) {
+  return (beats * 60) / _tempo;
+}
+
+/**
+ * Plays a note on the current instrument, like Scratch's "play note for
+ * beats". Notes play on the "music" bus.
+ *
+ * ```js
+ * setInstrument("flute");
+ * await playNote("C4", 1);
+ * await playNote(64, 0.5); // E4
+ * ```
+ *
+ * @param {number|string} note - MIDI number (60 = middle C) or name like `"C#4"`.
+ * @param {number} [beats=0.5] - How long, in beats at the current tempo.
+ * @returns {Promise.<void>} Resolves after the beats, on the game clock.
+ */
+function playNote(note, beats = 0.5) {
+  const midi = _noteToMidi(note);
+  if (midi === null) {
+    console.warn(`Unknown note: ${note}`);
+  } else {
+    const freq = 440 * 2 ** ((midi - 69) / 12);
+    _playTone({ ...INSTRUMENTS[_instrument], freq, duration: _beatsToSeconds(beats) }, "music");
+  }
+  return wait(_beatsToSeconds(beats) * 1000);
+}
+
+/**
+ * Plays a drum sound, like Scratch's "play drum for beats". Drums play on
+ * the "music" bus.
+ *
+ * ```js
+ * forever(async () => {
+ *   await playDrum("kick");
+ *   await playDrum("hihat");
+ * });
+ * ```
+ *
+ * @param {string} name - One of the {@link DRUMS}: kick, snare, hihat, openhat, clap, tom, cowbell, crash.
+ * @param {number} [beats=0.25] - Beats to wait afterwards.
+ * @returns {Promise.<void>} Resolves after the beats, on the game clock.
+ */
+function playDrum(name, beats = 0.25) {
+  if (!DRUMS[name]) console.warn(`Unknown drum: ${name}`);
+  else for (const spec of DRUMS[name]) _playTone(spec, "music");
+  return wait(_beatsToSeconds(beats) * 1000);
+}
+
+/**
+ * Chooses the instrument for {@link playNote} and new sequences.
+ * @param {string} name - One of the {@link INSTRUMENTS}: piano, organ, guitar, bass, flute, synth, chip.
+ */
+function setInstrument(name) {
+  if (!INSTRUMENTS[name]) {
+    console.warn(`Unknown instrument: ${name}`);
+    return;
+  }
+  _instrument = name;
+}
+
+/**
+ * Sets the tempo for notes, drums and sequences.
+ * @param {number} bpm - Beats per minute (20-500).
+ */
+function setTempo(bpm) {
+  _tempo = Math.max(20, Math.min(500, bpm));
+}
+
+/**
+ * Gets the tempo.
+ * @returns {number} Beats per minute.
+ */
+function getTempo() {
+  return _tempo;
+}
+
+/**
+ * Plays a procedural sound effect; no sound files needed. Effects play on
+ * the "sfx" bus.
+ *
+ * ```js
+ * player.on("jump", () => sfx("jump"));
+ * coin.onTouch(player, () => sfx("coin", { pitch: 1.2 }));
+ * ```
+ *
+ * @param {string} name - One of the {@link SFX_PRESETS}: jump, coin, hit, explosion, laser, powerup, blip.
+ * @param {Object} [options] - Variations.
+ * @param {number} [options.volume=1] - Volume multiplier.
+ * @param {number} [options.pitch=1] - Frequency multiplier.
+ */
+function sfx(name, { volume = 1, pitch = 1 } = {}) {
+  const preset = SFX_PRESETS[name];
+  if (!preset) {
+    console.warn(`Unknown sfx: ${name}`);
+    return;
+  }
+  for (const spec of preset) {
+    _playTone(
+      {
+        ...spec,
+        freq: (spec.freq ?? 440) * pitch,
+        freqEnd: spec.freqEnd && spec.freqEnd * pitch,
+        volume: (spec.volume ?? 0.3) * volume,
+      },
+      "sfx",
+    );
+  }
+}
+
+/** @type {number} Seconds sequences play ahead, so late steps run together keep their spacing */
+const SEQUENCE_LEAD = 0.1;
+
+/**
+ * A tune playing on the engine clock, returned by {@link playSequence}.
+ * It pauses with the game and follows the tempo.
+ * @class
+ */
+class Sequence {
+  /**
+   * @param {Array.<{notes: Array.<number>, drums: Array.<string>, beats: number}>} events - Parsed steps.
+   * @param {string} instrument - Instrument for the notes.
+   * @param {boolean} loop - Start over at the end.
+   */
+  constructor(events, instrument, loop) {
+    /** @type {Array.<{notes: Array.<number>, drums: Array.<string>, beats: number}>} Steps in order */
+    this.events = events;
+    /** @type {string} Instrument for the notes */
+    this.instrument = instrument;
+    /** @type {boolean} Whether it starts over at the end */
+    this.loop = loop;
+    /** @type {string} Bus it counts as for {@link stopAllSounds} */
+    this.bus = "music";
+    /** @type {boolean} True until it ends or is stopped */
+    this.playing = true;
+    /** @type {Promise.<void>} Resolves when it ends or is stopped */
+    this.ended = new Promise((resolve) => (this._resolveEnded = resolve));
+    /** @type {number} Beats played so far */
+    this._beat = 0;
+    /** @type {number} Beat the next step starts on */
+    this._nextAt = 0;
+    /** @type {number} Index of the next step */
+    this._index = 0;
+    _playingSounds.add(this);
+    if (!events.some((e) => e.beats > 0)) this.stop(); // nothing to wait on
+  }
+
+  /**
+   * Plays the steps that are due. Called every engine step.
+   * @private
+   */
+  _step() {
+    const stepBeats = (fixedDeltaTime * _tempo) / 60;
+    while (this.playing && this._nextAt < this._beat + stepBeats) {
+      if (this._index === this.events.length) {
+        if (!this.loop) {
+          this.stop();
+          return;
+        }
+        this._index = 0;
+      }
+      const { notes, drums, beats } = this.events[this._index++];
+      // this step started _accumulator seconds before now (later in a catch-up run)
+      const offset = (_beatsToSeconds(this._nextAt - this._beat) - _accumulator) / timeScale;
+      const delay = Math.max(0, SEQUENCE_LEAD + offset);
+      for (const midi of notes) {
+        const freq = 440 * 2 ** ((midi - 69) / 12);
+        const duration = _beatsToSeconds(beats);
+        _playTone({ ...INSTRUMENTS[this.instrument], freq, duration, delay }, "music");
+      }
+      for (const drum of drums) {
+        for (const spec of DRUMS[drum]) {
+          _playTone({ ...spec, delay: delay + (spec.delay ?? 0) }, "music");
+        }
+      }
+      this._nextAt += beats;
+    }
+    this._beat += (fixedDeltaTime * _tempo) / 60;
+  }
+
+  /**
+   * Stops the sequence. Notes already playing ring out.
+   */
+  stop() {
+    if (!this.playing) return;
+    this.playing = false;
+    _playingSounds.delete(this);
+    this._resolveEnded();
+  }
+}
+
+/**
+ * Plays a tune on the engine clock. Steps are separated by spaces:
+ * a note (`C4`, `F#3`, `Bb5` or a MIDI number), a drum name, `-` for a
+ * rest, or several joined with `+` for a chord. Add `:beats` to change a
+ * step's length. Arrays of steps work too, with `[step, beats]` pairs.
+ *
+ * ```js
+ * playSequence("C4 E4 G4 C5:2 - G4 C5:3");
+ * const beat = playSequence("kick hihat snare hihat", { beats: 0.5, loop: true });
+ * playSequence([60, 64, [67, 2], "C5+E5+G5"], { instrument: "organ" });
+ * beat.stop();
+ * ```
+ *
+ * @param {string|Array.<number|string|Array>} steps - The tune.
+ * @param {Object} [options] - Settings.
+ * @param {number} [options.beats=0.5] - Length of steps without `:beats`.
+ * @param {string} [options.instrument] - Instrument for the notes (default: the current one).
+ * @param {boolean} [options.loop=false] - Start over at the end.
+ * @returns {Sequence} The playing sequence.
+ */
+function playSequence(steps, { beats = 0.5, instrument = _instrument, loop = false } = {}) {
+  const list = typeof steps === "string" ? steps.trim().split(/\s+/) : steps;
+  const events = [];
+  for (const step of list) {
+    let token = step;
+    let length = beats;
+    if (Array.isArray(step)) [token, length] = step;
+    else if (typeof step === "string" && step.includes(":")) {
+      const [name, count] = step.split(":");
+      [token, length] = [name, Number(count)];
+    }
+    if (!Number.isFinite(length)) {
+      console.warn(`Unknown beats: ${Array.isArray(step) ? step[1] : step}`);
+      length = beats;
+    }
+    const event = { notes: [], drums: [], beats: Math.max(0, length) };
+    for (const part of String(token).split("+")) {
+      if (part === "-" || part === "") continue;
+      if (DRUMS[part]) event.drums.push(part);
+      else if (_noteToMidi(part) !== null) event.notes.push(_noteToMidi(part));
+      else console.warn(`Unknown note: ${part}`);
+    }
+    events.push(event);
+  }
+  if (!INSTRUMENTS[instrument]) {
+    console.warn(`Unknown instrument: ${instrument}`);
+    instrument = _instrument;
+  }
+  return new Sequence(events, instrument, loop);
+}
+
+/**
+ * Repeats a callback a set number of times, with one frame between each call.
+ *
+ * @param {number} times - Number of times to repeat.
+ * @param {Function} callback - The function to run each time.
+ * @returns {Promise<void>} A promise that resolves after all repeats are done.
+ */
+async function repeat(times, callback) {
+  for (let i = 0; i < times; i++) {
+    callback(i);
+    await wait(0); // yield to next animation frame
+  }
+}
+
+/**
+ * Creates a new text object and adds it to drawables.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {string} color - The text color.
+ * @param {string} text - The text content.
+ * @param {string} [font="20px monospace"] - The font style.
+ * @param {boolean} [doCenter=false] - Whether to center the text horizontally.
+ * @returns {Text} The created text object.
+ */
+function createText(
+  x,
+  y,
+  color,
+  text,
+  font = "20px monospace",
+  doCenter = false,
+) {
+  const textObj = new Text(x, y, color, text, font, doCenter);
+  drawables.push(textObj);
+  return textObj;
+}
+
+/**
+ * Hides a drawable object.
+ * @param {Drawable} object - The object to hide.
+ */
+function hide(object) {
+  object.hidden = true;
+}
+
+/**
+ * Shows a drawable object.
+ * @param {Drawable} object - The object to show.
+ */
+function show(object) {
+  object.hidden = false;
+}
+
+/*────────────────────────  Transitions  ───────────────────────*/
+
+/** @type {Object|null} State of the transition that is currently playing */
+let _activeTransition = null;
+
+/** @type {HTMLCanvasElement|null} Small buffer the "pixelate" transition scales through */
+let _pixelCanvas = null;
+
+/** @type {Array.<string>} Supported transition types */
+const TRANSITION_TYPES = ["fade", "crossfade", "wipe", "iris", "pixelate"];
+
+/**
+ * Plays an animated screen transition. The current frame is captured from
+ * the canvas, `swapFn` changes the content (switch scene, new background...)
+ * and the old frame is blended into the new one over `ms` milliseconds.
+ *
+ * ```js
+ * await transition("fade", 500, () => switchScene("level2"));
+ * await transition("iris", 800, () => setBackground("night.png"));
+ * ```
+ *
+ * Types:
+ * - `"fade"` fades to `options.color`, then fades the new content in
+ * - `"crossfade"` blends the old frame into the new one
+ * - `"wipe"` slides an edge across the screen (`options.direction`)
+ * - `"iris"` opens a circle on the new content (`options.x`, `options.y`)
+ * - `"pixelate"` pixelates the old frame, then un-pixelates the new one
+ *
+ * Transitions run on the engine clock, so they follow {@link setTimeScale}
+ * and hold while the game is paused.
+ *
+ * @param {string} type - One of the types above.
+ * @param {number} [ms=500] - Duration in milliseconds.
+ * @param {Function} [swapFn] - Changes the content. If it returns a promise, the old frame is held until it resolves.
+ * @param {Object} [options] - Extra settings.
+ * @param {string} [options.color="black"] - Color for "fade".
+ * @param {string} [options.direction="right"] - "left", "right", "up" or "down" for "wipe".
+ * @param {number} [options.x] - Iris centre x in canvas pixels (default: centre).
+ * @param {number} [options.y] - Iris centre y in canvas pixels (default: centre).
+ * @param {number} [options.pixelSize=32] - Largest block size for "pixelate".
+ * @returns {Promise<void>} Resolves when the transition has finished.
+ */
+async function transition(type, ms = 500, swapFn, options = {}) {
+  if (!TRANSITION_TYPES.includes(type)) {
+    console.warn(`Unknown transition: ${type}`);
+    if (swapFn) await swapFn();
+    return;
+  }
+  if (_activeTransition) _activeTransition.resolve(); // only one at a time
+
+  const snapshot = document.createElement("canvas");
+  snapshot.width = canvasEl.width;
+  snapshot.height = canvasEl.height;
+  snapshot.getContext("2d").drawImage(canvasEl, 0, 0);
+
+  const state = { type, ms, options, snapshot, start: 0, ready: false };
+  state.done = new Promise((resolve) => {
+    state.resolve = () => {
+      if (_activeTransition === state) _activeTransition = null;
+      resolve();
+    };
+  });
+  _activeTransition = state;
+
+  try {
+    if (swapFn) await swapFn();
+  } finally {
+    state.ready = true;
+    state.start = gameTime + _accumulator;
+  }
+  return state.done;
+}
+
+/**
+ * Draws the active transition over the rendered frame. Called by the main loop.
+ * @private
+ */
+function _drawTransition() {
+  const t = _activeTransition;
+  if (!t) return;
+  const w = canvasEl.width;
+  const h = canvasEl.height;
+
+  if (!t.ready) {
+    ctx.drawImage(t.snapshot, 0, 0); // hold the old frame while swapping
+    return;
+  }
+
+  // game time including the part of a step not run yet, for smooth progress
+  const elapsed = (gameTime + _accumulator - t.start) * 1000;
+  const linear = t.ms > 0 ? Math.min(1, elapsed / t.ms) : 1;
+  const p = linear * linear * (3 - 2 * linear); // smoothstep
+
+  ctx.save();
+  switch (t.type) {
+    case "fade":
+      if (p < 0.5) ctx.drawImage(t.snapshot, 0, 0);
+      ctx.globalAlpha = p < 0.5 ? p * 2 : (1 - p) * 2;
+      ctx.fillStyle = t.options.color || "black";
+      ctx.fillRect(0, 0, w, h);
+      break;
+
+    case "crossfade":
+      ctx.globalAlpha = 1 - p;
+      ctx.drawImage(t.snapshot, 0, 0);
+      break;
+
+    case "wipe": {
+      // the old frame stays visible on the side the edge hasn't reached yet
+      const dir = t.options.direction || "right";
+      const x = dir === "right" ? w * p : 0;
+      const y = dir === "down" ? h * p : 0;
+      const rw = dir === "left" || dir === "right" ? w * (1 - p) : w;
+      const rh = dir === "up" || dir === "down" ? h * (1 - p) : h;
+      if (rw > 0 && rh > 0) ctx.drawImage(t.snapshot, x, y, rw, rh, x, y, rw, rh);
+      break;
+    }
+
+    case "iris": {
+      const cx = t.options.x ?? w / 2;
+      const cy = t.options.y ?? h / 2;
+      const maxR = Math.max(
+        Math.hypot(cx, cy),
+        Math.hypot(w - cx, cy),
+        Math.hypot(cx, h - cy),
+        Math.hypot(w - cx, h - cy),
+      );
+      ctx.beginPath();
+      ctx.rect(0, 0, w, h);
+      ctx.arc(cx, cy, maxR * p, 0, Math.PI * 2);
+      ctx.clip("evenodd");
+      ctx.drawImage(t.snapshot, 0, 0);
+      break;
+    }
+
+    case "pixelate": {
+      const maxBlock = t.options.pixelSize || 32;
+      const block = Math.max(1, Math.round(maxBlock * (1 - Math.abs(p * 2 - 1))));
+      const source = p < 0.5 ? t.snapshot : canvasEl;
+      if (!_pixelCanvas) _pixelCanvas = document.createElement("canvas");
+      const small = _pixelCanvas;
+      small.width = Math.max(1, Math.ceil(w / block));
+      small.height = Math.max(1, Math.ceil(h / block));
+      small.getContext("2d").drawImage(source, 0, 0, small.width, small.height);
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(small, 0, 0, w, h);
+      break;
+    }
+  }
+  ctx.restore();
+
+  if (linear >= 1) t.resolve();
+}
+
+/*────────────────────────  Tweens  ───────────────────────*/
+
+/**
+ * Easing curves for {@link tween}. Each maps progress 0-1 to eased progress.
+ * Pass a name (e.g. `"easeOutQuad"`) or your own function.
+ * @type {Object.<string, function(number): number>}
+ */
+const Easing = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInSine: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  easeOutSine: (t) => Math.sin((t * Math.PI) / 2),
+  easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeInBack: (t) => 2.70158 * t * t * t - 1.70158 * t * t,
+  easeOutBack: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+  easeOutBounce: (t) => {
+    if (t < 1 / 2.75) return 7.5625 * t * t;
+    if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+    if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+    return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+  },
+  easeOutElastic: (t) =>
+    t === 0 || t === 1
+      ? t
+      : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1,
+};
+
+/**
+ * Animates numeric properties of an object over time. Steps on the engine
+ * clock, so it pauses with {@link pauseGame} and follows {@link setTimeScale}.
+ * A tween can be awaited like a promise; it resolves to `true` when it
+ * finishes and `false` when it is cancelled. Use {@link tween} for instantiation.
+ * @class
+ */
+class Tween {
   /**
-   * Changes the sprite opacity by a delta.
-   * @param {number} delta - Amount to add to current opacity.
+   * @param {Object} target - Object to animate (a sprite, text...).
+   * @param {Object.<string, number>} props - End values by property name.
+   * @param {number} ms - Duration of one pass in milliseconds.
+   * @param {string|Function} easing - Easing name from {@link Easing} or a function.
+   * @param {Object} options - `delay`, `repeat` and `yoyo`, see {@link tween}.
    */
-  changeOpacityBy(delta) {
-    this.setOpacity(this.opacity + delta);
+  constructor(target, props, ms, easing, options) {
+    /** @type {Object} Object being animated */
+    this.target = target;
+    /** @type {Object.<string, number>} End values */
+    this.to = { ...props };
+    /** @type {Object.<string, number>|null} Start values, read when the tween starts */
+    this.from = null;
+    /** @type {number} Duration of one pass in ms */
+    this.duration = ms;
+    /** @type {function(number): number} Easing curve */
+    this.easing = typeof easing === "function" ? easing : Easing[easing] || Easing.linear;
+    /** @type {number} Extra passes after the first (Infinity = forever) */
+    this.repeat = options.repeat || 0;
+    /** @type {boolean} Whether every other pass runs backwards */
+    this.yoyo = !!options.yoyo;
+    /** @type {number} Elapsed ms in the current pass (negative while delayed) */
+    this.elapsed = -(options.delay || 0);
+    /** @type {number} Index of the current pass */
+    this.pass = 0;
+    /** @type {boolean} Whether the tween has finished or been cancelled */
+    this.done = false;
+    /** @type {Promise<boolean>} Resolves to true when finished, false when cancelled */
+    this.promise = new Promise((resolve) => (this._resolve = resolve));
   }
 
   /**
-   * Set the size(for no-image costume only!) of the sprite.
-   *
-   * @param {*} size - The size you want to set for your sprite.
-   * @memberof Sprite
+   * Lets `await tween(...)` work.
+   * @param {Function} [onDone] - Called with true (finished) or false (cancelled).
+   * @param {Function} [onError] - Never called; tweens don't reject.
+   * @returns {Promise} The chained promise.
    */
-  setSize(size) {
-    this.size = size;
+  then(onDone, onError) {
+    return this.promise.then(onDone, onError);
   }
 
   /**
-   * Change size(for no-image costume only!) of the sprite.
-   *
-   * @param {*} size - The scale you want to add/minus for your sprite.
-   * @memberof Sprite
+   * Stops the tween where it is.
    */
-  changeSizeBy(size) {
-    this.size += size;
+  cancel() {
+    this._finish(false);
   }
 
   /**
-   * Add hitbox for the sprite.
-   *
-   * @param {*} hitbox - Type true/false only!
-   * @memberof Sprite
+   * Advances the tween. Called every engine step.
+   * @private
+   * @param {number} ms - Step length in milliseconds.
    */
-  doHitbox(hitbox) {
-    this.hitbox = hitbox;
+  _step(ms) {
+    if (this.target._deleted) {
+      this._finish(false);
+      return;
+    }
+    this.elapsed += ms;
+    if (this.elapsed < 0) return; // still delayed
+    if (!this.from) {
+      this.from = {};
+      for (const key in this.to) this.from[key] = this.target[key];
+    }
+
+    let t = this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+    if (this.yoyo && this.pass % 2 === 1) t = 1 - t;
+    this._apply(this.easing(t));
+
+    if (this.elapsed >= this.duration) {
+      if (this.pass >= this.repeat) {
+        this._finish(true);
+        return;
+      }
+      this.pass++;
+      this.elapsed -= this.duration;
+    }
   }
 
   /**
-   * Makes sprite have gravity but not real physics!
-   *
-   * @param {*} gravity - Type the gravity force power value and type 0 if you dont want gravity!
-   * @memberof Sprite
+   * Sets the target's properties for eased progress `k`.
+   * @private
+   * @param {number} k - Eased progress.
    */
-  setGravity(gravity) {
-    this.gravity = gravity;
+  _apply(k) {
+    for (const key in this.to) {
+      const v = this.from[key] + (this.to[key] - this.from[key]) * k;
+      if (key === "direction" && this.target.pointInDirection) this.target.pointInDirection(v);
+      else if (key === "opacity" && this.target.setOpacity) this.target.setOpacity(v);
+      else this.target[key] = v;
+    }
   }
 
   /**
-   * Sets the sprite’s position.
-   * @param {number} x - The new x-coordinate.
-   * @param {number} y - The new y-coordinate.
+   * Removes the tween and settles its promise.
+   * @private
+   * @param {boolean} finished - True if it ran to the end.
    */
-  goTo(x, y) {
-    this.x = x;
-    this.y = y;
+  _finish(finished) {
+    if (this.done) return;
+    this.done = true;
+    _removeFromArray(_tweens, this);
+    this._resolve(finished);
   }
+}
 
-  /**
-   * Sets the sprite’s position(ONLY X).
-   * @param {number} x - The new x-coordinate.
-   */
-  setX(x) {
-    this.x = x;
+/** @type {Array.<Tween>} Running tweens */
+const _tweens = [];
+
+/**
+ * Animates properties of a sprite, text or any object over time.
+ *
+ * ```js
+ * await tween(player, { x: 600, opacity: 0.5 }, 1000, "easeOutQuad");
+ * tween(coin, { y: coin.y - 10 }, 400, "easeInOutSine", { yoyo: true, repeat: Infinity });
+ * const t = tween(boss, { scale: 2 }, 2000);
+ * t.cancel();
+ * ```
+ *
+ * @param {Object} target - Object to animate.
+ * @param {Object.<string, number>} props - End values, e.g. `x`, `y`, `opacity`, `scale`, `direction`, `size`.
+ * @param {number} [ms=500] - Duration in milliseconds (game time).
+ * @param {string|Function} [easing="linear"] - Easing name from {@link Easing} or a function.
+ * @param {Object} [options] - Extra settings.
+ * @param {number} [options.delay=0] - Milliseconds to wait before starting.
+ * @param {number} [options.repeat=0] - Extra passes after the first (Infinity = forever).
+ * @param {boolean} [options.yoyo=false] - Run every other pass backwards.
+ * @returns {Tween} The tween (awaitable, with `cancel()`).
+ */
+function tween(target, props, ms = 500, easing = "linear", options = {}) {
+  const tw = new Tween(target, props, ms, easing, options);
+  _tweens.push(tw);
+  return tw;
+}
+
+/**
+ * Cancels every tween running on an object.
+ * @param {Object} target - The animated object.
+ */
+function stopTweens(target) {
+  for (const tw of _tweens.slice()) {
+    if (tw.target === target) tw.cancel();
   }
+}
 
-  /**
-   * Sets the sprite’s position(ONLY Y).
-   * @param {number} y - The new y-coordinate.
-   */
-  setY(y) {
-    this.y = y;
+/**
+ * Advances the tweens of the active scene. Called every engine step.
+ * @private
+ */
+function _stepTweens() {
+  const scene = getCurrentScene();
+  for (const tw of _tweens.slice()) {
+    // tweens on objects of a covered scene wait until it resumes
+    if (tw.target.scene && tw.target.scene !== scene) continue;
+    tw._step(fixedDeltaTime * 1000);
   }
+}
+
+/*────────────────────────  Joints  ───────────────────────*/
+
+/** @type {Array.<string>} Supported joint types */
+const JOINT_TYPES = ["distance", "spring", "pin", "rope"];
 
+/** @type {number} Solver passes per engine step; more passes keep long chains tighter */
+const JOINT_ITERATIONS = 4;
+
+/**
+ * Connects a sprite to another sprite or to a fixed world point. Use
+ * {@link createJoint} for instantiation.
+ *
+ * Joints move sprites that have a physics body ({@link Sprite#enablePhysics});
+ * sprites without one act as fixed anchors.
+ * @class
+ */
+class Joint {
   /**
-   * Changes the sprite’s position(ONLY X).
-   * @param {number} x - The x-coordinate you want to add/minus.
+   * @param {string} type - One of {@link JOINT_TYPES}.
+   * @param {Sprite} a - First sprite.
+   * @param {Sprite|{x: number, y: number}} b - Second sprite, or a world point.
+   * @param {Object} [options] - See {@link createJoint}.
    */
-  changeXBy(chgX) {
-    this.x += chgX;
+  constructor(type, a, b, options = {}) {
+    /** @type {string} Joint type */
+    this.type = type;
+    /** @type {Sprite} First sprite */
+    this.a = a;
+    /** @type {Sprite|null} Second sprite, or null when attached to a world point */
+    this.b = b instanceof Sprite ? b : null;
+    /** @type {{x: number, y: number}} Attach point on `a`, relative to its centre (turns with the sprite) */
+    this.anchorA = { x: 0, y: 0, ...options.anchorA };
+    /** @type {{x: number, y: number}} Attach point on `b` relative to its centre, or the world point */
+    this.anchorB = this.b ? { x: 0, y: 0, ...options.anchorB } : { x: b.x, y: b.y };
+    /** @type {Scene} Scene the joint belongs to */
+    this.scene = a.scene;
+    const start = this._ends();
+    /** @type {number} Rest length (max length for ropes) in pixels */
+    this.length =
+      options.length ?? (type === "pin" ? 0 : Math.hypot(start.bx - start.ax, start.by - start.ay));
+    /** @type {number} Spring strength, 0-1 */
+    this.stiffness = options.stiffness ?? 0.1;
+    /** @type {number} Spring damping, 0-1 */
+    this.damping = options.damping ?? 0.05;
+    /** @type {string} Color of the debug line */
+    this.color = options.color || "lime";
   }
 
   /**
-   * Changes the sprite’s position(ONLY Y).
-   * @param {number} Y - The y-coordinate you want to add/minus.
+   * Removes the joint.
    */
-  changeYBy(chgY) {
-    this.y += chgY;
+  remove() {
+    _removeFromArray(this.scene.joints, this);
   }
 
   /**
-   * Stops drawing the pen trail.
+   * World positions of both attach points.
+   * @private
+   * @param {number} [alpha=1] - Interpolation between the previous and current step.
+   * @returns {{ax: number, ay: number, bx: number, by: number}}
    */
-  stopDrawing() {
-    this.penDown = false;
+  _ends(alpha = 1) {
+    const a = _jointAnchor(this.a, this.anchorA, alpha);
+    const b = this.b ? _jointAnchor(this.b, this.anchorB, alpha) : this.anchorB;
+    return { ax: a.x, ay: a.y, bx: b.x, by: b.y };
   }
 
   /**
-   * Clears all pen trails for this sprite.
+   * Moves both ends (and corrects their velocity) to satisfy the joint.
+   * Called by the engine every step.
+   * @private
    */
-  clearPen() {
-    this.penTrails = [];
-    if (this.penDown) {
-      this.startDrawing();
+  _solve() {
+    const wa = _inverseMass(this.a);
+    const wb = _inverseMass(this.b);
+    const w = wa + wb;
+    if (w === 0) return;
+    const b = this.b || { vx: 0, vy: 0 };
+    const { ax, ay, bx, by } = this._ends();
+    const dx = bx - ax;
+    const dy = by - ay;
+    const dist = Math.hypot(dx, dy);
+
+    if (this.type === "pin" && this.length === 0) {
+      // pull both points together and make them move as one
+      _nudge(this.a, dx * (wa / w), dy * (wa / w), b.vx - this.a.vx, b.vy - this.a.vy, wa / w);
+      _nudge(this.b, -dx * (wb / w), -dy * (wb / w), this.a.vx - b.vx, this.a.vy - b.vy, wb / w);
+      return;
+    }
+    if (dist < 1e-6) return;
+    const nx = dx / dist;
+    const ny = dy / dist;
+    const stretch = dist - this.length;
+    const closing = (b.vx - this.a.vx) * nx + (b.vy - this.a.vy) * ny;
+
+    if (this.type === "spring") {
+      const impulse = (this.stiffness * stretch + this.damping * closing) / JOINT_ITERATIONS;
+      _nudge(this.a, 0, 0, nx * impulse, ny * impulse, wa / w);
+      _nudge(this.b, 0, 0, -nx * impulse, -ny * impulse, wb / w);
+      return;
     }
+    if (this.type === "rope" && stretch <= 0) return; // slack rope
+
+    const keepVelocity = this.type === "rope" && closing < 0; // already moving closer
+    const vx = keepVelocity ? 0 : nx * closing;
+    const vy = keepVelocity ? 0 : ny * closing;
+    _nudge(this.a, nx * stretch * (wa / w), ny * stretch * (wa / w), vx, vy, wa / w);
+    _nudge(this.b, -nx * stretch * (wb / w), -ny * stretch * (wb / w), -vx, -vy, wb / w);
   }
 
   /**
-   * Triggers all callbacks for an event.
-   * @param {string} eventName - The event name.
-   * @param {Object} eventObject - The event data.
+   * Draws the joint as a line. Only called while `debug` is on.
+   * @private
    */
-  trigger(eventName, eventObject) {
-    if (this.events[eventName]) {
-      for (const cb of this.events[eventName]) {
-        cb(eventObject);
-      }
+  _drawDebug() {
+    const alpha = this.scene.paused ? 1 : _renderAlpha;
+    const { ax, ay, bx, by } = this._ends(alpha);
+    ctx.save();
+    ctx.strokeStyle = this.color;
+    ctx.fillStyle = this.color;
+    ctx.lineWidth = 2;
+    if (this.type === "spring") ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(bx, by);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    for (const [x, y] of [[ax, ay], [bx, by]]) {
+      ctx.beginPath();
+      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.fill();
     }
+    ctx.restore();
   }
+}
 
-  /**
-   * Checks if the sprite is clicked at the given coordinates.
-   * @param {number} mouseX - The mouse x-coordinate.
-   * @param {number} mouseY - The mouse y-coordinate.
-   * @returns {boolean} True if clicked within the sprite’s bounds.
-   */
-  isClicked(mouseX, mouseY) {
-    const size = this.getCollisionSize();
-    const w = size.width;
-    const h = size.height;
-    return (
-      mouseX >= this.x - w / 2 &&
-      mouseX <= this.x + w / 2 &&
-      mouseY >= this.y - h / 2 &&
-      mouseY <= this.y + h / 2
-    );
+/**
+ * Connects two sprites, or a sprite and a world point.
+ *
+ * ```js
+ * // pendulum: keep the ball 200px from a point
+ * ball.enablePhysics();
+ * createJoint("distance", ball, { x: 640, y: 100 });
+ * // wobbly link between two bodies
+ * createJoint("spring", cart, trailer, { length: 80, stiffness: 0.2 });
+ * // chain link: hold two plank corners together
+ * createJoint("pin", plankA, plankB, { anchorA: { x: 30, y: 0 }, anchorB: { x: -30, y: 0 } });
+ * // rope: can go slack, never longer than 150px
+ * createJoint("rope", player, hook, { length: 150 });
+ * ```
+ *
+ * Types:
+ * - `"distance"` keeps the attach points exactly `length` apart
+ * - `"spring"` pulls them towards `length` with `stiffness` and `damping`
+ * - `"pin"` holds the attach points together so the sprites hinge around them
+ * - `"rope"` only stops them from getting further apart than `length`
+ *
+ * Joints are removed when either sprite is deleted.
+ *
+ * @param {string} type - One of the types above.
+ * @param {Sprite} a - First sprite.
+ * @param {Sprite|{x: number, y: number}} b - Second sprite, or a world point.
+ * @param {Object} [options] - Extra settings.
+ * @param {{x: number, y: number}} [options.anchorA] - Attach point on `a`, relative to its centre.
+ * @param {{x: number, y: number}} [options.anchorB] - Attach point on `b`, relative to its centre.
+ * @param {number} [options.length] - Rest/max length (default: the current distance, or 0 for pins).
+ * @param {number} [options.stiffness=0.1] - Spring strength, 0-1.
+ * @param {number} [options.damping=0.05] - Spring damping, 0-1.
+ * @param {string} [options.color="lime"] - Debug line color.
+ * @returns {Joint|null} The joint, or null for an unknown type.
+ */
+function createJoint(type, a, b, options) {
+  if (!JOINT_TYPES.includes(type)) {
+    console.warn(`Unknown joint: ${type}`);
+    return null;
   }
+  const joint = new Joint(type, a, b, options);
+  joint.scene.joints.push(joint);
+  return joint;
+}
 
-  /**
-   * Checks if this sprite is touching another sprite.
-   * @param {Sprite} other - The other sprite to check collision with.
-   * @returns {boolean} True if the sprites are touching.
-   */
-  isTouching(other) {
-    if (this.hitboxPolygon && other.hitboxPolygon) {
-      const poly1 = this.hitboxPolygon.map((vertex) => ({
-        x: vertex.x * this.scale + this.x,
-        y: vertex.y * this.scale + this.y,
-      }));
-      const poly2 = other.hitboxPolygon.map((vertex) => ({
-        x: vertex.x * other.scale + other.x,
-        y: vertex.y * other.scale + other.y,
-      }));
-      return polygonsIntersect(poly1, poly2);
+/**
+ * World position of a point fixed to a sprite, turning with it.
+ * @private
+ * @param {Sprite} sprite - The sprite.
+ * @param {{x: number, y: number}} anchor - Offset from the sprite's centre.
+ * @param {number} alpha - Interpolation between the previous and current step.
+ * @returns {{x: number, y: number}}
+ */
+function _jointAnchor(sprite, anchor, alpha) {
+  const rad = ((sprite.direction - 90) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return {
+    x: sprite.prevX + (sprite.x - sprite.prevX) * alpha + anchor.x * cos - anchor.y * sin,
+    y: sprite.prevY + (sprite.y - sprite.prevY) * alpha + anchor.x * sin + anchor.y * cos,
+  };
+}
+
+/**
+ * How easily a joint moves a sprite: 1/mass for physics bodies, 0 for
+ * anything fixed.
+ * @private
+ * @param {Sprite|null} sprite
+ * @returns {number}
+ */
+function _inverseMass(sprite) {
+  return sprite && sprite.physics ? 1 / sprite.mass : 0;
+}
+
+/**
+ * Moves a joint end and changes its velocity.
+ * @private
+ * @param {Sprite|null} sprite - The sprite (ignored when null or fixed).
+ * @param {number} dx - Position change.
+ * @param {number} dy - Position change.
+ * @param {number} dvx - Velocity change before weighting.
+ * @param {number} dvy - Velocity change before weighting.
+ * @param {number} share - Share of the velocity change this end takes.
+ */
+function _nudge(sprite, dx, dy, dvx, dvy, share) {
+  if (!sprite || !share) return;
+  sprite.x += dx;
+  sprite.y += dy;
+  sprite.vx += dvx * share;
+  sprite.vy += dvy * share;
+}
+
+/**
+ * Solves the joints of the active scene. Called every engine step before
+ * movement: position corrections are handed back instead of applied, so
+ * the collision pass moves the sprites and stops them at solids.
+ * @private
+ * @returns {Map.<Sprite, {x: number, y: number}>} How far joints pull each sprite.
+ */
+function _solveJoints() {
+  const joints = getCurrentScene().joints;
+  const start = new Map();
+  for (const joint of joints) {
+    for (const sprite of [joint.a, joint.b]) {
+      if (sprite && !start.has(sprite)) start.set(sprite, { x: sprite.x, y: sprite.y });
     }
-    const a = this.getCollisionSize();
-    const b = other.getCollisionSize();
-    return (
-      Math.abs(this.x - other.x) < (a.width + b.width) / 2 &&
-      Math.abs(this.y - other.y) < (a.height + b.height) / 2
-    );
   }
-  
-
-  /**
-   * Points the sprite in an absolute direction (Scratch style).
-   * 0 = up, 90 = right, 180 = down, −90 / 270 = left
-   * @param {number} deg - New direction in degrees.
-   */
-  pointInDirection(deg) {
-    this.direction = ((deg % 360) + 360) % 360; // keep it 0‑359
+  for (let i = 0; i < JOINT_ITERATIONS; i++) {
+    for (const joint of joints) joint._solve();
   }
-
-  /**
-   * Turns the sprite clockwise by a given number of degrees.
-   * @param {number} deg
-   */
-  turnRight(deg) {
-    this.pointInDirection(this.direction + deg);
+  const shifts = new Map();
+  for (const [sprite, pos] of start) {
+    if (sprite.x !== pos.x || sprite.y !== pos.y) {
+      shifts.set(sprite, { x: sprite.x - pos.x, y: sprite.y - pos.y });
+    }
+    sprite.x = pos.x;
+    sprite.y = pos.y;
   }
+  return shifts;
+}
 
-  /**
-   * Turns the sprite counter‑clockwise by a given number of degrees.
-   * @param {number} deg
-   */
-  turnLeft(deg) {
-    this.pointInDirection(this.direction - deg);
+/*────────────────────────  Spatial queries  ───────────────────────*/
+/**
+ * Picks sprites for queries: a name (`"enemy"`), a class (`Sprite` or a
+ * subclass), `{ tag: "enemy" }` for tagged sprites, `{ cloneOf: sprite }`
+ * for clones of a sprite (and their clones), or a function returning true
+ * for the ones to keep.
+ * @typedef {string|Function|{tag: string}|{cloneOf: Sprite}} SpriteFilter
+ */
+
+/**
+ * Checks an object against a {@link SpriteFilter}. No filter matches everything.
+ * @private
+ * @param {Drawable} obj - Object to check.
+ * @param {SpriteFilter} [filter] - The filter.
+ * @returns {boolean} True if it matches.
+ */
+function _matchesFilter(obj, filter) {
+  if (filter == null) return true;
+  if (typeof filter === "string") return obj.name === filter;
+  if (typeof filter === "function") {
+    const isClass = filter === Drawable || filter.prototype instanceof Drawable;
+    return isClass ? obj instanceof filter : Boolean(filter(obj));
   }
+  if (filter.tag) return Boolean(obj.tags && obj.tags.includes(filter.tag));
+  if (filter.cloneOf) {
+    for (let p = obj.cloneParent; p; p = p.cloneParent) if (p === filter.cloneOf) return true;
+    return false;
+  }
+  return true;
+}
 
-  // === replace the existing draw() method in Sprite with this ===
-  draw() {
-    if (this.hidden) return;
+/**
+ * Visible, non-HUD sprites of the active scene whose bounds may reach an
+ * area, topmost first.
+ * @private
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - Area in the world.
+ * @param {SpriteFilter} [filter] - Which sprites count.
+ * @returns {Array.<Sprite>} Candidates for an exact test.
+ */
+function _queryCandidates(rect, filter) {
+  const scene = getCurrentScene();
+  return _spritesNear(scene, rect)
+    .filter((obj) => !obj.hidden && !obj.hud && _matchesFilter(obj, filter))
+    .reverse();
+}
 
-    ctx.save();
-    ctx.globalAlpha = this.opacity;
-    ctx.translate(this.x, this.y); // move origin to sprite centre
-    ctx.rotate(((this.direction - 90) * Math.PI) / 180); // Scratch’s 90°‑right → canvas 0°‑right
-    // subtract 90 so 0° points up
-    const img = this.costumes[this.currentCostume];
+/**
+ * Finds the sprites whose collision shape covers a world point, topmost
+ * first. Hidden and HUD sprites are skipped.
+ *
+ * ```js
+ * canvasEl.addEventListener("mousedown", () => {
+ *   const [top] = getSpritesAt(cursor.x, cursor.y, "card");
+ *   if (top) top.goToFront();
+ * });
+ * ```
+ *
+ * @param {number} x - World x.
+ * @param {number} y - World y.
+ * @param {SpriteFilter} [filter] - Which sprites count.
+ * @returns {Array.<Sprite>} The sprites.
+ */
+function getSpritesAt(x, y, filter) {
+  return _queryCandidates({ left: x, top: y, right: x, bottom: y }, filter).filter((obj) =>
+    obj.isClicked(x, y),
+  );
+}
 
-    if (img && img.complete && img.naturalWidth > 0) {
-      let w, h;
-      if (this.useOriginalSize) {
-        w = img.naturalWidth * this.scale;
-        h = img.naturalHeight * this.scale;
-      } else {
-        w = this.size;
-        h = this.size;
-      }
-      ctx.drawImage(img, -w / 2, -h / 2, w, h); // origin already centred
-    } else {
-      ctx.fillStyle = this.color;
-      ctx.fillRect(-this.size / 2, -this.size / 2, this.size, this.size);
+/**
+ * Finds the sprites whose collision shape overlaps a rectangle, topmost
+ * first. Hidden and HUD sprites are skipped.
+ *
+ * ```js
+ * const selected = getSpritesInRect(dragX, dragY, dragW, dragH, Unit);
+ * ```
+ *
+ * @param {number} x - Left edge in the world.
+ * @param {number} y - Top edge in the world.
+ * @param {number} width - Rectangle width.
+ * @param {number} height - Rectangle height.
+ * @param {SpriteFilter} [filter] - Which sprites count.
+ * @returns {Array.<Sprite>} The sprites.
+ */
+function getSpritesInRect(x, y, width, height, filter) {
+  const rect = { left: x, top: y, right: x + width, bottom: y + height };
+  const box = [
+    { x: rect.left, y: rect.top },
+    { x: rect.right, y: rect.top },
+    { x: rect.right, y: rect.bottom },
+    { x: rect.left, y: rect.bottom },
+  ];
+  return _queryCandidates(rect, filter).filter((obj) =>
+    obj._collisionParts().some((part) => polygonOverlap(part, box) !== null),
+  );
+}
+
+/**
+ * Finds the sprites whose centre is within a distance of a point,
+ * nearest first. Hidden and HUD sprites are skipped.
+ *
+ * ```js
+ * forever(() => {
+ *   const [target] = getSpritesInRadius(tower.x, tower.y, 150, { cloneOf: enemy });
+ *   if (target) tower.pointTowards(target);
+ * });
+ * ```
+ *
+ * @param {number} x - Centre x in the world.
+ * @param {number} y - Centre y in the world.
+ * @param {number} radius - Distance in pixels.
+ * @param {SpriteFilter} [filter] - Which sprites count.
+ * @returns {Array.<Sprite>} The sprites.
+ */
+function getSpritesInRadius(x, y, radius, filter) {
+  const rect = { left: x - radius, top: y - radius, right: x + radius, bottom: y + radius };
+  const dist = (obj) => Math.hypot(obj.x - x, obj.y - y);
+  return _queryCandidates(rect, filter)
+    .filter((obj) => dist(obj) <= radius)
+    .sort((a, b) => dist(a) - dist(b));
+}
+
+/*────────────────────────  Raycasting  ───────────────────────*/
+/**
+ * Where a ray hit something.
+ * @typedef {Object} RaycastHit
+ * @property {Sprite|Tilemap} sprite - The sprite hit, or the tilemap for a solid tile.
+ * @property {{col: number, row: number}|null} tile - The tile hit, if any.
+ * @property {number} x - Hit point x.
+ * @property {number} y - Hit point y.
+ * @property {number} distance - Distance from the start of the ray.
+ * @property {{x: number, y: number}} normal - Unit direction the hit surface faces.
+ */
+
+/**
+ * Casts a ray through the active scene and finds the first thing it hits:
+ * sprite shapes (boxes, rotated boxes and hitbox polygons) and solid or
+ * slope tiles. Hidden and HUD sprites are skipped.
+ *
+ * ```js
+ * const hit = raycast(gun.x, gun.y, gun.direction, 800, (s) => s !== gun);
+ * laser.goTo(hit ? hit.x : gun.x, hit ? hit.y : gun.y);
+ * if (hit && hit.sprite.name === "enemy") hit.sprite.delete();
+ * ```
+ *
+ * @param {number} x - Start x.
+ * @param {number} y - Start y.
+ * @param {number} direction - Scratch-style degrees: 0 = up, 90 = right.
+ * @param {number} [maxDistance=Infinity] - How far the ray reaches.
+ * @param {SpriteFilter} [filter] - Things the ray can hit; the rest it passes through.
+ * @returns {RaycastHit|null} The nearest hit, or null if nothing was hit.
+ */
+function raycast(x, y, direction, maxDistance = Infinity, filter) {
+  const rad = (direction * Math.PI) / 180;
+  return _castRay(getCurrentScene(), x, y, Math.sin(rad), -Math.cos(rad), maxDistance, filter);
+}
+
+/**
+ * Casts a ray given as a unit vector. See {@link raycast}.
+ * @private
+ * @param {Scene} scene - Scene to look in.
+ * @param {number} x - Start x.
+ * @param {number} y - Start y.
+ * @param {number} dx - Direction x (unit length).
+ * @param {number} dy - Direction y (unit length).
+ * @param {number} maxDistance - How far the ray reaches.
+ * @param {SpriteFilter} [filter] - Which things can be hit.
+ * @returns {RaycastHit|null} The nearest hit.
+ */
+function _castRay(scene, x, y, dx, dy, maxDistance, filter) {
+  let best = null;
+  const offer = (obj, tile, t, normal) => {
+    if (t <= maxDistance && (!best || t < best.distance)) {
+      best = { sprite: obj, tile, x: x + dx * t, y: y + dy * t, distance: t, normal };
     }
+  };
 
-    ctx.restore();
+  // sprites near the ray
+  const end = { x: x + dx * maxDistance, y: y + dy * maxDistance };
+  const rect = {
+    left: Math.min(x, end.x),
+    top: Math.min(y, end.y),
+    right: Math.max(x, end.x),
+    bottom: Math.max(y, end.y),
+  };
+  for (const obj of _spritesNear(scene, rect)) {
+    if (obj.hidden || obj.hud || !_matchesFilter(obj, filter)) continue;
+    for (const part of obj._collisionParts()) {
+      const hit = _rayPolygon(x, y, dx, dy, part);
+      if (hit) offer(obj, null, hit.t, hit.normal);
+    }
   }
 
-  /**
-   * Sets the current costume by index.
-   * @param {number} index - The costume index.
-   */
-  setCostume(index) {
-    if (index >= 0 && index < this.costumes.length) this.currentCostume = index;
+  for (const map of scene.tilemaps) {
+    if (map.hud || !_matchesFilter(map, filter)) continue;
+    const hit = _rayTiles(map, x, y, dx, dy, best ? best.distance : maxDistance);
+    if (hit) offer(map, hit.tile, hit.t, hit.normal);
   }
+  return best;
+}
 
-  /**
-   * Checks if the sprite is hovered at the given coordinates.
-   * @param {number} mx - The mouse x-coordinate.
-   * @param {number} my - The mouse y-coordinate.
-   * @returns {boolean} True if the mouse is over the sprite.
-   */
-  isHovered(mx, my) {
-    return this.isClicked(mx, my);
+/**
+ * Where a ray enters a convex polygon (Cyrus–Beck). A ray that starts
+ * inside hits at distance 0.
+ * @private
+ * @param {number} x - Start x.
+ * @param {number} y - Start y.
+ * @param {number} dx - Direction x.
+ * @param {number} dy - Direction y.
+ * @param {Array.<{x: number, y: number}>} poly - Convex polygon.
+ * @returns {{t: number, normal: {x: number, y: number}}|null} Distance along the ray and the edge normal.
+ */
+function _rayPolygon(x, y, dx, dy, poly) {
+  let cx = 0;
+  let cy = 0;
+  for (const p of poly) {
+    cx += p.x / poly.length;
+    cy += p.y / poly.length;
   }
-
-  /**
-   * Sets the control scheme for the sprite.
-   * @param {Object} scheme - The control scheme object.
-   */
-  setControlScheme(scheme) {
-    this.controls = scheme;
+  let enter = -Infinity;
+  let exit = Infinity;
+  let normal = { x: -dx, y: -dy };
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    let nx = b.y - a.y;
+    let ny = a.x - b.x;
+    const len = Math.hypot(nx, ny);
+    if (len === 0) continue;
+    // make the edge normal point outwards
+    if (nx * (a.x - cx) + ny * (a.y - cy) < 0) [nx, ny] = [-nx, -ny];
+    nx /= len;
+    ny /= len;
+    const facing = nx * dx + ny * dy;
+    const gap = nx * (a.x - x) + ny * (a.y - y); // > 0 while the start is inside this edge
+    if (facing === 0) {
+      if (gap < 0) return null; // parallel and outside
+    } else if (facing < 0) {
+      const t = gap / facing;
+      if (t > enter) [enter, normal] = [t, { x: nx, y: ny }];
+    } else {
+      exit = Math.min(exit, gap / facing);
+    }
   }
+  if (enter > exit || exit < 0) return null;
+  if (enter < 0) return { t: 0, normal: { x: -dx, y: -dy } };
+  return { t: enter, normal };
+}
 
-  /**
-   * Gets the sprite’s collision size.
-   * @returns {{width: number, height: number}} The collision dimensions.
-   */
-  getCollisionSize() {
-    const img = this.costumes[this.currentCostume];
-    if (this.useOriginalSize && img && img.complete && img.naturalWidth > 0) {
-      return {
-        width: img.naturalWidth * this.scale,
-        height: img.naturalHeight * this.scale,
-      };
+/**
+ * Walks a ray through a tilemap's grid cell by cell (DDA) until it meets a
+ * solid tile or the surface of a slope tile.
+ * @private
+ * @param {Tilemap} map - The tilemap.
+ * @param {number} x - Start x.
+ * @param {number} y - Start y.
+ * @param {number} dx - Direction x.
+ * @param {number} dy - Direction y.
+ * @param {number} maxDistance - How far to look.
+ * @returns {{t: number, normal: {x: number, y: number}, tile: {col: number, row: number}}|null} The hit.
+ */
+function _rayTiles(map, x, y, dx, dy, maxDistance) {
+  const { tileW, tileH } = map;
+  let { col, row } = map.worldToTile(x, y);
+  const stepC = Math.sign(dx);
+  const stepR = Math.sign(dy);
+  const lx = x - map.x;
+  const ly = y - map.y;
+  // distance along the ray to the next column / row line, and between lines
+  let nextX = dx > 0 ? ((col + 1) * tileW - lx) / dx : dx < 0 ? (col * tileW - lx) / dx : Infinity;
+  let nextY = dy > 0 ? ((row + 1) * tileH - ly) / dy : dy < 0 ? (row * tileH - ly) / dy : Infinity;
+  const deltaX = dx ? tileW / Math.abs(dx) : Infinity;
+  const deltaY = dy ? tileH / Math.abs(dy) : Infinity;
+  const { cols, rows } = map;
+
+  let t = 0;
+  let normal = { x: -dx, y: -dy }; // starting inside a solid tile
+  while (t <= maxDistance) {
+    if (map.isSolidTile(col, row)) return { t, normal, tile: { col, row } };
+    const slope = _slopeAt(map, col, row);
+    if (slope) {
+      const p = map.tileToWorld(col, row);
+      const bottom = p.y + tileH;
+      const surface = [
+        { x: p.x, y: bottom - slope.left * tileH },
+        { x: p.x + tileW, y: bottom - slope.right * tileH },
+        { x: p.x + tileW, y: bottom },
+        { x: p.x, y: bottom },
+      ];
+      const hit = _rayPolygon(x, y, dx, dy, surface);
+      if (hit && hit.t <= maxDistance) return { ...hit, tile: { col, row } };
+    }
+    // stop once the ray has left the grid for good
+    if (
+      (col < 0 && stepC <= 0) ||
+      (col >= cols && stepC >= 0) ||
+      (row < 0 && stepR <= 0) ||
+      (row >= rows && stepR >= 0)
+    ) {
+      return null;
+    }
+    if (nextX < nextY) {
+      col += stepC;
+      t = nextX;
+      nextX += deltaX;
+      normal = { x: -stepC, y: 0 };
+    } else {
+      row += stepR;
+      t = nextY;
+      nextY += deltaY;
+      normal = { x: 0, y: -stepR };
     }
-    return { width: this.size, height: this.size };
   }
+  return null;
+}
 
-  /**
-   * Checks if the sprite is on the ground (touching a hitbox).
-   * @returns {boolean} True if touching a hitbox sprite.
-   */
-  isOnGround() {
-    return this.touching.some((s) => s.hitbox);
-  }
-  /**
-   *
-   *
-   * @param {*} speed - The speed you wanna set for the sprite if controlschem is set.
-   * @memberof Sprite
-   */
-  setSpeed(speed) {
-    this.speed = speed;
+/**
+ * The slope shape of a cell on a solid layer, if it holds a slope tile.
+ * @private
+ * @param {Tilemap} map - The tilemap.
+ * @param {number} col - Column.
+ * @param {number} row - Row.
+ * @returns {{left: number, right: number}|null} The slope.
+ */
+function _slopeAt(map, col, row) {
+  for (const l of map.layers) {
+    if (!l.solid) continue;
+    const r = l.data[row];
+    const id = r && r[col];
+    if (id && map.slopes[id]) return map.slopes[id];
   }
+  return null;
+}
 
+/*────────────────────────  Zones  ───────────────────────*/
+/**
+ * An invisible area that notices sprites going in and out. Zones never
+ * draw (except as an outline while `debug` is on), never block movement
+ * and never show up in `touching`. Use {@link createZone} for instantiation.
+ *
+ * Events (register with `zone.on(...)`), each called with the sprite:
+ * - `"enter"` on the first step a sprite overlaps the zone
+ * - `"stay"` on every later step it still does
+ * - `"exit"` on the step it leaves (or is deleted or hidden)
+ *
+ * Hidden sprites don't count, just like for `touching`.
+ *
+ * @class
+ * @extends Drawable
+ */
+class Zone extends Drawable {
   /**
-   *
-   *
-   * @param {*} speed - The speed you wanna change for the sprite if controlschem is set.
-   * @memberof Sprite
+   * @param {Array.<{x: number, y: number}>} points - Outline relative to `x`/`y`.
+   * @param {number} [x=0] - X position.
+   * @param {number} [y=0] - Y position.
    */
-  changeSpeedBy(speed) {
-    this.speed += speed;
+  constructor(points, x = 0, y = 0) {
+    super(x, y);
+    /** @type {Array.<{x: number, y: number}>} Outline relative to `x`/`y` (may be concave; assign a new array to change it) */
+    this.points = points;
+    /** @type {SpriteFilter|null} Only these sprites fire events (see {@link SpriteFilter}) */
+    this.filter = null;
+    /** @type {string} Debug outline color */
+    this.color = "cyan";
+    /** @type {Object.<string, Array.<Function>>} Event listeners */
+    this.events = {};
+    /** @type {Set.<Sprite>} Sprites inside as of the last engine step */
+    this._inside = new Set();
   }
+
   /**
-   *
-   *
-   * @param {*} color - The color you want to set for sprite.
-   * @memberof Sprite
+   * Registers a callback for `"enter"`, `"stay"` or `"exit"`.
+   * @param {string} eventName - The event name.
+   * @param {function(Sprite)} callback - Called with the sprite.
    */
-  setColor(color) {
-    this.color = color;
+  on(eventName, callback) {
+    if (!this.events[eventName]) this.events[eventName] = [];
+    this.events[eventName].push(callback);
   }
 
   /**
-   * Checks if the sprite is touching a specific color on the canvas.
-   * @param {Object} targetColor - The target color to detect, with r, g, b, and a properties.
-   * @param {number} [tolerance=0] - Optional tolerance for color matching.
-   * @returns {boolean} True if the sprite is touching the target color.
+   * Triggers all callbacks for an event.
+   * @param {string} eventName - The event name.
+   * @param {Sprite} sprite - The sprite.
    */
-  isTouchingColor(targetColor, tolerance = 0) {
-  const { width, height } = this.getCollisionSize();
-  const left = Math.floor(this.x - width / 2);
-  const top = Math.floor(this.y - height / 2);
-  const right = Math.floor(this.x + width / 2);
-  const bottom = Math.floor(this.y + height / 2);
-
-  // Offsets for outline (top, bottom, left, right edges just outside)
-  const edgeOffsets = [
-    { xStart: left - 1, yStart: top, xEnd: left, yEnd: bottom },       // Left edge
-    { xStart: right, yStart: top, xEnd: right + 1, yEnd: bottom },     // Right edge
-    { xStart: left, yStart: top - 1, xEnd: right, yEnd: top },         // Top edge
-    { xStart: left, yStart: bottom, xEnd: right, yEnd: bottom + 1 },   // Bottom edge
-  ];
-
-  for (const edge of edgeOffsets) {
-    const width = edge.xEnd - edge.xStart;
-    const height = edge.yEnd - edge.yStart;
-    const imageData = ctx.getImageData(edge.xStart, edge.yStart, width, height);
-    const data = imageData.data;
-
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const a = data[i + 3];
-
-      if (
-        Math.abs(r - targetColor.r) <= tolerance &&
-        Math.abs(g - targetColor.g) <= tolerance &&
-        Math.abs(b - targetColor.b) <= tolerance &&
-        Math.abs(a - targetColor.a) <= tolerance
-      ) {
-        return true;
+  trigger(eventName, sprite) {
+    if (this.events[eventName]) {
+      for (const cb of this.events[eventName]) {
+        cb(sprite);
       }
     }
   }
 
-  return false;
-}
-
-}
-
+  /** @type {Array.<{x: number, y: number}>} Split into convex parts once, when assigned */
+  get points() {
+    return this._points;
+  }
 
+  set points(points) {
+    this._points = points;
+    this._parts = _convexParts(points);
+  }
 
-/**
- * Creates text objects to display on the canvas.
- * @class
- * @extends Drawable
- */
-class Text extends Drawable {
   /**
-   * Creates a text object. Use {@link createText} for instantiation.
-   * @param {number} x - The x-coordinate.
-   * @param {number} y - The y-coordinate.
-   * @param {string} color - The text color.
-   * @param {string} text - The text content.
-   * @param {string} [font="20px monospace"] - The font style.
-   * @param {boolean} [doCenter=false] - Whether to center the text horizontally.
+   * Gets the outline in world coordinates.
+   * @returns {Array.<{x: number, y: number}>} Vertices.
    */
-  constructor(x, y, color, text, font = "20px monospace", doCenter = false) {
-    super(x, y);
-    /** @type {string} Text color */
-    this.color = color;
-    /** @type {string} Text content */
-    this.text = text;
-    /** @type {string} Font style */
-    this.font = font;
-    /** @type {boolean} Whether to center the text horizontally */
-    this.doCenter = doCenter;
+  getPolygon() {
+    return this.points.map((p) => ({ x: this.x + p.x, y: this.y + p.y }));
   }
 
   /**
-   * Draws the text on the canvas.
+   * Checks if a sprite's collision shape overlaps the zone right now,
+   * whether or not it passes the zone's `filter`.
+   * @param {Sprite} sprite - The sprite.
+   * @returns {boolean} True if inside.
    */
-  draw() {
-    if (this.hidden) return;
-    ctx.fillStyle = this.color;
-    ctx.font = this.font;
-    let x = this.x;
-    if (this.doCenter) {
-      const textWidth = ctx.measureText(this.text).width;
-      x = (canvaX - textWidth) / 2; // Center horizontally based on canvas width
-    }
-    ctx.fillText(this.text, x, this.y);
+  contains(sprite) {
+    return this._overlaps(this._worldParts(), sprite);
   }
 
-
   /**
-   * Sets the sprite’s position.
-   * @param {number} x - The new x-coordinate.
-   * @param {number} y - The new y-coordinate.
+   * The convex parts of the outline in world coordinates.
+   * @private
+   * @returns {Array.<Array.<{x: number, y: number}>>} Parts.
    */
-  goTo(x, y) {
-    this.x = x;
-    this.y = y;
+  _worldParts() {
+    return this._parts.map((part) => part.map((p) => ({ x: this.x + p.x, y: this.y + p.y })));
   }
 
-   /**
-   * Sets the sprite’s position(ONLY X).
-   * @param {number} x - The new x-coordinate.
+  /**
+   * Checks a sprite against the zone's parts.
+   * @private
+   * @param {Array.<Array.<{x: number, y: number}>>} parts - From {@link Zone#_worldParts}.
+   * @param {Sprite} sprite - The sprite.
+   * @returns {boolean} True if they overlap.
    */
-   setX(x) {
-    this.x = x;
+  _overlaps(parts, sprite) {
+    const theirs = sprite._collisionParts();
+    return parts.some((a) => theirs.some((b) => polygonOverlap(a, b) !== null));
   }
 
   /**
-   * Sets the sprite’s position(ONLY Y).
-   * @param {number} y - The new y-coordinate.
+   * Gets the sprites inside as of the last engine step.
+   * @returns {Array.<Sprite>} The sprites.
    */
-  setY(y) {
-    this.y = y;
+  getSprites() {
+    return [...this._inside];
   }
 
   /**
-   * Changes the sprite’s position(ONLY X).
-   * @param {number} x - The x-coordinate you want to add/minus.
+   * Finds who is inside and fires the events. Called every engine step.
+   * @private
+   * @param {Map.<Drawable, number>} order - Drawing order from {@link _drawOrder}.
    */
-  changeXBy(chgX) {
-    this.x += chgX;
+  _step(order) {
+    const poly = this.getPolygon();
+    const rect = {
+      left: Math.min(...poly.map((p) => p.x)),
+      top: Math.min(...poly.map((p) => p.y)),
+      right: Math.max(...poly.map((p) => p.x)),
+      bottom: Math.max(...poly.map((p) => p.y)),
+    };
+    const parts = this._worldParts();
+    const inside = new Set(
+      _spritesNear(this.scene, rect, order).filter(
+        (sprite) =>
+          !sprite.hidden &&
+          !sprite.hud &&
+          _matchesFilter(sprite, this.filter) &&
+          this._overlaps(parts, sprite),
+      ),
+    );
+    const before = this._inside;
+    this._inside = inside;
+    for (const sprite of before) if (!inside.has(sprite)) this.trigger("exit", sprite);
+    for (const sprite of inside) this.trigger(before.has(sprite) ? "stay" : "enter", sprite);
   }
 
   /**
-   * Changes the sprite’s position(ONLY Y).
-   * @param {number} Y - The y-coordinate you want to add/minus.
+   * Draws the outline while `debug` is on.
    */
-  changeYBy(chgY) {
-    this.y += chgY;
+  draw() {
+    if (this.hidden || !debug) return;
+    const poly = this.getPolygon();
+    ctx.save();
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    poly.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.stroke();
+    ctx.restore();
   }
-
 }
 
-/*────────────────────────  RealTypeBox  ───────────────────────*/
 /**
- * Editable text field that looks like part of the canvas but
- * relies on a hidden HTML &lt;input&gt; for actual typing, giving
- * you proper IME / copy-paste support.
+ * Creates a trigger zone from a rectangle or a polygon.
  *
  * ```js
- * const chat = createTypeBox(100, 600, 500, 40);
- * chat.onSubmit(t => console.log("player typed:", t));
+ * const water = createZone(0, 500, 1280, 220);
+ * water.filter = { tag: "player" };
+ * water.on("enter", (s) => (s.gravity = 0.2));
+ * water.on("exit", (s) => (s.gravity = 1));
+ *
+ * const checkpoint = createZone([{ x: 900, y: 300 }, { x: 960, y: 300 }, { x: 930, y: 400 }]);
+ * checkpoint.on("enter", () => saveProgress());
  * ```
  *
- * @class RealTypeBox
- * @extends Drawable
+ * @param {number|Array.<{x: number, y: number}>} x - Left edge, or the outline in world coordinates.
+ * @param {number} [y] - Top edge.
+ * @param {number} [w] - Width.
+ * @param {number} [h] - Height.
+ * @returns {Zone} The zone.
  */
-class RealTypeBox extends Drawable {
-  /**
-   * @param {number} x - Left-top **x** in canvas coordinates.
-   * @param {number} y - Left-top **y** in canvas coordinates.
-   * @param {number} w - Width  of the input field (px).
-   * @param {number} h - Height of the input field (px).
-   */
-  constructor(x, y, w, h) {
-    super(x, y);
-
-    /** @type {number} Width of the visible field. */
-    this.w = w;
-    /** @type {number} Height of the visible field. */
-    this.h = h;
-    /** @type {number} Corner radius for the rounded rect. */
-    this.r = 8;
-
-    /** @type {string} Current text value. */
-    this.value = "";
-    /** @type {boolean} Whether the box currently has focus. */
-    this.focused = false;
-    /** @type {Array} Submit callbacks. */
-    this.submitCbs = [];
-
-    /* ── create the overlay <input> ───────────────────────── */
-    const tpl = document.getElementById("typeboxTemplate");
-    /** @type {HTMLInputElement} */
-    this.input = tpl.cloneNode();
-    this.input.removeAttribute("id");         // avoid duplicate IDs
-    tpl.parentNode.appendChild(this.input);
-
-    /* style it to match size */
-    this.input.style.width     = `${w}px`;
-    this.input.style.height    = `${h}px`;
-    this.input.style.fontSize  = `${h * 0.6}px`;
-
-    /* keep engine ←→ DOM value in sync */
-    this.input.addEventListener("input", () => {
-      this.value = this.input.value;
-    });
-
-    /* fire submit on Enter */
-    this.input.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        this._fireSubmit();
-        e.preventDefault();
-      }
-    });
-  }
-
-  /**
-   * Draws the box and positions its DOM &lt;input&gt; each frame.
-   * Called automatically by the engine’s main loop.
-   */
-  draw() {
-    if (this.hidden) {
-      this.input.style.display = "none";
-      return;
-    }
+function createZone(x, y, w, h) {
+  const zone = Array.isArray(x)
+    ? new Zone(x.map((p) => ({ ...p })))
+    : new Zone(
+        [
+          { x: 0, y: 0 },
+          { x: w, y: 0 },
+          { x: w, y: h },
+          { x: 0, y: h },
+        ],
+        x,
+        y,
+      );
+  drawables.push(zone);
+  return zone;
+}
 
-    
+/*────────────────────────  Particles  ───────────────────────*/
+/**
+ * Settings of a particle {@link Emitter}. Pairs like `[1, 3]` in the
+ * "random" settings pick a value in that range for each particle; lists
+ * in the "over life" settings are stops from birth to death.
+ * @typedef {Object} EmitterConfig
+ * @property {number} [rate=20] - Particles per second while emitting (0 = only bursts).
+ * @property {number} [burst=0] - Particles to emit right away.
+ * @property {number|number[]} [lifetime=1000] - Random: how long a particle lives, in ms.
+ * @property {number|number[]} [speed=[1, 3]] - Random: starting speed in pixels per engine step.
+ * @property {number|number[]} [angle=[0, 360]] - Random: starting direction, Scratch-style degrees.
+ * @property {number} [gravity=0] - Added to vertical speed every engine step.
+ * @property {number} [drag=0] - Fraction of speed lost every engine step (0-1).
+ * @property {number} [width=0] - Width of the area particles start in, around the emitter.
+ * @property {number} [height=0] - Height of that area.
+ * @property {string|string[]} [color="white"] - Over life: CSS colors (shape particles).
+ * @property {number|number[]} [opacity=[1, 0]] - Over life: opacity, 0-1.
+ * @property {number|number[]} [size=[8, 2]] - Over life: diameter in pixels.
+ * @property {string} [shape="circle"] - "circle" or "square".
+ * @property {string|HTMLImageElement|SpriteFrame|null} [image=null] - Draw this image instead of a shape.
+ * @property {string} [blend="normal"] - "normal" or "additive" (glowing overlaps).
+ * @property {number} [maxParticles=500] - Cap on living particles.
+ * @property {boolean} [removeWhenDone=false] - Delete the emitter once it stopped and its particles died.
+ */
 
-    /* 1️⃣ pretty background on the canvas */
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.fillStyle = "rgba(0,0,0,0.85)";
-    _roundRect(0, 0, this.w, this.h, this.r);
-    ctx.fill();
-    ctx.restore();
+/** @type {EmitterConfig} Defaults for {@link createEmitter} */
+const EMITTER_DEFAULTS = {
+  rate: 20,
+  burst: 0,
+  lifetime: 1000,
+  speed: [1, 3],
+  angle: [0, 360],
+  gravity: 0,
+  drag: 0,
+  width: 0,
+  height: 0,
+  color: "white",
+  opacity: [1, 0],
+  size: [8, 2],
+  shape: "circle",
+  image: null,
+  blend: "normal",
+  maxParticles: 500,
+  removeWhenDone: false,
+};
 
-    /* 2️⃣ overlay the real <input> */
-    const canvasRect = canvasEl.getBoundingClientRect();
-    this.input.style.left    = `${canvasRect.left + this.x}px`;
-    this.input.style.top     = `${canvasRect.top  + this.y}px`;
-    this.input.style.display = "block";
+/**
+ * Sprays lightweight particles: plain objects that move and fade without
+ * costumes, events or collisions, and never enter `drawables`. Use
+ * {@link createEmitter} for instantiation.
+ * @class
+ * @extends Drawable
+ */
+class Emitter extends Drawable {
+  /**
+   * @param {number} x - X position.
+   * @param {number} y - Y position.
+   * @param {EmitterConfig} [config] - Settings.
+   */
+  constructor(x, y, config = {}) {
+    super(x, y);
+    /** @type {EmitterConfig} Settings; can be changed at any time */
+    this.config = { ...EMITTER_DEFAULTS, ...config };
+    /** @type {boolean} Whether `rate` particles are being emitted */
+    this.emitting = true;
+    /** @type {Array.<{x: number, y: number, prevX: number, prevY: number, vx: number, vy: number, age: number, life: number}>} Living particles */
+    this.particles = [];
+    /** @type {{sprite: Sprite, offsetX: number, offsetY: number}|null} Sprite being followed */
+    this._follow = null;
+    /** @type {number} Fraction of a particle carried over to the next step */
+    this._pending = 0;
+    /** @type {boolean} Whether any particle was emitted yet */
+    this._emitted = false;
+    /** @type {{colors: string[], stops: Array.<{r: number, g: number, b: number, a: number}>}|null} Parsed color list */
+    this._colorStops = null;
+    /** @type {{path: string, image: HTMLImageElement}|null} Image loaded from a path */
+    this._loadedImage = null;
+    this.burst(this.config.burst);
   }
 
   /**
-   * Sets the sprite’s position.
-   * @param {number} x - The new x-coordinate.
-   * @param {number} y - The new y-coordinate.
+   * Emits particles right away.
+   * @param {number} count - How many.
    */
-  goTo(x, y) {
-    this.x = x;
-    this.y = y;
+  burst(count) {
+    const c = this.config;
+    for (let i = 0; i < count && this.particles.length < c.maxParticles; i++) {
+      const rad = (_randomIn(c.angle) * Math.PI) / 180;
+      const speed = _randomIn(c.speed);
+      const x = this.x + (Math.random() - 0.5) * c.width;
+      const y = this.y + (Math.random() - 0.5) * c.height;
+      this.particles.push({
+        x,
+        y,
+        prevX: x,
+        prevY: y,
+        vx: Math.sin(rad) * speed,
+        vy: -Math.cos(rad) * speed,
+        age: 0,
+        life: _randomIn(c.lifetime),
+      });
+      this._emitted = true;
+    }
   }
 
+  /**
+   * Starts emitting `rate` particles per second again.
+   */
+  start() {
+    this.emitting = true;
+  }
 
   /**
-   * Gives keyboard focus to this textbox.
+   * Stops emitting. Living particles play out.
    */
-  focus() {
-    this.focused = true;
-    this.input.focus();
+  stop() {
+    this.emitting = false;
   }
 
   /**
-   * Removes keyboard focus from this textbox.
+   * Removes every living particle.
    */
-  blur() {
-    this.focused = false;
-    this.input.blur();
+  clear() {
+    this.particles.length = 0;
   }
 
   /**
-   * Register a callback that runs when the user presses Enter.
+   * Keeps the emitter on a sprite, e.g. for exhaust or a magic trail.
+   * Emitting stops when the sprite is deleted.
    *
-   * @param {string} cb - Handler receiving submitted text.
+   * ```js
+   * const smoke = createEmitter(0, 0, { rate: 30, color: ["#ccc", "#444"], angle: [160, 200] });
+   * smoke.follow(rocket, 0, 40);
+   * ```
+   *
+   * @param {Sprite|null} sprite - Sprite to follow, or null to stop following.
+   * @param {number} [offsetX=0] - Offset from the sprite's centre.
+   * @param {number} [offsetY=0] - Offset from the sprite's centre.
    */
-  onSubmit(cb) {
-    this.submitCbs.push(cb);
+  follow(sprite, offsetX = 0, offsetY = 0) {
+    this._follow = sprite ? { sprite, offsetX, offsetY } : null;
+    if (sprite) {
+      this.x = sprite.x + offsetX;
+      this.y = sprite.y + offsetY;
+    }
   }
 
-  /** @private */
-  _fireSubmit() {
-    this.submitCbs.forEach((fn) => fn(this.value));
-    this.value       = "";
-    this.input.value = "";
+  /**
+   * Moves, emits and ages the particles. Called every engine step.
+   * @private
+   */
+  _step() {
+    const c = this.config;
+    if (this._follow) {
+      const { sprite, offsetX, offsetY } = this._follow;
+      if (sprite._deleted) {
+        this._follow = null;
+        this.emitting = false;
+      } else {
+        this.x = sprite.x + offsetX;
+        this.y = sprite.y + offsetY;
+      }
+    }
+
+    for (const p of this.particles) {
+      p.prevX = p.x;
+      p.prevY = p.y;
+      p.vy += c.gravity;
+      p.vx *= 1 - c.drag;
+      p.vy *= 1 - c.drag;
+      p.x += p.vx;
+      p.y += p.vy;
+      p.age += fixedDeltaTime * 1000;
+    }
+    this.particles = this.particles.filter((p) => p.age < p.life);
+
+    if (this.emitting && c.rate > 0) {
+      this._pending += c.rate * fixedDeltaTime;
+      const count = Math.floor(this._pending);
+      this._pending -= count;
+      this.burst(count);
+    }
+
+    const finished = !this.emitting || c.rate <= 0;
+    if (c.removeWhenDone && finished && this._emitted && this.particles.length === 0) this.delete();
   }
 
   /**
-   * Completely removes the textbox and its DOM element.
-   * (Called automatically if you use your engine’s `delete()`.)
+   * Color of a particle at a point of its life.
+   * @private
+   * @param {number} t - Age / lifetime, 0-1.
+   * @returns {string} CSS color.
    */
-  delete() {
-    super.delete();
-    this.input.remove();
+  _colorAt(t) {
+    const colors = this.config.color;
+    if (!Array.isArray(colors)) return colors;
+    if (colors.length === 1) return colors[0];
+    if (!this._colorStops || this._colorStops.colors !== colors) {
+      this._colorStops = { colors, stops: colors.map(_parseColor) };
+    }
+    const stops = this._colorStops.stops;
+    const at = Math.min(t, 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(at), stops.length - 2);
+    const a = stops[i];
+    const b = stops[i + 1];
+    const k = at - i;
+    const mix = (key) => Math.round(a[key] + (b[key] - a[key]) * k);
+    return `rgba(${mix("r")}, ${mix("g")}, ${mix("b")}, ${mix("a") / 255})`;
   }
 
-  
+  /**
+   * The image particles are drawn with, once loaded.
+   * @private
+   * @returns {{image: CanvasImageSource, sx: number, sy: number, sw: number, sh: number}|null} The source.
+   */
+  _imageSource() {
+    let image = this.config.image;
+    if (typeof image === "string") {
+      if (!this._loadedImage || this._loadedImage.path !== image) {
+        this._loadedImage = { path: image, image: _loadImage(image, "particle image") };
+      }
+      image = this._loadedImage.image;
+    }
+    return image ? _costumeSource(image) : null;
+  }
 
   /**
-   * Hit-test helper for click handling.
-   *
-   * @param {number} mx - Mouse **x** (canvas coords).
-   * @param {number} my - Mouse **y** (canvas coords).
-   * @returns {boolean} True if the point is inside the box.
+   * Draws the living particles.
    */
-  _hit(mx, my) {
-    return (
-      mx >= this.x &&
-      mx <= this.x + this.w &&
-      my >= this.y &&
-      my <= this.y + this.h
-    );
+  draw() {
+    if (this.hidden || this.particles.length === 0) return;
+    const c = this.config;
+    const alpha = this.scene.paused ? 1 : _renderAlpha;
+    const src = c.image && this._imageSource();
+    if (c.image && !src) return; // image still loading
+    ctx.save();
+    if (c.blend === "additive") ctx.globalCompositeOperation = "lighter";
+    for (const p of this.particles) {
+      const t = p.age / p.life;
+      const size = _overLife(c.size, t);
+      const x = p.prevX + (p.x - p.prevX) * alpha;
+      const y = p.prevY + (p.y - p.prevY) * alpha;
+      ctx.globalAlpha = Math.max(0, Math.min(1, _overLife(c.opacity, t)));
+      if (src) {
+        ctx.drawImage(src.image, src.sx, src.sy, src.sw, src.sh, x - size / 2, y - size / 2, size, size);
+      } else {
+        ctx.fillStyle = this._colorAt(t);
+        if (c.shape === "square") {
+          ctx.fillRect(x - size / 2, y - size / 2, size, size);
+        } else {
+          ctx.beginPath();
+          ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    }
+    ctx.restore();
   }
 }
 
-/*──────── rounded-rect path helper ───────*/
-
 /**
- * Adds a rounded-rectangle path to the current canvas context.
- *
+ * Picks a random value from a `[min, max]` pair, or returns a plain number.
  * @private
- * @param {number} x - Left-top x.
- * @param {number} y - Left-top y.
- * @param {number} w - Width.
- * @param {number} h - Height.
- * @param {number} r - Corner radius.
+ * @param {number|number[]} value - Number or range.
+ * @returns {number}
  */
-function _roundRect(x, y, w, h, r) {
-  ctx.beginPath();
-  ctx.moveTo(x + r, y);
-  ctx.arcTo(x + w, y, x + w, y + h, r);
-  ctx.arcTo(x + w, y + h, x, y + h, r);
-  ctx.arcTo(x, y + h, x, y, r);
-  ctx.arcTo(x, y, x + w, y, r);
-  ctx.closePath();
+function _randomIn(value) {
+  if (!Array.isArray(value)) return value;
+  return value[0] + Math.random() * (value[1] - value[0]);
 }
 
-/*──────── factory shortcut ───────────────*/
+/**
+ * Reads a value that changes over a particle's life: a number, or stops
+ * spread evenly from birth to death.
+ * @private
+ * @param {number|number[]} value - Number or stops.
+ * @param {number} t - Age / lifetime, 0-1.
+ * @returns {number}
+ */
+function _overLife(value, t) {
+  if (!Array.isArray(value)) return value;
+  if (value.length === 1) return value[0];
+  const at = Math.min(t, 1) * (value.length - 1);
+  const i = Math.min(Math.floor(at), value.length - 2);
+  return value[i] + (value[i + 1] - value[i]) * (at - i);
+}
 
 /**
- * Factory that mimics `createSprite` / `createText`.
+ * Creates a particle emitter. It can be moved like other objects,
+ * deleted with `emitter.delete()`, and is cleaned up with its scene.
  *
  * ```js
- * const tb = createTypeBox(60, 500, 400, 40);
+ * // explosion
+ * createEmitter(ship.x, ship.y, {
+ *   rate: 0, burst: 80, speed: [2, 7], lifetime: [300, 700],
+ *   color: ["white", "orange", "red"], blend: "additive", removeWhenDone: true,
+ * });
+ * // rain across the screen
+ * createEmitter(640, -10, {
+ *   rate: 120, width: 1280, angle: [175, 185], speed: 8, lifetime: 1500,
+ *   shape: "square", size: 2, opacity: 0.6, color: "#9cf",
+ * });
  * ```
  *
- * @param {number} x       - Left-top x (canvas coords).
- * @param {number} y       - Left-top y (canvas coords).
- * @param {number} [w=400] - Width  (px).
- * @param {number} [h=40]  - Height (px).
- * @returns {RealTypeBox}  The created textbox instance.
+ * @param {number} x - X position.
+ * @param {number} y - Y position.
+ * @param {EmitterConfig} [config] - Settings.
+ * @returns {Emitter} The emitter.
  */
-function createTypeBox(x, y, w = 400, h = 40) {
-  const tb = new RealTypeBox(x, y, w, h);
-  drawables.push(tb);
-  return tb;
+function createEmitter(x, y, config) {
+  const emitter = new Emitter(x, y, config);
+  drawables.push(emitter);
+  return emitter;
 }
 
-/*──────────────── focus / click glue ─────────────────*/
+/**
+ * Checks if two polygons intersect using SAT. Concave polygons are split
+ * into convex parts first.
+ * @param {Array.<{x: number, y: number}>} poly1 - First polygon vertices.
+ * @param {Array.<{x: number, y: number}>} poly2 - Second polygon vertices.
+ * @returns {boolean} True if the polygons intersect.
+ */
+function polygonsIntersect(poly1, poly2) {
+  const parts2 = _convexParts(poly2);
+  return _convexParts(poly1).some((a) => parts2.some((b) => polygonOverlap(a, b) !== null));
+}
 
-/* Extend your existing canvas click handler (add once, after sprites) */
-canvasEl.addEventListener("click", (e) => {
-  const rect = canvasEl.getBoundingClientRect();
-  const mx = e.clientX - rect.left;
-  const my = e.clientY - rect.top;
+/**
+ * Checks if a point is inside a polygon (edges count as inside).
+ * @private
+ * @param {Array.<{x: number, y: number}>} poly - Polygon vertices.
+ * @param {number} x - Point x.
+ * @param {number} y - Point y.
+ * @returns {boolean} True if inside.
+ */
+function _pointInPolygon(poly, x, y) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i];
+    const b = poly[j];
+    // on an edge
+    const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+    if (
+      Math.abs(cross) < 1e-9 &&
+      x >= Math.min(a.x, b.x) &&
+      x <= Math.max(a.x, b.x) &&
+      y >= Math.min(a.y, b.y) &&
+      y <= Math.max(a.y, b.y)
+    ) {
+      return true;
+    }
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
 
-  /* is there a TypeBox under that click? */
-  const clickedTB = drawables
-    .filter((d) => d instanceof RealTypeBox && !d.hidden)
-    .find((tb) => tb._hit(mx, my));
+/**
+ * Finds the minimum translation that separates two polygons (SAT).
+ * Polygons should be convex.
+ * @param {Array.<{x: number, y: number}>} poly1 - Polygon to push out.
+ * @param {Array.<{x: number, y: number}>} poly2 - Polygon it overlaps.
+ * @returns {{normal: {x: number, y: number}, depth: number}|null} Unit direction
+ *   to move `poly1` and how far, or null if they don't intersect.
+ */
+function polygonOverlap(poly1, poly2) {
+  function getAxes(polygon) {
+    const axes = [];
+    for (let i = 0; i < polygon.length; i++) {
+      const p1 = polygon[i];
+      const p2 = polygon[(i + 1) % polygon.length];
+      const edge = { x: p2.x - p1.x, y: p2.y - p1.y };
+      const normal = { x: -edge.y, y: edge.x };
+      const length = Math.hypot(normal.x, normal.y);
+      axes.push({ x: normal.x / length, y: normal.y / length });
+    }
+    return axes;
+  }
 
-  /* focus the clicked one, blur the rest */
-  drawables
-    .filter((d) => d instanceof RealTypeBox)
-    .forEach((tb) => (tb === clickedTB ? tb.focus() : tb.blur()));
-});
+  function project(polygon, axis) {
+    let min = Infinity,
+      max = -Infinity;
+    polygon.forEach((point) => {
+      const proj = point.x * axis.x + point.y * axis.y;
+      min = Math.min(min, proj);
+      max = Math.max(max, proj);
+    });
+    return { min, max };
+  }
+
+  function overlap(proj1, proj2) {
+    return proj1.max >= proj2.min && proj2.max >= proj1.min;
+  }
+
+  const centre = (polygon) => ({
+    x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+    y: polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length,
+  });
+
+  const axes1 = getAxes(poly1);
+  const axes2 = getAxes(poly2);
+  const axes = axes1.concat(axes2);
+  let best = null;
+  for (const axis of axes) {
+    const proj1 = project(poly1, axis);
+    const proj2 = project(poly2, axis);
+    if (!overlap(proj1, proj2)) return null;
+    const depth = Math.min(proj1.max - proj2.min, proj2.max - proj1.min);
+    if (!best || depth < best.depth) best = { normal: axis, depth };
+  }
 
+  // point the normal from poly2 towards poly1
+  const c1 = centre(poly1);
+  const c2 = centre(poly2);
+  const n = best.normal;
+  if ((c1.x - c2.x) * n.x + (c1.y - c2.y) * n.y < 0) {
+    best.normal = { x: -n.x, y: -n.y };
+  }
+  return best;
+}
 
 /**
- * Creates a new sprite and adds it to drawables.
- * @param {number} [x=0] - The starting x-coordinate.
- * @param {number} [y=0] - The starting y-coordinate.
- * @param {string} [color='white'] - The sprite color.
- * @param {...string} imageSrcs - Optional image sources for costumes.
- * @returns {Sprite} The created sprite.
+ * Generates a hitbox polygon by tracing the outline of an image's opaque
+ * pixels and simplifying it. The outline may be concave.
+ * @param {HTMLImageElement|SpriteFrame} image - The source image or sprite-sheet frame.
+ * @param {number} [alphaThreshold=10] - Alpha value a pixel must exceed to count.
+ * @param {number} [tolerance=1.5] - How far in pixels the outline may stray from the image edge.
+ * @returns {Array.<{x: number, y: number}>} Vertices in image pixels, or an empty array if the image isn't loaded.
  */
-function createSprite(x = 0, y = 0, color = "white", ...imageSrcs) {
-  const sprite = new Sprite(x, y, color, ...imageSrcs);
-  sprite.prevX = x;
-  sprite.prevY = y;
-  drawables.push(sprite);
-  return sprite;
+function generateHitboxFromImage(image, alphaThreshold = 10, tolerance = 1.5) {
+  const src = _costumeSource(image);
+  const shape = src && _traceHitbox(src, { alphaThreshold, tolerance });
+  if (!shape) return [];
+  return shape.outline.map((pt) => ({ x: pt.x + src.sw / 2, y: pt.y + src.sh / 2 }));
 }
 
+/** @type {WeakMap.<Object, Map.<string, Object>>} Alpha masks per image, then per source rectangle */
+const _alphaMaskCache = new WeakMap();
+
 /**
- * Repeats a callback every animation frame, like Scratch's "forever" loop.
- *
- * @param {Function} callback - The function to call each frame.
- * @returns {Function} A function that cancels the loop when called.
+ * Gets the alpha mask of a costume: 1 for each pixel more opaque than
+ * `alphaThreshold`, 0 elsewhere. Built once per image region and cached.
+ * @private
+ * @param {{image: CanvasImageSource, sx: number, sy: number, sw: number, sh: number}} src - From {@link _costumeSource}.
+ * @param {number} [alphaThreshold=10] - Alpha value a pixel must exceed.
+ * @returns {{width: number, height: number, bits: Uint8Array}|null} The mask, or null if the pixels can't be read.
  */
-function forever(callback) {
-  let alive = true;
-  function loop() {
-    if (!alive) return;
-    callback();
-    requestAnimationFrame(loop);
+function _alphaMask(src, alphaThreshold = 10) {
+  let perImage = _alphaMaskCache.get(src.image);
+  if (!perImage) _alphaMaskCache.set(src.image, (perImage = new Map()));
+  const key = `${src.sx},${src.sy},${src.sw},${src.sh},${alphaThreshold}`;
+  if (perImage.has(key)) return perImage.get(key);
+
+  let mask = null;
+  try {
+    const offCanvas = document.createElement("canvas");
+    offCanvas.width = src.sw;
+    offCanvas.height = src.sh;
+    const offCtx = offCanvas.getContext("2d");
+    offCtx.drawImage(src.image, src.sx, src.sy, src.sw, src.sh, 0, 0, src.sw, src.sh);
+    const data = offCtx.getImageData(0, 0, src.sw, src.sh).data;
+    const bits = new Uint8Array(src.sw * src.sh);
+    for (let i = 0; i < bits.length; i++) bits[i] = data[i * 4 + 3] > alphaThreshold ? 1 : 0;
+    mask = { width: src.sw, height: src.sh, bits };
+  } catch (err) {
+    // e.g. an image from another site without CORS: fall back to the collision shape
+    console.warn("Can't read costume pixels for pixel-perfect collision:", err);
   }
-  requestAnimationFrame(loop);
-  return () => {
-    alive = false;
-  };
+  perImage.set(key, mask);
+  return mask;
 }
 
-/** @type {Record<string, HTMLAudioElement>} */
-const _soundCache = {};
+/** @type {WeakMap.<Object, Map.<string, Object>>} Traced hitboxes per image, then per source rectangle and options */
+const _hitboxCache = new WeakMap();
 
 /**
- * Plays a sound file.
- *
- * @param {string} url - The path or URL of the sound file.
- * @param {number} [volume=1] - Volume level (0.0 to 1.0).
- * @param {boolean} [loop=false] - Whether to loop the sound.
- * @returns {HTMLAudioElement} The Audio object, useful for stopping playback.
- */
-function playSound(url, volume = 1, loop = false) {
-  let audio = _soundCache[url];
-  if (!audio) {
-    audio = new Audio(url);
-    _soundCache[url] = audio;
-  } else {
-    audio.currentTime = 0; // rewind
+ * Traces, simplifies and splits up a costume's outline. Built once per
+ * image region and cached.
+ * @private
+ * @param {{image: CanvasImageSource, sx: number, sy: number, sw: number, sh: number}} src - From {@link _costumeSource}.
+ * @param {{alphaThreshold?: number, tolerance?: number}} options - See {@link autoGenerateHitbox}.
+ * @returns {{outline: Array.<{x: number, y: number}>, parts: Array.<Array.<{x: number, y: number}>>}|null}
+ *   Points in costume pixels around the centre, or null if there is nothing to trace.
+ */
+function _traceHitbox(src, { alphaThreshold = 10, tolerance = 1.5 } = {}) {
+  let perImage = _hitboxCache.get(src.image);
+  if (!perImage) _hitboxCache.set(src.image, (perImage = new Map()));
+  const key = `${src.sx},${src.sy},${src.sw},${src.sh},${alphaThreshold},${tolerance}`;
+  if (perImage.has(key)) return perImage.get(key);
+
+  let shape = null;
+  const mask = _alphaMask(src, alphaThreshold);
+  const outlines = (mask ? _traceOutlines(mask) : [])
+    .map((ring) =>
+      _simplifyRing(ring, tolerance).map((pt) => ({ x: pt.x - src.sw / 2, y: pt.y - src.sh / 2 })),
+    )
+    .filter((outline) => outline.length >= 3);
+  if (outlines.length) {
+    // collisions use every area; clicks, bounds and slopes one outline around them all
+    const outline = outlines.length === 1 ? outlines[0] : convexHull(outlines.flat());
+    shape = { outline, parts: outlines.flatMap((o) => _convexParts(o)) };
   }
-  audio.volume = volume;
-  audio.loop = loop;
-  audio.play().catch(() => {}); // silence autoplay errors
-  return audio;
+  perImage.set(key, shape);
+  return shape;
 }
 
 /**
- * Repeats a callback a set number of times, with one frame between each call.
- *
- * @param {number} times - Number of times to repeat.
- * @param {Function} callback - The function to run each time.
- * @returns {Promise<void>} A promise that resolves after all repeats are done.
+ * Outlines every solid area of a mask. Areas that only meet at a corner
+ * are separate, and holes are filled in (a ring collides like a disc).
+ * @private
+ * @param {{width: number, height: number, bits: Uint8Array}} mask - From {@link _alphaMask}.
+ * @returns {Array.<Array.<{x: number, y: number}>>} One outline per area, biggest area first,
+ *   in pixel-edge coordinates. Empty if the mask is.
  */
-async function repeat(times, callback) {
-  for (let i = 0; i < times; i++) {
-    callback(i);
-    await wait(0); // yield to next animation frame
+function _traceOutlines(mask) {
+  const { width, height, bits } = mask;
+  const labels = new Int32Array(bits.length); // area number per pixel, 0 = not reached yet
+  const areas = [];
+  for (let first = 0; first < bits.length; first++) {
+    if (bits[first] !== 1 || labels[first]) continue;
+    // flood the area (side neighbours only, like the tracer) so it is traced once
+    const area = areas.length + 1;
+    const stack = [first];
+    labels[first] = area;
+    let size = 0;
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width;
+      size++;
+      for (const j of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+        if (j >= 0 && j < bits.length && bits[j] === 1 && !labels[j]) {
+          labels[j] = area;
+          stack.push(j);
+        }
+      }
+    }
+    const inArea = (x, y) =>
+      x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === area;
+    const ring = _traceOutline(inArea, first % width, Math.floor(first / width), width, height);
+    areas.push({ ring, size });
   }
+  return areas
+    .filter((a) => a.ring)
+    .sort((a, b) => b.size - a.size)
+    .map((a) => a.ring);
 }
 
 /**
- * Creates a new text object and adds it to drawables.
- * @param {number} x - The x-coordinate.
- * @param {number} y - The y-coordinate.
- * @param {string} color - The text color.
- * @param {string} text - The text content.
- * @param {string} [font="20px monospace"] - The font style.
- * @param {boolean} [doCenter=false] - Whether to center the text horizontally.
- * @returns {Text} The created text object.
+ * Walks around the outer edge of one solid area (marching squares),
+ * starting from its topmost pixel.
+ * @private
+ * @param {function(number, number): boolean} solid - Whether a pixel belongs to the area.
+ * @param {number} startX - Column of the area's first pixel in reading order.
+ * @param {number} startY - Row of that pixel.
+ * @param {number} width - Mask width.
+ * @param {number} height - Mask height.
+ * @returns {Array.<{x: number, y: number}>|null} Corners of the outline in pixel-edge coordinates.
  */
-function createText(
-  x,
-  y,
-  color,
-  text,
-  font = "20px monospace",
-  doCenter = false,
-) {
-  const textObj = new Text(x, y, color, text, font, doCenter);
-  drawables.push(textObj);
-  return textObj;
+function _traceOutline(solid, startX, startY, width, height) {
+  const points = [];
+  let x = startX;
+  let y = startY;
+  let dx = 0;
+  let dy = 0;
+  const limit = 4 * (width + 1) * (height + 1);
+  for (let i = 0; i < limit; i++) {
+    // the 2×2 pixels around corner (x, y): up-left 1, up-right 2, down-left 4, down-right 8
+    const state =
+      (solid(x - 1, y - 1) ? 1 : 0) |
+      (solid(x, y - 1) ? 2 : 0) |
+      (solid(x - 1, y) ? 4 : 0) |
+      (solid(x, y) ? 8 : 0);
+    let nx;
+    let ny;
+    if (state === 1 || state === 5 || state === 13) [nx, ny] = [0, -1];
+    else if (state === 8 || state === 10 || state === 11) [nx, ny] = [0, 1];
+    else if (state === 4 || state === 12 || state === 14) [nx, ny] = [-1, 0];
+    else if (state === 2 || state === 3 || state === 7) [nx, ny] = [1, 0];
+    else if (state === 6) [nx, ny] = dy === -1 ? [-1, 0] : [1, 0];
+    else if (state === 9) [nx, ny] = dx === 1 ? [0, -1] : [0, 1];
+    else break;
+    if (nx !== dx || ny !== dy) points.push({ x, y });
+    dx = nx;
+    dy = ny;
+    x += dx;
+    y += dy;
+    if (x === startX && y === startY) break;
+  }
+  return points.length >= 3 ? points : null;
+}
+
+/**
+ * Simplifies a closed outline (Ramer–Douglas–Peucker), keeping every
+ * point that is more than `tolerance` away from the simplified edges.
+ * @private
+ * @param {Array.<{x: number, y: number}>} ring - Outline points.
+ * @param {number} tolerance - Allowed error in pixels.
+ * @returns {Array.<{x: number, y: number}>} The simplified outline.
+ */
+function _simplifyRing(ring, tolerance) {
+  // split the ring at the point farthest from the first, then simplify both halves
+  let far = 0;
+  let farDist = -1;
+  for (let i = 1; i < ring.length; i++) {
+    const d = Math.hypot(ring[i].x - ring[0].x, ring[i].y - ring[0].y);
+    if (d > farDist) [far, farDist] = [i, d];
+  }
+  const keep = new Uint8Array(ring.length);
+  keep[0] = 1;
+  keep[far] = 1;
+  const stack = [
+    [0, far],
+    [far, ring.length],
+  ];
+  while (stack.length) {
+    const [from, to] = stack.pop();
+    const a = ring[from];
+    const b = ring[to % ring.length];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    let worst = -1;
+    let worstDist = tolerance;
+    for (let i = from + 1; i < to; i++) {
+      const p = ring[i];
+      const d = len === 0 ? Math.hypot(p.x - a.x, p.y - a.y) : Math.abs(cross(a, b, p)) / len;
+      if (d > worstDist) [worst, worstDist] = [i, d];
+    }
+    if (worst !== -1) {
+      keep[worst] = 1;
+      stack.push([from, worst], [worst, to]);
+    }
+  }
+  return ring.filter((_, i) => keep[i]);
+}
+
+/** @type {WeakMap.<Array, Array.<Array.<{x: number, y: number}>>>} Convex parts per polygon array */
+const _convexPartsCache = new WeakMap();
+
+/**
+ * Splits a polygon into convex pieces so SAT can test it: ear-clips it
+ * into triangles, then merges neighbours while they stay convex. Convex
+ * polygons come back whole. Results are cached per array, so assign a
+ * new array instead of editing one in place.
+ * @private
+ * @param {Array.<{x: number, y: number}>} poly - A simple polygon.
+ * @returns {Array.<Array.<{x: number, y: number}>>} Convex parts.
+ */
+function _convexParts(poly) {
+  if (_convexPartsCache.has(poly)) return _convexPartsCache.get(poly);
+  let parts;
+  if (_isConvex(poly)) {
+    parts = [poly];
+  } else {
+    // work counter-clockwise (positive area) so convex corners have a positive cross product
+    let area = 0;
+    for (let i = 0; i < poly.length; i++) {
+      const a = poly[i];
+      const b = poly[(i + 1) % poly.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    // straight corners are never ears, so drop them up front
+    let ring = poly
+      .map((_, i) => i)
+      .filter((i) => {
+        const n = poly.length;
+        return Math.abs(cross(poly[(i + n - 1) % n], poly[i], poly[(i + 1) % n])) >= 1e-9;
+      });
+    if (area < 0) ring.reverse();
+
+    const triangles = [];
+    while (ring.length > 3) {
+      const n = ring.length;
+      let ear = -1;
+      for (let i = 0; i < n && ear === -1; i++) {
+        const [p, c, q] = [poly[ring[(i + n - 1) % n]], poly[ring[i]], poly[ring[(i + 1) % n]]];
+        if (cross(p, c, q) <= 0) continue;
+        const blocked = ring.some((k) => {
+          const v = poly[k];
+          if (v === p || v === c || v === q) return false;
+          return cross(p, c, v) >= 0 && cross(c, q, v) >= 0 && cross(q, p, v) >= 0;
+        });
+        if (!blocked) ear = i;
+      }
+      if (ear === -1) break; // self-intersecting: give up below
+      triangles.push([ring[(ear + n - 1) % n], ring[ear], ring[(ear + 1) % n]]);
+      ring = ring.filter((_, i) => i !== ear);
+    }
+    if (ring.length > 3) {
+      parts = [convexHull(poly.slice())];
+    } else {
+      triangles.push(ring);
+      // merge across shared edges while the result stays convex
+      const pieces = triangles;
+      for (let merged = true; merged; ) {
+        merged = false;
+        for (let i = 0; i < pieces.length && !merged; i++) {
+          for (let j = i + 1; j < pieces.length && !merged; j++) {
+            const joined = _joinPieces(pieces[i], pieces[j]);
+            if (joined && _isConvex(joined.map((k) => poly[k]))) {
+              pieces.splice(j, 1);
+              pieces[i] = joined;
+              merged = true;
+            }
+          }
+        }
+      }
+      parts = pieces.map((piece) => piece.map((k) => poly[k]));
+    }
+  }
+  _convexPartsCache.set(poly, parts);
+  return parts;
 }
 
 /**
- * Hides a drawable object.
- * @param {Drawable} object - The object to hide.
+ * Joins two pieces (vertex index lists, same winding) along an edge they share.
+ * @private
+ * @param {number[]} a - First piece.
+ * @param {number[]} b - Second piece.
+ * @returns {number[]|null} The joined piece, or null if they share no edge.
  */
-function hide(object) {
-  object.hidden = true;
+function _joinPieces(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    const u = a[i];
+    const v = a[(i + 1) % a.length];
+    const j = b.indexOf(v);
+    if (j !== -1 && b[(j + 1) % b.length] === u) {
+      const joined = [];
+      for (let k = 1; k <= a.length; k++) joined.push(a[(i + k) % a.length]); // v around to u
+      for (let k = 2; k < b.length; k++) joined.push(b[(j + k) % b.length]); // the rest of b
+      return joined;
+    }
+  }
+  return null;
 }
 
 /**
- * Shows a drawable object.
- * @param {Drawable} object - The object to show.
+ * Checks if a polygon is convex (either winding; straight corners are fine).
+ * @private
+ * @param {Array.<{x: number, y: number}>} poly - Polygon vertices.
+ * @returns {boolean} True if convex.
  */
-function show(object) {
-  object.hidden = false;
+function _isConvex(poly) {
+  let sign = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const turn = cross(poly[i], poly[(i + 1) % poly.length], poly[(i + 2) % poly.length]);
+    if (Math.abs(turn) < 1e-9) continue;
+    if (sign === 0) sign = Math.sign(turn);
+    else if (Math.sign(turn) !== sign) return false;
+  }
+  return true;
 }
 
 /**
- * Checks if two polygons intersect using SAT.
- * @param {Array.<{x: number, y: number}>} poly1 - First polygon vertices.
- * @param {Array.<{x: number, y: number}>} poly2 - Second polygon vertices.
- * @returns {boolean} True if the polygons intersect.
+ * Compares two sprites pixel by pixel where their bounds overlap.
+ * Sprites that aren't `pixelPerfect` count with their collision shape.
+ * @private
+ * @param {Sprite} a - First sprite.
+ * @param {Sprite} b - Second sprite.
+ * @returns {boolean} True if a solid pixel of one lies on a solid pixel of the other.
  */
-function polygonsIntersect(poly1, poly2) {
-  function getAxes(polygon) {
-    const axes = [];
-    for (let i = 0; i < polygon.length; i++) {
-      const p1 = polygon[i];
-      const p2 = polygon[(i + 1) % polygon.length];
-      const edge = { x: p2.x - p1.x, y: p2.y - p1.y };
-      const normal = { x: -edge.y, y: edge.x };
-      const length = Math.hypot(normal.x, normal.y);
-      axes.push({ x: normal.x / length, y: normal.y / length });
+function _pixelsOverlap(a, b) {
+  const ra = a.getBounds();
+  const rb = b.getBounds();
+  const left = Math.max(ra.left, rb.left);
+  const top = Math.max(ra.top, rb.top);
+  const right = Math.min(ra.right, rb.right);
+  const bottom = Math.min(ra.bottom, rb.bottom);
+  if (left >= right || top >= bottom) return false;
+  const solidA = a._solidTester();
+  const solidB = b._solidTester();
+  // keep huge overlaps affordable by sampling a coarser grid
+  const step = Math.max(1, Math.sqrt(((right - left) * (bottom - top)) / 65536));
+  for (let y = top + step / 2; y < bottom; y += step) {
+    for (let x = left + step / 2; x < right; x += step) {
+      if (solidA(x, y) && solidB(x, y)) return true;
     }
-    return axes;
-  }
-
-  function project(polygon, axis) {
-    let min = Infinity,
-      max = -Infinity;
-    polygon.forEach((point) => {
-      const proj = point.x * axis.x + point.y * axis.y;
-      min = Math.min(min, proj);
-      max = Math.max(max, proj);
-    });
-    return { min, max };
   }
+  return false;
+}
 
-  function overlap(proj1, proj2) {
-    return proj1.max >= proj2.min && proj2.max >= proj1.min;
-  }
+/** @type {Map.<string, {r: number, g: number, b: number, a: number}>} Parsed CSS colors */
+const _parsedColors = new Map();
 
-  const axes1 = getAxes(poly1);
-  const axes2 = getAxes(poly2);
-  const axes = axes1.concat(axes2);
-  for (const axis of axes) {
-    const proj1 = project(poly1, axis);
-    const proj2 = project(poly2, axis);
-    if (!overlap(proj1, proj2)) return false;
+/**
+ * Turns a CSS color (or an r/g/b/a object) into 0-255 channel values.
+ * Strings are parsed by the browser once and cached.
+ * @private
+ * @param {string|{r: number, g: number, b: number, a: number}} color - The color.
+ * @returns {{r: number, g: number, b: number, a: number}} Channels, alpha 0-255.
+ */
+function _parseColor(color) {
+  if (typeof color !== "string") return { a: 255, ...color };
+  if (!_parsedColors.has(color)) {
+    const c = document.createElement("canvas");
+    c.width = 1;
+    c.height = 1;
+    const cctx = c.getContext("2d");
+    cctx.fillStyle = color;
+    cctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = cctx.getImageData(0, 0, 1, 1).data;
+    _parsedColors.set(color, { r, g, b, a });
   }
-  return true;
+  return _parsedColors.get(color);
 }
 
 /**
- * Generates a hitbox polygon from an image’s edge pixels.
- * @param {HTMLImageElement} image - The source image.
- * @param {number} [alphaThreshold=10] - Alpha value to detect edges.
- * @returns {Array.<{x: number, y: number}>} The hitbox polygon vertices.
+ * Compares one RGBA pixel with a color.
+ * @private
+ * @param {Uint8ClampedArray} data - Pixel data.
+ * @param {number} i - Index of the pixel's red channel.
+ * @param {{r: number, g: number, b: number, a: number}} color - Color to match.
+ * @param {number} tolerance - How far each channel may be off.
+ * @returns {boolean} True if it matches.
  */
-function generateHitboxFromImage(image, alphaThreshold = 10) {
-  const offCanvas = document.createElement("canvas");
-  offCanvas.width = image.naturalWidth;
-  offCanvas.height = image.naturalHeight;
-  const offCtx = offCanvas.getContext("2d");
-  offCtx.drawImage(image, 0, 0);
-  const imageData = offCtx.getImageData(
-    0,
-    0,
-    image.naturalWidth,
-    image.naturalHeight,
+function _colorMatches(data, i, color, tolerance) {
+  return (
+    Math.abs(data[i] - color.r) <= tolerance &&
+    Math.abs(data[i + 1] - color.g) <= tolerance &&
+    Math.abs(data[i + 2] - color.b) <= tolerance &&
+    Math.abs(data[i + 3] - color.a) <= tolerance
   );
-  const data = imageData.data;
-
-  const points = [];
-  for (let y = 0; y < image.naturalHeight; y++) {
-    for (let x = 0; x < image.naturalWidth; x++) {
-      const index = (y * image.naturalWidth + x) * 4;
-      const alpha = data[index + 3];
-      if (alpha > alphaThreshold) {
-        let isEdge = false;
-        for (let ny = -1; ny <= 1 && !isEdge; ny++) {
-          for (let nx = -1; nx <= 1; nx++) {
-            const x2 = x + nx;
-            const y2 = y + ny;
-            if (
-              x2 < 0 ||
-              x2 >= image.naturalWidth ||
-              y2 < 0 ||
-              y2 >= image.naturalHeight
-            ) {
-              isEdge = true;
-              break;
-            }
-            const index2 = (y2 * image.naturalWidth + x2) * 4;
-            const neighborAlpha = data[index2 + 3];
-            if (neighborAlpha <= alphaThreshold) {
-              isEdge = true;
-              break;
-            }
-          }
-        }
-        if (isEdge) {
-          points.push({ x, y });
-        }
-      }
-    }
-  }
-
-  const hull = convexHull(points);
-  return hull;
 }
 
 /**
@@ -1340,7 +7016,9 @@ function convexHull(points) {
   const sorted = points.slice().sort((a, b) => {
     const angleA = Math.atan2(a.y - start.y, a.x - start.x);
     const angleB = Math.atan2(b.y - start.y, b.x - start.x);
-    return angleA - angleB;
+    if (angleA !== angleB) return angleA - angleB;
+    // same direction from the start (e.g. level with it): nearest first, so the start leads
+    return Math.hypot(a.x - start.x, a.y - start.y) - Math.hypot(b.x - start.x, b.y - start.y);
   });
 
   const hull = [];
@@ -1368,27 +7046,45 @@ function cross(o, a, b) {
 }
 /**
  * Makes your code run after this. Only work for async function.
+ * Counts game time, so it respects {@link pauseGame} and {@link setTimeScale}.
+ * The wait belongs to the current scene: it is held while an overlay is
+ * pushed on top, and never resolves if the scene exits first.
  *
  * @param {*} ms - The ms you want to wait
- * @return {*}
+ * @return {Promise<void>}
  */
 function wait(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  return new Promise((resolve) => {
+    getCurrentScene().timers.push({ at: gameTime * 1000 + ms, resolve });
+  });
 }
 
 /**
- * Generates and assigns a hitbox for a sprite’s current costume.
- * @param {Sprite} sprite - The sprite to generate a hitbox for.
- * @param {number} [alphaThreshold=10] - Alpha value to detect edges.
+ * Gives a sprite hitboxes traced from its costumes' opaque pixels. Each
+ * costume gets its own outline once its image has loaded, simplified to a
+ * few vertices; concave shapes are kept and split into convex parts for
+ * collisions. The hitbox follows costume changes and animations, and
+ * clones keep the setting. If the current costume has loaded, its outline
+ * is also written to `sprite.hitboxPolygon`; assigning a new polygon there
+ * afterwards replaces the traced hitboxes.
+ *
+ * ```js
+ * autoGenerateHitbox(dragon);
+ * autoGenerateHitbox(tree, 10, 4); // rougher outline, fewer vertices
+ * ```
+ *
+ * @param {Sprite} sprite - The sprite to generate hitboxes for.
+ * @param {number} [alphaThreshold=10] - Alpha value a pixel must exceed to count.
+ * @param {number} [tolerance=1.5] - How far in pixels the outline may stray from the image edge.
  */
-function autoGenerateHitbox(sprite, alphaThreshold = 10) {
-  const img = sprite.costumes[sprite.currentCostume];
-  if (img && img.complete && img.naturalWidth > 0) {
-    const polygon = generateHitboxFromImage(img, alphaThreshold);
-    sprite.hitboxPolygon = polygon.map((pt) => ({
-      x: pt.x - img.naturalWidth / 2,
-      y: pt.y - img.naturalHeight / 2,
-    }));
+function autoGenerateHitbox(sprite, alphaThreshold = 10, tolerance = 1.5) {
+  sprite.autoHitbox = { alphaThreshold, tolerance };
+  // like before, the current costume's outline lands in hitboxPolygon right away
+  const src = _costumeSource(sprite.getCostume());
+  const shape = src && _traceHitbox(src, sprite.autoHitbox);
+  if (shape) {
+    sprite.hitboxPolygon = shape.outline.map((pt) => ({ ...pt }));
+    sprite._tracedPolygon = sprite.hitboxPolygon;
   }
 }
 
@@ -1410,6 +7106,61 @@ function _copyProps(src, dst, props) {
   }
 }
 
+/**
+ * How a sprite touches something.
+ * @typedef {Object} Contact
+ * @property {Sprite|Tilemap} other - What it touches.
+ * @property {string} side - Side of the sprite that touches: "top", "bottom", "left" or "right".
+ * @property {{x: number, y: number}} normal - Unit direction pointing away from `other`.
+ * @property {number} depth - How far they overlapped, in pixels.
+ * @property {boolean} solid - Whether `other` blocked the sprite.
+ */
+
+/**
+ * Builds a contact from the direction that pushes the sprite out.
+ * @private
+ * @param {Sprite|Tilemap} other - What the sprite touches.
+ * @param {number} nx - Normal x.
+ * @param {number} ny - Normal y.
+ * @param {number} depth - Overlap in pixels.
+ * @param {boolean} [solid=false] - Whether `other` blocked the sprite.
+ * @returns {Contact}
+ */
+function _makeContact(other, nx, ny, depth, solid = false) {
+  let side;
+  if (Math.abs(nx) > Math.abs(ny)) side = nx < 0 ? "right" : "left";
+  else side = ny < 0 ? "bottom" : "top";
+  return { other, side, normal: { x: nx, y: ny }, depth, solid };
+}
+
+/**
+ * Records a solid contact found while pushing a sprite out, and the
+ * mirrored one on the other sprite.
+ * @private
+ * @param {Sprite} sprite - The sprite that was pushed.
+ * @param {Sprite|Tilemap} other - What it was pushed out of.
+ * @param {number} nx - Normal x.
+ * @param {number} ny - Normal y.
+ * @param {number} depth - How far it was pushed.
+ */
+function _addContact(sprite, other, nx, ny, depth) {
+  sprite.contacts.push(_makeContact(other, nx, ny, depth, true));
+  if (other instanceof Sprite) other.contacts.push(_makeContact(sprite, -nx, -ny, depth, true));
+}
+
+/**
+ * Moves a value towards a target by at most `step`.
+ *
+ * @param {number} value
+ * @param {number} target
+ * @param {number} step
+ * @returns {number}
+ */
+function _approach(value, target, step) {
+  if (value < target) return Math.min(target, value + step);
+  return Math.max(target, value - step);
+}
+
 /**
  * Removes an item from an array without leaving holes.
  *
@@ -1422,72 +7173,321 @@ function _removeFromArray(arr, item) {
 }
 
 /**
- * The main game loop, handling updates and rendering.
+ * Runs the active scene's {@link forever} loop callbacks for one engine step.
+ * @private
  */
-function LibraryLoopMGB() {
-  canvasEl.width = canvaX; // Set drawing buffer width
-  canvasEl.height = canvaY; // Set drawing buffer height
-  canvasEl.style.width = canvaX + "px"; // Set display width
-  canvasEl.style.height = canvaY + "px"; // Set display height
+function _runForeverLoops() {
+  for (const loop of getCurrentScene().loops.slice()) {
+    if (loop.busy || loop.dead) continue;
+    const result = loop.callback();
+    if (result && typeof result.then === "function") {
+      loop.busy = true;
+      const done = () => (loop.busy = false);
+      result.then(done, done);
+    }
+  }
+}
 
-  ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
+/**
+ * Resolves every {@link wait} timer of the active scene that is due at the
+ * current game time.
+ * @private
+ */
+function _runTimers() {
+  const now = gameTime * 1000;
+  const timers = getCurrentScene().timers;
+  for (let i = 0; i < timers.length; i++) {
+    if (timers[i].at <= now) {
+      timers[i].resolve();
+      timers.splice(i--, 1);
+    }
+  }
+}
 
-  // Draw background
-  if (backgroundImg) {
-    ctx.drawImage(backgroundImg, 0, 0, canvasEl.width, canvasEl.height);
-  } else {
-    ctx.fillStyle = "black";
-    ctx.fillRect(0, 0, canvasEl.width, canvasEl.height);
+/**
+ * Moves a sprite along with the platform it stood on last step.
+ * @private
+ * @param {Sprite} sprite - The rider.
+ */
+function _ridePlatform(sprite) {
+  const platform = sprite.standingOn;
+  sprite.standingOn = null;
+  if (!platform || platform._deleted || platform.scene !== sprite.scene) return;
+  sprite.x += platform.x - sprite._carry.x;
+  sprite.y += platform.y - sprite._carry.y;
+}
+
+/**
+ * Puts a sprite down on a surface: lifts it by `depth`, marks it grounded
+ * and records the contact.
+ * @private
+ * @param {Sprite} sprite - The sprite.
+ * @param {Sprite|Tilemap} other - What it stands on.
+ * @param {number} depth - How far to lift it (negative to lower it).
+ */
+function _land(sprite, other, depth) {
+  sprite.y -= depth;
+  sprite.grounded = true;
+  if (other instanceof Sprite) sprite.standingOn = other;
+  if (sprite.physics && sprite.vy > 0) sprite.vy = 0;
+  _addContact(sprite, other, 0, -1, Math.abs(depth));
+}
+
+/**
+ * Finds the highest slope surface under a sprite's centre: slope tiles
+ * and `hitbox = "slope"` sprites that reach into its height, or lie at
+ * most `reach` below its bottom.
+ * @private
+ * @param {Sprite} sprite - The sprite.
+ * @param {Array.<Tilemap>} tilemaps - Tilemaps of the scene.
+ * @param {Array.<Sprite>} slopeSprites - Slope sprites of the scene.
+ * @param {number} reach - How far below the sprite to look.
+ * @returns {{y: number, other: Sprite|Tilemap}|null} The surface, or null.
+ */
+function _slopeUnder(sprite, tilemaps, slopeSprites, reach) {
+  const { height } = sprite.getCollisionSize();
+  const top = sprite.y - height / 2;
+  const bottom = sprite.y + height / 2 + reach;
+  let best = null;
+  const consider = (y, other) => {
+    if (y !== null && (!best || y < best.y)) best = { y, other };
+  };
+  for (const map of tilemaps) {
+    if (!_layersInteract(sprite, map, "solidMask")) continue;
+    consider(map._slopeSurfaceAt(sprite.x, top, bottom), map);
+  }
+  for (const other of slopeSprites) {
+    if (other === sprite || !_layersInteract(sprite, other, "solidMask")) continue;
+    const span = other._spanAt(sprite.x);
+    if (span && span.top <= bottom && span.bottom > top) consider(span.top, other);
   }
+  return best;
+}
 
-  // Handle movement and collisions for all sprites
+/**
+ * Pushes a moving sprite out of a tilemap's solid tiles along the axis it
+ * moved on, the same way `hitbox` sprites push it out.
+ * @private
+ * @param {Sprite} sprite - The moving sprite.
+ * @param {Tilemap} map - The tilemap.
+ * @param {number} dx - Horizontal movement this step (0 for the y pass).
+ * @param {number} dy - Vertical movement this step (0 for the x pass).
+ * @param {number} [stepUp=0] - In the x pass, tiles whose top is at most this far above the
+ *   sprite's bottom are climbed onto instead of blocking.
+ * @returns {boolean} True if the sprite was pushed out.
+ */
+function _resolveTileCollision(sprite, map, dx, dy, stepUp = 0) {
+  const { width: w, height: h } = sprite.getCollisionSize();
+  const tilesAt = () =>
+    map.getSolidTilesInRect(sprite.x - w / 2, sprite.y - h / 2, sprite.x + w / 2, sprite.y + h / 2);
+  const tiles = tilesAt();
+  if (!tiles.length) return false;
+  const { x, y } = sprite;
+  if (stepUp) {
+    const lip = y + h / 2 - Math.min(...tiles.map((t) => t.top));
+    sprite.y = y - lip;
+    if (lip <= stepUp && !tilesAt().length) {
+      sprite.y = y;
+      _land(sprite, map, lip);
+      return false;
+    }
+    sprite.y = y;
+  }
+  if (dx > 0) sprite.x = Math.min(...tiles.map((t) => t.left)) - w / 2;
+  else if (dx < 0) sprite.x = Math.max(...tiles.map((t) => t.right)) + w / 2;
+  if (dy > 0) sprite.y = Math.min(...tiles.map((t) => t.top)) - h / 2;
+  else if (dy < 0) sprite.y = Math.max(...tiles.map((t) => t.bottom)) + h / 2;
+  const depth = Math.abs(x - sprite.x) + Math.abs(y - sprite.y);
+  _addContact(sprite, map, -Math.sign(dx) || 0, -Math.sign(dy) || 0, depth);
+  return true;
+}
+
+/**
+ * Advances the game by one fixed step: loops, timers, movement,
+ * collisions and sprite updates. Speeds are measured per step, so the
+ * game runs at the same pace on every monitor.
+ * @private
+ */
+function _engineStep() {
+  gameTime += fixedDeltaTime;
+  _senseTick++;
+
+  // remember where everything was, for render interpolation
   for (const sprite of drawables.filter((obj) => obj instanceof Sprite)) {
+    sprite.prevX = sprite.x;
+    sprite.prevY = sprite.y;
+  }
+  for (const cam of _allCameras()) {
+    cam.prevX = cam.x;
+    cam.prevY = cam.y;
+  }
+  _updateCursorWorld();
+
+  _runForeverLoops();
+  _runTimers();
+  _stepTweens();
+
+  const scene = getCurrentScene();
+  const sprites = drawables.filter((obj) => obj instanceof Sprite);
+  const tilemaps = scene.tilemaps.slice();
+  const slopeSprites = sprites.filter((obj) => obj.hitbox === "slope");
+  for (const sprite of sprites) sprite.contacts = [];
+  _syncBroadphase(scene);
+  let order = _drawOrder(scene);
+  const jointShifts = _solveJoints();
+
+  // Handle movement and collisions for all sprites
+  for (const sprite of sprites) {
+    if (sprite._deleted) continue; // its scene was left during this step
     let dx = 0;
     let dy = 0;
 
-    if (sprite.controls) {
-      if (keys[sprite.controls.left]) dx -= sprite.speed;
-      if (keys[sprite.controls.right]) dx += sprite.speed;
-      if (keys[sprite.controls.up]) dy -= sprite.speed;
-      if (keys[sprite.controls.down]) dy += sprite.speed;
-    }
+    if (sprite.physics) {
+      ({ dx, dy } = sprite._integrate());
+      const pull = jointShifts.get(sprite);
+      if (pull) {
+        dx += pull.x;
+        dy += pull.y;
+      }
+    } else {
+      if (sprite.controls) {
+        if (keys[sprite.controls.left]) dx -= sprite.speed;
+        if (keys[sprite.controls.right]) dx += sprite.speed;
+        if (keys[sprite.controls.up]) dy -= sprite.speed;
+        if (keys[sprite.controls.down]) dy += sprite.speed;
+      }
 
-    if (sprite.gravity) {
-      dy += sprite.gravity;
+      if (sprite.gravity) {
+        dy += sprite.gravity;
+      }
     }
+    const wasOnGround = sprite.grounded;
+    sprite.grounded = false;
+    _ridePlatform(sprite);
+    const onSlopeBefore = sprite._onSlope;
+    sprite._onSlope = false;
 
     if (dx !== 0) {
+      let blocked = false;
       sprite.x += dx;
-      for (const other of drawables.filter(
-        (obj) => obj instanceof Sprite && obj.hitbox && obj !== sprite,
+      // walk up slopes, and over the small lip where a slope meets flat ground
+      const climb = Math.abs(dx) + 1;
+      const slope = _slopeUnder(sprite, tilemaps, slopeSprites, 0);
+      if (slope) {
+        const rise = sprite.y + sprite.getCollisionSize().height / 2 - slope.y;
+        if (rise > climb) {
+          sprite.x -= dx; // too steep: the slope is a wall here
+          blocked = true;
+        } else {
+          _land(sprite, slope.other, rise);
+          sprite._onSlope = true;
+        }
+      }
+      const stepUp = sprite._onSlope || onSlopeBefore ? climb : 0;
+
+      for (const other of _spritesNear(scene, sprite._broadBounds(), order).filter(
+        (obj) =>
+          obj.hitbox &&
+          obj.hitbox !== "oneway" &&
+          obj.hitbox !== "slope" &&
+          obj !== sprite &&
+          _layersInteract(sprite, obj, "solidMask"),
       )) {
         if (sprite.isTouching(other)) {
           const a = sprite.getCollisionSize();
           const b = other.getCollisionSize();
+          const lip = sprite.y + a.height / 2 - (other.y - b.height / 2);
+          if (lip <= stepUp) {
+            _land(sprite, other, lip);
+            continue;
+          }
+          const before = sprite.x;
+          blocked = true;
           if (dx > 0) {
             sprite.x = other.x - b.width / 2 - a.width / 2;
           } else if (dx < 0) {
             sprite.x = other.x + b.width / 2 + a.width / 2;
           }
+          _addContact(sprite, other, -Math.sign(dx), 0, Math.abs(before - sprite.x));
         }
       }
+      for (const map of tilemaps) {
+        if (!_layersInteract(sprite, map, "solidMask")) continue;
+        if (_resolveTileCollision(sprite, map, dx, 0, stepUp)) blocked = true;
+      }
+      if (blocked && sprite.physics) sprite.vx = -sprite.vx * sprite.restitution;
     }
 
     if (dy !== 0) {
+      let blocked = false;
       sprite.y += dy;
-      for (const other of drawables.filter(
-        (obj) => obj instanceof Sprite && obj.hitbox && obj !== sprite,
+      for (const other of _spritesNear(scene, sprite._broadBounds(), order).filter(
+        (obj) =>
+          obj.hitbox &&
+          obj.hitbox !== "slope" &&
+          obj !== sprite &&
+          _layersInteract(sprite, obj, "solidMask"),
       )) {
         if (sprite.isTouching(other)) {
           const a = sprite.getCollisionSize();
           const b = other.getCollisionSize();
+          if (other.hitbox === "oneway") {
+            // only blocks sprites falling onto it from above
+            const prevBottom = sprite.y - dy + a.height / 2;
+            const top = Math.max(other.y, other.prevY) - b.height / 2;
+            if (dy < 0 || prevBottom > top + 0.01) continue;
+          }
+          const before = sprite.y;
+          blocked = true;
           if (dy > 0) {
             sprite.y = other.y - b.height / 2 - a.height / 2;
+            sprite.standingOn = other;
           } else if (dy < 0) {
             sprite.y = other.y + b.height / 2 + a.height / 2;
           }
+          _addContact(sprite, other, 0, -Math.sign(dy), Math.abs(before - sprite.y));
         }
       }
+      for (const map of tilemaps) {
+        if (!_layersInteract(sprite, map, "solidMask")) continue;
+        if (_resolveTileCollision(sprite, map, 0, dy)) blocked = true;
+      }
+
+      const slope = _slopeUnder(sprite, tilemaps, slopeSprites, 0);
+      if (slope) {
+        const depth = sprite.y + sprite.getCollisionSize().height / 2 - slope.y;
+        if (dy > 0 && depth > 0) {
+          _land(sprite, slope.other, depth);
+          sprite._onSlope = true;
+        } else if (dy < 0 && depth > 0) {
+          sprite.y -= dy; // bumped the underside
+          blocked = true;
+        }
+      }
+
+      if (blocked) {
+        if (dy > 0) sprite.grounded = true; // landed from above
+        if (sprite.physics) {
+          sprite.vy = -sprite.vy * sprite.restitution;
+          if (Math.abs(sprite.vy) < 1) sprite.vy = 0; // settle instead of micro-bouncing
+        }
+      }
+    }
+
+    // stick to the ground when walking down a slope instead of hopping off it
+    if (wasOnGround && !sprite.grounded && dy >= 0) {
+      const reach = Math.abs(dx) + Math.max(dy, 0) + 1;
+      const slope = _slopeUnder(sprite, tilemaps, slopeSprites, reach);
+      if (slope) {
+        const gap = slope.y - (sprite.y + sprite.getCollisionSize().height / 2);
+        if (gap >= 0) {
+          _land(sprite, slope.other, -gap);
+          sprite._onSlope = true;
+        }
+      }
+    }
+    if (sprite.standingOn) {
+      sprite._carry = { x: sprite.standingOn.x, y: sprite.standingOn.y };
     }
 
     if (sprite.penDown && sprite.currentPath) {
@@ -1497,48 +7497,69 @@ function LibraryLoopMGB() {
       }
     }
 
+    // the stage edge is the camera's bounds/view in the world, the canvas for HUD sprites
+    const edge = sprite.hud
+      ? { left: 0, top: 0, right: canvaX, bottom: canvaY }
+      : camera.getEdges();
     const size = sprite.getCollisionSize();
     const w = size.width;
     const h = size.height;
     sprite.border = false;
-    if (sprite.x - w / 2 <= 0) {
-      if (sprite.doStopAtBorder) {sprite.x = w / 2;}
+    if (sprite.x - w / 2 <= edge.left) {
+      if (sprite.doStopAtBorder) {sprite.x = edge.left + w / 2;}
       
       sprite.border = true;
     }
-    if (sprite.y - h / 2 <= 0) {
-      if (sprite.doStopAtBorder) {sprite.y = h / 2;}
+    if (sprite.y - h / 2 <= edge.top) {
+      if (sprite.doStopAtBorder) {sprite.y = edge.top + h / 2;}
       
       sprite.border = true;
     }
-    if (sprite.x + w / 2 >= canvasEl.width) {
-      if (sprite.doStopAtBorder) {sprite.x = canvasEl.width - w / 2;}
+    if (sprite.x + w / 2 >= edge.right) {
+      if (sprite.doStopAtBorder) {sprite.x = edge.right - w / 2;}
       
       sprite.border = true;
     }
-    if (sprite.y + h / 2 >= canvasEl.height) {
-      if (sprite.doStopAtBorder) {sprite.y = canvasEl.height - h / 2;}
+    if (sprite.y + h / 2 >= edge.bottom) {
+      if (sprite.doStopAtBorder) {sprite.y = edge.bottom - h / 2;}
       
       sprite.border = true;
     }
 
     sprite.update();
+    sprite._stepAnimation(fixedDeltaTime);
+    if (!sprite._deleted) scene.broadphase.update(sprite, sprite._broadBounds());
   }
 
+  // update() can move anything, so catch up before the touch checks
+  _syncBroadphase(scene);
+  order = _drawOrder(scene);
   const collisionSprites = drawables.filter((obj) => obj instanceof Sprite);
   for (const sprite of collisionSprites) {
     const prevTouching = new Set(sprite.touching);
-    sprite.touching = collisionSprites.filter(
-      (other) => other !== sprite && sprite.isTouching(other),
-    );
+    const nearby = new Set(_spritesNear(scene, sprite._broadBounds(), order));
+    // sprites pushed apart this step are touching too, even though they no longer overlap
+    for (const c of sprite.contacts) {
+      if (c.other instanceof Sprite && order.has(c.other)) nearby.add(c.other);
+    }
+    const candidates = [...nearby].sort((a, b) => order.get(a) - order.get(b));
+    sprite.touching = candidates.filter((other) => {
+      if (other === sprite || !_layersInteract(sprite, other, "touchMask")) return false;
+      if (sprite.contacts.some((c) => c.other === other)) return true;
+      const contact = sprite.isTouching(other) && sprite._contactWith(other);
+      if (contact) sprite.contacts.push(contact);
+      return !!contact;
+    });
     for (const { target, callback } of sprite.touchCallbacks) {
-      sprite.touching.filter((s) => s === target).forEach(() => callback());
+      sprite.touching
+        .filter((s) => s === target)
+        .forEach((t) => callback(sprite.getContacts(t)[0]));
     }
     for (const { target, callback } of sprite.touchOnceCallbacks) {
       sprite.touching
         .filter((s) => s === target && !sprite.touchOnceCache.has(s))
         .forEach((t) => {
-          callback();
+          callback(sprite.getContacts(t)[0]);
           sprite.touchOnceCache.add(t);
         });
     }
@@ -1552,28 +7573,256 @@ function LibraryLoopMGB() {
     }
   }
 
-  for (const sprite of drawables.filter((obj) => obj instanceof Sprite)) {
-    for (const path of sprite.penTrails) {
-      if (path.length > 1) {
-        ctx.beginPath();
-        ctx.moveTo(path[0].x, path[0].y);
-        for (let i = 1; i < path.length; i++) {
-          ctx.lineTo(path[i].x, path[i].y);
-        }
-        ctx.strokeStyle = sprite.penColor;
-        ctx.lineWidth = sprite.penThickness;
-        ctx.stroke();
+  // touch callbacks can move sprites too
+  const zones = drawables.filter((obj) => obj instanceof Zone);
+  if (zones.length) {
+    _syncBroadphase(scene);
+    order = _drawOrder(scene);
+    for (const zone of zones) zone._step(order);
+  }
+
+  for (const emitter of drawables.filter((obj) => obj instanceof Emitter)) emitter._step();
+  _stepSounds();
+
+  for (const cam of _allCameras()) cam._step();
+}
+
+/**
+ * Recomputes the cursor's world position, which changes when the camera
+ * moves even if the mouse doesn't.
+ * @private
+ */
+function _updateCursorWorld() {
+  const view = _cameraAt(cursor.screenX, cursor.screenY);
+  const p = view.camera.screenToWorld(view.x, view.y);
+  cursor.x = p.x;
+  cursor.y = p.y;
+}
+
+/**
+ * The main game loop. Runs as many fixed engine steps as the elapsed
+ * (scaled) time allows, then renders with interpolation.
+ * @param {number} [now] - Frame timestamp in ms from `requestAnimationFrame`.
+ */
+function LibraryLoopMGB(now = performance.now()) {
+  canvasEl.width = canvaX; // Set drawing buffer width
+  canvasEl.height = canvaY; // Set drawing buffer height
+  canvasEl.style.width = canvaX + "px"; // Set display width
+  canvasEl.style.height = canvaY + "px"; // Set display height
+
+  // hold the game (and its clock) until loadAssets() is done
+  if (_loading.total && loadingScreen) {
+    _lastFrameTime = now;
+    _drawLoadingScreen();
+    requestAnimationFrame(LibraryLoopMGB);
+    return;
+  }
+
+  // clamp long gaps (e.g. a background tab) so we don't run hundreds of steps
+  const frameSeconds =
+    _lastFrameTime === null ? 0 : Math.min((now - _lastFrameTime) / 1000, 0.25);
+  _lastFrameTime = now;
+
+  _senseTick++; // things can change while paused too, so color sensing looks again
+  deltaTime = gamePaused ? 0 : frameSeconds * timeScale;
+  _accumulator += deltaTime;
+  while (_accumulator >= fixedDeltaTime) {
+    _engineStep();
+    _accumulator -= fixedDeltaTime;
+  }
+  _renderAlpha = gamePaused ? 1 : _accumulator / fixedDeltaTime;
+
+  ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
+
+  _drawBackground();
+
+  if (!viewports.length) {
+    _renderView(camera, () => true, true);
+  } else {
+    for (const vp of viewports) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(vp.x, vp.y, vp.width, vp.height);
+      ctx.clip();
+      ctx.translate(vp.x, vp.y);
+      if (vp.background) {
+        ctx.fillStyle = vp.background;
+        ctx.fillRect(0, 0, vp.width, vp.height);
+      }
+      _renderView(vp.camera, (obj) => vp.shows(obj), false);
+      if (vp.borderColor) {
+        ctx.strokeStyle = vp.borderColor;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(1, 1, vp.width - 2, vp.height - 2);
       }
+      ctx.restore();
     }
+    _renderView(camera, () => false, true); // HUD on top of every viewport
   }
 
-  for (const obj of drawables) {
-    obj.draw();
-  }
+  _drawTransition();
 
   requestAnimationFrame(LibraryLoopMGB);
 }
 
+/**
+ * Draws the background image, or black when there is none.
+ * @private
+ */
+function _drawBackground() {
+  if (backgroundImg) {
+    ctx.drawImage(backgroundImg, 0, 0, canvaX, canvaY);
+  } else {
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, canvaX, canvaY);
+  }
+}
+
+/**
+ * Runs drawing code on another canvas context instead of the main one.
+ * @private
+ * @param {CanvasRenderingContext2D} target - Context to draw on.
+ * @param {Function} fn - Drawing code.
+ */
+function _withContext(target, fn) {
+  const main = ctx;
+  ctx = target;
+  try {
+    fn();
+  } finally {
+    ctx = main;
+  }
+}
+
+/** @type {number} Counts engine steps and drawn frames; color sensing caches on it */
+let _senseTick = 0;
+
+/**
+ * The stage as color sensing sees it, shared by all sensing sprites.
+ * @type {{tick: number, canvas: HTMLCanvasElement|null, sensors: Array.<Sprite>}}
+ */
+const _senseStage = { tick: -1, canvas: null, sensors: [] };
+
+/**
+ * Draws the stage for color sensing, once per {@link _senseTick}: what the
+ * main camera shows, without debug overlays and without the sprites that
+ * sense colors, so none of them sees itself.
+ * @private
+ * @returns {HTMLCanvasElement} The stage, canvas-sized.
+ */
+function _senseStageCanvas() {
+  if (_senseStage.tick === _senseTick) return _senseStage.canvas;
+  if (!_senseStage.canvas) _senseStage.canvas = document.createElement("canvas");
+  const canvas = _senseStage.canvas;
+  canvas.width = canvaX; // also clears it
+  canvas.height = canvaY;
+  _senseStage.sensors = [];
+  for (const scene of sceneStack) {
+    for (const obj of scene.drawables) if (obj._sensesColor) _senseStage.sensors.push(obj);
+  }
+  const shown = _senseStage.sensors.filter((obj) => !obj.hidden);
+  const wasDebug = debug;
+  const alpha = _renderAlpha;
+  debug = false;
+  _renderAlpha = 1;
+  for (const obj of shown) obj.hidden = true;
+  try {
+    _withContext(canvas.getContext("2d"), () => {
+      _drawBackground();
+      _renderView(camera, () => true, true);
+    });
+  } finally {
+    for (const obj of shown) obj.hidden = false;
+    debug = wasDebug;
+    _renderAlpha = alpha;
+  }
+  _senseStage.tick = _senseTick;
+  return canvas;
+}
+
+/** @type {HTMLCanvasElement|null} Scratch canvas for {@link _renderRegion} */
+let _regionCanvas = null;
+
+/**
+ * Draws part of the screen off-screen and reads its pixels back.
+ * @private
+ * @param {number} left - Canvas x of the region.
+ * @param {number} top - Canvas y of the region.
+ * @param {number} width - Region width.
+ * @param {number} height - Region height.
+ * @param {Function} drawFn - Draws in canvas coordinates.
+ * @returns {Uint8ClampedArray} RGBA pixels of the region.
+ */
+function _renderRegion(left, top, width, height, drawFn) {
+  if (!_regionCanvas) _regionCanvas = document.createElement("canvas");
+  _regionCanvas.width = width; // also clears it
+  _regionCanvas.height = height;
+  const regionCtx = _regionCanvas.getContext("2d");
+  regionCtx.save();
+  regionCtx.translate(-left, -top);
+  _withContext(regionCtx, drawFn);
+  regionCtx.restore();
+  return regionCtx.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Draws every active scene (pen trails, then drawables) through one camera.
+ * @private
+ * @param {Camera} cam - Camera for world objects.
+ * @param {Function} shows - Decides which world objects are drawn.
+ * @param {boolean} withHUD - Whether `hud` objects are drawn too.
+ */
+function _renderView(cam, shows, withHUD) {
+  _renderCamera = cam;
+  const visible = (obj) => (obj.hud ? withHUD : shows(obj));
+
+  // Paused scenes under an overlay still draw, bottom to top
+  for (const scene of sceneStack) {
+    for (const sprite of scene.drawables.filter((obj) => obj instanceof Sprite)) {
+      if (!visible(sprite)) continue;
+      ctx.save();
+      if (!sprite.hud) cam._apply();
+      for (const path of sprite.penTrails) {
+        if (path.length > 1) {
+          // the live trail ends where the sprite is drawn, not at its last step
+          const end = path[path.length - 1];
+          const live = sprite.penDown && path === sprite.currentPath;
+          const tip =
+            live && end.x === sprite.x && end.y === sprite.y ? sprite._renderPosition() : end;
+          ctx.beginPath();
+          ctx.moveTo(path[0].x, path[0].y);
+          for (let i = 1; i < path.length - 1; i++) {
+            ctx.lineTo(path[i].x, path[i].y);
+          }
+          ctx.lineTo(tip.x, tip.y);
+          ctx.strokeStyle = sprite.penColor;
+          ctx.lineWidth = sprite.penThickness;
+          ctx.stroke();
+        }
+      }
+      ctx.restore();
+    }
+
+    for (const obj of scene.drawables) {
+      if (!visible(obj)) continue;
+      ctx.save();
+      if (!obj.hud) cam._apply();
+      obj.draw();
+      ctx.restore();
+    }
+
+    if (debug) {
+      ctx.save();
+      cam._apply();
+      for (const joint of scene.joints) {
+        if (shows(joint.a)) joint._drawDebug();
+      }
+      ctx.restore();
+    }
+  }
+  _renderCamera = camera;
+}
+
 /**
  * Sets up keyboard event listeners.
  */
@@ -1585,28 +7834,30 @@ window.addEventListener("keyup", (e) => (keys[e.key] = false));
  */
 canvasEl.addEventListener("mousemove", (e) => {
   const rect = canvasEl.getBoundingClientRect();
-  const mouseX = e.clientX - rect.left;
-  const mouseY = e.clientY - rect.top;
-  cursor.x = mouseX;
-  cursor.y = mouseY;
+  cursor.screenX = e.clientX - rect.left;
+  cursor.screenY = e.clientY - rect.top;
+  _updateCursorWorld();
+  const mouseX = cursor.x;
+  const mouseY = cursor.y;
 
   if (debug) {
     let hovered = null;
-    for (const obj of drawables) {
-      if (obj instanceof Sprite && obj.isHovered(mouseX, mouseY)) {
+    for (const obj of _spritesUnder(cursor.screenX, cursor.screenY)) {
+      const p = _toObjectSpace(obj, cursor.screenX, cursor.screenY);
+      if (obj.isHovered(p.x, p.y)) {
         hovered = obj;
         break;
       }
     }
     mousePosEl.textContent = `x: ${Math.floor(mouseX)}, y: ${Math.floor(mouseY)}${hovered ? " (hovering: " + (hovered.name || "Unnamed") + ")" : ""}`;
     if (hovered) {
+      const size = hovered.getCollisionSize();
+      const label = hovered.hud
+        ? { x: hovered.x + size.width / 2, y: hovered.y - size.height / 2 }
+        : camera.worldToScreen(hovered.x + size.width / 2, hovered.y - size.height / 2);
       ctx.font = "12px monospace";
       ctx.fillStyle = "white";
-      ctx.fillText(
-        hovered.name || "Unnamed",
-        hovered.x + hovered.getCollisionSize().width / 2 + 4,
-        hovered.y - hovered.getCollisionSize().height / 2 - 4,
-      );
+      ctx.fillText(hovered.name || "Unnamed", label.x + 4, label.y - 4);
     }
     mousePosEl.style.display = "block";
     hoverInfoEl.style.display = "block";
@@ -1640,8 +7891,9 @@ canvasEl.addEventListener("click", (e) => {
   const my = e.clientY - rect.top;
 
   // Snapshot prevents mutations from expanding the loop
-  for (const obj of drawables.slice()) {
-    if (obj instanceof Sprite && obj.isClicked(mx, my)) {
+  for (const obj of _spritesUnder(mx, my)) {
+    const p = _toObjectSpace(obj, mx, my);
+    if (obj.isClicked(p.x, p.y)) {
       obj.trigger("click", e);
     }
   }
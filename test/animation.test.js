@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle, warnings } = require("./library");
+
+test("sprite sheets slice their image into grid frames", async () => {
+  const lib = loadLibrary();
+  lib.images["hero.png"] = [128, 64];
+  lib.images["tiles.png"] = [2 + 3 * 16 + 2 * 1 + 2, 20];
+  const sheet = await lib("loadSpriteSheet")("hero.png", 32, 32).ready;
+  assert.strictEqual(sheet.frames.length, 8);
+  const src = sheet.frame(5).getSource();
+  assert.deepStrictEqual([src.sx, src.sy, src.sw, src.sh], [32, 32, 32, 32]);
+  assert.deepStrictEqual(Array.from(sheet.range(2, 4), (f) => f.index), [2, 3, 4]);
+
+  const spaced = lib("loadSpriteSheet")("tiles.png", 16, 16, { margin: 2, spacing: 1 });
+  const early = spaced.frame(2); // frames can be taken before the image loads
+  assert.strictEqual(early.getSource(), null);
+  await spaced.ready;
+  assert.strictEqual(spaced.frames.length, 3);
+  assert.strictEqual(early.getSource().sx, 2 + 2 * 17);
+});
+
+test("clips play on the engine clock and one-shots stop on their last frame", async () => {
+  const lib = loadLibrary();
+  lib.images["hero.png"] = [128, 32];
+  const sheet = await lib("loadSpriteSheet")("hero.png", 32, 32).ready;
+  const hero = lib("createSprite")(0, 0, "white", sheet.frame(0));
+  hero.addAnimation("run", sheet.range(0, 3), 10);
+  hero.addAnimation("die", [sheet.frame(3), sheet.frame(2)], 10, false);
+  const loops = [];
+  hero.on("animationLoop", (e) => loops.push(e.name));
+  hero.play("run");
+  lib.frames(1);
+  lib.frames(15); // 0.25 s
+  assert.strictEqual(hero.getCostume(), sheet.frame(2));
+  lib.frames(12);
+  assert.deepStrictEqual(loops, ["run"]);
+
+  let ended = false;
+  hero.on("animationEnd", () => (ended = true));
+  let resolved = false;
+  hero.play("die").then(() => (resolved = true));
+  lib.frames(30);
+  await settle();
+  assert.ok(ended && resolved);
+  assert.strictEqual(hero.getCostume(), sheet.frame(2));
+  hero.stopAnimation();
+  assert.strictEqual(hero.getCostume(), sheet.frame(0));
+});
+
+test("clips can use costume indexes and unknown clips warn", async () => {
+  const lib = loadLibrary();
+  const hero = lib("createSprite(0, 0, 'white', 'a.png', 'b.png')");
+  hero.addAnimation("blink", [1, 0], 60);
+  hero.play("blink");
+  assert.strictEqual(hero.getCostume(), hero.costumes[1]);
+  let done;
+  const seen = warnings(() => (done = hero.play("nope")));
+  await done;
+  assert.deepStrictEqual(seen, ["Unknown animation: nope"]);
+});
+
+test("atlases keep frame names, durations and Aseprite tags", async () => {
+  const lib = loadLibrary();
+  lib.images["hero.png"] = [64, 16];
+  const atlas = {
+    frames: {
+      run_0: { frame: { x: 0, y: 0, w: 16, h: 16 }, duration: 100 },
+      run_1: { frame: { x: 16, y: 0, w: 16, h: 16 }, duration: 300 },
+      run_2: { frame: { x: 32, y: 0, w: 16, h: 16 }, duration: 100 },
+      idle: { frame: { x: 48, y: 0, w: 8, h: 16 } },
+    },
+    meta: {
+      image: "hero.png",
+      frameTags: [{ name: "bounce", from: 0, to: 2, direction: "pingpong" }],
+    },
+  };
+  const sheet = await lib("loadAtlas")(atlas, "hero.png");
+  assert.strictEqual(sheet.frame("idle").getSource().sw, 8);
+  assert.deepStrictEqual(
+    Array.from(sheet.tag("bounce"), (f) => f.name),
+    ["run_0", "run_1", "run_2", "run_1"],
+  );
+  assert.strictEqual(sheet.tag("run").length, 3);
+
+  const hero = lib("createSprite")(0, 0, "white", sheet.frame("idle"));
+  hero.addAnimation("run", sheet.tag("run"), null); // atlas durations
+  hero.play("run");
+  lib.frames(1);
+  lib.frames(9); // 150 ms: into the 300 ms frame
+  assert.strictEqual(hero.getCostume().name, "run_1");
+  lib.frames(18); // 450 ms
+  assert.strictEqual(hero.getCostume().name, "run_2");
+});
+
+test("atlases that fail to load report the HTTP status", async () => {
+  const lib = loadLibrary();
+  lib("globalThis").fetch = async () => ({ ok: false, status: 404, statusText: "Not Found" });
+  await assert.rejects(lib("loadAtlas")("hero.json"), {
+    message: "Failed to load http://localhost/hero.json: 404 Not Found",
+  });
+});
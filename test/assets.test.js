@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle } = require("./library");
+
+/**
+ * Loads the library with a fetch that serves every URL except ones
+ * containing "missing"; JSON files hold their own URL.
+ * @returns {Function} The library.
+ */
+function withFetch() {
+  const lib = loadLibrary();
+  lib.fetched = [];
+  lib("globalThis").fetch = async (url) => {
+    lib.fetched.push(url);
+    if (url.includes("missing")) return { ok: false, status: 404, statusText: "Not Found" };
+    return { ok: true, arrayBuffer: async () => url, json: async () => ({ url }) };
+  };
+  return lib;
+}
+
+/**
+ * Runs an async function with console.warn captured.
+ * @param {function(): Promise} fn - What to run.
+ * @returns {Promise.<Array.<string>>} The warnings.
+ */
+async function asyncWarnings(fn) {
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  try {
+    await fn();
+  } finally {
+    console.warn = warn;
+  }
+  return seen;
+}
+
+test("loadAssets names files, reports progress and lists failures", async () => {
+  const lib = withFetch();
+  lib.images["img/broken.png"] = null;
+  const progress = [];
+  const manifest = {
+    images: ["img/hero.png", "img/broken.png"],
+    sounds: { coin: "sfx/coin.wav", boom: "sfx/missing.wav" },
+    fonts: { Pixel: "fonts/pixel.ttf" },
+    json: { level1: "levels/1.json", level2: "levels/missing.json" },
+  };
+  const seen = await asyncWarnings(() =>
+    lib("loadAssets")(manifest, (loaded, total) => progress.push([loaded, total])),
+  );
+  const assets = lib("assets");
+  assert.deepStrictEqual(Object.keys(assets.images), ["hero"]);
+  assert.strictEqual(assets.sounds.coin.data, "sfx/coin.wav");
+  assert.deepStrictEqual({ ...assets.json.level1 }, { url: "levels/1.json" });
+  assert.deepStrictEqual(progress.at(-1), [7, 7]);
+  assert.strictEqual(progress.length, 7);
+
+  const errors = Array.from(lib("assetErrors"), ({ type, name, url }) => `${type} ${name} ${url}`);
+  assert.deepStrictEqual(errors.sort(), [
+    "JSON level2 levels/missing.json",
+    "font Pixel fonts/pixel.ttf", // no FontFace here
+    "image broken img/broken.png",
+    "sound boom sfx/missing.wav",
+  ]);
+  assert.strictEqual(seen.length, 4);
+  assert.deepStrictEqual({ ...lib("_loading") }, { loaded: 0, total: 0 });
+});
+
+test("asset names work wherever a path does", async () => {
+  const lib = withFetch();
+  const images = { hero: "img/h.png", sky: "img/sky.png" };
+  await lib("loadAssets")({ images, sounds: ["coin.wav"] });
+  const hero = lib("createSprite(0, 0, 'white', 'hero')");
+  assert.strictEqual(hero.costumes[0], lib("assets.images.hero"));
+  assert.deepStrictEqual([...hero.loadedCostumes], [hero.costumes[0]]); // ready at once
+  await lib("setBackground('sky')");
+  assert.strictEqual(lib("backgroundImg"), lib("assets.images.sky"));
+  const sheet = lib("loadSpriteSheet")("hero", 16, 16);
+  assert.strictEqual(sheet.image, lib("assets.images.hero"));
+  lib("playSound")("coin");
+  for (let i = 0; i < 3; i++) await settle();
+  assert.deepStrictEqual(lib.fetched, ["coin.wav"]); // not fetched again
+  assert.strictEqual(lib("_audioCtx").sources.length, 1);
+});
+
+test("the loading screen holds the game until everything is in", async () => {
+  const lib = withFetch();
+  const shown = [];
+  lib("loadingScreen = (progress) => globalThis.shown.push(progress)");
+  lib("globalThis").shown = shown;
+  const loading = lib("loadAssets")({ images: ["a.png", "b.png"] });
+  lib.frames(10);
+  assert.strictEqual(lib("gameTime"), 0);
+  assert.deepStrictEqual(shown, Array(10).fill(0));
+  await loading;
+  lib.frames(1);
+  lib.frames(6);
+  assert.ok(lib("gameTime") > 0);
+  assert.strictEqual(shown.length, 10);
+
+  lib("loadingScreen = false"); // run the game while loading
+  lib("loadAssets")({ images: ["c.png"] });
+  const time = lib("gameTime");
+  lib.frames(6);
+  assert.ok(lib("gameTime") > time);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("screen and world positions convert both ways with zoom and rotation", () => {
+  const lib = loadLibrary();
+  const cam = new (lib("Camera"))(800, 600);
+  cam.goTo(100, 50);
+  cam.setZoom(2);
+  cam.rotation = 30;
+  const world = cam.screenToWorld(400, 300);
+  assert.ok(near(world.x, 100) && near(world.y, 50));
+  const screen = cam.worldToScreen(...Object.values(cam.screenToWorld(123, 45)));
+  assert.ok(near(screen.x, 123) && near(screen.y, 45));
+  cam.rotation = 0;
+  assert.deepStrictEqual({ ...cam.screenToWorld(0, 0) }, { x: -100, y: -100 });
+});
+
+test("the camera follows a sprite, smoothly with a lerp", () => {
+  const lib = loadLibrary();
+  const sprite = lib("createSprite(1000, 500, 'red')");
+  lib("camera").follow(sprite);
+  lib.frames(1);
+  lib.frames(2);
+  assert.deepStrictEqual([lib("camera.x"), lib("camera.y")], [1000, 500]);
+  lib("camera").follow(sprite, 0.5);
+  sprite.x = 1100;
+  lib("camera")._step();
+  assert.strictEqual(lib("camera.x"), 1050);
+  sprite.delete();
+  lib("camera")._step();
+  assert.strictEqual(lib("camera.target"), null);
+});
+
+test("bounds keep the view inside, centred when it doesn't fit", () => {
+  const lib = loadLibrary();
+  const cam = new (lib("Camera"))(800, 600);
+  cam.setBounds(0, 0, 2000, 1000);
+  cam.goTo(-500, 5000);
+  assert.deepStrictEqual([cam.x, cam.y], [400, 700]);
+  cam.setZoom(0.5); // the view is now 1600×1200, taller than the bounds
+  cam._clamp();
+  assert.strictEqual(cam.y, 500);
+  assert.deepStrictEqual({ ...cam.getEdges() }, { left: 0, top: 0, right: 2000, bottom: 1000 });
+  cam.clearBounds();
+  cam.setZoom(2);
+  cam.goTo(0, 0);
+  assert.deepStrictEqual({ ...cam.getEdges() }, { left: -200, top: -150, right: 200, bottom: 150 });
+});
+
+test("the view rectangle grows to fit a rotated view", () => {
+  const lib = loadLibrary();
+  const cam = new (lib("Camera"))(100, 100);
+  cam.goTo(0, 0);
+  cam.rotation = 45;
+  const rect = cam.getViewRect();
+  assert.ok(near(rect.right, Math.SQRT2 * 50) && near(rect.top, -Math.SQRT2 * 50));
+});
+
+test("shakes fade out after their duration", () => {
+  const lib = loadLibrary();
+  const cam = new (lib("Camera"))(800, 600);
+  cam.shake(10, 100);
+  cam._step();
+  assert.ok(Math.abs(cam.shakeX) <= 10 && Math.abs(cam.shakeY) <= 10);
+  for (let i = 0; i < 6; i++) cam._step();
+  assert.deepStrictEqual([cam.shakeX, cam.shakeY, cam._shake], [0, 0, null]);
+});
+
+test("HUD objects are hit-tested in screen space", () => {
+  const lib = loadLibrary();
+  lib("camera").goTo(5000, 5000);
+  const toObjectSpace = lib("_toObjectSpace");
+  assert.deepStrictEqual({ ...toObjectSpace({ hud: true }, 10, 20) }, { x: 10, y: 20 });
+  const world = { ...lib("camera").screenToWorld(10, 20) };
+  assert.deepStrictEqual({ ...toObjectSpace({ hud: false }, 10, 20) }, world);
+});
+
+test("clones of HUD sprites stay on the HUD", () => {
+  const lib = loadLibrary();
+  const icon = lib("createSprite(10, 10, 'white')");
+  icon.hud = true;
+  assert.strictEqual(icon.clone().hud, true);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, warnings } = require("./library");
+
+test("layer names get their own bits and masks combine them", () => {
+  const lib = loadLibrary();
+  const define = lib("defineCollisionLayer");
+  assert.strictEqual(define("default"), 1);
+  assert.strictEqual(define("wall"), 2);
+  assert.strictEqual(define("enemy"), 4);
+  assert.strictEqual(define("wall"), 2);
+  const sprite = lib("createSprite(0, 0, 'red')");
+  sprite.setSolidMask("wall", "bullet");
+  assert.strictEqual(sprite.solidMask, 2 | 8);
+  sprite.setTouchMask("none");
+  assert.strictEqual(sprite.touchMask, 0);
+  sprite.setTouchMask("all");
+  assert.strictEqual(sprite.touchMask, ~0);
+  for (let i = 0; i < 28; i++) define(`layer${i}`);
+  let bit;
+  const seen = warnings(() => (bit = define("extra")));
+  assert.strictEqual(bit, 0);
+  assert.deepStrictEqual(seen, ["Too many collision layers, can't add: extra"]);
+});
+
+test("solid masks decide which hitboxes block a body, both ways", () => {
+  const lib = loadLibrary();
+  const wall = lib("createSprite(300, 100, 'gray')");
+  wall.hitbox = true;
+  wall.setCollisionLayer("wall");
+  const ghost = lib("createSprite(240, 100, 'white')");
+  ghost.enablePhysics({ vx: 10, friction: 0 });
+  ghost.setSolidMask("default");
+  const ball = lib("createSprite(240, 300, 'red')");
+  ball.enablePhysics({ vx: 10, friction: 0 });
+  const blocked = lib("createSprite(240, 500, 'blue')");
+  blocked.enablePhysics({ vx: 10, friction: 0 });
+  const floor = lib("createSprite(300, 300, 'gray')");
+  floor.hitbox = true;
+  floor.setCollisionLayer("wall");
+  floor.setSolidMask("enemy"); // the ball is on "default", so the floor lets it through
+  const post = lib("createSprite(300, 500, 'gray')");
+  post.hitbox = true;
+  lib.steps(10);
+  assert.strictEqual(ghost.x, 340);
+  assert.strictEqual(ball.x, 340);
+  assert.ok(blocked.x < 300);
+  assert.strictEqual(blocked.vx, 0);
+});
+
+test("touch masks filter touch events and the touching list", () => {
+  const lib = loadLibrary();
+  const player = lib("createSprite(100, 100, 'red')");
+  const coin = lib("createSprite(110, 100, 'yellow')");
+  const spike = lib("createSprite(90, 100, 'gray')");
+  coin.setCollisionLayer("pickup");
+  spike.setCollisionLayer("hazard");
+  player.setTouchMask("pickup");
+  const touched = [];
+  player.onTouch(coin, () => touched.push("coin"));
+  player.onTouch(spike, () => touched.push("spike"));
+  lib.steps(1);
+  assert.deepStrictEqual([...touched], ["coin"]);
+  assert.deepStrictEqual([...player.touching], [coin]);
+});
+
+test("tilemaps block only sprites whose solid mask includes their layer", () => {
+  const lib = loadLibrary();
+  const map = lib("createTilemap")(null, 32, 32, [[0, 0, 0], [0, 0, 0], [1, 1, 1]]);
+  map.setSolid(1);
+  map.collisionLayer = "ground";
+  const walker = lib("createSprite(48, 10, 'red')");
+  walker.enablePhysics();
+  walker.gravity = 1;
+  const diver = lib("createSprite(16, 10, 'blue')");
+  diver.enablePhysics();
+  diver.gravity = 1;
+  diver.setSolidMask("default");
+  lib.steps(20);
+  assert.strictEqual(walker.y, 64 - walker.getCollisionSize().height / 2);
+  assert.ok(diver.y > 96);
+});
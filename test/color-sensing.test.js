@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+/**
+ * Loads the library with a lime "grass" block on the black stage, and a
+ * red car beside it. The camera looks at the stage's middle, so world and
+ * screen positions are the same.
+ * @returns {Array} The library, the grass and the car.
+ */
+function withTrack() {
+  const lib = loadLibrary();
+  const grass = lib("createSprite(400, 300, 'lime')");
+  grass.setSize(100);
+  const car = lib("createSprite(200, 300, '#ff0000')");
+  car.setSize(20);
+  return [lib, grass, car];
+}
+
+test("CSS colors parse to channels", () => {
+  const lib = loadLibrary();
+  const parse = (color) => ({ ...lib("_parseColor")(color) });
+  assert.deepStrictEqual(parse("#0f0"), { r: 0, g: 255, b: 0, a: 255 });
+  assert.deepStrictEqual(parse("yellow"), { r: 255, g: 255, b: 0, a: 255 });
+  assert.deepStrictEqual(parse({ r: 1, g: 2, b: 3 }), { r: 1, g: 2, b: 3, a: 255 });
+  const matches = lib("_colorMatches");
+  const pixel = new Uint8Array([100, 100, 100, 255]);
+  assert.ok(matches(pixel, 0, { r: 105, g: 95, b: 100, a: 255 }, 5));
+  assert.ok(!matches(pixel, 0, { r: 106, g: 100, b: 100, a: 255 }, 5));
+});
+
+test("sprites sense the stage colors under them, not their own", () => {
+  const [lib, grass, car] = withTrack();
+  assert.ok(car.isTouchingColor("black"));
+  assert.ok(!car.isTouchingColor("lime"));
+  assert.ok(!car.isTouchingColor("#ff0000")); // its own color doesn't count
+  car.x = grass.x - 55; // half over the grass
+  assert.ok(!car.isTouchingColor("lime")); // cached for the rest of the step
+  lib.steps(1);
+  assert.ok(car.isTouchingColor("lime") && car.isTouchingColor("black"));
+  assert.ok(car.isTouchingColor({ r: 10, g: 250, b: 0 }, 10));
+  assert.ok(!car.isTouchingColor({ r: 20, g: 250, b: 0 }, 10));
+});
+
+test("colorIsTouchingColor compares the sprite's pixels with the stage's", () => {
+  const [lib, grass, car] = withTrack();
+  car.x = grass.x;
+  lib.steps(1);
+  assert.ok(car.colorIsTouchingColor("red", "lime"));
+  assert.ok(!car.colorIsTouchingColor("red", "black"));
+  assert.ok(!car.colorIsTouchingColor("blue", "lime"));
+});
+
+test("hidden and off-screen sprites sense nothing", () => {
+  const [lib, , car] = withTrack();
+  car.hidden = true;
+  assert.ok(!car.isTouchingColor("black"));
+  lib.steps(1);
+  car.hidden = false;
+  car.x = -500;
+  assert.ok(!car.isTouchingColor("black"));
+});
+
+test("sensing sprites see each other but not themselves", () => {
+  const [lib, , car] = withTrack();
+  const other = lib("createSprite(210, 300, 'blue')");
+  other.setSize(20);
+  lib.steps(1);
+  assert.ok(car.isTouchingColor("blue") && other.isTouchingColor("#ff0000"));
+  assert.ok(!car.isTouchingColor("#ff0000") && !other.isTouchingColor("blue"));
+});
+
+test("the stage is drawn once per step for every sensing sprite", () => {
+  const [lib, , car] = withTrack();
+  const other = lib("createSprite(600, 300, 'blue')");
+  lib("var __drawn = 0; var __draw = _drawBackground;");
+  lib("_drawBackground = () => (__drawn++, __draw())");
+  lib.steps(1);
+  car.isTouchingColor("lime");
+  other.isTouchingColor("lime");
+  car.isTouchingColor("black");
+  assert.strictEqual(lib("__drawn"), 2); // again once the second sensor joined
+  lib.steps(1);
+  car.isTouchingColor("lime");
+  other.isTouchingColor("lime");
+  assert.strictEqual(lib("__drawn"), 3);
+});
+
+test("color sensing looks again every frame while paused", () => {
+  const [lib, grass, car] = withTrack();
+  lib.frames(1);
+  lib("pauseGame()");
+  assert.ok(!car.isTouchingColor("lime"));
+  grass.x = car.x;
+  lib.frames(1);
+  assert.ok(car.isTouchingColor("lime"));
+});
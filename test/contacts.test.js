@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("overlapping sprites report the side, normal and depth", () => {
+  const lib = loadLibrary();
+  const player = lib("createSprite(100, 100, 'red')");
+  const box = lib("createSprite(100, 100, 'blue')");
+  const { width, height } = player.getCollisionSize();
+  box.x = 100 + width - 4; // 4px overlap on the player's right
+  lib.steps(1);
+  const [c] = player.getContacts(box);
+  assert.deepStrictEqual(
+    [c.side, c.normal.x, c.normal.y, c.depth, c.solid],
+    ["right", -1, 0, 4, false],
+  );
+  const [mirror] = box.getContacts(player);
+  assert.deepStrictEqual([mirror.side, mirror.normal.x], ["left", 1]);
+  box.x = 100;
+  box.y = 100 - height + 3;
+  lib.steps(1);
+  const [top] = player.getContacts(box);
+  assert.deepStrictEqual([top.side, top.depth], ["top", 3]);
+  box.y = 1000;
+  lib.steps(1);
+  assert.strictEqual(player.getContacts().length, 0);
+});
+
+test("bodies landing on a hitbox get a solid bottom contact", () => {
+  const lib = loadLibrary();
+  const floor = lib("createSprite(200, 400, 'gray')");
+  floor.setSize(200);
+  floor.hitbox = true;
+  const body = lib("createSprite(200, 250, 'red')");
+  body.enablePhysics();
+  body.gravity = 1;
+  const landed = [];
+  body.onTouch(floor, (contact) => landed.push(contact.side));
+  lib.steps(30);
+  const [c] = body.getContacts(floor);
+  assert.deepStrictEqual([c.side, c.normal.x, c.normal.y, c.solid], ["bottom", 0, -1, true]);
+  assert.strictEqual(floor.getContacts(body)[0].side, "top");
+  assert.ok(landed.length > 0 && landed.every((side) => side === "bottom"));
+  assert.ok(body.isOnGround());
+  assert.ok(!body.isTouchingCeiling() && !body.isTouchingWall());
+});
+
+test("walls and ceilings are found beside the sprite", () => {
+  const lib = loadLibrary();
+  const body = lib("createSprite(100, 100, 'red')");
+  const { width, height } = body.getCollisionSize();
+  const wall = lib("createSprite(0, 100, 'gray')");
+  wall.hitbox = true;
+  wall.x = 100 + width; // flush against the right side
+  const roof = lib("createSprite(100, 0, 'gray')");
+  roof.hitbox = true;
+  roof.y = 100 - height;
+  assert.ok(body.isTouchingWall("right") && body.isTouchingWall());
+  assert.ok(!body.isTouchingWall("left"));
+  assert.ok(body.isTouchingCeiling());
+  assert.ok(!body.isOnGround());
+});
+
+test("solid tiles give contacts too", () => {
+  const lib = loadLibrary();
+  const map = lib("createTilemap")(null, 32, 32, [[0, 0], [0, 0], [1, 1]]);
+  map.setSolid(1);
+  const body = lib("createSprite(32, 10, 'red')");
+  body.enablePhysics();
+  body.gravity = 1;
+  lib.steps(20);
+  const [c] = body.getContacts(map);
+  assert.deepStrictEqual([c.side, c.normal.y, c.solid], ["bottom", -1, true]);
+});
+
+test("polygonOverlap finds the shortest way out", () => {
+  const lib = loadLibrary();
+  const square = (x, y) => [
+    { x, y },
+    { x: x + 10, y },
+    { x: x + 10, y: y + 10 },
+    { x, y: y + 10 },
+  ];
+  const hit = lib("polygonOverlap")(square(7, 1), square(0, 0));
+  assert.ok(near(hit.depth, 3));
+  assert.ok(near(hit.normal.x, 1) && near(hit.normal.y, 0));
+  assert.strictEqual(lib("polygonOverlap")(square(20, 0), square(0, 0)), null);
+  assert.strictEqual(lib("polygonsIntersect")(square(5, 5), square(0, 0)), true);
+});
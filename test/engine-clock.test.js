@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle } = require("./library");
+
+/**
+ * Loads the library with a forever loop that counts its calls.
+ * @returns {{lib: Function, calls: function(): number}}
+ */
+function counting() {
+  const lib = loadLibrary();
+  lib("var __calls = 0; forever(() => __calls++);");
+  lib.frames(1); // the first frame only starts the clock
+  return { lib, calls: () => lib("__calls") };
+}
+
+test("forever runs 60 times per game second at any frame rate", () => {
+  for (const fps of [30, 60, 144]) {
+    const { lib, calls } = counting();
+    lib.frames(fps, 1000 / fps);
+    assert.ok(Math.abs(calls() - 60) <= 1, `${fps} fps: ${calls()} steps`);
+    assert.ok(Math.abs(lib("gameTime") - 1) < 0.02);
+  }
+});
+
+test("pausing freezes the game clock and resuming carries on", () => {
+  const { lib, calls } = counting();
+  lib.frames(10);
+  lib("pauseGame()");
+  const before = calls();
+  const time = lib("gameTime");
+  lib.frames(30);
+  assert.strictEqual(calls(), before);
+  assert.strictEqual(lib("gameTime"), time);
+  assert.strictEqual(lib("deltaTime"), 0);
+  lib("resumeGame()");
+  lib.frames(10);
+  assert.ok(calls() > before);
+});
+
+test("time scale slows the steps down", () => {
+  const { lib, calls } = counting();
+  lib("setTimeScale(0.5)");
+  lib.frames(60);
+  assert.ok(Math.abs(calls() - 30) <= 1, `${calls()} steps`);
+  assert.ok(Math.abs(lib("deltaTime") - 0.5 / 60) < 1e-9);
+  lib("setTimeScale(-1)");
+  assert.strictEqual(lib("timeScale"), 0);
+});
+
+test("long gaps between frames are clamped", () => {
+  const { lib, calls } = counting();
+  lib.frames(1, 5000);
+  assert.ok(Math.abs(calls() - 15) <= 1, `${calls()} steps`);
+});
+
+test("wait counts game time, so it holds while paused", async () => {
+  const lib = loadLibrary();
+  lib.frames(1);
+  let done = false;
+  lib("wait(500)").then(() => (done = true));
+  lib.frames(20);
+  await settle();
+  assert.strictEqual(done, false);
+  lib("pauseGame()");
+  lib.frames(60);
+  await settle();
+  assert.strictEqual(done, false);
+  lib("resumeGame()");
+  lib.frames(12);
+  await settle();
+  assert.strictEqual(done, true);
+});
+
+test("a forever loop that returns a promise waits for it", async () => {
+  const lib = loadLibrary();
+  lib("var __calls = 0; forever(() => (__calls++, wait(100)));");
+  lib.frames(1);
+  for (let i = 0; i < 60; i++) {
+    lib.frames(1);
+    await settle();
+  }
+  // a call, then 100 ms (6 steps) of waiting before the next
+  const calls = lib("__calls");
+  assert.ok(calls >= 8 && calls <= 10, `${calls} calls`);
+});
+
+test("sprites move the same distance per game second at any frame rate", () => {
+  for (const fps of [30, 120]) {
+    const lib = loadLibrary();
+    lib("var __s = createSprite(0, 0, 'red'); forever(() => (__s.x += 2));");
+    lib.frames(1);
+    lib.frames(fps, 1000 / fps);
+    assert.ok(Math.abs(lib("__s.x") - 120) <= 2, `${fps} fps: x = ${lib("__s.x")}`);
+  }
+});
+
+test("pen trails end where the sprite is drawn between steps", () => {
+  const lib = loadLibrary();
+  const pen = lib("createSprite(0, 100, 'red')");
+  pen.enablePhysics({ vx: 10, friction: 0 });
+  pen.startDrawing();
+  lib.frames(1);
+  const lines = [];
+  lib("ctx").lineTo = (x, y) => lines.push([x, y]);
+  lib.frames(1, 25); // one step and half of the next
+  assert.strictEqual(pen.x, 10);
+  const [x, y] = lines.at(-1);
+  assert.ok(Math.abs(x - 5) < 1e-9 && y === 100, `${x}, ${y}`);
+  assert.strictEqual(pen._renderPosition().x, x);
+});
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle } = require("./library");
+
+const lib = loadLibrary();
+const convexHull = lib("convexHull");
+const traceOutlines = lib("_traceOutlines");
+const simplifyRing = lib("_simplifyRing");
+const convexParts = lib("_convexParts");
+const isConvex = lib("_isConvex");
+
+const box = (x, y, w, h) => [
+  { x, y },
+  { x: x + w, y },
+  { x: x + w, y: y + h },
+  { x, y: y + h },
+];
+const area = (poly) => {
+  let sum = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(sum) / 2;
+};
+// rows of "#" (solid) and "." (clear), the way _alphaMask stores them
+const mask = (...rows) => ({
+  width: rows[0].length,
+  height: rows.length,
+  bits: Uint8Array.from(rows.join(""), (ch) => (ch === "#" ? 1 : 0)),
+});
+
+test("convexHull keeps the corners and drops points along the edges", () => {
+  const points = [...box(0, 0, 4, 4), { x: 2, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 2 }];
+  const hull = convexHull(points);
+  assert.strictEqual(hull.length, 4);
+  assert.strictEqual(area(hull), 16);
+});
+
+test("_traceOutlines outlines one square", () => {
+  const outlines = traceOutlines(mask("....", ".##.", ".##.", "...."));
+  assert.strictEqual(outlines.length, 1);
+  assert.strictEqual(outlines[0].length, 4);
+  assert.strictEqual(area(outlines[0]), 4);
+});
+
+test("_traceOutlines follows concave edges", () => {
+  const [outline] = traceOutlines(mask("##..", "##..", "####", "####"));
+  assert.strictEqual(outline.length, 6);
+  assert.strictEqual(area(outline), 12);
+});
+
+test("_traceOutlines gives every area, biggest first", () => {
+  const outlines = traceOutlines(mask("#....", ".....", "..###", "..###"));
+  assert.strictEqual(outlines.length, 2);
+  assert.strictEqual(area(outlines[0]), 6);
+  assert.strictEqual(area(outlines[1]), 1);
+});
+
+test("_traceOutlines keeps areas that only touch at a corner apart", () => {
+  assert.strictEqual(traceOutlines(mask("#.", ".#")).length, 2);
+});
+
+test("_traceOutlines fills holes", () => {
+  const outlines = traceOutlines(mask("###", "#.#", "###"));
+  assert.strictEqual(outlines.length, 1);
+  assert.strictEqual(area(outlines[0]), 9);
+});
+
+test("_traceOutlines returns nothing for an empty mask", () => {
+  assert.strictEqual(traceOutlines(mask("...", "...")).length, 0);
+});
+
+test("_simplifyRing drops points within the tolerance", () => {
+  const ring = [
+    { x: 0, y: 0 },
+    { x: 5, y: 0.2 },
+    { x: 10, y: 0 },
+    { x: 10, y: 10 },
+    { x: 5, y: 10 },
+    { x: 0, y: 10 },
+  ];
+  const simple = simplifyRing(ring, 0.5);
+  assert.strictEqual(simple.length, 4);
+  assert.strictEqual(simplifyRing(ring, 0.1).length, 5);
+});
+
+test("_convexParts returns convex polygons whole", () => {
+  const square = box(0, 0, 10, 10);
+  const parts = convexParts(square);
+  assert.strictEqual(parts.length, 1);
+  assert.strictEqual(parts[0], square);
+});
+
+test("_convexParts splits a concave polygon into convex pieces that cover it", () => {
+  const ell = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 10, y: 4 },
+    { x: 4, y: 4 },
+    { x: 4, y: 10 },
+    { x: 0, y: 10 },
+  ];
+  const parts = convexParts(ell);
+  assert.ok(parts.length >= 2);
+  assert.ok(parts.every((part) => isConvex(part)));
+  const total = parts.reduce((sum, part) => sum + area(part), 0);
+  assert.ok(Math.abs(total - area(ell)) < 1e-9);
+  assert.strictEqual(convexParts(ell), parts); // cached per array
+});
+
+test("traced hitboxes follow the costume's opaque pixels", async () => {
+  const lib = loadLibrary();
+  lib.images["ell.png"] = [40, 40];
+  const ell = lib("createSprite(100, 100, 'white', 'ell.png')");
+  await settle();
+  // an L: the top-right 20×20 quarter is clear
+  ell.getCostume().alphaAt = (x, y) => (x >= 20 && y < 20 ? 0 : 255);
+  const outline = [...lib("generateHitboxFromImage")(ell.getCostume())];
+  assert.strictEqual(area(outline), 40 * 40 - 20 * 20);
+
+  const ball = lib("createSprite(110, 90, 'red')");
+  ball.size = 10;
+  assert.ok(ball.isTouching(ell)); // inside the box
+  lib("autoGenerateHitbox")(ell);
+  assert.ok(!ball.isTouching(ell)); // in the notch
+  ball.x = 90;
+  assert.ok(ball.isTouching(ell));
+  assert.ok(ell.clone().autoHitbox);
+});
+
+test("autoGenerateHitbox writes hitboxPolygon, and a new polygon replaces it", async () => {
+  const lib = loadLibrary();
+  const ell = lib("createSprite(100, 100, 'white', 'ell.png')");
+  await settle();
+  ell.getCostume().alphaAt = (x, y) => (x >= 16 && y < 16 ? 0 : 255);
+  lib("autoGenerateHitbox")(ell);
+  assert.strictEqual(area(ell.hitboxPolygon), 32 * 32 - 16 * 16);
+  const shape = ell._hitboxShape();
+  assert.strictEqual(ell._hitboxShape(), shape); // kept between checks
+
+  const ball = lib("createSprite(108, 92, 'red')");
+  ball.size = 6;
+  assert.ok(!ball.isTouching(ell)); // in the notch
+  ell.hitboxPolygon = box(-16, -16, 32, 32);
+  assert.ok(ball.isTouching(ell));
+});
+
+test("costumes with separate areas collide with each of them", async () => {
+  const lib = loadLibrary();
+  const pair = lib("createSprite(100, 100, 'white', 'pair.png')");
+  await settle();
+  // two 8-pixel-wide bars at the left and right edges
+  pair.getCostume().alphaAt = (x) => (x < 8 || x >= 24 ? 255 : 0);
+  lib("autoGenerateHitbox")(pair);
+  assert.strictEqual(area(pair.hitboxPolygon), 32 * 32); // one outline around both
+  const ball = lib("createSprite(100, 100, 'red')");
+  ball.size = 4;
+  assert.ok(!ball.isTouching(pair) && !pair.isClicked(100, 100));
+  ball.x = 90;
+  assert.ok(ball.isTouching(pair) && pair.isClicked(90, 100));
+});
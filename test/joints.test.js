@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, warnings } = require("./library");
+
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+test("distance joints keep a body at their length from a world point", () => {
+  const lib = loadLibrary();
+  const ball = lib("createSprite(300, 100, 'red')");
+  ball.enablePhysics({ friction: 0 });
+  ball.gravity = 1;
+  const joint = lib("createJoint")("distance", ball, { x: 100, y: 100 });
+  assert.strictEqual(joint.length, 200);
+  lib.steps(20);
+  assert.ok(ball.y > 100); // swung down
+  // joints pull before movement, so a step of gravity stretches it a little
+  assert.ok(near(Math.hypot(ball.x - 100, ball.y - 100), 200, 2));
+});
+
+test("ropes are slack until they reach their length", () => {
+  const lib = loadLibrary();
+  const ball = lib("createSprite(100, 100, 'red')");
+  ball.enablePhysics({ friction: 0 });
+  ball.gravity = 1;
+  lib("createJoint")("rope", ball, { x: 100, y: 100 }, { length: 50 });
+  lib.steps(3);
+  assert.strictEqual(ball.y, 100 + 1 + 2 + 3); // falling freely
+  lib.steps(20);
+  const y = ball.y;
+  assert.ok(y >= 150 && y <= 151, `y = ${y}`); // within a step of gravity
+  lib.steps(5);
+  assert.strictEqual(ball.y, y);
+});
+
+test("pins hold two bodies together, fixed sprites act as anchors", () => {
+  const lib = loadLibrary();
+  const a = lib("createSprite(100, 100, 'red')");
+  const b = lib("createSprite(140, 100, 'blue')");
+  a.enablePhysics();
+  b.enablePhysics({ vx: 4 });
+  lib("createJoint")("pin", a, b);
+  lib.steps(1);
+  assert.ok(near(a.x, b.x, 0.05) && near(a.y, b.y, 0.05));
+  assert.ok(near(a.vx, b.vx, 0.05)); // moving on together
+
+  const post = lib("createSprite(400, 100, 'gray')");
+  const c = lib("createSprite(440, 100, 'green')");
+  c.enablePhysics({ friction: 0 });
+  lib("createJoint")("pin", c, post, { anchorA: { x: -40, y: 0 } });
+  lib.steps(1);
+  assert.deepStrictEqual([post.x, post.y], [400, 100]);
+  assert.ok(near(c.x, 440));
+});
+
+test("springs pull towards their length", () => {
+  const lib = loadLibrary();
+  const a = lib("createSprite(100, 100, 'red')");
+  a.enablePhysics({ friction: 0 });
+  const spring = lib("createJoint")("spring", a, { x: 0, y: 100 }, { length: 50 });
+  lib.steps(2);
+  assert.ok(a.vx < 0 && a.x < 100);
+  spring.remove();
+  assert.strictEqual(lib("getCurrentScene().joints.length"), 0);
+});
+
+test("deleting a sprite drops its joints and unknown types warn", () => {
+  const lib = loadLibrary();
+  const a = lib("createSprite(100, 100, 'red')");
+  const b = lib("createSprite(200, 100, 'blue')");
+  lib("createJoint")("distance", a, b);
+  lib("createJoint")("rope", b, { x: 0, y: 0 });
+  a.delete();
+  assert.strictEqual(lib("getCurrentScene().joints.length"), 1);
+  let joint;
+  const seen = warnings(() => (joint = lib("createJoint")("weld", a, b)));
+  assert.strictEqual(joint, null);
+  assert.deepStrictEqual(seen, ["Unknown joint: weld"]);
+});
+
+test("solids stop what joints pull", () => {
+  const lib = loadLibrary();
+  const wall = lib("createSprite(200, 100, 'gray')");
+  wall.hitbox = true;
+  const ball = lib("createSprite(150, 100, 'red')");
+  ball.enablePhysics({ friction: 0 });
+  lib("createJoint")("rope", ball, { x: 300, y: 100 }, { length: 100 });
+  lib.steps(5);
+  assert.ok(ball.x <= 170, `x = ${ball.x}`);
+});
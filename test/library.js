@@ -0,0 +1,355 @@
+// Loads src/library.js into a fresh context with just enough of the DOM for
+// it to start, so tests can call its functions directly.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const source = fs.readFileSync(path.join(__dirname, "../src/library.js"), "utf8");
+
+/** @type {Object.<string, Array.<number>>} The named colors the fake canvas knows */
+const namedColors = {
+  black: [0, 0, 0, 255],
+  white: [255, 255, 255, 255],
+  red: [255, 0, 0, 255],
+  lime: [0, 255, 0, 255],
+  blue: [0, 0, 255, 255],
+  yellow: [255, 255, 0, 255],
+};
+
+/**
+ * Turns a fill style into RGBA: a name from `namedColors` or a #rgb or
+ * #rrggbb hex color. Anything else is transparent.
+ * @param {string} style - The fill style.
+ * @returns {Array.<number>} [r, g, b, a].
+ */
+function rgba(style) {
+  if (style in namedColors) return namedColors[style];
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(style);
+  if (!hex) return [0, 0, 0, 0];
+  const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+  return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16)).concat(255);
+}
+
+/**
+ * A 2D context that accepts every call. It only really draws `fillRect`
+ * (moved by `translate`, ignoring rotation and scale), which is enough
+ * for color sensing; `getImageData` reads those rectangles back, and
+ * `drawImage` of another fake canvas copies its rectangles. When the
+ * last image drawn has an `alphaAt(x, y)` function, it reads that image's
+ * alpha instead, for pixel masks.
+ * @returns {Object} The context.
+ */
+function fakeContext() {
+  let drawn = null;
+  let rects = [];
+  let offset = { x: 0, y: 0 };
+  const saved = [];
+  const pixelAt = (x, y) => {
+    const alphaAt = drawn && drawn.image.alphaAt;
+    if (alphaAt) return [0, 0, 0, alphaAt(drawn.sx + x, drawn.sy + y)];
+    const rect = rects.findLast((r) => x >= r.left && x < r.right && y >= r.top && y < r.bottom);
+    return rect ? rect.color : [0, 0, 0, 0];
+  };
+  const methods = {
+    measureText: (text) => ({ width: String(text).length * 10 }),
+    save: () => saved.push({ ...offset }),
+    restore: () => (offset = saved.pop() || { x: 0, y: 0 }),
+    translate: (x, y) => (offset = { x: offset.x + x, y: offset.y + y }),
+    fillRect(x, y, w, h) {
+      const left = offset.x + x;
+      const top = offset.y + y;
+      rects.push({ left, top, right: left + w, bottom: top + h, color: rgba(this.fillStyle) });
+    },
+    drawImage: (image, ...rect) => {
+      const source = image.getContext && image.getContext("2d");
+      if (source && "rectangles" in source) {
+        // another fake canvas: copy what was drawn on it
+        const [dx, dy] = rect.length === 8 ? rect.slice(4, 6) : rect;
+        const x = offset.x + (dx || 0);
+        const y = offset.y + (dy || 0);
+        for (const { left, top, right, bottom, color } of source.rectangles()) {
+          rects.push({ left: left + x, top: top + y, right: right + x, bottom: bottom + y, color });
+        }
+        return;
+      }
+      drawn = rect.length === 8 ? { image, sx: rect[0], sy: rect[1] } : { image, sx: 0, sy: 0 };
+    },
+    getImageData: (x, y, w, h) => {
+      const data = new Uint8ClampedArray(w * h * 4);
+      for (let i = 0; i < w * h; i++) data.set(pixelAt(x + (i % w), y + Math.floor(i / w)), i * 4);
+      return { data, width: w, height: h };
+    },
+    getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+    rectangles: () => rects,
+    clear() {
+      rects = [];
+      drawn = null;
+    },
+  };
+  return new Proxy(methods, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => ((target[key] = value), true),
+  });
+}
+
+/**
+ * An element with the bits of the DOM the library touches.
+ * @returns {Object} The element.
+ */
+function fakeElement() {
+  const context = fakeContext();
+  const size = { width: 300, height: 150 };
+  return {
+    style: {},
+    // resizing a canvas clears it
+    get width() {
+      return size.width;
+    },
+    set width(value) {
+      size.width = value;
+      context.clear();
+    },
+    get height() {
+      return size.height;
+    },
+    set height(value) {
+      size.height = value;
+      context.clear();
+    },
+    getContext: () => context,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 1280, height: 720 }),
+    addEventListener() {},
+    removeEventListener() {},
+    appendChild() {},
+    focus() {},
+    blur() {},
+    remove() {},
+    removeAttribute() {},
+    cloneNode: () => fakeElement(),
+    parentNode: { appendChild() {} },
+  };
+}
+
+/**
+ * A Web Audio parameter. Scheduled changes take effect right away; ramps
+ * are also listed in `ramps` as [value, time].
+ * @param {number} value - Starting value.
+ * @returns {Object} The parameter.
+ */
+function fakeParam(value) {
+  return {
+    value,
+    ramps: [],
+    setValueAtTime(v) {
+      this.value = v;
+    },
+    linearRampToValueAtTime(v, time) {
+      this.value = v;
+      this.ramps.push([v, time]);
+    },
+    exponentialRampToValueAtTime(v, time) {
+      this.linearRampToValueAtTime(v, time);
+    },
+    cancelScheduledValues() {},
+  };
+}
+
+/**
+ * A Web Audio node that remembers what it is connected to.
+ * @param {Object} [props] - Extra properties, like its parameters.
+ * @returns {Object} The node.
+ */
+function fakeNode(props = {}) {
+  return {
+    output: null,
+    connect(node) {
+      this.output = node;
+    },
+    disconnect() {
+      this.output = null;
+    },
+    ...props,
+  };
+}
+
+/**
+ * An AudioContext that plays nothing. Buffer sources are kept in
+ * `sources` and oscillators in `oscillators`; a test ends one by calling
+ * its `onended`.
+ */
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 8000;
+    this.state = "running";
+    this.destination = fakeNode();
+    this.sources = [];
+    this.oscillators = [];
+  }
+
+  createGain() {
+    return fakeNode({ gain: fakeParam(1) });
+  }
+
+  createStereoPanner() {
+    return fakeNode({ pan: fakeParam(0) });
+  }
+
+  createBufferSource() {
+    const source = fakeNode({
+      playbackRate: fakeParam(1),
+      started: false,
+      stoppedAt: null,
+      start() {
+        this.started = true;
+      },
+      stop(when = 0) {
+        this.stoppedAt = when;
+      },
+    });
+    this.sources.push(source);
+    return source;
+  }
+
+  createOscillator() {
+    const oscillator = fakeNode({
+      type: "sine",
+      frequency: fakeParam(440),
+      startedAt: null,
+      start(when = 0) {
+        this.startedAt = when;
+      },
+      stop() {},
+    });
+    this.oscillators.push(oscillator);
+    return oscillator;
+  }
+
+  createBiquadFilter() {
+    return fakeNode({ type: "lowpass", frequency: fakeParam(350) });
+  }
+
+  createBuffer(channels, length) {
+    const data = new Float32Array(length);
+    return { length, getChannelData: () => data };
+  }
+
+  decodeAudioData(data) {
+    return Promise.resolve({ duration: 1, data });
+  }
+
+  resume() {
+    this.state = "running";
+  }
+}
+
+/**
+ * An image that "loads" on the next tick: 32×32, or the size listed for
+ * its path in `sizes`. Paths listed as null fail to load.
+ * @param {Object.<string, Array.<number>|null>} sizes - [width, height] by path.
+ * @returns {Function} The Image class.
+ */
+function fakeImageClass(sizes) {
+  return class {
+    constructor() {
+      this.complete = false;
+      this.naturalWidth = 0;
+      this.naturalHeight = 0;
+    }
+
+    get src() {
+      return this._src;
+    }
+
+    set src(value) {
+      this._src = value;
+      setImmediate(() => {
+        const size = value in sizes ? sizes[value] : [32, 32];
+        if (!size) {
+          if (this.onerror) this.onerror();
+          return;
+        }
+        [this.naturalWidth, this.naturalHeight] = size;
+        this.complete = true;
+        if (this.onload) this.onload();
+      });
+    }
+  };
+}
+
+/**
+ * Runs the library in a new context. The animation loop only runs when a
+ * test calls `frames`.
+ * @returns {function(string): *} Evaluates code in the library's scope, so
+ *   classes and consts (which aren't globals) can be reached too. Its
+ *   `frames(count, ms)` draws that many frames, `ms` apart on a fake clock,
+ *   `steps(count)` runs engine steps without drawing, and `images` sets the
+ *   sizes of images by path (see fakeImageClass).
+ */
+function loadLibrary() {
+  const elements = {};
+  let now = 0;
+  let queued = [];
+  const images = {};
+  const context = {
+    console,
+    URL,
+    document: {
+      body: fakeElement(),
+      baseURI: "http://localhost/",
+      fonts: { add() {} },
+      getElementById: (id) => (elements[id] ||= fakeElement()),
+      createElement: () => fakeElement(),
+    },
+    performance: { now: () => now },
+    requestAnimationFrame: (callback) => queued.push(callback),
+    setTimeout: () => 0,
+    addEventListener() {},
+    Image: fakeImageClass(images),
+    AudioContext: FakeAudioContext,
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(source, context, { filename: "library.js" });
+  const lib = (code) => vm.runInContext(code, context);
+  lib.images = images;
+  lib.frames = (count, ms = 1000 / 60) => {
+    for (let i = 0; i < count; i++) {
+      now += ms;
+      const due = queued.length ? queued : [lib("LibraryLoopMGB")];
+      queued = [];
+      for (const callback of due) callback(now);
+    }
+  };
+  lib.steps = (count) => {
+    for (let i = 0; i < count; i++) lib("_engineStep()");
+  };
+  return lib;
+}
+
+/**
+ * Lets pending promise callbacks, like resolved `wait()` timers, run.
+ * @returns {Promise.<void>}
+ */
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Runs a function with console.warn captured.
+ * @param {Function} fn - What to run.
+ * @returns {Array.<string>} The warnings.
+ */
+function warnings(fn) {
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  try {
+    fn();
+  } finally {
+    console.warn = warn;
+  }
+  return seen;
+}
+
+module.exports = { loadLibrary, settle, warnings };
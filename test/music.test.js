@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle, warnings } = require("./library");
+
+const lib = loadLibrary();
+const noteToMidi = lib("_noteToMidi");
+const playSequence = lib("playSequence");
+
+// events come from the library's realm; copy them so deepStrictEqual compares contents
+const steps = (seq) =>
+  Array.from(seq.events, (e) => ({ notes: [...e.notes], drums: [...e.drums], beats: e.beats }));
+
+test("_noteToMidi reads note names", () => {
+  assert.strictEqual(noteToMidi("C4"), 60);
+  assert.strictEqual(noteToMidi("A4"), 69);
+  assert.strictEqual(noteToMidi("F#3"), 54);
+  assert.strictEqual(noteToMidi("Bb5"), 82);
+  assert.strictEqual(noteToMidi("c-1"), 0);
+});
+
+test("_noteToMidi passes numbers through and rejects the rest", () => {
+  assert.strictEqual(noteToMidi(64), 64);
+  assert.strictEqual(noteToMidi("64"), 64);
+  assert.strictEqual(noteToMidi("H4"), null);
+  assert.strictEqual(noteToMidi("kick"), null);
+});
+
+test("playSequence parses notes, drums, rests, chords and lengths", () => {
+  const seq = playSequence("C4 kick - C4+E4:2", { beats: 0.5 });
+  assert.deepStrictEqual(steps(seq), [
+    { notes: [60], drums: [], beats: 0.5 },
+    { notes: [], drums: ["kick"], beats: 0.5 },
+    { notes: [], drums: [], beats: 0.5 },
+    { notes: [60, 64], drums: [], beats: 2 },
+  ]);
+  seq.stop();
+});
+
+test("playSequence takes arrays with [step, beats] pairs", () => {
+  const seq = playSequence([60, [64, 2], "snare+G4"], { beats: 1 });
+  assert.deepStrictEqual(steps(seq), [
+    { notes: [60], drums: [], beats: 1 },
+    { notes: [64], drums: [], beats: 2 },
+    { notes: [67], drums: ["snare"], beats: 1 },
+  ]);
+  seq.stop();
+});
+
+test("playSequence warns about unknown beats and uses the default", () => {
+  let seq;
+  const seen = warnings(() => (seq = playSequence("C4:x D4", { beats: 1 })));
+  assert.deepStrictEqual(seen, ["Unknown beats: C4:x"]);
+  assert.deepStrictEqual(Array.from(seq.events, (e) => e.beats), [1, 1]);
+  seq.stop();
+});
+
+test("playSequence warns about unknown notes and instruments", () => {
+  let seq;
+  const seen = warnings(() => (seq = playSequence("C4 zz D4", { instrument: "kazoo" })));
+  assert.deepStrictEqual(seen, ["Unknown note: zz", "Unknown instrument: kazoo"]);
+  assert.strictEqual(seq.instrument, "piano");
+  seq.stop();
+});
+
+test("a sequence with nothing to wait on ends right away", () => {
+  const seq = playSequence("-:0");
+  assert.strictEqual(seq.playing, false);
+});
+
+test("sequences play their steps on the engine clock", () => {
+  const lib = loadLibrary();
+  lib("setTempo(120)"); // a half-beat step is 15 engine steps
+  const seq = lib("playSequence")("A4 - kick A5");
+  lib.steps(1);
+  const ac = lib("_audioCtx");
+  const voices = () => ac.oscillators.length + ac.sources.length;
+  assert.strictEqual(voices(), 1);
+  assert.strictEqual(ac.oscillators[0].frequency.value, 440);
+  lib.steps(35);
+  const afterKick = voices();
+  assert.ok(afterKick > 1);
+  lib("pauseGame()");
+  lib.frames(1);
+  lib.frames(60);
+  assert.strictEqual(voices(), afterKick);
+  lib("resumeGame()");
+  lib.steps(12);
+  assert.strictEqual(ac.oscillators.at(-1).frequency.value, 880);
+  assert.ok(seq.playing);
+  lib.steps(15);
+  assert.ok(!seq.playing);
+});
+
+test("looping sequences start over until stopped", async () => {
+  const lib = loadLibrary();
+  lib("setTempo(120)");
+  const seq = lib("playSequence")("C4 E4", { loop: true });
+  lib.steps(50); // two rounds
+  assert.strictEqual(lib("_audioCtx").oscillators.length, 4);
+  lib("stopAllSounds")("music");
+  await seq.ended;
+  assert.ok(!seq.playing);
+});
+
+test("playNote and playDrum wait their beats", async () => {
+  const lib = loadLibrary();
+  lib("setTempo(120)");
+  let done = false;
+  lib("playNote")("A4", 1).then(() => (done = true));
+  lib.steps(25);
+  await settle();
+  assert.ok(!done);
+  lib.steps(10);
+  await settle();
+  assert.ok(done);
+  const seen = warnings(() => {
+    lib("playDrum")("gong");
+    lib("playNote")("H2");
+    lib("setInstrument")("kazoo");
+    lib("sfx")("boing");
+  });
+  assert.deepStrictEqual(seen, [
+    "Unknown drum: gong",
+    "Unknown note: H2",
+    "Unknown instrument: kazoo",
+    "Unknown sfx: boing",
+  ]);
+});
+
+test("sound effects play on the sfx bus and share one noise buffer", () => {
+  const lib = loadLibrary();
+  lib("sfx")("coin", { pitch: 2 });
+  const ac = lib("_audioCtx");
+  const [tone] = ac.oscillators;
+  assert.strictEqual(tone.frequency.value, lib("SFX_PRESETS.coin[0].freq") * 2);
+  let node = tone.output;
+  while (node.output && node.output !== lib("soundBuses.sfx.node")) node = node.output;
+  assert.strictEqual(node.output, lib("soundBuses.sfx.node"));
+  lib("sfx")("explosion");
+  lib("sfx")("explosion");
+  assert.strictEqual(ac.sources.length, 2);
+  assert.strictEqual(ac.sources[0].buffer, ac.sources[1].buffer);
+});
+
+test("tempo is clamped", () => {
+  const lib = loadLibrary();
+  lib("setTempo(1000)");
+  assert.strictEqual(lib("getTempo()"), 500);
+  lib("setTempo(1)");
+  assert.strictEqual(lib("getTempo()"), 20);
+});
+
+test("sequence notes are scheduled at their exact time, not the step's", () => {
+  const lib = loadLibrary();
+  lib("setTempo(100)"); // 0.6 s per beat
+  lib("playSequence")("A4:0.3 A4:0.7 A4");
+  const starts = [];
+  for (let step = 0; step < 60; step++) {
+    lib.steps(1);
+    const ac = lib("_audioCtx");
+    const oscillators = ac ? ac.oscillators : [];
+    // the clock doesn't move in the fake, so take off the time already played
+    for (const osc of oscillators.slice(starts.length)) starts.push(osc.startedAt + step / 60);
+  }
+  const lead = lib("SEQUENCE_LEAD");
+  const expected = [0, 0.18, 0.6].map((t) => t + lead);
+  assert.strictEqual(starts.length, 3);
+  assert.ok(starts.every((t, i) => Math.abs(t - expected[i]) < 1e-9), starts.join(", "));
+});
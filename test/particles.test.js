@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle, warnings } = require("./library");
+
+test("emitters spray rate particles per second and cap them", () => {
+  const lib = loadLibrary();
+  const rain = lib("createEmitter")(100, 100, { rate: 30, lifetime: 10000 });
+  lib.steps(60);
+  assert.strictEqual(rain.particles.length, 30);
+  assert.strictEqual(lib("drawables.length"), 1); // particles aren't drawables
+  rain.config.maxParticles = 40;
+  lib.steps(60);
+  assert.strictEqual(rain.particles.length, 40);
+  rain.stop();
+  rain.clear();
+  lib.steps(60);
+  assert.strictEqual(rain.particles.length, 0);
+});
+
+test("particles move, fall, slow down and die of old age", () => {
+  const lib = loadLibrary();
+  const spark = lib("createEmitter")(0, 0, {
+    rate: 0,
+    burst: 1,
+    speed: 10,
+    angle: 90,
+    gravity: 1,
+    drag: 0.5,
+    lifetime: 100,
+  });
+  const [p] = spark.particles;
+  lib.steps(1);
+  assert.deepStrictEqual([p.x, p.vx], [5, 5]);
+  assert.ok(Math.abs(p.y - 0.5) < 1e-9 && Math.abs(p.vy - 0.5) < 1e-9);
+  lib.steps(5); // 100 ms
+  assert.strictEqual(spark.particles.length, 0);
+});
+
+test("bursts start inside the emitter's area", () => {
+  const lib = loadLibrary();
+  const dust = lib("createEmitter")(100, 200, { rate: 0, burst: 50, width: 40, height: 10 });
+  assert.strictEqual(dust.particles.length, 50);
+  assert.ok(dust.particles.every((p) => Math.abs(p.x - 100) <= 20 && Math.abs(p.y - 200) <= 5));
+});
+
+test("values change over a particle's life", () => {
+  const lib = loadLibrary();
+  const overLife = lib("_overLife");
+  assert.strictEqual(overLife([8, 2], 0.5), 5);
+  assert.strictEqual(overLife([0, 10, 0], 0.75), 5);
+  assert.strictEqual(overLife(3, 0.9), 3);
+  assert.strictEqual(overLife([1, 0], 2), 0);
+  const fire = lib("createEmitter")(0, 0, { color: ["#ff0000", "yellow"] });
+  assert.strictEqual(fire._colorAt(0.5), "rgba(255, 128, 0, 1)");
+  assert.strictEqual(fire._colorAt(1), "rgba(255, 255, 0, 1)");
+});
+
+test("emitters follow sprites and stop when the sprite goes", () => {
+  const lib = loadLibrary();
+  const rocket = lib("createSprite(100, 100, 'white')");
+  const smoke = lib("createEmitter")(0, 0, { rate: 60, removeWhenDone: true, lifetime: 50 });
+  smoke.follow(rocket, 0, 40);
+  rocket.x = 300;
+  lib.steps(1);
+  assert.deepStrictEqual([smoke.x, smoke.y], [300, 140]);
+  rocket.delete();
+  lib.steps(1);
+  assert.ok(!smoke.emitting);
+  lib.steps(5);
+  assert.ok(!lib("drawables").includes(smoke)); // removed once its particles died
+});
+
+test("image particles load their image once and warn if it fails", async () => {
+  const lib = loadLibrary();
+  lib.images["missing.png"] = null;
+  const stars = lib("createEmitter")(0, 0, { burst: 3, image: "star.png" });
+  const src = stars._imageSource();
+  assert.strictEqual(src, null); // still loading
+  await settle();
+  assert.strictEqual(stars._imageSource().sw, 32);
+  const loaded = stars._loadedImage.image;
+  stars._imageSource();
+  assert.strictEqual(stars._loadedImage.image, loaded);
+  stars.config.image = "missing.png";
+  stars._imageSource();
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  await settle();
+  console.warn = warn;
+  assert.strictEqual(seen.length, 1);
+  assert.deepStrictEqual(warnings(() => stars.draw()), []);
+});
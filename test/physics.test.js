@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+/**
+ * Loads the library with a 200×200 block whose top is at y = 300.
+ * @returns {Function} The loaded library.
+ */
+function withFloor() {
+  const lib = loadLibrary();
+  const floor = lib("createSprite(200, 400, 'gray')");
+  floor.setSize(200);
+  floor.hitbox = true;
+  return lib;
+}
+
+test("velocity carries a body and gravity speeds it up", () => {
+  const lib = loadLibrary();
+  const body = lib("createSprite(100, 100, 'red')");
+  body.enablePhysics({ vx: 2 });
+  body.gravity = 0.5;
+  lib.steps(4);
+  assert.strictEqual(body.x, 108);
+  assert.strictEqual(body.vy, 2);
+  assert.strictEqual(body.y, 100 + 0.5 + 1 + 1.5 + 2);
+});
+
+test("bodies land on hitboxes and only jump from the ground", () => {
+  const lib = withFloor();
+  const body = lib("createSprite(200, 200, 'red')");
+  body.enablePhysics({ jumpForce: 8 });
+  body.gravity = 1;
+  assert.strictEqual(body.jump(), false);
+  lib.steps(30);
+  const h = body.getCollisionSize().height;
+  assert.strictEqual(body.y, 300 - h / 2);
+  assert.strictEqual(body.vy, 0);
+  assert.ok(body.grounded && body.isOnGround());
+  assert.strictEqual(body.jump(), true);
+  assert.strictEqual(body.vy, -8);
+  lib.steps(1);
+  assert.ok(body.y < 300 - h / 2);
+  assert.ok(!body.isOnGround());
+});
+
+test("controls accelerate towards speed, friction slows on the ground", () => {
+  const lib = withFloor();
+  const body = lib("createSprite(150, 285, 'red')");
+  body.enablePhysics({ acceleration: 2, friction: 0.5 });
+  body.gravity = 1;
+  body.speed = 5;
+  body.controls = { left: "a", right: "d", up: "w", down: "s" };
+  lib("keys").d = true;
+  lib.steps(1);
+  assert.strictEqual(body.vx, 2);
+  lib.steps(5);
+  assert.strictEqual(body.vx, 5);
+  lib("keys").d = false;
+  lib.steps(1);
+  assert.strictEqual(body.vx, 2.5);
+});
+
+test("maxSpeed, drag and mass", () => {
+  const lib = loadLibrary();
+  const body = lib("createSprite(100, 100, 'red')");
+  body.enablePhysics({ maxSpeed: 3, mass: 2, friction: 0 });
+  body.applyForce(10, 0);
+  assert.strictEqual(body.vx, 5);
+  lib.steps(1);
+  assert.strictEqual(body.vx, 3);
+  body.drag = 0.5;
+  lib.steps(1);
+  assert.strictEqual(body.vx, 1.5);
+  body.disablePhysics();
+  assert.deepStrictEqual([body.physics, body.vx, body.vy], [false, 0, 0]);
+});
+
+test("restitution bounces a body off a wall", () => {
+  const lib = loadLibrary();
+  const wall = lib("createSprite(300, 100, 'gray')");
+  wall.hitbox = true;
+  const ball = lib("createSprite(250, 100, 'red')");
+  ball.enablePhysics({ vx: 10, restitution: 0.5, friction: 0 });
+  lib.steps(3);
+  assert.strictEqual(ball.vx, -5);
+  assert.ok(ball.x + ball.getCollisionSize().width / 2 <= 300 - wall.getCollisionSize().width / 2);
+});
+
+test("physics settings copy to clones", () => {
+  const lib = loadLibrary();
+  const body = lib("createSprite(100, 100, 'red')");
+  body.enablePhysics({ vx: 3, mass: 4, jumpForce: 12 });
+  const copy = body.clone();
+  assert.deepStrictEqual([copy.physics, copy.vx, copy.mass, copy.jumpForce], [true, 3, 4, 12]);
+});
+
+test("enablePhysics only takes physics settings from its options", () => {
+  const lib = loadLibrary();
+  const body = lib("createSprite(100, 100, 'red')");
+  body.enablePhysics({ ay: 0.5, drag: 0.1, name: "hero", gravity: 3 });
+  assert.deepStrictEqual([body.ay, body.drag, body.name, body.gravity], [0.5, 0.1, "", 0]);
+});
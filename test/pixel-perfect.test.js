@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle, warnings } = require("./library");
+
+/**
+ * Loads a 32×32 ring costume: opaque except for a 16×16 hole in the middle.
+ * @returns {Promise.<Array>} The library and the ring sprite.
+ */
+async function withRing() {
+  const lib = loadLibrary();
+  const ring = lib("createSprite(100, 100, 'white', 'ring.png')");
+  await settle();
+  const inHole = (x, y) => x >= 8 && x < 24 && y >= 8 && y < 24;
+  ring.getCostume().alphaAt = (x, y) => (inHole(x, y) ? 0 : 255);
+  return [lib, ring];
+}
+
+test("pixel-perfect sprites only touch through opaque pixels", async () => {
+  const [lib, ring] = await withRing();
+  const ball = lib("createSprite(100, 100, 'red')");
+  ball.size = 6;
+  assert.ok(ball.isTouching(ring)); // boxes overlap
+  ring.pixelPerfect = true;
+  assert.ok(!ball.isTouching(ring) && !ring.isTouching(ball));
+  ball.x = 110; // over the ring itself
+  assert.ok(ball.isTouching(ring));
+  ball.x = 100;
+  lib.steps(1);
+  assert.strictEqual(ring.touching.length, 0);
+});
+
+test("pixel masks follow the sprite's rotation and size", async () => {
+  const [lib, ring] = await withRing();
+  ring.pixelPerfect = true;
+  ring.useOriginalSize = false;
+  ring.size = 64; // the hole is now 32×32
+  const ball = lib("createSprite(113, 100, 'red')");
+  ball.size = 4;
+  assert.ok(!ball.isTouching(ring));
+  ball.x = 119;
+  assert.ok(ball.isTouching(ring));
+  ring.direction = 135;
+  ball.x = 100;
+  ball.y = 100 - 15;
+  assert.ok(!ball.isTouching(ring));
+});
+
+test("masks are built once per costume", async () => {
+  const [lib, ring] = await withRing();
+  const alphaMask = lib("_alphaMask");
+  const src = lib("_costumeSource")(ring.getCostume());
+  const mask = alphaMask(src);
+  assert.strictEqual(mask.bits.reduce((sum, bit) => sum + bit, 0), 32 * 32 - 16 * 16);
+  assert.strictEqual(alphaMask(src), mask);
+});
+
+test("unreadable pixels fall back to the collision shape", async () => {
+  const [lib, ring] = await withRing();
+  ring.getCostume().alphaAt = () => {
+    throw new Error("tainted canvas");
+  };
+  const seen = warnings(() => (ring.pixelPerfect = true)); // masks are read right away
+  assert.deepStrictEqual(seen, ["Can't read costume pixels for pixel-perfect collision:"]);
+  const ball = lib("createSprite(100, 100, 'red')");
+  assert.ok(ball.isTouching(ring));
+});
+
+test("masks are read when pixel-perfect turns on and when costumes load", async () => {
+  const [lib, ring] = await withRing();
+  const cache = lib("_alphaMaskCache");
+  assert.ok(!cache.has(ring.getCostume()));
+  ring.pixelPerfect = true;
+  assert.ok(cache.has(ring.getCostume()));
+
+  const later = lib("createSprite(0, 0, 'white', 'later.png')");
+  later.pixelPerfect = true;
+  assert.ok(!cache.has(later.getCostume())); // still loading
+  await settle();
+  assert.ok(cache.has(later.getCostume()));
+});
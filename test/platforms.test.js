@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+/**
+ * Creates a falling physics body.
+ * @param {Function} lib - The loaded library.
+ * @param {number} x - Start x.
+ * @param {number} y - Start y.
+ * @returns {Object} The sprite.
+ */
+function body(lib, x, y) {
+  const sprite = lib(`createSprite(${x}, ${y}, 'red')`);
+  sprite.enablePhysics({ friction: 0 });
+  sprite.gravity = 1;
+  return sprite;
+}
+
+test("one-way platforms hold sprites from above and let them jump through", () => {
+  const lib = loadLibrary();
+  const ledge = lib("createSprite(200, 300, 'gray')");
+  ledge.setSize(100); // top at y = 250
+  ledge.doHitbox("oneway");
+  const faller = body(lib, 180, 150);
+  const h = faller.getCollisionSize().height;
+  lib.steps(30);
+  assert.strictEqual(faller.y, 250 - h / 2);
+  assert.ok(faller.isOnGround());
+
+  const jumper = body(lib, 220, 400);
+  jumper.vy = -25;
+  lib.steps(5);
+  assert.ok(jumper.y < 300); // went up through the ledge
+  lib.steps(40);
+  assert.strictEqual(jumper.y, 250 - h / 2);
+});
+
+test("one-way platforms don't block sideways", () => {
+  const lib = loadLibrary();
+  const ledge = lib("createSprite(200, 100, 'gray')");
+  ledge.setSize(40);
+  ledge.doHitbox("oneway");
+  const runner = lib("createSprite(100, 100, 'red')");
+  runner.enablePhysics({ vx: 10, friction: 0 });
+  lib.steps(20);
+  assert.strictEqual(runner.x, 300);
+  assert.ok(!runner.isTouchingWall());
+});
+
+test("riders move with the platform they stand on", () => {
+  const lib = loadLibrary();
+  const lift = lib("createSprite(200, 300, 'gray')");
+  lift.setSize(100);
+  lift.hitbox = true;
+  const rider = body(lib, 180, 200);
+  lib.steps(20);
+  assert.strictEqual(rider.standingOn, lift);
+  const y = rider.y;
+  for (let i = 0; i < 10; i++) {
+    lift.x += 3;
+    lift.y -= 2;
+    lib.steps(1);
+  }
+  assert.strictEqual(rider.x, 210);
+  assert.strictEqual(rider.y, y - 20);
+  lift.delete();
+  lib.steps(1);
+  assert.strictEqual(rider.standingOn, null);
+});
+
+test("slope tiles are walked up and down", () => {
+  const lib = loadLibrary();
+  // a two-tile ramp rising to the right from y = 128 to y = 96, then flat ground
+  const map = lib("createTilemap")(null, 32, 32, [
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0],
+    [0, 0, 2, 3, 1, 1, 1, 1],
+    [1, 1, 1, 1, 1, 1, 1, 1],
+  ]);
+  map.setSlope(2, 0, 0.5);
+  map.setSlope(3, 0.5, 1);
+  const walker = body(lib, 20, 100);
+  walker.size = 20;
+  lib.steps(30);
+  assert.strictEqual(walker.y, 118);
+  walker.vx = 5;
+  lib.steps(15); // x = 95, on the ramp
+  assert.strictEqual(walker.x, 95);
+  assert.ok(Math.abs(walker.y + 10 - (128 - (95 - 64) / 2)) < 1e-6, `y = ${walker.y}`);
+  assert.ok(walker.isOnGround());
+  lib.steps(10); // x = 145, on the flat ground at the top
+  assert.strictEqual(walker.y, 86);
+  walker.vx = -5;
+  lib.steps(10); // back down, sticking to the ramp
+  assert.ok(walker.grounded);
+  assert.ok(Math.abs(walker.y + 10 - (128 - (95 - 64) / 2)) < 1e-6, `y = ${walker.y}`);
+});
+
+test("slope sprites are walked along their top edge", () => {
+  const lib = loadLibrary();
+  // rises from (200, 500) to (400, 420)
+  const hill = lib("createSprite(300, 460, 'green')");
+  hill.hitboxPolygon = [{ x: -100, y: 40 }, { x: 100, y: -40 }, { x: 100, y: 40 }];
+  hill.doHitbox("slope");
+  const floor = lib("createSprite(300, 700, 'gray')");
+  floor.setSize(400); // top at y = 500
+  floor.hitbox = true;
+  const walker = body(lib, 150, 400);
+  const h = walker.getCollisionSize().height;
+  lib.steps(30);
+  assert.strictEqual(walker.y, 500 - h / 2);
+  walker.vx = 2;
+  lib.steps(50); // x = 250, a quarter of the way up
+  assert.ok(Math.abs(walker.y + h / 2 - 480) < 1e-6, `y = ${walker.y}`);
+  assert.strictEqual(walker.standingOn, hill);
+});
+
+test("steep slopes block like walls", () => {
+  const lib = loadLibrary();
+  // 8×32 tiles: a single slope tile rising 32px over 8px at col 8
+  const ground = new Array(12).fill(1);
+  const step = [0, 0, 0, 0, 0, 0, 0, 0, 9, 0, 0, 0];
+  const map = lib("createTilemap")(null, 8, 32, [new Array(12).fill(0), step, ground]);
+  map.setSlope(9, 0, 1);
+  const walker = body(lib, 20, 20);
+  walker.size = 20;
+  lib.steps(30);
+  assert.strictEqual(walker.y, 54);
+  walker.vx = 2;
+  lib.steps(30);
+  assert.ok(walker.x <= 66, `x = ${walker.x}`);
+  assert.strictEqual(walker.y, 54);
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+// sprites without a costume are 30×30 boxes around their position
+
+/**
+ * Creates a named sprite.
+ * @param {Function} lib - The loaded library.
+ * @param {number} x - X.
+ * @param {number} y - Y.
+ * @param {string} name - Its name.
+ * @returns {Object} The sprite.
+ */
+function named(lib, x, y, name) {
+  const sprite = lib(`createSprite(${x}, ${y}, 'red')`);
+  sprite.name = name;
+  return sprite;
+}
+
+test("getSpritesAt finds sprites under a point, topmost first", () => {
+  const lib = loadLibrary();
+  const back = named(lib, 100, 100, "card");
+  const front = named(lib, 110, 100, "card");
+  const coin = named(lib, 105, 100, "coin");
+  const hidden = named(lib, 100, 100, "card");
+  hidden.hidden = true;
+  const hud = named(lib, 100, 100, "card");
+  hud.hud = true;
+  assert.deepStrictEqual([...lib("getSpritesAt")(105, 100)], [coin, front, back]);
+  assert.deepStrictEqual([...lib("getSpritesAt")(105, 100, "card")], [front, back]);
+  assert.deepStrictEqual([...lib("getSpritesAt")(88, 100)], [back]);
+  assert.deepStrictEqual([...lib("getSpritesAt")(300, 300)], []);
+});
+
+test("queries see sprites moved since the last step", () => {
+  const lib = loadLibrary();
+  const sprite = named(lib, 100, 100, "a");
+  lib.steps(1);
+  sprite.x = 500;
+  assert.deepStrictEqual([...lib("getSpritesAt")(500, 100)], [sprite]);
+  assert.deepStrictEqual([...lib("getSpritesAt")(100, 100)], []);
+});
+
+test("filters pick by name, class, clone parent or function", () => {
+  const lib = loadLibrary();
+  const enemy = named(lib, 100, 100, "enemy");
+  const copy = enemy.clone();
+  const copyOfCopy = copy.clone();
+  const other = named(lib, 100, 100, "enemy");
+  const text = lib("createText(100, 100, 'white', 'hi')");
+  const matches = lib("_matchesFilter");
+  assert.strictEqual(copy.name, "enemy");
+  assert.strictEqual(copyOfCopy.cloneParent, copy);
+  assert.ok(matches(enemy, "enemy") && !matches(enemy, "coin"));
+  assert.ok(matches(enemy, lib("Sprite")) && !matches(text, lib("Sprite")));
+  assert.ok(matches(text, lib("Drawable")));
+  assert.ok(matches(copyOfCopy, { cloneOf: enemy }));
+  assert.ok(!matches(enemy, { cloneOf: enemy }) && !matches(other, { cloneOf: enemy }));
+  assert.ok(matches(enemy, (s) => s.x === 100) && !matches(enemy, () => 0));
+  assert.ok(matches(enemy));
+  const clones = lib("getSpritesAt")(100, 100, { cloneOf: enemy });
+  assert.strictEqual(clones.length, 2);
+});
+
+test("getSpritesInRect tests the collision shape", () => {
+  const lib = loadLibrary();
+  const box = named(lib, 100, 100, "box");
+  const diamond = named(lib, 200, 100, "diamond");
+  diamond.direction = 135;
+  // covers the box's right edge and the diamond's bounding box corner, not its shape
+  const found = lib("getSpritesInRect")(110, 80, 72, 6);
+  assert.deepStrictEqual([...found], [box]);
+  assert.deepStrictEqual([...lib("getSpritesInRect")(110, 80, 90, 6, "diamond")], [diamond]);
+});
+
+test("getSpritesInRadius sorts by distance", () => {
+  const lib = loadLibrary();
+  const far = named(lib, 180, 100, "far");
+  const near = named(lib, 120, 100, "near");
+  named(lib, 300, 100, "out");
+  assert.deepStrictEqual([...lib("getSpritesInRadius")(100, 100, 100)], [near, far]);
+});
+
+test("sprites measure distance and direction, and find the nearest", () => {
+  const lib = loadLibrary();
+  const tower = named(lib, 100, 100, "tower");
+  const up = named(lib, 100, 50, "enemy");
+  const right = named(lib, 130, 100, "enemy");
+  const left = named(lib, 70, 100, "coin");
+  assert.strictEqual(tower.distanceTo(up), 50);
+  assert.strictEqual(tower.directionTo(up), 0);
+  assert.strictEqual(tower.directionTo(right), 90);
+  assert.strictEqual(tower.directionTo(left), 270);
+  assert.strictEqual(tower.nearest(), right);
+  assert.strictEqual(tower.nearest("coin"), left);
+  right.hidden = true;
+  assert.strictEqual(tower.nearest("enemy"), up);
+  assert.strictEqual(tower.nearest("nobody"), null);
+  tower.pointTowards(left);
+  assert.strictEqual(tower.direction, 270);
+  tower.pointTowards(up); // pointTowards keeps its original angles
+  assert.strictEqual(tower.direction, 180);
+});
+
+test("raycasts take the same filters", () => {
+  const lib = loadLibrary();
+  named(lib, 200, 0, "wall");
+  const target = named(lib, 400, 0, "target");
+  assert.strictEqual(lib("raycast(0, 0, 90, 1000, 'target')").sprite, target);
+});
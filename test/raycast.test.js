@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+// sprites without a loaded costume are 30×30 boxes around their position
+
+test("raycast hits the nearest sprite on its near side", () => {
+  const lib = loadLibrary();
+  const near = lib("createSprite(200, 0, 'red', 'near')");
+  lib("createSprite(400, 0, 'red', 'far')");
+  const hit = lib("raycast(0, 0, 90, 1000)");
+  assert.strictEqual(hit.sprite, near);
+  assert.ok(Math.abs(hit.distance - 185) < 1e-9);
+  assert.ok(Math.abs(hit.x - 185) < 1e-9);
+  assert.strictEqual(hit.normal.x, -1);
+});
+
+test("raycast stops at maxDistance", () => {
+  const lib = loadLibrary();
+  lib("createSprite(200, 0, 'red', 'box')");
+  assert.strictEqual(lib("raycast(0, 0, 90, 100)"), null);
+});
+
+test("rays pass through sprites the filter leaves out", () => {
+  const lib = loadLibrary();
+  lib("createSprite(200, 0, 'red', 'near')");
+  const far = lib("createSprite(400, 0, 'red', 'far')");
+  assert.strictEqual(lib("raycast(0, 0, 90, 1000, (sprite) => sprite.x > 300)").sprite, far);
+});
+
+test("rays pass through hidden sprites", () => {
+  const lib = loadLibrary();
+  const hidden = lib("createSprite(200, 0, 'red', 'hidden')");
+  const far = lib("createSprite(400, 0, 'red', 'far')");
+  hidden.hidden = true;
+  assert.strictEqual(lib("raycast(0, 0, 90, 1000)").sprite, far);
+});
+
+test("rays hit solid tiles and report the tile", () => {
+  const lib = loadLibrary();
+  lib("createTilemap")(null, 32, 32, [[0, 0, 0, 0, 1]]);
+  const hit = lib("raycast(0, 16, 90, 1000)");
+  assert.strictEqual(hit.sprite, lib("drawables[0]"));
+  assert.deepStrictEqual({ ...hit.tile }, { col: 4, row: 0 });
+  assert.deepStrictEqual([hit.x, hit.distance, hit.normal.x], [128, 128, -1]);
+  assert.ok(Math.abs(hit.y - 16) < 1e-9);
+});
+
+test("rays follow rotated boxes", () => {
+  const lib = loadLibrary();
+  const diamond = lib("createSprite(200, 0, 'red')");
+  diamond.direction = 135;
+  const hit = lib("raycast(0, 0, 90, 1000)");
+  assert.ok(Math.abs(hit.distance - (200 - 15 * Math.SQRT2)) < 1e-9);
+  assert.ok(Math.abs(hit.normal.x + Math.SQRT1_2) < 1e-9);
+});
+
+test("canSee is blocked by hitboxes and solid tiles only", () => {
+  const lib = loadLibrary();
+  const guard = lib("createSprite(0, 100, 'red')");
+  const player = lib("createSprite(400, 100, 'blue')");
+  const crate = lib("createSprite(200, 100, 'gray')");
+  assert.ok(guard.canSee(player)); // plain sprites don't block
+  crate.doHitbox("oneway");
+  assert.ok(guard.canSee(player));
+  crate.hitbox = true;
+  assert.ok(!guard.canSee(player));
+  crate.delete();
+  assert.ok(guard.canSee(player));
+  player.hidden = true;
+  assert.ok(!guard.canSee(player));
+  player.hidden = false;
+  lib("createTilemap")(null, 32, 32, [[], [], [], [0, 0, 0, 0, 0, 0, 1]]);
+  assert.ok(!guard.canSee(player));
+});
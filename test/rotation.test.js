@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("collision boxes turn with the sprite", () => {
+  const lib = loadLibrary();
+  const box = lib("createSprite(100, 100, 'red')"); // 30×30
+  box.direction = 135;
+  const size = box.getCollisionSize();
+  assert.ok(near(size.width, 30 * Math.SQRT2) && near(size.height, 30 * Math.SQRT2));
+  const corners = box.getCollisionPolygon();
+  assert.ok(near(corners[0].x, 100) && near(corners[0].y, 100 - 15 * Math.SQRT2));
+  const bounds = box.getBounds();
+  assert.ok(near(bounds.left, 100 - 15 * Math.SQRT2));
+  box.direction = 180; // a quarter turn stays exact
+  assert.deepStrictEqual(
+    Array.from(box.getCollisionPolygon(), (p) => [p.x, p.y]),
+    [[115, 85], [115, 115], [85, 115], [85, 85]],
+  );
+});
+
+test("hitbox polygons turn with the sprite", () => {
+  const lib = loadLibrary();
+  const stick = lib("createSprite(100, 100, 'red')");
+  stick.hitboxPolygon = [{ x: -20, y: -5 }, { x: 20, y: -5 }, { x: 20, y: 5 }, { x: -20, y: 5 }];
+  stick.direction = 180;
+  assert.deepStrictEqual({ ...stick.getBounds() }, { left: 95, top: 80, right: 105, bottom: 120 });
+});
+
+test("rotated boxes only touch what their shape reaches (SAT)", () => {
+  const lib = loadLibrary();
+  const diamond = lib("createSprite(100, 100, 'red')");
+  diamond.direction = 135;
+  const corner = lib("createSprite(128, 128, 'blue')"); // inside the diamond's box, off its shape
+  const side = lib("createSprite(134, 100, 'green')"); // meets the diamond's right tip
+  assert.ok(!diamond.isTouching(corner) && !corner.isTouching(diamond));
+  assert.ok(diamond.isTouching(side));
+  diamond.direction = 90;
+  assert.ok(diamond.isTouching(corner));
+
+  diamond.direction = 135;
+  lib.steps(1);
+  assert.deepStrictEqual([...diamond.touching], [side]);
+  const [contact] = diamond.getContacts(side);
+  assert.strictEqual(contact.side, "right");
+  assert.ok(near(contact.depth, 15 * Math.SQRT2 - 19));
+});
+
+test("rotated sprites are clicked by their shape", () => {
+  const lib = loadLibrary();
+  const diamond = lib("createSprite(100, 100, 'red')");
+  diamond.direction = 135;
+  assert.ok(diamond.isHovered(114, 100));
+  assert.ok(!diamond.isHovered(113, 113));
+  diamond.direction = 90;
+  assert.ok(diamond.isHovered(113, 113));
+});
+
+test("rotated bodies are pushed out along the shortest axis", () => {
+  const lib = loadLibrary();
+  const floor = lib("createSprite(200, 400, 'gray')");
+  floor.setSize(200);
+  floor.hitbox = true;
+  const body = lib("createSprite(200, 200, 'red')");
+  body.direction = 135;
+  body.enablePhysics();
+  body.gravity = 1;
+  lib.steps(40);
+  assert.ok(body.isOnGround());
+  assert.ok(near(body.getBounds().bottom, 300));
+});
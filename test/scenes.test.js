@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle, warnings } = require("./library");
+
+test("switchScene tears the old scene down and builds the new one", () => {
+  const lib = loadLibrary();
+  const log = [];
+  lib("createScene")("a", (scene, data) => {
+    lib("createSprite(0, 0, 'red')");
+    scene.on("exit", () => log.push("exit a"));
+    log.push(`setup a ${data}`);
+  });
+  lib("createScene")("b", (scene) => scene.on("enter", (data) => log.push(`enter b ${data}`)));
+  lib("switchScene('a', 1)");
+  const sprite = lib("drawables[0]");
+  assert.strictEqual(lib("getCurrentScene().name"), "a");
+  lib("switchScene('b', 2)");
+  assert.deepStrictEqual(log, ["setup a 1", "exit a", "enter b 2"]);
+  assert.strictEqual(sprite._deleted, true);
+  assert.strictEqual(lib("drawables.length"), 0);
+  assert.strictEqual(lib("sceneStack.length"), 1);
+});
+
+test("a pushed scene pauses the one below until it is popped", () => {
+  const lib = loadLibrary();
+  lib("var __below = 0; var __above = 0; forever(() => __below++);");
+  lib("createScene('menu', () => forever(() => __above++))");
+  lib.frames(1);
+  lib.frames(10);
+  const resumed = [];
+  lib("getCurrentScene()").on("resume", (data) => resumed.push(data));
+  lib("pushScene('menu')");
+  const below = lib("__below");
+  lib.frames(10);
+  assert.strictEqual(lib("__below"), below);
+  assert.ok(lib("__above") > 0);
+  assert.strictEqual(lib("sceneStack[0].paused"), true);
+  lib("popScene('done')");
+  assert.deepStrictEqual(resumed, ["done"]);
+  const above = lib("__above");
+  lib.frames(10);
+  assert.strictEqual(lib("__above"), above); // its loops died with it
+  assert.ok(lib("__below") > below);
+});
+
+test("scene mistakes warn instead of throwing", () => {
+  const lib = loadLibrary();
+  lib("createScene('menu', null)");
+  const seen = warnings(() => {
+    lib("switchScene('nope')");
+    lib("pushScene('nope')");
+    lib("popScene()");
+    lib("pushScene('menu')");
+    lib("pushScene('menu')");
+  });
+  assert.deepStrictEqual(seen, [
+    "Unknown scene: nope",
+    "Unknown scene: nope",
+    "popScene: there is no scene to go back to",
+    "Scene is already active: menu",
+  ]);
+});
+
+test("waits belong to their scene: held under an overlay, dropped on exit", async () => {
+  const lib = loadLibrary();
+  lib("createScene('menu', null)");
+  lib("createScene('level', null)");
+  lib.frames(1);
+  let done = false;
+  lib("wait(100)").then(() => (done = true));
+  lib("pushScene('menu')");
+  lib.frames(12);
+  await settle();
+  assert.ok(!done);
+  lib("popScene()");
+  lib.frames(1);
+  await settle();
+  assert.ok(done);
+
+  let dropped = false;
+  lib("wait(100)").then(() => (dropped = true));
+  lib("switchScene('level')");
+  lib.frames(12);
+  await settle();
+  assert.ok(!dropped);
+  assert.strictEqual(lib("getCurrentScene().timers.length"), 0);
+});
+
+test("typeboxes of a covered scene are hidden and let go of focus", () => {
+  const lib = loadLibrary();
+  lib("createScene('menu', null)");
+  const box = lib("createTypeBox(100, 100)");
+  box.focus();
+  lib.frames(1);
+  assert.notStrictEqual(box.input.style.display, "none");
+  lib("pushScene('menu')");
+  assert.strictEqual(box.focused, false);
+  lib.frames(1);
+  assert.strictEqual(box.input.style.display, "none");
+});
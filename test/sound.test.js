@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle } = require("./library");
+
+/**
+ * Loads the library with a fetch that serves every URL except ones
+ * containing "missing", and counts requests.
+ * @returns {Function} The library; `lib.fetched` lists the requested URLs.
+ */
+function withSounds() {
+  const lib = loadLibrary();
+  lib.fetched = [];
+  lib("globalThis").fetch = async (url) => {
+    lib.fetched.push(url);
+    if (url.includes("missing")) return { ok: false, status: 404, statusText: "Not Found" };
+    return { ok: true, arrayBuffer: async () => url };
+  };
+  return lib;
+}
+
+/**
+ * Waits for sounds to load and start.
+ * @returns {Promise.<void>}
+ */
+async function loaded() {
+  for (let i = 0; i < 3; i++) await settle();
+}
+
+test("sounds play through their bus into master", async () => {
+  const lib = withSounds();
+  const coin = lib("playSound")("coin.wav", { volume: 0.5, rate: 1.5, pan: -1 });
+  assert.strictEqual(coin.playing, false); // still loading
+  await loaded();
+  assert.ok(coin.playing);
+  const ac = lib("_audioCtx");
+  const [source] = ac.sources;
+  assert.ok(source.started && !source.loop);
+  assert.strictEqual(source.playbackRate.value, 1.5);
+  assert.strictEqual(source.buffer.data, "coin.wav");
+  assert.strictEqual(source.output, coin._gain);
+  assert.strictEqual(coin._gain.gain.value, 0.5);
+  assert.strictEqual(coin._panner.pan.value, -1);
+  const sfx = lib("soundBuses.sfx.node");
+  assert.strictEqual(coin._panner.output, sfx);
+  assert.strictEqual(sfx.output, lib("soundBuses.master.node"));
+  assert.strictEqual(lib("soundBuses.master.node").output, ac.destination);
+});
+
+test("each sound is fetched once and plays many times at once", async () => {
+  const lib = withSounds();
+  const a = lib("playSound")("coin.wav");
+  const b = lib("playSound")("coin.wav", 0.2, true);
+  await loaded();
+  assert.deepStrictEqual(lib.fetched, ["coin.wav"]);
+  assert.ok(a.playing && b.playing);
+  assert.deepStrictEqual([b.volume, b.loop, lib("_audioCtx").sources[1].loop], [0.2, true, true]);
+});
+
+test("sounds end on their own or when stopped, with an optional fade", async () => {
+  const lib = withSounds();
+  let done = false;
+  lib("playSoundUntilDone")("fanfare.wav").then(() => (done = true));
+  const music = lib("playSound")("theme.mp3", { bus: "music", loop: true });
+  await loaded();
+  const [fanfare, theme] = lib("_audioCtx").sources;
+  fanfare.onended();
+  await settle();
+  assert.ok(done);
+  assert.strictEqual(lib("_playingSounds.size"), 1);
+
+  music.stop(1000);
+  assert.ok(music.playing); // still fading
+  assert.deepStrictEqual([...music._gain.gain.ramps.at(-1)], [0, 1]);
+  assert.strictEqual(theme.stoppedAt, 1);
+  theme.onended();
+  assert.strictEqual(music.playing, false);
+});
+
+test("stopAllSounds stops everything or one bus", async () => {
+  const lib = withSounds();
+  const music = lib("playSound")("theme.mp3", { bus: "music" });
+  const sfx = lib("playSound")("coin.wav");
+  await loaded();
+  lib("stopAllSounds")("music");
+  assert.ok(!music.playing && sfx.playing);
+  lib("stopAllSounds")();
+  assert.ok(!sfx.playing);
+  const early = lib("playSound")("late.wav");
+  lib("stopAllSounds")(); // stopped while loading: never starts
+  await loaded();
+  assert.strictEqual(early.playing, false);
+});
+
+test("bus volumes and mutes apply to their nodes", async () => {
+  const lib = withSounds();
+  lib("playSound")("theme.mp3", { bus: "music" });
+  lib("playSound")("door.wav", { bus: "ambience" });
+  lib("setBusVolume")("music", 0.4);
+  assert.strictEqual(lib("soundBuses.music.node.gain.value"), 0.4);
+  assert.strictEqual(lib("soundBuses.ambience.node.output"), lib("soundBuses.master.node"));
+  lib("muteSounds")();
+  assert.strictEqual(lib("soundBuses.master.node.gain.value"), 0);
+  lib("muteSounds")(false);
+  assert.strictEqual(lib("soundBuses.master.node.gain.value"), 1);
+  lib("muteSounds")(true, "sfx");
+  assert.strictEqual(lib("soundBuses.sfx.muted"), true);
+});
+
+test("sounds that fail to load warn and end", async () => {
+  const lib = withSounds();
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  const sound = lib("playSound")("missing.wav");
+  await loaded();
+  console.warn = warn;
+  assert.deepStrictEqual(seen, ["Failed to load sound: missing.wav"]);
+  await sound.ended;
+  assert.strictEqual(sound.playing, false);
+});
+
+test("sounds can pan with a sprite on screen", async () => {
+  const lib = withSounds();
+  const car = lib("createSprite(0, 360, 'red')");
+  const engine = lib("playSound")("engine.wav", { loop: true, follow: car });
+  await loaded();
+  lib.steps(1);
+  assert.strictEqual(engine.pan, -1);
+  car.x = 960;
+  lib.steps(1);
+  assert.strictEqual(engine._panner.pan.value, 0.5);
+  engine.follow(null);
+  car.x = 1280;
+  lib.steps(1);
+  assert.strictEqual(engine.pan, 0.5);
+});
+
+test("without Web Audio sounds end right away", async () => {
+  const lib = loadLibrary();
+  delete lib("globalThis").AudioContext;
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  const sound = lib("playSound")("coin.wav");
+  lib("playSound")("jump.wav");
+  console.warn = warn;
+  await sound.ended;
+  assert.deepStrictEqual(seen, ["Web Audio isn't supported here; sounds are off."]);
+  assert.strictEqual(await lib("loadSound")("coin.wav"), null);
+});
@@ -0,0 +1,192 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle } = require("./library");
+
+const lib = loadLibrary();
+const SpatialHash = lib("SpatialHash");
+const rect = (left, top, right, bottom) => ({ left, top, right, bottom });
+// results come from the library's realm; copy them so deepStrictEqual compares contents
+const query = (hash, area) => [...hash.query(area)];
+
+test("query finds objects in the cells a rectangle covers", () => {
+  const hash = new SpatialHash(100);
+  const a = { id: "a" };
+  const b = { id: "b" };
+  hash.update(a, rect(10, 10, 20, 20));
+  hash.update(b, rect(450, 450, 460, 460));
+  assert.deepStrictEqual(query(hash, rect(0, 0, 50, 50)), [a]);
+  assert.deepStrictEqual(query(hash, rect(400, 400, 500, 500)), [b]);
+  assert.deepStrictEqual(query(hash, rect(200, 200, 250, 250)), []);
+});
+
+test("objects spanning several cells come back once", () => {
+  const hash = new SpatialHash(100);
+  const wide = {};
+  hash.update(wide, rect(50, 50, 350, 150));
+  assert.deepStrictEqual(query(hash, rect(0, 0, 400, 200)), [wide]);
+});
+
+test("update moves objects and remove forgets them", () => {
+  const hash = new SpatialHash(100);
+  const a = {};
+  hash.update(a, rect(10, 10, 20, 20));
+  hash.update(a, rect(510, 10, 520, 20));
+  assert.deepStrictEqual(query(hash, rect(0, 0, 50, 50)), []);
+  assert.deepStrictEqual(query(hash, rect(500, 0, 550, 50)), [a]);
+  hash.remove(a);
+  assert.deepStrictEqual(query(hash, rect(500, 0, 550, 50)), []);
+  assert.strictEqual(hash._cells.size, 0);
+});
+
+test("negative coordinates get their own cells", () => {
+  const hash = new SpatialHash(100);
+  const a = {};
+  hash.update(a, rect(-150, -150, -140, -140));
+  assert.deepStrictEqual(query(hash, rect(-200, -200, -101, -101)), [a]);
+  assert.deepStrictEqual(query(hash, rect(0, 0, 50, 50)), []);
+});
+
+test("huge, far out or invalid bounds go everywhere", () => {
+  const hash = new SpatialHash(100);
+  const huge = {};
+  const far = {};
+  const broken = {};
+  hash.update(huge, rect(0, 0, 1e6, 1e6));
+  hash.update(far, rect(1e9, 1e9, 1e9 + 10, 1e9 + 10));
+  hash.update(broken, rect(NaN, 0, 10, 10));
+  const found = hash.query(rect(500, 500, 510, 510));
+  assert.strictEqual(found.length, 3);
+  assert.ok([huge, far, broken].every((obj) => found.includes(obj)));
+  assert.strictEqual(hash._cells.size, 0);
+});
+
+test("cell keys are unique near the edges of the grid", () => {
+  const cellKey = lib("_cellKey");
+  const limit = lib("CELL_LIMIT");
+  const keys = new Set();
+  for (const c of [-limit, -1, 0, 1, limit - 1]) {
+    for (const r of [-limit, -1, 0, 1, limit - 1]) keys.add(cellKey(c, r));
+  }
+  assert.strictEqual(keys.size, 25);
+});
+
+test("the engine keeps each scene's broadphase up to date", () => {
+  const lib = loadLibrary();
+  const a = lib("createSprite(100, 100, 'red')");
+  const b = lib("createSprite(1000, 600, 'blue')");
+  const broadphase = lib("getCurrentScene().broadphase");
+  const near = (sprite) => [...broadphase.query(sprite._broadBounds())];
+  lib.steps(1);
+  assert.deepStrictEqual(near(a), [a]);
+  b.x = 110;
+  b.y = 110;
+  lib.steps(1);
+  assert.strictEqual(near(a).length, 2);
+  assert.deepStrictEqual([...a.touching], [b]);
+  b.delete();
+  assert.deepStrictEqual(near(a), [a]);
+});
+
+test("sprites moved by code are refiled before the next query", () => {
+  const lib = loadLibrary();
+  const a = lib("createSprite(100, 100, 'red')");
+  const b = lib("createSprite(1000, 600, 'blue')");
+  lib.steps(1);
+  b.x = 110;
+  b.y = 110;
+  const near = lib("_spritesNear")(lib("getCurrentScene()"), a._broadBounds());
+  assert.deepStrictEqual([...near], [a, b]);
+  assert.strictEqual(lib("getCurrentScene()._moved.size"), 0);
+});
+
+test("far apart bodies still collide once they meet", () => {
+  const lib = loadLibrary();
+  const wall = lib("createSprite(1200, 100, 'gray')");
+  wall.hitbox = true;
+  const ball = lib("createSprite(100, 100, 'red')");
+  ball.enablePhysics({ vx: 20, friction: 0 });
+  let touched = 0;
+  ball.onTouch(wall, () => touched++);
+  lib.steps(80);
+  const edge = 1200 - wall.getCollisionSize().width / 2;
+  assert.strictEqual(ball.x, edge - ball.getCollisionSize().width / 2);
+  assert.ok(touched > 0);
+});
+
+test("clicks find the topmost sprite under the cursor", () => {
+  const lib = loadLibrary();
+  const under = lib("createSprite(100, 100, 'red')");
+  const over = lib("createSprite(105, 100, 'blue')");
+  lib("createSprite(600, 400, 'green')");
+  const hud = lib("createSprite(10, 10, 'white')");
+  hud.hud = true;
+  lib("camera").goTo(5000, 5000);
+  const spritesUnder = lib("_spritesUnder");
+  const world = lib("camera").worldToScreen(100, 100);
+  assert.deepStrictEqual([...spritesUnder(world.x, world.y)], [under, over]);
+  assert.deepStrictEqual([...spritesUnder(10, 10)], [hud]);
+});
+
+test("ground checks use nearby sprites and the scene's tilemaps", () => {
+  const lib = loadLibrary();
+  const body = lib("createSprite(5000, 85, 'red')"); // its bottom is at y = 100
+  const floor = lib("createSprite(5000, 115, 'gray')");
+  floor.hitbox = true;
+  lib.steps(1);
+  assert.ok(body._isBlockedOn("bottom"));
+  floor.x = 6000; // moved by code: refiled before the check
+  assert.ok(!body._isBlockedOn("bottom"));
+
+  const row = Array(51).fill(0);
+  row[50] = 1; // x = 5000 to 5100, under the body
+  const map = lib("createTilemap")(null, 100, 100, [[], row]);
+  assert.deepStrictEqual([...lib("getCurrentScene().tilemaps")], [map]);
+  assert.ok(body._isBlockedOn("bottom"));
+  map.delete();
+  assert.strictEqual(lib("getCurrentScene().tilemaps.length"), 0);
+  assert.ok(!body._isBlockedOn("bottom"));
+});
+
+test("queries see resized sprites without resyncing the broadphase", async () => {
+  const lib = loadLibrary();
+  lib.images["dot.png"] = [10, 10];
+  lib.images["pole.png"] = [10, 600];
+  const sprite = lib("createSprite(5000, 100, 'red', 'dot.png', 'pole.png')");
+  await settle();
+  lib.steps(1);
+  let syncs = 0;
+  const sync = lib("_syncBroadphase");
+  lib("globalThis").countSync = (scene) => (syncs++, sync(scene));
+  lib("_syncBroadphase = globalThis.countSync");
+  const at = (x, y) => [...lib("getSpritesAt")(x, y)];
+  assert.deepStrictEqual(at(5000, 300), []);
+  sprite.currentCostume = 1; // changed by code between steps
+  assert.ok(lib("getCurrentScene()._moved").has(sprite));
+  const screen = lib("camera").worldToScreen(5000, 300);
+  assert.deepStrictEqual([...lib("_spritesUnder")(screen.x, screen.y)], [sprite]);
+  assert.deepStrictEqual(at(5000, 300), [sprite]);
+  assert.strictEqual(lib("getCurrentScene()._moved.size"), 0);
+  sprite.scale = 0.1;
+  assert.deepStrictEqual(at(5000, 300), []);
+  sprite.direction = 0; // turned: 60 wide
+  assert.deepStrictEqual(at(5025, 100), [sprite]);
+  sprite.useOriginalSize = false; // back to a 30×30 box
+  assert.deepStrictEqual(at(5025, 100), []);
+  assert.strictEqual(syncs, 0);
+});
+
+test("clones are filed in their parent's scene", () => {
+  const lib = loadLibrary();
+  const main = lib("getCurrentScene()");
+  const parent = lib("createSprite(5000, 100, 'red')");
+  lib("createScene('menu', null)");
+  lib("pushScene('menu')");
+  const menu = lib("getCurrentScene()");
+  const copy = parent.clone();
+  assert.strictEqual(copy.scene, main);
+  assert.strictEqual(menu._moved.size, 0);
+  const near = lib("_spritesNear");
+  const area = { left: 4990, top: 90, right: 5010, bottom: 110 };
+  assert.ok(near(main, area).includes(copy));
+  assert.deepStrictEqual([...near(menu, area)], []);
+});
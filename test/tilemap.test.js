@@ -0,0 +1,214 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+// 32×32 tiles: a floor on row 3 and a wall tile (id 2) on row 2
+const grid = () => [
+  [0, 0, 0, 0],
+  [0, 0, 0, 0],
+  [0, 0, 0, 2],
+  [1, 1, 1, 1],
+];
+
+test("tiles can be read, written and converted to world positions", () => {
+  const lib = loadLibrary();
+  const map = lib("createTilemap")(null, 32, 32, grid());
+  assert.strictEqual(map.getTile(3, 2), 2);
+  assert.strictEqual(map.getTile(9, 9), 0);
+  map.setTile(5, 0, 7);
+  assert.strictEqual(map.getTile(5, 0), 7);
+  assert.strictEqual(map.getTile(4, 0), 0);
+  assert.strictEqual(map.cols, 6);
+  assert.strictEqual(map.rows, 4);
+  assert.deepStrictEqual({ ...map.worldToTile(70, 100) }, { col: 2, row: 3 });
+  assert.deepStrictEqual({ ...map.tileToWorld(2, 3) }, { x: 64, y: 96 });
+});
+
+test("solid tiles can be chosen by id and by layer", () => {
+  const lib = loadLibrary();
+  const map = lib("createTilemap")(null, 32, 32, grid());
+  assert.ok(map.isSolidAt(10, 100) && map.isSolidAt(100, 70));
+  map.setSolid(1);
+  assert.ok(map.isSolidAt(10, 100));
+  assert.ok(!map.isSolidAt(100, 70));
+  map.setSolid();
+  map.setLayerSolid("main", false);
+  assert.ok(!map.isSolidAt(10, 100));
+});
+
+test("getSolidTilesInRect lists overlapping tiles but not touching ones", () => {
+  const lib = loadLibrary();
+  const map = lib("createTilemap")(null, 32, 32, grid());
+  assert.strictEqual(map.getSolidTilesInRect(0, 64, 64, 96).length, 0);
+  const tiles = map.getSolidTilesInRect(0, 64, 64, 97);
+  assert.deepStrictEqual(
+    Array.from(tiles, (t) => [t.col, t.row]),
+    [
+      [0, 3],
+      [1, 3],
+    ],
+  );
+});
+
+test("falling sprites land on solid tiles and walls stop them", () => {
+  const lib = loadLibrary();
+  lib("createTilemap")(null, 32, 32, grid());
+  const sprite = lib("createSprite(40, 20, 'red')");
+  sprite.gravity = 3;
+  lib.frames(1);
+  lib.frames(60);
+  const h = sprite.getCollisionSize().height;
+  assert.strictEqual(sprite.y, 96 - h / 2);
+  sprite.gravity = 0;
+  sprite.y = 80;
+  sprite.controls = { left: "a", right: "d", up: "w", down: "s" };
+  lib("keys").d = true;
+  lib.frames(60);
+  const w = sprite.getCollisionSize().width;
+  assert.strictEqual(sprite.x, 96 - w / 2);
+});
+
+/**
+ * A small Tiled export: a solid ground layer, a decoration layer in a
+ * group and an object layer.
+ * @returns {Object} The map JSON.
+ */
+function tiledMap() {
+  return {
+    orientation: "orthogonal",
+    tilewidth: 16,
+    tileheight: 16,
+    properties: [{ name: "music", type: "string", value: "theme.mp3" }],
+    tilesets: [{ firstgid: 1, image: "tiles.png", tilewidth: 16, tileheight: 16 }],
+    layers: [
+      {
+        type: "tilelayer",
+        name: "ground",
+        width: 3,
+        height: 2,
+        data: [0, 0, 0, 1, 1 | 0x80000000, 1],
+        properties: [{ name: "solid", type: "bool", value: true }],
+      },
+      {
+        type: "group",
+        layers: [
+          { type: "tilelayer", name: "deco", width: 3, height: 2, data: [2, 0, 0, 0, 0, 0] },
+        ],
+      },
+      {
+        type: "objectgroup",
+        name: "things",
+        objects: [
+          { id: 1, name: "start", x: 8, y: 4, width: 16, height: 8 },
+          { id: 2, name: "c", type: "Coin", x: 32, y: 16, width: 16, height: 16, gid: 3 },
+        ],
+      },
+    ],
+  };
+}
+
+test("loadTiledMap reads layers, solidity, properties and objects", async () => {
+  const lib = loadLibrary();
+  const coins = [];
+  const spawn = { Coin: (o) => (coins.push(o), null) };
+  const map = await lib("loadTiledMap")(tiledMap(), { spawn });
+  assert.strictEqual(lib("drawables[0]"), map);
+  assert.deepStrictEqual(Array.from(map.layers, (l) => [l.name, l.solid]), [
+    ["ground", true],
+    ["deco", false],
+  ]);
+  assert.deepStrictEqual([...map.layers[0].data[1]], [1, 1, 1]); // flip flag stripped
+  assert.strictEqual(map.properties.music, "theme.mp3");
+  assert.ok(map.tilesets[0].image);
+
+  const start = map.spawned[0];
+  assert.strictEqual(map.spawned.length, 1);
+  assert.strictEqual(start.name, "start");
+  assert.deepStrictEqual([start.x, start.y], [16, 8]);
+  assert.strictEqual(coins.length, 1);
+  // tile objects stand on their y
+  assert.deepStrictEqual([coins[0].x, coins[0].y, coins[0].gid], [40, 8, 3]);
+});
+
+test("loadTiledMap makes every layer solid when none is marked", async () => {
+  const lib = loadLibrary();
+  const data = tiledMap();
+  delete data.layers[0].properties;
+  const map = await lib("loadTiledMap")(data, { spawn: { Coin: () => null } });
+  assert.ok(map.layers.every((l) => l.solid));
+});
+
+test("loadTiledMap fetches maps by URL and warns about what it can't read", async () => {
+  const lib = loadLibrary();
+  const data = tiledMap();
+  data.orientation = "isometric";
+  data.layers[0].data = "eJxjYGBgAAAABAAB";
+  const requested = [];
+  lib("globalThis").fetch = async (url) => {
+    requested.push(String(url));
+    return { ok: true, status: 200, json: async () => data };
+  };
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  const map = await lib("loadTiledMap")("maps/level.json").finally(() => (console.warn = warn));
+  assert.deepStrictEqual(requested, ["http://localhost/maps/level.json"]);
+  assert.strictEqual(map.tilesets[0].image.src, "http://localhost/maps/tiles.png");
+  assert.deepStrictEqual(seen, [
+    "Tiled map orientation not supported: isometric",
+    'Tile layer "ground" must use CSV encoding',
+  ]);
+  assert.strictEqual(map.getLayer("ground"), undefined);
+});
+
+test("loadTiledMap adds the map to the scene it was loaded from", async () => {
+  const lib = loadLibrary();
+  let respond;
+  lib("globalThis").fetch = (url) =>
+    new Promise((resolve) => (respond = () => resolve({ ok: true, json: async () => tiledMap() })));
+  lib("createScene('pause', null)");
+  const level = lib("getCurrentScene()");
+  const spawn = { Coin: (o) => lib("createSprite")(o.x, o.y, "yellow") };
+  const loading = lib("loadTiledMap")("level.json", { spawn });
+  lib("pushScene('pause')");
+  respond();
+  const map = await loading;
+  assert.strictEqual(map.scene, level);
+  assert.strictEqual(map.spawned.length, 2); // "start" and the coin
+  assert.strictEqual(level.drawables.length, 3);
+  for (const sprite of map.spawned) {
+    assert.ok(sprite.scene === level && level.drawables.includes(sprite));
+  }
+  assert.strictEqual(lib("getCurrentScene().drawables.length"), 0);
+  const [start] = map.spawned;
+  assert.ok(lib("_spritesNear")(level, start._broadBounds()).includes(start)); // filed there
+});
+
+test("loadTiledMap fails with the HTTP status and skips exited scenes", async () => {
+  const lib = loadLibrary();
+  lib("globalThis").fetch = async () => ({ ok: false, status: 404, statusText: "Not Found" });
+  await assert.rejects(lib("loadTiledMap")("nope.json"), {
+    message: "Failed to load http://localhost/nope.json: 404 Not Found",
+  });
+
+  let respond;
+  lib("globalThis").fetch = (url) =>
+    new Promise((resolve) => (respond = () => resolve({ ok: true, json: async () => tiledMap() })));
+  lib("createScene('next', null)");
+  lib("getCurrentScene()").name = "first";
+  const loading = lib("loadTiledMap")("level.json");
+  lib("switchScene('next')");
+  respond();
+  let map;
+  const warn = console.warn;
+  const seen = [];
+  console.warn = (message) => seen.push(message);
+  try {
+    map = await loading;
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepStrictEqual(seen, ['loadTiledMap: scene "first" exited before the map loaded']);
+  assert.strictEqual(lib("drawables.length"), 0);
+  assert.strictEqual(map.spawned.length, 0);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle, warnings } = require("./library");
+
+/**
+ * Starts a transition and tracks when it finishes.
+ * @param {Function} lib - The loaded library.
+ * @param {...*} args - Arguments for transition().
+ * @returns {{done: function(): boolean}}
+ */
+function start(lib, ...args) {
+  let done = false;
+  lib("transition")(...args).then(() => (done = true));
+  return { done: () => done };
+}
+
+test("a transition swaps the content and resolves after its duration", async () => {
+  const lib = loadLibrary();
+  lib.frames(1);
+  let swapped = false;
+  const t = start(lib, "fade", 500, () => (swapped = true));
+  assert.strictEqual(swapped, true);
+  await settle();
+  lib.frames(20);
+  await settle();
+  assert.strictEqual(t.done(), false);
+  lib.frames(12);
+  await settle();
+  assert.strictEqual(t.done(), true);
+  assert.strictEqual(lib("_activeTransition"), null);
+});
+
+test("the old frame is held until an async swap finishes", async () => {
+  const lib = loadLibrary();
+  lib.frames(1);
+  let finishSwap;
+  const t = start(lib, "crossfade", 100, () => new Promise((resolve) => (finishSwap = resolve)));
+  lib.frames(30);
+  await settle();
+  assert.strictEqual(t.done(), false);
+  finishSwap();
+  await settle();
+  lib.frames(8);
+  await settle();
+  assert.strictEqual(t.done(), true);
+});
+
+test("a new transition finishes the one before it", async () => {
+  const lib = loadLibrary();
+  lib.frames(1);
+  const first = start(lib, "wipe", 1000);
+  const second = start(lib, "iris", 1000);
+  await settle();
+  assert.strictEqual(first.done(), true);
+  assert.strictEqual(second.done(), false);
+});
+
+test("unknown types warn and still swap", async () => {
+  const lib = loadLibrary();
+  let swapped = false;
+  let t;
+  const seen = warnings(() => (t = start(lib, "spin", 500, () => (swapped = true))));
+  await settle();
+  assert.deepStrictEqual(seen, ["Unknown transition: spin"]);
+  assert.strictEqual(swapped, true);
+  assert.strictEqual(t.done(), true);
+});
+
+test("transitions run on the engine clock", async () => {
+  const lib = loadLibrary();
+  lib.frames(1);
+  const t = start(lib, "fade", 500);
+  await settle();
+  lib("pauseGame()");
+  lib.frames(60);
+  await settle();
+  assert.strictEqual(t.done(), false);
+  lib("resumeGame()");
+  lib("setTimeScale(0.5)");
+  lib.frames(40); // a third of a second of game time
+  await settle();
+  assert.strictEqual(t.done(), false);
+  lib.frames(25);
+  await settle();
+  assert.strictEqual(t.done(), true);
+});
+
+test("pixelate draws through one reused buffer", async () => {
+  const lib = loadLibrary();
+  lib.frames(1);
+  let created = 0;
+  const document = lib("document");
+  const createElement = document.createElement;
+  document.createElement = (tag) => (created++, createElement(tag));
+  start(lib, "pixelate", 500);
+  await settle();
+  lib.frames(20);
+  assert.strictEqual(created, 2); // the snapshot and the buffer
+});
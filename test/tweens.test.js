@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary, settle } = require("./library");
+
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+test("easing curves start at 0 and end at 1", () => {
+  const lib = loadLibrary();
+  for (const [name, ease] of Object.entries(lib("Easing"))) {
+    assert.ok(near(ease(0), 0) && near(ease(1), 1), name);
+  }
+  assert.strictEqual(lib("Easing.easeInQuad(0.5)"), 0.25);
+});
+
+test("tweens run on the engine clock and resolve true when done", async () => {
+  const lib = loadLibrary();
+  const target = { x: 0, y: 10 };
+  let result;
+  lib("tween")(target, { x: 100 }, 500).then((r) => (result = r));
+  lib.frames(1);
+  lib.frames(15);
+  const x = target.x;
+  assert.ok(Math.abs(x - 50) < 4, `x = ${x}`); // within a step of halfway
+  assert.strictEqual(target.y, 10);
+  lib("pauseGame()");
+  lib.frames(60);
+  assert.strictEqual(target.x, x);
+  lib("resumeGame()");
+  lib.frames(16);
+  await settle();
+  assert.strictEqual(target.x, 100);
+  assert.strictEqual(result, true);
+  assert.strictEqual(lib("_tweens.length"), 0);
+});
+
+test("delay, yoyo and repeat", () => {
+  const lib = loadLibrary();
+  const target = { y: 0 };
+  const tw = lib("tween")(target, { y: 10 }, 100, "linear", { delay: 100, yoyo: true, repeat: 1 });
+  const y = [];
+  for (let i = 0; i < 8; i++) {
+    tw._step(25);
+    y.push(target.y);
+  }
+  assert.deepStrictEqual(y, [0, 0, 0, 0, 2.5, 5, 7.5, 10]);
+  tw._step(50);
+  assert.strictEqual(target.y, 5);
+  tw._step(50);
+  assert.strictEqual(target.y, 0);
+  assert.ok(tw.done);
+});
+
+test("cancelled tweens stop where they are and resolve false", async () => {
+  const lib = loadLibrary();
+  const target = { x: 0 };
+  const other = { x: 0 };
+  const tw = lib("tween")(target, { x: 100 }, 1000);
+  lib("tween")(other, { x: 100 }, 1000);
+  lib.frames(1);
+  lib.frames(6);
+  lib("stopTweens")(target);
+  assert.strictEqual(await tw, false);
+  const x = target.x;
+  lib.frames(6);
+  assert.strictEqual(target.x, x);
+  assert.ok(other.x > x);
+});
+
+test("sprite helpers tween position, opacity and scale", async () => {
+  const lib = loadLibrary();
+  const sprite = lib("createSprite(0, 0, 'red')");
+  const glide = sprite.glideTo(60, 30, 100, "easeOutQuad");
+  sprite.fadeTo(0, 100);
+  sprite.scaleTo(2, 100);
+  lib.frames(1);
+  lib.frames(7);
+  assert.strictEqual(await glide, true);
+  assert.deepStrictEqual([sprite.x, sprite.y, sprite.opacity, sprite.scale], [60, 30, 0, 2]);
+});
+
+test("tweens of deleted sprites end, and covered scenes' tweens wait", async () => {
+  const lib = loadLibrary();
+  const gone = lib("createSprite(0, 0, 'red')");
+  const below = lib("createSprite(0, 0, 'red')");
+  const ended = lib("tween")(gone, { x: 100 }, 500);
+  lib("tween")(below, { x: 100 }, 500);
+  gone.delete();
+  lib.frames(1);
+  lib.frames(1);
+  assert.strictEqual(await ended, false);
+  lib("createScene('menu', null)");
+  lib("pushScene('menu')");
+  const x = below.x;
+  lib.frames(10);
+  assert.strictEqual(below.x, x);
+  lib("popScene()");
+  lib.frames(10);
+  assert.ok(below.x > x);
+});
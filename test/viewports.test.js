@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+test("viewports filter by view layer and by function", () => {
+  const lib = loadLibrary();
+  const mini = lib("createViewport")(0, 0, 200, 100, { layers: ["map"] });
+  const picky = lib("createViewport")(0, 0, 200, 100, { filter: (obj) => obj.name === "p1" });
+  assert.ok(mini.shows({ viewLayer: "map" }));
+  assert.ok(!mini.shows({ viewLayer: "default" }));
+  assert.ok(picky.shows({ name: "p1" }));
+  assert.ok(!picky.shows({ name: "p2" }));
+});
+
+test("the topmost viewport under a point owns it", () => {
+  const lib = loadLibrary();
+  const cameraAt = lib("_cameraAt");
+  const left = lib("createViewport")(0, 0, 640, 720);
+  const right = lib("createViewport")(640, 0, 640, 720);
+  const mini = lib("createViewport")(1000, 20, 200, 100);
+  assert.strictEqual(cameraAt(10, 10).camera, left.camera);
+  assert.deepStrictEqual({ ...cameraAt(700, 30) }, { camera: right.camera, x: 60, y: 30 });
+  assert.strictEqual(cameraAt(1100, 50).camera, mini.camera);
+  assert.ok(!mini.contains(1200, 50)); // right edge is outside
+  lib("removeViewport")(left);
+  lib("removeViewport")(right);
+  lib("removeViewport")(mini);
+  assert.strictEqual(cameraAt(10, 10).camera, lib("camera"));
+});
+
+test("viewport cameras follow their targets every step", () => {
+  const lib = loadLibrary();
+  const p1 = lib("createSprite(100, 100, 'red')");
+  const p2 = lib("createSprite(900, 400, 'blue')");
+  const left = lib("createViewport")(0, 0, 640, 720);
+  const right = lib("createViewport")(640, 0, 640, 720, { camera: lib("camera") });
+  left.camera.follow(p1);
+  right.camera.follow(p2);
+  lib.frames(1);
+  lib.frames(2);
+  assert.deepStrictEqual([left.camera.x, left.camera.y], [100, 100]);
+  assert.deepStrictEqual([lib("camera.x"), lib("camera.y")], [900, 400]);
+  assert.strictEqual(lib("_allCameras()").length, 2);
+});
+
+test("world objects draw once per viewport that shows them, HUD once on top", () => {
+  const lib = loadLibrary();
+  const world = lib("createSprite(100, 100, 'red')");
+  const hud = lib("createSprite(10, 10, 'white')");
+  hud.hud = true;
+  world.viewLayer = "map";
+  const counts = { world: 0, hud: 0 };
+  world.draw = () => counts.world++;
+  hud.draw = () => counts.hud++;
+  lib("createViewport")(0, 0, 640, 720);
+  lib("createViewport")(640, 0, 640, 720);
+  lib("createViewport")(1000, 20, 200, 100, { layers: ["default"] });
+  lib.frames(1);
+  assert.deepStrictEqual(counts, { world: 2, hud: 1 });
+});
+
+test("clones keep their view layer", () => {
+  const lib = loadLibrary();
+  const marker = lib("createSprite(10, 10, 'white')");
+  marker.viewLayer = "map";
+  assert.strictEqual(marker.clone().viewLayer, "map");
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadLibrary } = require("./library");
+
+/**
+ * Loads the library with a 100×100 zone at (100, 100) that logs its events.
+ * @returns {Array} The library, the zone and the event log.
+ */
+function withZone() {
+  const lib = loadLibrary();
+  const zone = lib("createZone")(100, 100, 100, 100);
+  const log = [];
+  for (const event of ["enter", "stay", "exit"]) {
+    zone.on(event, (sprite) => log.push(`${event} ${sprite.name}`));
+  }
+  return [lib, zone, log];
+}
+
+test("zones fire enter once, stay every step and exit on leaving", () => {
+  const [lib, zone, log] = withZone();
+  const player = lib("createSprite(50, 150, 'red')");
+  player.name = "player";
+  lib.steps(1);
+  assert.deepStrictEqual(log, []);
+  player.x = 90; // the 30×30 box reaches x = 105
+  lib.steps(3);
+  assert.deepStrictEqual(log, ["enter player", "stay player", "stay player"]);
+  assert.deepStrictEqual([...zone.getSprites()], [player]);
+  log.length = 0;
+  player.x = 300;
+  lib.steps(2);
+  assert.deepStrictEqual(log, ["exit player"]);
+  assert.strictEqual(zone.getSprites().length, 0);
+});
+
+test("deleted sprites exit", () => {
+  const [lib, , log] = withZone();
+  const coin = lib("createSprite(150, 150, 'yellow')");
+  coin.name = "coin";
+  lib.steps(1);
+  coin.delete();
+  lib.steps(1);
+  assert.deepStrictEqual(log, ["enter coin", "exit coin"]);
+});
+
+test("hidden sprites don't count, and hiding one makes it exit", () => {
+  const [lib, , log] = withZone();
+  const ghost = lib("createSprite(150, 150, 'white')");
+  ghost.name = "ghost";
+  ghost.hidden = true;
+  lib.steps(1);
+  assert.deepStrictEqual(log, []);
+  ghost.hidden = false;
+  lib.steps(1);
+  ghost.hidden = true;
+  lib.steps(1);
+  assert.deepStrictEqual(log, ["enter ghost", "exit ghost"]);
+});
+
+test("zone filters pick sprites by tag, and clones keep their tags", () => {
+  const [lib, zone, log] = withZone();
+  zone.filter = { tag: "player" };
+  const player = lib("createSprite(150, 150, 'red')");
+  player.name = "player";
+  player.addTag("player");
+  player.addTag("player");
+  assert.deepStrictEqual([...player.tags], ["player"]);
+  const enemy = lib("createSprite(160, 150, 'blue')");
+  enemy.name = "enemy";
+  const copy = player.clone();
+  copy.name = "copy";
+  assert.ok(copy.hasTag("player"));
+  lib.steps(1);
+  assert.deepStrictEqual(log, ["enter player", "enter copy"]);
+  assert.ok(zone.contains(enemy)); // contains ignores the filter
+  copy.removeTag("player");
+  lib.steps(1);
+  assert.deepStrictEqual(log.slice(2), ["exit copy", "stay player"]);
+});
+
+test("concave zones only count their shape", () => {
+  const lib = loadLibrary();
+  // an L: the top-right 50×50 corner of the 100×100 square is outside
+  const zone = lib("createZone")([
+    { x: 100, y: 100 },
+    { x: 150, y: 100 },
+    { x: 150, y: 150 },
+    { x: 200, y: 150 },
+    { x: 200, y: 200 },
+    { x: 100, y: 200 },
+  ]);
+  const notch = lib("createSprite(180, 120, 'red')");
+  notch.size = 10;
+  const leg = lib("createSprite(120, 120, 'red')");
+  leg.size = 10;
+  lib.steps(1);
+  assert.deepStrictEqual([...zone.getSprites()], [leg]);
+  assert.ok(!zone.contains(notch));
+});
+
+test("zones don't block or show up in touching", () => {
+  const [lib, zone] = withZone();
+  const ball = lib("createSprite(50, 150, 'red')");
+  ball.enablePhysics({ vx: 10, friction: 0 });
+  lib.steps(10);
+  assert.strictEqual(ball.x, 150);
+  assert.deepStrictEqual([...ball.touching], []);
+  assert.strictEqual(zone.getSprites().length, 1);
+});
+
+test("zones take new points", () => {
+  const [lib, zone] = withZone();
+  const crate = lib("createSprite(180, 180, 'gray')");
+  assert.ok(zone.contains(crate));
+  zone.points = [
+    { x: 0, y: 0 },
+    { x: 40, y: 0 },
+    { x: 0, y: 40 },
+  ];
+  assert.ok(!zone.contains(crate));
+  crate.goTo(115, 115);
+  assert.ok(zone.contains(crate));
+});